@@ -1,8 +1,7 @@
 import { tileSize } from './modules/constants.js';
-import { initStartMenu, startNewGame, showSettingsMenu } from './modules/startMenu.js';
-import { createInitialGameState } from './modules/gameState.js';
+import { initStartMenu, startNewGame, showSettingsMenu, showSaveLoadMenu, showGameScreen } from './modules/startMenu.js';
 import { generateMap, revealArea } from './modules/map.js';
-import { render, updateResourceDisplay, updateUpkeepDisplay, updateUnitButtons, updateResearchButtons, updateBuildingButtons, updateAgeProgressDisplay, showNotification, getUnitTooltipContent, LoadingManager } from './modules/ui.js';
+import { render, updateResourceDisplay, updateUpkeepDisplay, updateUnitButtons, updateResearchButtons, updateBuildingButtons, updateAgeProgressDisplay, updateVictoryPanel, showNotification, getUnitTooltipContent, LoadingManager, screenToTile } from './modules/ui.js';
 import { Viewport } from './modules/viewport.js';
 import { SpatialPartition } from './modules/spatial.js';
 import { ErrorHandler } from './modules/errorHandling.js';
@@ -10,40 +9,41 @@ import { EventHandler } from './modules/eventHandler.js';
 import { GameLoopManager } from './modules/gameLoop.js';
 import { terrainTypes } from './modules/terrain.js';
 import { buildingTypes } from './modules/buildings.js';
+import { infrastructureTypes } from './modules/infrastructure.js';
 import { unitTypes } from './modules/units.js';
 import { resourcesByAge, resourceTileTypes } from './modules/resources.js';
 import { updateBuildingButtonsByCategory } from './modules/buildingManager.js';
+import { GameEngine } from './modules/engine.js';
+import { getEventBus } from './modules/eventBus.js';
+import { createInitialGameState, findUnit } from './modules/gameState.js';
+import { saveToSlot, loadFromSlot } from './modules/saveGame.js';
+import { randomChoice } from './modules/random.js';
+import { loadContentIndex, applyContentPacks } from './modules/content.js';
+import { validateContent } from './modules/contentValidator.js';
 
-// Make functions globally available for cross-module usage
-window.revealArea = revealArea;
-window.attackUnit = attackUnit;
-window.updateUnitActionsPanel = updateUnitActionsPanel;
-window.canMoveToTile = canMoveToTile;
-window.moveUnitSystem = moveUnitSystem;
-window.unitTypes = unitTypes;
-window.toggleFogOfWar = toggleFogOfWar;
 import { 
-  endTurn, 
-  startResearch, 
   advanceToNextAge, 
   toggleFogOfWar, 
   setAIDifficulty, 
   handleDiplomacy,
-  createUnit,
   startBuilding,
-  buildStructure,
   processProductionQueues
 } from './modules/gameEvents.js';
 import {
-  moveUnit as moveUnitSystem,
   canMoveToTile,
   boardTransport,
   disembarkUnit,
   resetMovementPoints,
-  initializeUnitMovement,
-  getValidMovementLocations
+  initializeUnitMovement
 } from './modules/movement.js';
-import { pixelToAxial } from './modules/hexgrid.js';
+import { getGrid } from './modules/grid.js';
+import { canCarry } from './modules/movementRules.js';
+import { isAircraft, getAirBase, getOperationalRange, AIR_MISSIONS } from './modules/air.js';
+import { getStackAt } from './modules/armies.js';
+import { promotionTypes, getAvailablePromotions, getMovementAllowance } from './modules/promotions.js';
+
+// Development builds run from a local server or with ?dev in the URL
+const DEV_MODE = ['localhost', '127.0.0.1'].includes(location.hostname) || new URLSearchParams(location.search).has('dev');
 
 // Game canvas and context
 let canvas = null;
@@ -62,6 +62,12 @@ let dragStartX = 0, dragStartY = 0;
 let selectedUnit = null;
 let gameStarted = false;
 let currentTab = 'actions';
+let turnManager = null;
+let engine = null;
+let commands = null;
+let gameEventSubscriptions = [];
+let gameLoop = null;
+let isEndingTurn = false;
 
 // Initialize the game
 window.onload = async function() {
@@ -88,6 +94,23 @@ window.onload = async function() {
         }
         minimapCtx = minimap.getContext('2d');
         
+        // Load the mod packs listed in the content index on top of the base pack
+        loadingManager.updateProgress(20, "Loading content packs...");
+        try {
+            await loadContentIndex();
+            applyContentPacks();
+        } catch (error) {
+            console.warn('Could not load content packs, using the base pack only:', error);
+        }
+        
+        // Report dangling content references while developing
+        if (DEV_MODE) {
+            const { isValid, errors } = validateContent();
+            if (!isValid) {
+                console.warn(`Content validation found ${errors.length} problem(s):\n${errors.join('\n')}`);
+            }
+        }
+        
         // Create initial game state
         loadingManager.updateProgress(40, "Creating game state...");
         gameState = createInitialGameState();
@@ -102,7 +125,7 @@ window.onload = async function() {
         loadingManager.updateProgress(80, "Initializing start menu...");
         
         // Initialize start menu
-        initStartMenu(startGame);
+        initStartMenu(startGame, loadSavedGame);
         
         loadingManager.updateProgress(100, "Ready!");
         setTimeout(() => {
@@ -138,9 +161,8 @@ window.gameModules = {
   viewport: null
 };
 
-// Cache DOM elements
-// Make debouncedRender available globally
-window.debouncedRender = debounce(() => {
+// Redraw at most once per frame
+const debouncedRender = debounce(() => {
     if (!gameStarted) return;
     
     // Get current viewport values if available
@@ -183,11 +205,10 @@ function setupEventHandlers(gameState, viewport, gameLoop) {
     window.gameModules.ui = {
         setHoveredTile: setHoveredTile,
         animateTileClick: animateTileClick,
-        TILE_SIZE: 50,
-        TILE_GUTTER: 3
+        screenToTile: (screenX, screenY) => screenToTile(gameState, canvas, screenX, screenY, cameraOffsetX, cameraOffsetY)
     };
     
-    const eventHandler = new EventHandler(gameState, viewport);
+    const eventHandler = new EventHandler(gameState, viewport, issuePlayerCommand);
     
     // Additional game-specific event handlers
     window.addEventListener('resize', () => {
@@ -302,15 +323,16 @@ function switchTab(tabName) {
             updateBuildingButtons(gameState, startBuilding);
             break;
         case 'units':
-            updateUnitButtons(gameState, createUnit);
+            updateUnitButtons(gameState, unitType => issuePlayerCommand('CreateUnit', { unitType }));
             break;
         case 'research':
-            updateResearchButtons(gameState, startResearch);
+            updateResearchButtons(gameState, techId => issuePlayerCommand('Research', { techId }));
             break;
         case 'cities':
             updateCityList(gameState);
             break;
         case 'diplomacy':
+            updateVictoryPanel(gameState);
             updateDiplomacyStatus(gameState);
             break;
     }
@@ -321,32 +343,162 @@ function startGame(settings) {
     try {
         // Start new game with the selected settings
         gameState = startNewGame(gameState, settings);
-        
-        // Set up event handlers and game loop
-        const viewport = new Viewport(canvas, gameState.mapSize * tileSize);
-        const gameLoop = new GameLoopManager(gameState);
-        setupEventHandlers(gameState, viewport, gameLoop);
-        
-        // Start the game
-        gameStarted = true;
-        gameLoop.start();
-        
-        // Show initial game state
-        updateResourceDisplay(gameState);
-        updateUpkeepDisplay(gameState);
-        updateUnitButtons(gameState);
-        updateResearchButtons(gameState);
-        updateBuildingButtons(gameState);
-        updateAgeProgressDisplay(gameState);
-        
-        // Initial render
-        debouncedRender();
+        startSession();
     } catch (error) {
         console.error('Failed to start game:', error);
         alert('Failed to start game. Please try again with different settings.');
     }
 }
 
+// Set up viewport, input, game loop and turn systems for the current gameState
+function startSession(savedSystems = null) {
+    // Set up event handlers and game loop
+    const viewport = new Viewport(canvas, gameState.mapSize * tileSize);
+    gameLoop = new GameLoopManager(gameState, debouncedRender);
+    setupEventHandlers(gameState, viewport, gameLoop);
+    
+    // Hook the turn-based systems into the turn pipeline
+    initializeSessionTurnSystems(savedSystems);
+    if (!savedSystems) {
+        engine.start();
+    }
+    
+    // Start the game
+    gameStarted = true;
+    gameLoop.start();
+    
+    refreshGameDisplay();
+}
+
+// Create the turn systems, restoring their state when loading a save
+function initializeSessionTurnSystems(savedSystems) {
+    if (engine) {
+        engine.dispose();
+    }
+    engine = new GameEngine(gameState, savedSystems);
+    turnManager = engine.turnManager;
+    commands = engine.commands;
+    subscribeToGameEvents();
+}
+
+// Keep the panels and map in step with what the game systems report
+function subscribeToGameEvents() {
+    gameEventSubscriptions.forEach(unsubscribe => unsubscribe());
+    
+    const bus = getEventBus(gameState);
+    const notify = message => showNotification(message);
+    const playerName = index => gameState.players[index - 1]?.name || `Player ${index}`;
+    
+    gameEventSubscriptions = [
+        bus.on('unit.selected', ({ unitId }) => {
+            selectedUnit = unitId === null ? null : findUnit(gameState, unitId);
+            updateUnitActionsPanel(selectedUnit);
+        }),
+        bus.on('unit.moved', ({ unitId }) => {
+            if (selectedUnit && selectedUnit.id === unitId) {
+                updateUnitActionsPanel(selectedUnit);
+            }
+            debouncedRender();
+        }),
+        bus.on('unit.orderEnded', ({ unitId, owner, reason }) => {
+            const unitType = findUnit(gameState, unitId)?.type || 'Unit';
+            const messages = {
+                arrived: `${unitType} reached its destination`,
+                enemySpotted: `${unitType} stopped: enemy spotted`,
+                blocked: `${unitType} stopped: the way is blocked`
+            };
+            if (messages[reason] && gameState.players[owner - 1]?.type === 'human') {
+                notify(messages[reason]);
+            }
+        }),
+        bus.on('unit.leveledUp', ({ unitId, owner, level }) => {
+            if (gameState.players[owner - 1]?.type === 'human') {
+                notify(`${findUnit(gameState, unitId)?.type || 'Unit'} reached level ${level} and can be promoted`);
+            }
+        }),
+        bus.on('unit.killed', () => debouncedRender()),
+        bus.on('tiles.revealed', () => debouncedRender()),
+        bus.on('building.started', () => updateResourceDisplay(gameState)),
+        bus.on('building.completed', ({ buildingType, owner }) => {
+            if (owner === gameState.currentPlayer) {
+                notify(`${buildingTypes[buildingType]?.name || buildingType} completed`);
+            }
+        }),
+        bus.on('infrastructure.completed', ({ infrastructureType, owner }) => {
+            if (owner === gameState.currentPlayer) {
+                notify(`${infrastructureTypes[infrastructureType]?.name || infrastructureType} completed`);
+            }
+            debouncedRender();
+        }),
+        bus.on('infrastructure.pillaged', ({ infrastructureType, owner, pillagedBy }) => {
+            if (gameState.players[owner - 1]?.type === 'human') {
+                notify(`${playerName(pillagedBy)} pillaged your ${infrastructureTypes[infrastructureType]?.name || infrastructureType}`);
+            }
+            debouncedRender();
+        }),
+        bus.on('tech.researched', ({ techId, player }) => {
+            if (player === gameState.currentPlayer) {
+                notify(`Research complete: ${techId}`);
+            }
+        }),
+        bus.on('treaty.signed', ({ treatyType, source, target }) => {
+            notify(`${playerName(source)} and ${playerName(target)} signed a ${treatyType}`);
+        }),
+        bus.on('war.declared', ({ aggressor, defender }) => {
+            notify(`${playerName(aggressor)} declared war on ${playerName(defender)}`);
+        }),
+        bus.on('weather.changed', ({ weather }) => notify(`The weather turns ${weather}`)),
+        bus.on('event.started', ({ name, description }) => notify(`${name}: ${description}`)),
+        bus.on('notification', ({ message }) => notify(message)),
+        bus.on('round.ended', () => updateVictoryPanel(gameState))
+    ];
+}
+
+// Update every panel after the game state changed wholesale
+function refreshGameDisplay() {
+    updateResourceDisplay(gameState);
+    updateUpkeepDisplay(gameState);
+    updateUnitButtons(gameState);
+    updateResearchButtons(gameState);
+    updateBuildingButtons(gameState);
+    updateAgeProgressDisplay(gameState);
+    updateVictoryPanel(gameState);
+    
+    debouncedRender();
+}
+
+// Load a game from a save slot, either from the start menu or mid-game
+function loadSavedGame(slot) {
+    const result = loadFromSlot(slot);
+    if (!result.success) {
+        alert(`Could not load game: ${result.reason}`);
+        return;
+    }
+    
+    selectedUnit = null;
+    
+    if (gameStarted) {
+        // Swap the contents in place so the running loop and input handlers keep their reference
+        Object.keys(gameState).forEach(key => delete gameState[key]);
+        Object.assign(gameState, result.gameState);
+        initializeSessionTurnSystems(result.systems);
+        refreshGameDisplay();
+    } else {
+        gameState = result.gameState;
+        window.gameState = gameState;
+        showGameScreen();
+        startSession(result.systems);
+    }
+    
+    if (result.migrations.length > 0) {
+        const upgradedFrom = result.migrations[0].from;
+        console.log('Save migrations applied:', result.migrations);
+        showNotification(`Game loaded: turn ${gameState.turn} (save upgraded from version ${upgradedFrom})`);
+    } else {
+        showNotification(`Game loaded: turn ${gameState.turn}`);
+    }
+}
+
 // Handle mouse movement over the canvas
 function handleMouseMove(e) {
   const rect = canvas.getBoundingClientRect();
@@ -366,27 +518,16 @@ function revealTile(x, y) {
   const playerIndex = gameState.currentPlayer - 1;
   const revealRadius = 2; // Small reveal radius for clicked tiles
   
-  // Import revealArea function from map.js if needed
-  if (typeof revealArea === 'undefined') {
-    // Use the imported function directly
-    import('./modules/map.js').then(mapModule => {
-      mapModule.revealArea(gameState, x, y, revealRadius, playerIndex);
-    });
-  } else {
-    // Use the already imported function
-    revealArea(gameState, x, y, revealRadius, playerIndex);
-  }
+  revealArea(gameState, x, y, revealRadius, playerIndex);
   
   // Also check if there's a unit selected
   if (selectedUnit) {
     // When a unit is selected and player clicks on fog, also allow moving to that tile
-        const moveResult = canMoveToTile(selectedUnit, selectedUnit.x, selectedUnit.y, x, y, gameState.map, true);
+        const moveResult = canMoveToTile(selectedUnit, selectedUnit.x, selectedUnit.y, x, y, gameState, true);
         
         if (moveResult.canMove) {
           // Valid move - proceed with movement automatically after revealing
-          moveUnitSystem(selectedUnit, x, y, gameState.map, (message) => {
-            showNotification(message);
-          });
+          issueMoveCommand(selectedUnit, x, y);
           showNotification(`Unit moved to the newly revealed location`);
           
           // Make sure we update the unit panel if it's still showing
@@ -397,7 +538,7 @@ function revealTile(x, y) {
   showNotification(`Area revealed at (${x}, ${y})`);
 }
 
-// Handle clicks on the game canvas with hex grid support
+// Handle clicks on the game canvas
 function handleCanvasClick(e) {
   if (!gameStarted) return;
   
@@ -405,44 +546,11 @@ function handleCanvasClick(e) {
   const clickX = e.clientX - rect.left;
   const clickY = e.clientY - rect.top;
   
-  // Get hex grid size for calculations
-  const hexSize = 30; // Should match the size in ui.js
-  
-  // Convert mouse position to pixel coordinates (adjusted for camera)
-  const pixelX = clickX + cameraOffsetX;
-  const pixelY = clickY + cameraOffsetY;
-  
-  // Convert pixel coordinates to axial coordinates
-  const hexCoords = pixelToAxial(pixelX, pixelY, hexSize);
-  
-  // Find the tile at these axial coordinates
-  let gridX = -1;
-  let gridY = -1;
-  const mapSize = gameState.mapSize;
-  
-  // Search for the tile with matching axial coordinates
-  for (let y = 0; y < mapSize; y++) {
-    for (let x = 0; x < mapSize; x++) {
-      const tile = gameState.map[y][x];
-      if (tile.q === hexCoords.q && tile.r === hexCoords.r) {
-        gridX = x;
-        gridY = y;
-        break;
-      }
-    }
-    if (gridX !== -1) break;
-  }
-  
-  // If we couldn't find by axial coordinates (during transition), 
-  // use the axial coordinates as indices if they're in bounds
-  if (gridX === -1 && hexCoords.q >= 0 && hexCoords.q < mapSize && 
-      hexCoords.r >= 0 && hexCoords.r < mapSize) {
-    gridX = hexCoords.q;
-    gridY = hexCoords.r;
-  }
+  // Find the tile under the click the same way it was drawn
+  const { x: gridX, y: gridY } = screenToTile(gameState, canvas, clickX, clickY, cameraOffsetX, cameraOffsetY);
   
   // Ensure valid grid position
-  if (gridX < 0 || gridX >= gameState.mapSize || gridY < 0 || gridY >= gameState.mapSize) return;
+  if (!getGrid(gameState).inBounds(gridX, gridY)) return;
 
   const clickedTile = gameState.map[gridY][gridX];
   
@@ -451,13 +559,11 @@ function handleCanvasClick(e) {
     // If a unit is selected, try to move there (to explore the fog)
     if (selectedUnit) {
       // When a unit is selected and player clicks on fog, try to move to that tile
-      const moveResult = canMoveToTile(selectedUnit, selectedUnit.x, selectedUnit.y, gridX, gridY, gameState.map, true);
+      const moveResult = canMoveToTile(selectedUnit, selectedUnit.x, selectedUnit.y, gridX, gridY, gameState, true);
       
       if (moveResult.canMove) {
         // Valid move - proceed with movement to explore fog of war
-        moveUnitSystem(selectedUnit, gridX, gridY, gameState.map, (message) => {
-          showNotification(message);
-        });
+        issueMoveCommand(selectedUnit, gridX, gridY);
         showNotification(`Unit moving to explore area at (${gridX}, ${gridY})`);
         
         // Update the UI
@@ -465,6 +571,9 @@ function handleCanvasClick(e) {
         
         // Also reveal the area that the unit is moving to
         revealTile(gridX, gridY);
+      } else if (!getGrid(gameState).areAdjacent(selectedUnit.x, selectedUnit.y, gridX, gridY)) {
+        // Farther tiles get a route to preview and confirm
+        planOrConfirmRoute(gridX, gridY, e.shiftKey);
       } else {
         // Can't move but tell the player what's wrong
         showNotification(`Cannot move to that location: ${moveResult.reason}`);
@@ -481,7 +590,10 @@ function handleCanvasClick(e) {
   
   // If we're trying to build something
   if (gameState.selectedBuildingType) {
-    buildStructure(gameState, gridX, gridY);
+    const buildingType = gameState.selectedBuildingType;
+    gameState.selectedBuildingType = null;
+    issuePlayerCommand('Build', { buildingType, x: gridX, y: gridY });
+    updateResourceDisplay(gameState);
     debouncedRender();
     return;
   }
@@ -612,10 +724,12 @@ function showBuildingSuggestion(tile, x, y) {
                            gameState.validMovementLocations.find(loc => loc.x === gridX && loc.y === gridY);
       
       if (validLocation) {
-        // Attempt to move the unit to the clicked location
-      moveUnitSystem(selectedUnit, gridX, gridY, gameState.map, (message) => {
-        showNotification(message);
-      });
+        // Attempt to move the unit to the clicked location, along a path when it is farther than one step
+        if (getGrid(gameState).areAdjacent(selectedUnit.x, selectedUnit.y, gridX, gridY)) {
+          issueMoveCommand(selectedUnit, gridX, gridY);
+        } else {
+          engine.systems.moveOrders.giveOrder(selectedUnit, [{ x: gridX, y: gridY }]);
+        }
         
         // Update unit UI panel with new MP
         updateUnitActionsPanel(selectedUnit);
@@ -628,6 +742,37 @@ function showBuildingSuggestion(tile, x, y) {
       gameState.unitActionMode = null;
       gameState.validMovementLocations = null;
     } 
+    else if (gameState.unitActionMode === 'disembark') {
+      // Land the chosen cargo unit on the clicked tile
+      const cargoUnit = gameState.disembarkingUnit;
+      gameState.unitActionMode = null;
+      gameState.disembarkingUnit = null;
+      if (cargoUnit) {
+        issuePlayerCommand('Disembark', { unitId: cargoUnit.id, targetX: gridX, targetY: gridY });
+        updateUnitActionsPanel(selectedUnit);
+      }
+    }
+    else if (gameState.unitActionMode === 'airMission' || gameState.unitActionMode === 'rebase') {
+      // Fly the chosen mission to, or rebase to, the clicked tile
+      const fields = { unitId: selectedUnit.id, x: gridX, y: gridY };
+      const target = clickedTile.unit;
+      if (gameState.airMission === 'strike' && target && target.owner !== gameState.currentPlayer && !confirmWar(target.owner)) {
+        gameState.unitActionMode = null;
+        gameState.airMission = null;
+        return;
+      }
+      const result = gameState.unitActionMode === 'rebase'
+        ? issuePlayerCommand('Rebase', fields)
+        : issuePlayerCommand('AirMission', { ...fields, mission: gameState.airMission });
+      gameState.unitActionMode = null;
+      gameState.airMission = null;
+      if (result.success && selectedUnit.health <= 0) {
+        // Shot down on the way
+        selectedUnit = null;
+        gameState.selectedUnit = null;
+      }
+      updateUnitActionsPanel(selectedUnit);
+    }
     else if (gameState.unitActionMode === 'attack') {
       // Check if the clicked tile has an enemy unit
       if (clickedTile.unit && clickedTile.unit.owner !== gameState.currentPlayer) {
@@ -647,30 +792,67 @@ function showBuildingSuggestion(tile, x, y) {
     return;
   }
   
+  // Clicking an own transport next to the selected land unit takes the unit aboard
+  const clickedTransport = clickedTile.unit;
+  if (selectedUnit && clickedTransport && clickedTransport !== selectedUnit &&
+      clickedTransport.owner === gameState.currentPlayer &&
+      canCarry(unitTypes[clickedTransport.type], unitTypes[selectedUnit.type]) &&
+      getGrid(gameState).areAdjacent(selectedUnit.x, selectedUnit.y, gridX, gridY)) {
+    const result = issuePlayerCommand('Embark', { unitId: selectedUnit.id, transportId: clickedTransport.id });
+    if (result.success) {
+      selectedUnit = clickedTransport;
+      gameState.selectedUnit = clickedTransport;
+      gameState.movePreview = null;
+      updateUnitActionsPanel(clickedTransport);
+    }
+    debouncedRender();
+    return;
+  }
+  
+  // Clicking an own airfield, or the unit already selected on it, picks the next aircraft based there
+  const airfield = getAirBase(gameState, gridX, gridY, gameState.currentPlayer);
+  if (airfield && !airfield.carrier && airfield.aircraft.length > 0 &&
+      (!clickedTile.unit || clickedTile.unit === selectedUnit || airfield.aircraft.includes(selectedUnit))) {
+    const next = airfield.aircraft[(airfield.aircraft.indexOf(selectedUnit) + 1) % airfield.aircraft.length];
+    selectUnit(next);
+    debouncedRender();
+    return;
+  }
+  
+  // Clicking the army the selected unit marches in picks its next unit
+  const stack = getStackAt(gameState, gridX, gridY);
+  if (stack.length > 1 && stack.includes(selectedUnit)) {
+    selectUnit(stack[(stack.indexOf(selectedUnit) + 1) % stack.length]);
+    debouncedRender();
+    return;
+  }
+  
   // Select/deselect unit - normal mode when not in a specific action mode
   if (clickedTile.unit && clickedTile.unit.owner === gameState.currentPlayer) {
     // Select the unit
     selectedUnit = clickedTile.unit;
     gameState.selectedUnit = selectedUnit;
     showNotification(`Selected ${selectedUnit.type}`);
+    showStandingOrder(selectedUnit);
     
     // Show unit actions
     updateUnitActionsPanel(selectedUnit);
     switchTab('actions');
   } else if (selectedUnit && !gameState.unitActionMode) {
     // Check if this is a valid move before attempting direct movement
-    const moveResult = canMoveToTile(selectedUnit, selectedUnit.x, selectedUnit.y, gridX, gridY, gameState.map);
+    const moveResult = canMoveToTile(selectedUnit, selectedUnit.x, selectedUnit.y, gridX, gridY, gameState);
     
     if (moveResult.canMove) {
       // Valid move - proceed with movement
-      moveUnitSystem(selectedUnit, gridX, gridY, gameState.map, (message) => {
-        showNotification(message);
-      });
+      issueMoveCommand(selectedUnit, gridX, gridY);
       selectedUnit = null;
       gameState.selectedUnit = null;
       
       // Hide unit actions
       unitActionsContainer.style.display = 'none';
+    } else if (!getGrid(gameState).areAdjacent(selectedUnit.x, selectedUnit.y, gridX, gridY)) {
+      // Farther tiles get a route to preview and confirm
+      planOrConfirmRoute(gridX, gridY, e.shiftKey);
     } else {
       // Invalid move - show notification with reason
       showNotification(moveResult.reason);
@@ -680,44 +862,139 @@ function showBuildingSuggestion(tile, x, y) {
   debouncedRender();
 }
 
+// Preview the route of the selected unit to a tile, or give the move order when the end of
+// the previewed route is clicked again. Shift-click adds the tile as another waypoint.
+function planOrConfirmRoute(x, y, addWaypoint) {
+  const moveOrders = engine.systems.moveOrders;
+  const preview = gameState.movePreview && gameState.movePreview.unitId === selectedUnit.id ? gameState.movePreview : null;
+  const destination = preview && preview.waypoints[preview.waypoints.length - 1];
+  
+  if (destination && destination.x === x && destination.y === y && !addWaypoint) {
+    // A unit already on the coast of a sea route only needs to board
+    if (preview.orderWaypoints.length === 0) {
+      showNotification('Click the ship to board it');
+      return;
+    }
+    
+    gameState.movePreview = null;
+    const result = moveOrders.giveOrder(selectedUnit, preview.orderWaypoints);
+    if (!result.success) {
+      showNotification(result.reason);
+      return;
+    }
+    
+    selectedUnit = null;
+    gameState.selectedUnit = null;
+    document.getElementById('unit-actions-container').style.display = 'none';
+    return;
+  }
+  
+  const waypoints = addWaypoint && preview ? [...preview.waypoints, { x, y }] : [{ x, y }];
+  const route = moveOrders.planRoute(selectedUnit, waypoints);
+  if (route.steps.length === 0) {
+    previewSeaRoute(x, y, waypoints);
+    return;
+  }
+  
+  // Routes that cannot be finished go as far as they can
+  const lastStep = route.steps[route.steps.length - 1];
+  gameState.movePreview = {
+    unitId: selectedUnit.id,
+    from: { x: selectedUnit.x, y: selectedUnit.y },
+    waypoints: waypoints,
+    orderWaypoints: route.complete ? waypoints : [{ x: lastStep.x, y: lastStep.y }],
+    ...route
+  };
+  showNotification(route.complete
+    ? `${route.turns} turn${route.turns === 1 ? '' : 's'} to get there. Click again to confirm, shift-click to add a waypoint.`
+    : `The route is blocked after ${route.turns} turn${route.turns === 1 ? '' : 's'}. Click again to go as far as possible.`);
+}
+
+// Preview a route across the water aboard a transport, for tiles the selected unit cannot
+// reach over land. Confirming it walks the unit to the coast where it boards.
+function previewSeaRoute(x, y, waypoints) {
+  const route = waypoints.length === 1 ? engine.systems.moveOrders.planCombinedRoute(selectedUnit, { x, y }) : null;
+  if (!route || route.steps.length === 0) {
+    gameState.movePreview = null;
+    showNotification('No route to that location');
+    return;
+  }
+  
+  const embarkAt = route.embarkAt;
+  const atCoast = embarkAt.x === selectedUnit.x && embarkAt.y === selectedUnit.y;
+  gameState.movePreview = {
+    unitId: selectedUnit.id,
+    from: { x: selectedUnit.x, y: selectedUnit.y },
+    waypoints: waypoints,
+    orderWaypoints: atCoast ? [] : [embarkAt],
+    ...route
+  };
+  showNotification(`${route.turns} turn${route.turns === 1 ? '' : 's'} by sea aboard the ${route.transport.type}. ` +
+    (atCoast
+      ? 'Click the ship to board it.'
+      : `Click again to walk to the coast at (${embarkAt.x}, ${embarkAt.y}), then click the ship to board it.`));
+}
+
+// Show the rest of a unit's standing move order on the map
+function showStandingOrder(unit) {
+  gameState.movePreview = null;
+  if (!unit.moveOrder) return;
+  
+  const route = engine.systems.moveOrders.planRoute(unit, unit.moveOrder.waypoints);
+  gameState.movePreview = {
+    unitId: unit.id,
+    from: { x: unit.x, y: unit.y },
+    waypoints: unit.moveOrder.waypoints,
+    orderWaypoints: unit.moveOrder.waypoints,
+    ...route
+  };
+}
+
+// Drop the route preview, e.g. on Escape
+window.clearMovePreview = () => {
+  if (!gameState || !gameState.movePreview) return;
+  gameState.movePreview = null;
+  debouncedRender();
+};
+
+// Issue a command for the current player and report failures to the player
+function issuePlayerCommand(type, fields) {
+  if (!commands) return { success: false, reason: 'No game in progress' };
+  
+  const result = commands.issue(type, fields);
+  if (!result.success) {
+    showNotification(result.reason);
+  } else if (result.message) {
+    showNotification(result.message);
+  }
+  return result;
+}
+
+// Move a unit through the command dispatcher
+function issueMoveCommand(unit, x, y) {
+  gameState.movePreview = null;
+  return issuePlayerCommand('MoveUnit', { unitId: unit.id, targetX: x, targetY: y });
+}
+
 // Handle unit attacks
+// Units of a player the current player is not at war with can only be attacked after
+// declaring war; ask before declaring it. Returns whether the players are at war.
+function confirmWar(enemyIndex) {
+  const player = gameState.players[gameState.currentPlayer - 1];
+  const enemy = gameState.players[enemyIndex - 1];
+  if (engine.systems.diplomacy.areAtWar(player, enemy)) return true;
+  if (!confirm(`You are not at war with ${enemy.name}. Declare war?`)) return false;
+  return issuePlayerCommand('DeclareWar', { targetPlayer: enemy.index }).success;
+}
+
 function attackUnit(attackingUnit, defendingUnit) {
-  // Simple combat system
-  const attackerType = unitTypes[attackingUnit.type];
-  const defenderType = unitTypes[defendingUnit.type];
-  
-  // Get base attack and defense values
-  const attackValue = attackerType.attack || 0;
-  const defenseValue = defenderType.defense || 0;
-  
-  // Apply any fortification bonus
-  const defenseBonus = defendingUnit.defenseBonus || 0;
-  const totalDefense = defenseValue * (1 + defenseBonus / 100);
-  
-  // Calculate damage
-  let damage = Math.max(5, Math.floor((attackValue / totalDefense) * 30));
-  damage = Math.min(damage, 100); // Cap damage at 100%
-  
-  // Apply damage to defending unit
-  if (!defendingUnit.health) defendingUnit.health = 100;
-  defendingUnit.health -= damage;
-  
-  // Use movement points for attack
-  if (!attackingUnit.remainingMP) attackingUnit.remainingMP = attackerType.move;
-  attackingUnit.remainingMP = 0; // Attacking uses all remaining MP
-  
-  // Check if defender is defeated
-  if (defendingUnit.health <= 0) {
-    // Get tile coordinates for defender
-    const defenderX = defendingUnit.x;
-    const defenderY = defendingUnit.y;
-    
-    // Remove the defeated unit
-    gameState.map[defenderY][defenderX].unit = null;
-    showNotification(`Enemy ${defendingUnit.type} defeated!`);
-  } else {
-    showNotification(`Attacked enemy ${defendingUnit.type}, dealing ${damage}% damage.`);
-  }
+  if (!confirmWar(defendingUnit.owner)) return;
+
+  const result = issuePlayerCommand('Attack', {
+    unitId: attackingUnit.id,
+    targetUnitId: defendingUnit.id
+  });
+  if (!result.success) return;
   
   // Since attacking uses all movement points, automatically close the action menu
   const unitActionsContainer = document.getElementById('unit-actions-container');
@@ -757,7 +1034,7 @@ function updateUnitActionsPanel(unit) {
     <div style="margin: 10px 0;">
       <strong>${unit.type.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase())}</strong><br>
       Health: ${unit.health || 100}%<br>
-      Movement: ${unit.remainingMP || unitTypeInfo.move}/${unitTypeInfo.move}<br>
+      Movement: ${unit.remainingMP || getMovementAllowance(unit)}/${getMovementAllowance(unit)}<br>
       ${unitTypeInfo.attack ? `Attack: ${unitTypeInfo.attack}<br>` : ''}
       ${unitTypeInfo.defense ? `Defense: ${unitTypeInfo.defense}<br>` : ''}
     </div>
@@ -790,8 +1067,252 @@ function updateUnitActionsPanel(unit) {
   } else {
     console.error("Unit action buttons not found in the DOM");
   }
+  
+  updateInfrastructureButtons(unit, unitTypeInfo);
+  updateCargoButtons(unit);
+  updateAirButtons(unit, unitTypeInfo);
+  updateArmyButtons(unit);
+  updatePromotionButtons(unit);
+}
+
+// Select a unit and show its actions
+function selectUnit(unit) {
+  selectedUnit = unit;
+  gameState.selectedUnit = unit;
+  gameState.unitActionMode = null;
+  showNotification(`Selected ${unit.type}`);
+  showStandingOrder(unit);
+  updateUnitActionsPanel(unit);
+  switchTab('actions');
+}
+
+// Offer an aircraft its missions and rebasing, each aimed with the next tile click
+function updateAirButtons(unit, unitTypeInfo) {
+  const container = document.getElementById('unit-air-buttons');
+  if (!container) return;
+  container.innerHTML = '';
+  if (unitTypeInfo.type !== 'air') return;
+  
+  const range = getOperationalRange(unit);
+  const addButton = (label, title, onclick) => {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    button.disabled = unit.remainingMP <= 0;
+    button.onclick = onclick;
+    container.appendChild(button);
+  };
+  
+  AIR_MISSIONS.filter(mission => unitTypeInfo.abilities?.includes(mission)).forEach(mission => {
+    const label = mission.charAt(0).toUpperCase() + mission.slice(1);
+    if (mission === 'intercept') {
+      // Patrols cover the whole operational radius, there is nothing to aim
+      addButton(label, `Intercept enemy missions within ${range} tiles until your next turn`, () => {
+        issuePlayerCommand('AirMission', { unitId: unit.id, mission, x: unit.x, y: unit.y });
+        updateUnitActionsPanel(unit);
+        debouncedRender();
+      });
+      return;
+    }
+    addButton(label, `Fly a ${mission} mission up to ${range} tiles from the base`, () => {
+      gameState.unitActionMode = 'airMission';
+      gameState.airMission = mission;
+      showNotification(`Click a target within ${range} tiles for the ${mission} mission`);
+    });
+  });
+  
+  addButton('Rebase', `Fly to another airfield or carrier up to ${range} tiles away`, () => {
+    gameState.unitActionMode = 'rebase';
+    showNotification(`Click an airfield or carrier within ${range} tiles`);
+  });
+}
+
+// Offer the other units of the selected unit's army; moving one of them takes it out of the army
+function updateArmyButtons(unit) {
+  const container = document.getElementById('unit-army-buttons');
+  if (!container) return;
+  container.innerHTML = '';
+  
+  getStackAt(gameState, unit.x, unit.y)
+    .filter(member => member !== unit && (unit.army || unit.inArmy))
+    .forEach(member => {
+      const button = document.createElement('button');
+      button.textContent = `Select ${member.type}`;
+      button.title = 'Select this unit of the army, to move it out on its own';
+      button.onclick = () => selectUnit(member);
+      container.appendChild(button);
+    });
+}
+
+// Offer the promotions the selected unit can pick, while it has one to pick
+function updatePromotionButtons(unit) {
+  const container = document.getElementById('unit-promotion-buttons');
+  if (!container) return;
+  container.innerHTML = '';
+  if (!unit.promotionsPending) return;
+  
+  getAvailablePromotions(unit).forEach(promotionId => {
+    const promotion = promotionTypes[promotionId];
+    const button = document.createElement('button');
+    button.textContent = `Promote: ${promotion.name}`;
+    button.title = promotion.description || '';
+    button.onclick = () => {
+      issuePlayerCommand('Promote', { unitId: unit.id, promotionId });
+      updateUnitActionsPanel(unit);
+    };
+    container.appendChild(button);
+  });
+}
+
+// Offer to unload each unit a transport carries onto a tile next to it
+function updateCargoButtons(unit) {
+  const container = document.getElementById('unit-cargo-buttons');
+  if (!container) return;
+  container.innerHTML = '';
+  
+  (unit.cargo || []).forEach(cargoUnit => {
+    const button = document.createElement('button');
+    
+    // Aircraft on a carrier fly from it rather than land
+    if (isAircraft(cargoUnit)) {
+      button.textContent = `Select ${cargoUnit.type}`;
+      button.onclick = () => selectUnit(cargoUnit);
+      container.appendChild(button);
+      return;
+    }
+    
+    button.textContent = `Unload ${cargoUnit.type}`;
+    button.disabled = !(cargoUnit.remainingMP > 0);
+    button.title = button.disabled ? 'No movement points left to land this turn' : 'Land this unit next to the ship';
+    button.onclick = () => {
+      gameState.unitActionMode = 'disembark';
+      gameState.disembarkingUnit = cargoUnit;
+      showNotification(`Click a land tile next to the ${unit.type} to unload the ${cargoUnit.type}`);
+    };
+    container.appendChild(button);
+  });
+}
+
+// Offer the roads, bridges and railways a builder can lay, or pillaging to a military unit
+function updateInfrastructureButtons(unit, unitTypeInfo) {
+  const container = document.getElementById('unit-infrastructure-buttons');
+  if (!container) return;
+  container.innerHTML = '';
+  
+  const player = gameState.players[unit.owner - 1];
+  const tile = gameState.map[unit.y][unit.x];
+  const runCommand = (type, fields) => {
+    issuePlayerCommand(type, { unitId: unit.id, ...fields });
+    updateUnitActionsPanel(unit);
+    updateResourceDisplay(gameState);
+    debouncedRender();
+  };
+  
+  if (unitTypeInfo.abilities?.includes('build')) {
+    for (const [infrastructureType, info] of Object.entries(infrastructureTypes)) {
+      // Skip infrastructure from future ages
+      if (gameState.ages.indexOf(info.age) > gameState.ages.indexOf(player.age)) continue;
+      
+      const costText = Object.entries(info.cost || {}).map(([resource, amount]) => `${amount} ${resource}`).join(', ');
+      const button = document.createElement('button');
+      button.textContent = `Build ${info.name}`;
+      button.title = `${info.description} (${costText})`;
+      button.disabled = unit.remainingMP <= 0;
+      button.onclick = () => runCommand('BuildInfrastructure', { infrastructureType });
+      container.appendChild(button);
+    }
+  }
+  
+  const target = tile.infrastructure || tile.infrastructureInProgress;
+  if (unitTypeInfo.type === 'military' && target && target.owner !== unit.owner) {
+    const button = document.createElement('button');
+    button.textContent = `Pillage ${infrastructureTypes[target.type]?.name || target.type}`;
+    button.disabled = unit.remainingMP <= 0;
+    button.onclick = () => runCommand('Pillage');
+    container.appendChild(button);
+  }
 }
 
+// End the current player's turn and run the turn pipeline
+window.endTurn = async () => {
+  if (!gameStarted || !turnManager || isEndingTurn) return;
+  
+  // Search the AI routes on the pathfinding workers first so the AI turns don't block the page
+  isEndingTurn = true;
+  try {
+    await engine.prepareAITurns();
+  } catch (error) {
+    console.warn("Could not search AI routes ahead of time:", error);
+  } finally {
+    isEndingTurn = false;
+  }
+  
+  const result = issuePlayerCommand('EndTurn');
+  if (!result.success) return;
+  selectedUnit = null;
+  gameState.movePreview = null;
+  
+  updateResourceDisplay(gameState);
+  updateUpkeepDisplay(gameState);
+  updateAgeProgressDisplay(gameState);
+  switchTab(currentTab);
+  
+  // Autosave at the start of every round
+  if (result.newRound) {
+    saveToSlot('autosave', gameState, engine.systems);
+  }
+  
+  const player = gameState.players[result.currentPlayer - 1];
+  showNotification(`Turn ${result.turn}: ${player.name}`);
+  debouncedRender();
+};
+
+// Undo the current player's last move, building placement or queue change
+window.undoAction = () => {
+  if (!gameStarted || !commands) return;
+  
+  const result = commands.undo();
+  if (!result.success) {
+    showNotification(result.reason);
+    return;
+  }
+  
+  selectedUnit = null;
+  gameState.selectedUnit = null;
+  updateUnitActionsPanel(null);
+  refreshGameDisplay();
+  showNotification(`Undid ${result.command.type}`);
+};
+
+// Re-apply the last undone action
+window.redoAction = () => {
+  if (!gameStarted || !commands) return;
+  
+  const result = commands.redo();
+  if (!result.success) {
+    showNotification(result.reason);
+    return;
+  }
+  
+  refreshGameDisplay();
+  showNotification(`Redid ${result.command.type}`);
+};
+
+// Save the current game into a slot
+window.saveGame = () => {
+  if (!gameStarted) return;
+  
+  showSaveLoadMenu('save', slot => {
+    const result = saveToSlot(slot, gameState, engine.systems);
+    showNotification(result.success ? 'Game saved' : `Save failed: ${result.reason}`);
+  });
+};
+
+// Load a game from a slot
+window.loadGame = () => {
+  showSaveLoadMenu('load', loadSavedGame);
+};
+
 // Building category filter
 window.filterBuildingsByCategory = () => {
   const category = document.getElementById('buildingCategoryFilter').value;
@@ -829,7 +1350,7 @@ window.createTradeRoute = () => {
   
   // Get a random resource to trade
   const availableResources = resourcesByAge[player.age];
-  const randomResource = availableResources[Math.floor(Math.random() * availableResources.length)];
+  const randomResource = randomChoice(gameState, 'events', availableResources);
   
   player.tradeRoutes.push({
     id: player.tradeRoutes.length + 1,
@@ -901,7 +1422,7 @@ window.startNewGameFromUI = function() {
       }
       
       loadingManager.updateProgress(80, "Setting up new game...");
-      initStartMenu(startGame);
+      initStartMenu(startGame, loadSavedGame);
       
       loadingManager.updateProgress(100, "Game ready!");
       setTimeout(() => {
@@ -14,7 +14,8 @@ import {
   findHexByAxial,
   getHexPoints,
   createHexRing,
-  createHexSpiral
+  createHexSpiral,
+  HexMap
 } from './modules/hexgrid.js';
 
 // Canvas setup
@@ -42,6 +43,7 @@ const COLORS = {
 
 // Create a hex grid
 const hexGrid = createHexGrid(GRID_WIDTH, GRID_HEIGHT, HEX_SIZE, ORIGIN);
+const hexIndex = HexMap.fromTiles(hexGrid);
 
 // Initialize the canvas
 function initCanvas() {
@@ -61,7 +63,7 @@ function getHexFromPixel(x, y) {
   const adjustedX = x - ORIGIN[0];
   const adjustedY = y - ORIGIN[1];
   const hex = pixelToAxial(adjustedX, adjustedY, HEX_SIZE);
-  return findHexByAxial(hexGrid, hex.q, hex.r);
+  return findHexByAxial(hexIndex, hex.q, hex.r);
 }
 
 // Handle mouse movement
@@ -150,7 +152,7 @@ function render(hoveredHex = null) {
     const neighbors = getHexNeighbors(selectedHex.q, selectedHex.r);
     
     for (const neighbor of neighbors) {
-      const hex = findHexByAxial(hexGrid, neighbor.q, neighbor.r);
+      const hex = findHexByAxial(hexIndex, neighbor.q, neighbor.r);
       if (hex) {
         ctx.beginPath();
         ctx.arc(hex.x, hex.y, 5, 0, Math.PI * 2);
@@ -1,22 +1,70 @@
 import { unitTypes } from './units.js';
 import { buildingTypes } from './buildings.js';
 import { resourceTileTypes } from './resources.js';
+import { getGrid } from './grid.js';
+import { isNextToRiver } from './rivers.js';
+import { getArmy, findStacksNear } from './armies.js';
+import { promotionTypes, getAvailablePromotions } from './promotions.js';
 
 export class AISystem {
-    constructor(gameState) {
+    /**
+     * @param {Object} gameState - The game state
+     * @param {CommandDispatcher} commands - Dispatcher the AI issues its actions through
+     * @param {PathfindingSystem} pathfinding - Finds the routes AI units take
+     */
+    constructor(gameState, commands, pathfinding) {
         this.gameState = gameState;
+        this.commands = commands;
+        this.pathfinding = pathfinding;
+    }
+
+    /**
+     * Topology of the game's map
+     */
+    get grid() {
+        return getGrid(this.gameState);
     }
 
     processAITurn(aiPlayer) {
-        // Process AI actions in order of priority
+        // Process AI actions in order of priority, with veterans promoted first
+        this.handlePromotions(aiPlayer);
         this.handleDefense(aiPlayer);
         this.handleResourceManagement(aiPlayer);
         this.handleMilitaryActions(aiPlayer);
         this.handleBuildingConstruction(aiPlayer);
         this.handleDiplomacy(aiPlayer);
-        
-        // End turn after all actions are completed
-        this.endTurn();
+        // The turn pipeline ends the AI's turn once its playerActions hooks have run
+    }
+
+    /**
+     * Pick the promotions every unit of the AI has earned
+     */
+    handlePromotions(aiPlayer) {
+        (aiPlayer.units || []).forEach(unit => {
+            while (unit.promotionsPending > 0) {
+                const choice = this.choosePromotion(unit);
+                if (!choice) break;
+                const result = this.commands.issue('Promote', { unitId: unit.id, promotionId: choice });
+                if (!result.success) break;
+            }
+        });
+    }
+
+    /**
+     * The promotion a unit makes the most of where it stands: combat bonuses first, terrain
+     * bonuses only on their terrain, then march and medic
+     * @returns {String|null} - Key in promotionTypes, null when none is open to the unit
+     */
+    choosePromotion(unit) {
+        const terrain = this.gameState.map[unit.y]?.[unit.x]?.type;
+        const score = promotion => {
+            const onTerrain = !promotion.terrain || promotion.terrain.includes(terrain);
+            const combat = (promotion.attack || 0) + (promotion.defense || 0);
+            return (onTerrain ? combat : combat / 4) + (promotion.move || 0) * 0.2 + (promotion.heal || 0) * 0.01;
+        };
+
+        return getAvailablePromotions(unit)
+            .reduce((best, id) => (best === null || score(promotionTypes[id]) > score(promotionTypes[best]) ? id : best), null);
     }
 
     handleDefense(aiPlayer) {
@@ -63,35 +111,28 @@ export class AISystem {
         const assets = [];
         
         // Check tiles within radius
-        for (let dy = -radius; dy <= radius; dy++) {
-            for (let dx = -radius; dx <= radius; dx++) {
-                const newX = x + dx;
-                const newY = y + dy;
-                
-                if (this.isValidPosition(newX, newY)) {
-                    const tile = this.gameState.map[newY][newX];
-                    
-                    // Check for valuable assets (cities, resources, units)
-                    if (tile.building && tile.building.owner === playerIndex) {
-                        assets.push({
-                            type: 'building',
-                            building: tile.building,
-                            x: newX,
-                            y: newY
-                        });
-                    }
-                    
-                    if (tile.unit && tile.unit.owner === playerIndex) {
-                        assets.push({
-                            type: 'unit',
-                            unit: tile.unit,
-                            x: newX,
-                            y: newY
-                        });
-                    }
-                }
+        this.grid.range(x, y, radius).forEach(({ x: newX, y: newY }) => {
+            const tile = this.gameState.map[newY][newX];
+            
+            // Check for valuable assets (cities, resources, units)
+            if (tile.building && tile.building.owner === playerIndex) {
+                assets.push({
+                    type: 'building',
+                    building: tile.building,
+                    x: newX,
+                    y: newY
+                });
             }
-        }
+            
+            if (tile.unit && tile.unit.owner === playerIndex) {
+                assets.push({
+                    type: 'unit',
+                    unit: tile.unit,
+                    x: newX,
+                    y: newY
+                });
+            }
+        });
         
         return assets;
     }
@@ -133,8 +174,8 @@ export class AISystem {
             });
             
             // Move units to intercept threat
-            militaryUnits.forEach(unit => {
-                this.moveUnitTowardsThreat(unit, threat);
+            militaryUnits.forEach(asset => {
+                this.moveUnitTowardsThreat(asset.unit, threat);
             });
         } else {
             // If no military units nearby, consider building defensive structures
@@ -142,22 +183,54 @@ export class AISystem {
         }
     }
 
+    /**
+     * Combined attack and defense of a unit and the army it leads
+     */
     calculateCombatStrength(unit) {
-        const unitInfo = unitTypes[unit.type];
-        return (unitInfo.attack || 0) + (unitInfo.defense || 0);
+        return getArmy(unit).reduce((total, member) => {
+            const unitInfo = unitTypes[member.type];
+            return total + (unitInfo.attack || 0) + (unitInfo.defense || 0);
+        }, 0);
     }
 
     moveUnitTowardsThreat(unit, threat) {
-        // Calculate path to threat
-        const path = this.findPath(unit.x, unit.y, threat.x, threat.y);
-        
-        if (path && path.length > 0) {
-            // Move along path based on movement points
-            const destination = this.getFurthestReachablePoint(unit, path);
-            if (destination) {
-                this.gameState.moveUnit(unit, destination.x, destination.y);
-            }
+        this.moveUnitTowards(unit, threat.x, threat.y);
+    }
+
+    /**
+     * Move a unit along the cheapest path to a target until it runs out of movement
+     * points. The target tile itself is only entered when it is empty.
+     */
+    moveUnitTowards(unit, targetX, targetY) {
+        const path = this.pathfinding.findPath(unit.x, unit.y, targetX, targetY, unit);
+        if (!path) return false;
+
+        let moved = false;
+        for (const step of path.slice(1)) {
+            if (unit.canMove === false || this.gameState.map[unit.y][unit.x].unit !== unit) break;
+            if (this.gameState.map[step.y][step.x].unit) break;
+
+            const result = this.commands.issue('MoveUnit', {
+                unitId: unit.id,
+                targetX: step.x,
+                targetY: step.y
+            });
+            if (!result.success) break;
+            moved = true;
         }
+
+        return moved;
+    }
+
+    /**
+     * Military units and armies of a player within a radius of a tile, nearest first
+     * @returns {Array} - [{ type: 'unit', unit, units, x, y }] where unit leads the stack
+     *                    and units are all of it
+     */
+    findNearbyMilitaryUnits(x, y, radius, playerIndex) {
+        return findStacksNear(this.gameState, x, y, radius, playerIndex)
+            .filter(stack => unitTypes[stack.unit.type]?.type === 'military')
+            .map(stack => ({ type: 'unit', ...stack }));
     }
 
     handleResourceManagement(aiPlayer) {
@@ -191,7 +264,7 @@ export class AISystem {
 
     improveResourceProduction(aiPlayer, resource) {
         // Find suitable locations for resource buildings
-        const locations = this.findResourceBuildingLocations(resource.type);
+        const locations = this.findResourceBuildingLocations(aiPlayer, resource.type);
         
         if (locations.length > 0) {
             // Sort locations by potential yield
@@ -200,12 +273,12 @@ export class AISystem {
             // Attempt to build resource gathering buildings
             for (const location of locations) {
                 if (this.canAffordBuilding(aiPlayer, location.buildingType)) {
-                    this.gameState.buildStructure(
-                        location.x,
-                        location.y,
-                        location.buildingType
-                    );
-                    break;
+                    const result = this.commands.issue('Build', {
+                        buildingType: location.buildingType,
+                        x: location.x,
+                        y: location.y
+                    });
+                    if (result.success) break;
                 }
             }
         }
@@ -249,15 +322,17 @@ export class AISystem {
         // Prioritize building construction
         const buildingPriorities = this.determineBuildingPriorities(aiPlayer);
         
+        // One new construction site per turn keeps the AI from spending everything at once
         for (const building of buildingPriorities) {
             if (this.canAffordBuilding(aiPlayer, building.type)) {
-                const location = this.findOptimalBuildingLocation(building.type);
+                const location = this.findOptimalBuildingLocation(aiPlayer, building.type);
                 if (location) {
-                    this.gameState.buildStructure(
-                        location.x,
-                        location.y,
-                        building.type
-                    );
+                    const result = this.commands.issue('Build', {
+                        buildingType: building.type,
+                        x: location.x,
+                        y: location.y
+                    });
+                    if (result.success) break;
                 }
             }
         }
@@ -268,15 +343,25 @@ export class AISystem {
         
         // Check for critical needs
         if (this.needsDefensiveStructures(aiPlayer)) {
-            priorities.push({ type: 'walls', priority: 'high' });
+            this.getBuildingTypesInCategory('defense').forEach(type => {
+                priorities.push({ type: type, priority: 'high' });
+            });
         }
         
         if (this.needsResourceBuildings(aiPlayer)) {
-            priorities.push({ type: 'resourceBuilding', priority: 'high' });
+            // Buildings producing what the AI has least of come first
+            const stockOf = type => Math.min(
+                ...Object.keys(buildingTypes[type].production || {}).map(resource => aiPlayer.resources[resource] || 0)
+            );
+            this.getBuildingTypesInCategory('resource_node')
+                .sort((a, b) => stockOf(a) - stockOf(b))
+                .forEach(type => {
+                    priorities.push({ type: type, priority: 'high' });
+                });
         }
         
         // Add other building types with lower priorities
-        Object.entries(buildingTypes).forEach(([type, info]) => {
+        Object.keys(buildingTypes).forEach(type => {
             if (!priorities.find(p => p.type === type)) {
                 priorities.push({
                     type: type,
@@ -299,13 +384,13 @@ export class AISystem {
         diplomaticActions.forEach(action => {
             switch(action.type) {
                 case 'trade':
-                    this.proposeTrade(action.targetPlayer, action.offer);
+                    this.proposeTrade(aiPlayer, action.targetPlayer, action.offer);
                     break;
                 case 'alliance':
-                    this.proposeAlliance(action.targetPlayer);
+                    this.proposeAlliance(aiPlayer, action.targetPlayer);
                     break;
                 case 'war':
-                    this.declareWar(action.targetPlayer);
+                    this.declareWar(aiPlayer, action.targetPlayer);
                     break;
             }
         });
@@ -313,7 +398,7 @@ export class AISystem {
 
     evaluateDiplomaticRelations(aiPlayer) {
         const actions = [];
-        const otherPlayers = this.gameState.players.filter(p => p !== aiPlayer);
+        const otherPlayers = this.gameState.players.filter(p => p !== aiPlayer && !p.inactive);
         
         otherPlayers.forEach(player => {
             const relationship = this.calculateRelationship(aiPlayer, player);
@@ -348,8 +433,380 @@ export class AISystem {
         });
     }
 
-    isValidPosition(x, y) {
-        return x >= 0 && x < this.gameState.mapSize && 
-               y >= 0 && y < this.gameState.mapSize;
+    proposeTrade(aiPlayer, targetPlayer, offer) {
+        if (this.hasPendingProposal(aiPlayer, targetPlayer, 'tradeAgreement')) return;
+
+        this.commands.issue('ProposeTreaty', {
+            targetPlayer: targetPlayer.index,
+            treatyType: 'tradeAgreement',
+            terms: offer
+        });
+    }
+
+    proposeAlliance(aiPlayer, targetPlayer) {
+        if (this.hasPendingProposal(aiPlayer, targetPlayer, 'alliance')) return;
+
+        this.commands.issue('ProposeTreaty', {
+            targetPlayer: targetPlayer.index,
+            treatyType: 'alliance'
+        });
+    }
+
+    declareWar(aiPlayer, targetPlayer) {
+        this.commands.issue('DeclareWar', { targetPlayer: targetPlayer.index });
+    }
+
+    /**
+     * Whether the AI already has an unanswered proposal of this type with the player
+     */
+    hasPendingProposal(aiPlayer, targetPlayer, treatyType) {
+        return (targetPlayer.pendingTreaties || []).some(treaty =>
+            treaty.source === aiPlayer.index && treaty.type === treatyType && treaty.status === 'pending'
+        );
+    }
+
+    calculateRelationship(aiPlayer, otherPlayer) {
+        return aiPlayer.relations?.[otherPlayer.index]?.value ?? 0;
+    }
+
+    compareMilitaryStrength(aiPlayer, otherPlayer) {
+        const theirStrength = this.calculateMilitaryStrength(otherPlayer);
+        return this.calculateMilitaryStrength(aiPlayer) / Math.max(1, theirStrength);
+    }
+
+    /**
+     * How much the AI would gain from trading with another player, from 0 to 1
+     */
+    evaluateTradeOpportunity(aiPlayer, otherPlayer) {
+        if (this.isAtWar(aiPlayer, otherPlayer)) return 0;
+
+        const offer = this.generateTradeOffer(aiPlayer, otherPlayer);
+        if (!offer.give || !offer.receive) return 0;
+
+        const surplus = aiPlayer.resources[offer.give] || 0;
+        const theirSurplus = otherPlayer.resources[offer.receive] || 0;
+        return Math.min(1, Math.min(surplus, theirSurplus) / 200);
+    }
+
+    /**
+     * Offer our most plentiful resource for the one we are shortest on
+     */
+    generateTradeOffer(aiPlayer, otherPlayer) {
+        const resources = Object.entries(aiPlayer.resources).sort((a, b) => b[1] - a[1]);
+        if (resources.length < 2) {
+            return { give: null, receive: null, amount: 0 };
+        }
+
+        const [give, plenty] = resources[0];
+        const [receive] = resources[resources.length - 1];
+        return { give, receive, amount: Math.floor(plenty / 4) };
+    }
+
+    handleExpansion(aiPlayer) {
+        // Send units towards the nearest tile the AI has not seen yet
+        this.getOwnUnits(aiPlayer).forEach(unit => {
+            const target = this.findNearestUndiscoveredTile(unit, aiPlayer);
+            if (target) {
+                this.moveUnitTowards(unit, target.x, target.y);
+            }
+        });
+    }
+
+    /**
+     * Where handleExpansion would send each unit if none had moved yet
+     * @returns {Array} - [{ unit, x, y }]
+     */
+    getExpansionMoves(aiPlayer) {
+        return this.getOwnUnits(aiPlayer)
+            .map(unit => ({ unit, target: this.findNearestUndiscoveredTile(unit, aiPlayer) }))
+            .filter(({ target }) => target)
+            .map(({ unit, target }) => ({ unit, x: target.x, y: target.y }));
+    }
+
+    strengthenDefenses(aiPlayer) {
+        this.getDefenseMoves(aiPlayer).forEach(move => this.moveUnitTowards(move.unit, move.x, move.y));
+    }
+
+    /**
+     * Keep military units close to the first building, the AI's home
+     * @returns {Array} - [{ unit, x, y }]
+     */
+    getDefenseMoves(aiPlayer) {
+        const buildings = aiPlayer.buildings || [];
+        if (buildings.length === 0) return [];
+
+        const home = buildings[0];
+        return this.getOwnUnits(aiPlayer)
+            .filter(unit => unitTypes[unit.type]?.type === 'military')
+            .filter(unit => this.grid.distance(unit.x, unit.y, home.x, home.y) > 2)
+            .map(unit => ({ unit, x: home.x, y: home.y }));
+    }
+
+    planOffensive(aiPlayer) {
+        this.getOffensiveMoves(aiPlayer).forEach(({ unit, x, y, target }) => {
+            // An earlier attack may have destroyed the target
+            if (!this.gameState.map[y][x].unit) return;
+
+            if (this.grid.distance(unit.x, unit.y, x, y) === 1) {
+                this.commands.issue('Attack', { unitId: unit.id, targetUnitId: target.id });
+            } else {
+                this.moveUnitTowards(unit, x, y);
+            }
+        });
+    }
+
+    /**
+     * Send military units at the closest enemy unit
+     * @returns {Array} - [{ unit, x, y, target }]
+     */
+    getOffensiveMoves(aiPlayer) {
+        const enemyUnits = this.findEnemyUnits(aiPlayer);
+        if (enemyUnits.length === 0) return [];
+
+        return this.getOwnUnits(aiPlayer)
+            .filter(unit => unitTypes[unit.type]?.type === 'military')
+            .map(unit => ({ unit, target: this.findClosest(unit, enemyUnits) }))
+            .filter(({ target }) => target && this.gameState.map[target.y][target.x].unit)
+            .map(({ unit, target }) => ({ unit, x: target.x, y: target.y, target }));
+    }
+
+    /**
+     * Routes the AI expects to search on its turn, from where its units stand now
+     * @returns {Array} - [{ startX, startY, endX, endY, unit }]
+     */
+    getPathRequests(aiPlayer) {
+        const moves = [];
+
+        this.findThreats(aiPlayer)
+            .filter(threat => threat.priority === 'high')
+            .forEach(threat => {
+                this.findNearbyMilitaryUnits(threat.x, threat.y, 5, aiPlayer.index)
+                    .forEach(asset => moves.push({ unit: asset.unit, x: threat.x, y: threat.y }));
+            });
+
+        switch (this.determineMilitaryStrategy(aiPlayer)) {
+            case 'expand':
+                moves.push(...this.getExpansionMoves(aiPlayer));
+                break;
+            case 'defend':
+                moves.push(...this.getDefenseMoves(aiPlayer));
+                break;
+            case 'attack':
+                moves.push(...this.getOffensiveMoves(aiPlayer));
+                break;
+        }
+
+        return moves
+            .filter(({ unit, x, y }) => this.grid.distance(unit.x, unit.y, x, y) > 1)
+            .map(({ unit, x, y }) => ({ startX: unit.x, startY: unit.y, endX: x, endY: y, unit }));
+    }
+
+    /**
+     * Search the routes of AI players on a PathfindingPool before their turns run,
+     * so the turn itself finds them in the path cache
+     * @param {Array} players - AI players whose turns come next
+     * @param {PathfindingPool} pool - Pool the searches run on
+     * @returns {Promise}
+     */
+    async prepareTurns(players, pool) {
+        const requests = players.map(player => this.getPathRequests(player));
+        if (requests.every(playerRequests => playerRequests.length === 0)) return;
+
+        pool.updateSnapshot(this.gameState);
+        const paths = await pool.findPaths(requests.flat());
+
+        let next = 0;
+        players.forEach((player, i) => {
+            this.pathfinding.primePaths(player.index, requests[i].map(request => ({ ...request, path: paths[next++] })));
+        });
+    }
+
+    buildDefensiveStructures(aiPlayer, threat) {
+        for (const type of this.getBuildingTypesInCategory('defense')) {
+            if (!this.canAffordBuilding(aiPlayer, type)) continue;
+
+            const location = this.findOptimalBuildingLocation(aiPlayer, type, threat);
+            if (location) {
+                this.commands.issue('Build', { buildingType: type, x: location.x, y: location.y });
+                return;
+            }
+        }
+    }
+
+    optimizeTradeRoutes(aiPlayer) {
+        // Trade routes are created through trade agreements, see handleDiplomacy
+    }
+
+    calculateThreatLevel(aiPlayer) {
+        return this.findThreats(aiPlayer).reduce((total, threat) => {
+            return total + this.calculateCombatStrength(threat.unit);
+        }, 0);
+    }
+
+    calculateEconomicStrength(aiPlayer) {
+        const stockpile = Object.values(aiPlayer.resources).reduce((total, amount) => total + amount, 0);
+        return stockpile / 10 + (aiPlayer.buildings || []).length * 5;
+    }
+
+    calculateMilitaryStrength(player) {
+        return this.getOwnUnits(player)
+            .filter(unit => unitTypes[unit.type]?.type === 'military')
+            .reduce((total, unit) => total + this.calculateCombatStrength(unit), 0);
+    }
+
+    needsDefensiveStructures(aiPlayer) {
+        return this.findThreats(aiPlayer).some(threat => threat.priority === 'high');
+    }
+
+    needsResourceBuildings(aiPlayer) {
+        return this.identifyCriticalResources(aiPlayer).length > 0 ||
+            (aiPlayer.buildings || []).length < 3;
+    }
+
+    calculateBuildingPriority(type, aiPlayer) {
+        const info = buildingTypes[type];
+        if (info.category === 'resource_node') return 'medium';
+        if (info.category === 'housing' && aiPlayer.totalPopulation >= aiPlayer.populationCap) return 'medium';
+        return 'low';
+    }
+
+    getMinimumResourceThreshold(resource) {
+        const thresholds = { food: 50, wood: 50, stone: 25, gold: 0 };
+        return thresholds[resource] ?? 25;
+    }
+
+    getResourcePriority(resource, amount) {
+        return this.getMinimumResourceThreshold(resource) - amount;
+    }
+
+    canAffordBuilding(aiPlayer, buildingType) {
+        const building = buildingTypes[buildingType];
+        if (!building) return false;
+
+        return Object.entries(building.cost || {}).every(([resource, amount]) => {
+            return (aiPlayer.resources[resource] || 0) >= amount;
+        });
+    }
+
+    /**
+     * Tiles where a building producing the resource could go
+     * @returns {Array} - [{ x, y, buildingType, potential }]
+     */
+    findResourceBuildingLocations(aiPlayer, resource) {
+        const locations = [];
+
+        this.getBuildingTypesInCategory('resource_node')
+            .filter(type => buildingTypes[type].production?.[resource])
+            .forEach(type => {
+                this.getBuildableTiles(aiPlayer, type).forEach(tile => {
+                    let bonus = tile.resourceType && resourceTileTypes[tile.resourceType] ? 2 : 0;
+                    if (isNextToRiver(this.gameState, tile.x, tile.y)) {
+                        bonus += buildingTypes[type].riverBonus?.[resource] || 0;
+                    }
+                    locations.push({
+                        x: tile.x,
+                        y: tile.y,
+                        buildingType: type,
+                        potential: buildingTypes[type].production[resource] + bonus
+                    });
+                });
+            });
+
+        return locations;
+    }
+
+    /**
+     * Best tile for a building: discovered, allowed terrain, and close to the AI's units
+     * (or to a threat when one is given)
+     */
+    findOptimalBuildingLocation(aiPlayer, buildingType, near = null) {
+        const tiles = this.getBuildableTiles(aiPlayer, buildingType);
+        if (tiles.length === 0) return null;
+
+        const anchors = near ? [near] : this.getOwnUnits(aiPlayer);
+        const distanceToAnchors = tile => Math.min(
+            ...anchors.map(anchor => this.grid.distance(tile.x, tile.y, anchor.x, anchor.y))
+        );
+
+        tiles.sort((a, b) => distanceToAnchors(a) - distanceToAnchors(b));
+        return { x: tiles[0].x, y: tiles[0].y };
+    }
+
+    /**
+     * Empty tiles within reach of the AI's units where the building type is allowed
+     */
+    getBuildableTiles(aiPlayer, buildingType) {
+        const building = buildingTypes[buildingType];
+        const tiles = [];
+        const seen = new Set();
+
+        this.getOwnUnits(aiPlayer).forEach(unit => {
+            this.grid.range(unit.x, unit.y, 2).forEach(({ x, y }) => {
+                if (seen.has(`${x},${y}`)) return;
+                seen.add(`${x},${y}`);
+
+                const tile = this.gameState.map[y][x];
+                if (!tile.discovered?.[aiPlayer.index - 1]) return;
+                if (tile.building || tile.buildingInProgress) return;
+                if (building.terrainRequirement && !building.terrainRequirement.includes(tile.type)) return;
+
+                tiles.push({ ...tile, x, y });
+            });
+        });
+
+        return tiles;
+    }
+
+    getBuildingTypesInCategory(category) {
+        return Object.keys(buildingTypes).filter(type => buildingTypes[type].category === category);
+    }
+
+    getOwnUnits(player) {
+        return (player.units || []).filter(unit => this.gameState.map[unit.y]?.[unit.x]?.unit === unit);
+    }
+
+    /**
+     * Units of players the AI is at war with
+     */
+    findEnemyUnits(aiPlayer) {
+        return this.gameState.players
+            .filter(player => player !== aiPlayer && !player.inactive && this.isAtWar(aiPlayer, player))
+            .flatMap(player => this.getOwnUnits(player));
+    }
+
+    findClosest(unit, targets) {
+        let closest = null;
+        let closestDistance = Infinity;
+        targets.forEach(target => {
+            const distance = this.grid.distance(unit.x, unit.y, target.x, target.y);
+            if (distance < closestDistance) {
+                closest = target;
+                closestDistance = distance;
+            }
+        });
+        return closest;
+    }
+
+    findNearestUndiscoveredTile(unit, aiPlayer) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+
+        for (let y = 0; y < this.gameState.mapSize; y++) {
+            for (let x = 0; x < this.gameState.mapSize; x++) {
+                if (this.gameState.map[y][x].discovered?.[aiPlayer.index - 1]) continue;
+
+                const distance = this.grid.distance(unit.x, unit.y, x, y);
+                if (distance < nearestDistance) {
+                    nearest = { x, y };
+                    nearestDistance = distance;
+                }
+            }
+        }
+
+        return nearest;
+    }
+
+    isAtWar(aiPlayer, otherPlayer) {
+        return aiPlayer.relations?.[otherPlayer.index]?.status === 'war';
     }
 }
\ No newline at end of file
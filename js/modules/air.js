@@ -0,0 +1,223 @@
+// Aircraft - air units are based at an airfield or on a carrier instead of standing on the
+// map. Once a turn each aircraft flies a mission to a tile within its range of the base,
+// striking a unit, patrolling to intercept enemy aircraft, scouting or airlifting a land
+// unit, or rebases to another air base. Enemy patrols in range intercept the mission.
+import { unitTypes } from './units.js';
+import { buildingTypes } from './buildings.js';
+import { getGrid } from './grid.js';
+import { emitGameEvent } from './eventBus.js';
+import { resolveCombat } from './combat.js';
+import { revealArea } from './map.js';
+import { unitVision } from './constants.js';
+
+// Missions an aircraft can fly, each needs the ability of the same name
+export const AIR_MISSIONS = ['strike', 'intercept', 'recon', 'airlift'];
+
+// Radius a recon mission uncovers around its target
+const RECON_RADIUS = 3;
+
+/**
+ * Check if a unit is an aircraft
+ * @param {Object} unit - The unit
+ * @returns {Boolean}
+ */
+export function isAircraft(unit) {
+    return unitTypes[unit.type]?.type === 'air';
+}
+
+/**
+ * Tiles an aircraft can fly from its base and back within one turn
+ * @param {Object} unit - The aircraft
+ * @returns {Number}
+ */
+export function getOperationalRange(unit) {
+    return unitTypes[unit.type]?.range || 0;
+}
+
+/**
+ * Check if a tile lies within an aircraft's operational range of its base
+ * @returns {Boolean}
+ */
+export function isInOperationalRange(gameState, unit, x, y) {
+    return getGrid(gameState).distance(unit.x, unit.y, x, y) <= getOperationalRange(unit);
+}
+
+/**
+ * The air base a player has on a tile: an airfield, or a carrier at sea
+ * @param {Object} gameState - The game state
+ * @param {Number} x - X coordinate of the tile
+ * @param {Number} y - Y coordinate of the tile
+ * @param {Number} owner - Index of the player
+ * @returns {Object|null} - { x, y, capacity, aircraft, carrier }, carrier is null for airfields
+ */
+export function getAirBase(gameState, x, y, owner) {
+    const tile = gameState.map[y]?.[x];
+    if (!tile) return null;
+
+    const carrier = tile.unit;
+    if (carrier && carrier.owner === owner && unitTypes[carrier.type]?.airCapacity) {
+        return {
+            x,
+            y,
+            capacity: unitTypes[carrier.type].airCapacity,
+            aircraft: (carrier.cargo || []).filter(isAircraft),
+            carrier
+        };
+    }
+
+    const building = tile.building && buildingTypes[tile.building.type];
+    if (building?.airCapacity && tile.building.owner === owner) {
+        const aircraft = (gameState.players[owner - 1]?.units || [])
+            .filter(unit => unit.base && !unit.base.carrierId && unit.base.x === x && unit.base.y === y);
+        return { x, y, capacity: building.airCapacity, aircraft, carrier: null };
+    }
+    return null;
+}
+
+/**
+ * Station an aircraft at an air base, which is also how new aircraft are placed
+ * @param {Object} unit - The aircraft
+ * @param {Object} base - The air base, see getAirBase
+ */
+export function stationAircraft(unit, base) {
+    unit.x = base.x;
+    unit.y = base.y;
+    if (base.carrier) {
+        base.carrier.cargo = [...(base.carrier.cargo || []), unit];
+        unit.base = { carrierId: base.carrier.id };
+    } else {
+        unit.base = { x: base.x, y: base.y };
+    }
+}
+
+/**
+ * Take an aircraft off the carrier it is based on
+ */
+function leaveBase(gameState, unit) {
+    const carrier = gameState.map[unit.y][unit.x].unit;
+    if (unit.base?.carrierId && carrier && carrier.cargo) {
+        carrier.cargo = carrier.cargo.filter(cargoUnit => cargoUnit !== unit);
+    }
+}
+
+/**
+ * Fly an aircraft to another air base, using its turn
+ * @param {Object} gameState - The game state
+ * @param {Object} unit - The aircraft
+ * @param {Object} base - The air base it lands at, see getAirBase
+ */
+export function rebaseAircraft(gameState, unit, base) {
+    const from = { x: unit.x, y: unit.y };
+    leaveBase(gameState, unit);
+    stationAircraft(unit, base);
+    unit.remainingMP = 0;
+    unit.canMove = false;
+
+    emitGameEvent(gameState, 'unit.rebased', { unitId: unit.id, owner: unit.owner, from, to: { x: base.x, y: base.y } });
+}
+
+/**
+ * Fly a mission to a tile, using the aircraft's turn. Missions other than an intercept
+ * patrol can be intercepted on the way, and an aircraft shot down does not complete it.
+ * @param {Object} gameState - The game state
+ * @param {Object} unit - The aircraft
+ * @param {String} mission - One of AIR_MISSIONS
+ * @param {Number} x - X coordinate of the target tile
+ * @param {Number} y - Y coordinate of the target tile
+ * @returns {Object} - { interception, damage, defeated, revealedTiles } where interception
+ *                     is { interceptorId, damage, shotDown } or null
+ */
+export function flyMission(gameState, unit, mission, x, y) {
+    unit.remainingMP = 0;
+    unit.canMove = false;
+    emitGameEvent(gameState, 'unit.airMission', { unitId: unit.id, owner: unit.owner, mission, x, y });
+
+    // A patrol lasts until the aircraft's next turn and answers the first enemy mission in range
+    if (mission === 'intercept') {
+        unit.mission = 'intercept';
+        return { interception: null };
+    }
+
+    const interception = interceptMission(gameState, unit, x, y);
+    if (interception && interception.shotDown) {
+        return { interception };
+    }
+
+    const tile = gameState.map[y][x];
+    switch (mission) {
+        case 'strike': {
+            const { damage, defeated } = resolveCombat(gameState, unit, tile.unit);
+            return { interception, damage, defeated };
+        }
+        case 'recon':
+            return { interception, revealedTiles: revealArea(gameState, x, y, RECON_RADIUS, unit.owner - 1) };
+        case 'airlift': {
+            const passenger = gameState.map[unit.y][unit.x].unit;
+            const from = { x: passenger.x, y: passenger.y };
+            gameState.map[from.y][from.x].unit = null;
+            passenger.x = x;
+            passenger.y = y;
+            passenger.remainingMP = 0;
+            passenger.canMove = false;
+            tile.unit = passenger;
+            emitGameEvent(gameState, 'unit.moved', { unitId: passenger.id, owner: passenger.owner, from, to: { x, y } });
+            return { interception, revealedTiles: revealArea(gameState, x, y, unitVision, passenger.owner - 1) };
+        }
+        default:
+            return { interception };
+    }
+}
+
+/**
+ * Let the nearest aircraft patrolling within range of a target engage a mission to it,
+ * of a player at war with the mission's owner. The patrol is spent on the engagement.
+ * @returns {Object|null} - { interceptorId, damage, shotDown }, null when nobody intercepts
+ */
+function interceptMission(gameState, unit, x, y) {
+    const grid = getGrid(gameState);
+    const owner = gameState.players[unit.owner - 1];
+    let interceptor = null;
+    gameState.players.forEach(player => {
+        if (player.index === unit.owner || !isAtWar(player, owner)) return;
+        (player.units || []).forEach(candidate => {
+            if (candidate.mission !== 'intercept' || !isInOperationalRange(gameState, candidate, x, y)) return;
+            if (!interceptor || grid.distance(candidate.x, candidate.y, x, y) < grid.distance(interceptor.x, interceptor.y, x, y)) {
+                interceptor = candidate;
+            }
+        });
+    });
+    if (!interceptor) return null;
+
+    delete interceptor.mission;
+    const { damage, defeated } = resolveCombat(gameState, interceptor, unit);
+    emitGameEvent(gameState, 'unit.intercepted', { unitId: unit.id, interceptorId: interceptor.id, damage, x, y });
+    return { interceptorId: interceptor.id, damage, shotDown: defeated };
+}
+
+/**
+ * Check if either player declared war on the other
+ */
+function isAtWar(player, other) {
+    return player.relations?.[other.index]?.status === 'war' || other.relations?.[player.index]?.status === 'war';
+}
+
+/**
+ * End the intercept patrols of a player's aircraft, at the start of the player's turn
+ * @param {Object} gameState - The game state
+ * @param {Number} playerIndex - The player whose turn begins
+ */
+export function endAirPatrols(gameState, playerIndex) {
+    (gameState.players[playerIndex - 1]?.units || []).forEach(unit => {
+        delete unit.mission;
+    });
+}
+
+/**
+ * Aircraft of a player based at airfields, which do not appear on the map
+ * @param {Object} gameState - The game state
+ * @param {Number} playerIndex - The player
+ * @returns {Array}
+ */
+export function getAirfieldAircraft(gameState, playerIndex) {
+    return (gameState.players[playerIndex - 1]?.units || []).filter(unit => unit.base && !unit.base.carrierId);
+}
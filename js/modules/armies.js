@@ -0,0 +1,261 @@
+// Armies - up to STACK_LIMIT land units of one player sharing a tile. The unit standing on
+// the tile leads the army and keeps the others in unit.army, the way a transport keeps its
+// cargo. An army moves together at the pace of its slowest unit, and in combat its best
+// unit fights with the support of the rest, which share the damage it takes.
+import { unitTypes } from './units.js';
+import { getGrid } from './grid.js';
+import { getEventBus } from './eventBus.js';
+import { SpatialPartition } from './spatial.js';
+
+// Most units that can share a tile
+export const STACK_LIMIT = 4;
+
+// Share of each supporting unit's attack or defense added to that of the army's best unit
+const SUPPORT_SHARE = 0.25;
+
+// Share of the damage to an army its defender takes, the rest is spread over the others
+const DEFENDER_DAMAGE_SHARE = 0.5;
+
+// Events after which a lookup rebuilds the stack index instead of trusting it
+const INDEX_EVENTS = ['unit.created', 'unit.killed', 'unit.embarked', 'unit.disembarked', 'command.undone', 'turn.started'];
+
+// Stacks of each game in a SpatialPartition, for finding the units near a tile
+const indexesByGame = new WeakMap();
+
+/**
+ * Check if a unit can stack with others into an army: land units that fight, not
+ * civilians, ships or aircraft
+ * @param {Object} unit - The unit
+ * @returns {Boolean}
+ */
+export function canStack(unit) {
+    const type = unitTypes[unit.type]?.type;
+    return !!type && !['civilian', 'sea', 'air'].includes(type);
+}
+
+/**
+ * Every unit of the army a unit leads, the leader first. A unit outside any army is an
+ * army of one.
+ * @param {Object} unit - The unit on the tile
+ * @returns {Array}
+ */
+export function getArmy(unit) {
+    return [unit, ...(unit.army || [])];
+}
+
+/**
+ * Every unit on a tile's stack, the leader first
+ * @returns {Array} - The units, empty when the tile has none
+ */
+export function getStackAt(gameState, x, y) {
+    const unit = gameState.map[y]?.[x]?.unit;
+    return unit ? getArmy(unit) : [];
+}
+
+/**
+ * Find the unit leading the army a unit marches in, which stands on the unit's tile
+ * @param {Object} unit - A unit in an army
+ * @param {Object} gameState - The game state
+ * @returns {Object|null} - The leader, or null when the unit is not in an army
+ */
+export function findArmyLeader(unit, gameState) {
+    if (!unit.inArmy) return null;
+    const leader = gameState.map[unit.y]?.[unit.x]?.unit;
+    return leader && leader.army && leader.army.includes(unit) ? leader : null;
+}
+
+/**
+ * Check if a unit, with any army it leads, can join the army on another tile
+ * @param {Object} unit - The unit moving in
+ * @param {Object} leader - The unit on the tile
+ * @returns {Object} - { allowed, reason }
+ */
+export function canJoinArmy(unit, leader) {
+    if (!canStack(unit) || !canStack(leader)) {
+        return { allowed: false, reason: 'Cannot move to a tile with a friendly unit' };
+    }
+    if (getArmy(leader).length + getArmy(unit).length > STACK_LIMIT) {
+        return { allowed: false, reason: `An army holds at most ${STACK_LIMIT} units` };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Add a unit, and the army it leads, to the army of a unit on its tile
+ * @param {Object} unit - The unit joining
+ * @param {Object} leader - The unit leading the army it joins
+ */
+export function joinArmy(unit, leader) {
+    const joining = getArmy(unit);
+    delete unit.army;
+    joining.forEach(member => {
+        member.inArmy = true;
+    });
+    leader.army = [...(leader.army || []), ...joining];
+    marchArmy(leader);
+}
+
+/**
+ * Take a unit out of the army it marches in, leaving it off the map until it is placed
+ * @param {Object} unit - The unit leaving
+ * @param {Object} leader - The unit leading the army
+ */
+export function leaveArmy(unit, leader) {
+    leader.army = leader.army.filter(member => member !== unit);
+    if (leader.army.length === 0) delete leader.army;
+    delete unit.inArmy;
+}
+
+/**
+ * Hand the lead of an army to its next unit, when its leader leaves the tile for good
+ * @param {Object} leader - The unit leading the army
+ * @returns {Object|null} - The new leader, or null when the army had no other units
+ */
+export function passLeadership(leader) {
+    const [next, ...rest] = leader.army || [];
+    delete leader.army;
+    if (!next) return null;
+
+    delete next.inArmy;
+    if (rest.length > 0) next.army = rest;
+    return next;
+}
+
+/**
+ * Keep an army's units on its leader's tile
+ * @param {Object} leader - The unit leading the army
+ */
+export function marchArmy(leader) {
+    (leader.army || []).forEach(member => {
+        member.x = leader.x;
+        member.y = leader.y;
+        if (leader.q !== undefined) member.q = leader.q;
+        if (leader.r !== undefined) member.r = leader.r;
+    });
+}
+
+/**
+ * Movement points an army has left, those of its slowest unit
+ * @param {Object} unit - The unit leading the army
+ * @returns {Number}
+ */
+export function getArmyMovementPoints(unit) {
+    return Math.min(...getArmy(unit).map(member => member.remainingMP));
+}
+
+/**
+ * Attack of a formation: its strongest unit's, plus a share of every other unit's
+ * @param {Array} units - The units fighting together
+ * @param {Function} getAttack - Attack of one unit
+ * @returns {Number}
+ */
+export function getFormationAttack(units, getAttack) {
+    const attacks = units.map(getAttack).sort((a, b) => b - a);
+    return attacks.reduce((total, attack, i) => total + (i === 0 ? attack : attack * SUPPORT_SHARE), 0);
+}
+
+/**
+ * Pick the unit that defends a formation, the one with the most defense left after its
+ * wounds, and the formation's defense: the defender's plus a share of every other unit's
+ * @param {Array} units - The units defending together
+ * @param {Function} getDefense - Defense of one unit
+ * @returns {Object} - { defender, defense }
+ */
+export function getFormationDefense(units, getDefense) {
+    const defenses = new Map(units.map(unit => [unit, getDefense(unit)]));
+    const condition = unit => defenses.get(unit) * (unit.health ?? 100) / 100;
+    const defender = units.reduce((best, unit) => (condition(unit) > condition(best) ? unit : best));
+
+    const defense = units.reduce(
+        (total, unit) => total + (unit === defender ? defenses.get(unit) : defenses.get(unit) * SUPPORT_SHARE),
+        0
+    );
+    return { defender, defense };
+}
+
+/**
+ * Split the damage dealt to a formation: its defender takes DEFENDER_DAMAGE_SHARE and the
+ * other units share the rest evenly. A unit alone takes all of it.
+ * @param {Array} units - The units defending together
+ * @param {Object} defender - The unit that defended, see getFormationDefense
+ * @param {Number} damage - The damage dealt
+ * @returns {Map} - Damage each unit takes
+ */
+export function distributeDamage(units, defender, damage) {
+    const others = units.filter(unit => unit !== defender);
+    if (others.length === 0) return new Map([[defender, damage]]);
+
+    const defenderDamage = Math.ceil(damage * DEFENDER_DAMAGE_SHARE);
+    const share = Math.max(1, Math.floor((damage - defenderDamage) / others.length));
+    return new Map([[defender, defenderDamage], ...others.map(unit => [unit, share])]);
+}
+
+/**
+ * The stacks of a player within a radius of a tile, nearest first, looked up in a
+ * SpatialPartition of the units standing on the map
+ * @param {Object} gameState - The game state
+ * @param {Number} x - X coordinate of the tile
+ * @param {Number} y - Y coordinate of the tile
+ * @param {Number} radius - Greatest distance in tiles
+ * @param {Number} owner - Index of the player
+ * @returns {Array} - [{ x, y, unit, units }] where unit leads the stack and units are all of it
+ */
+export function findStacksNear(gameState, x, y, radius, owner) {
+    const grid = getGrid(gameState);
+    const withDistance = [];
+    getStackIndex(gameState).getEntitiesNearPoint(x, y, radius).forEach(unit => {
+        // Entries left by units that joined an army or died are skipped
+        if (unit.owner !== owner || gameState.map[unit.y]?.[unit.x]?.unit !== unit) return;
+
+        const distance = grid.distance(x, y, unit.x, unit.y);
+        if (distance <= radius) withDistance.push({ distance, x: unit.x, y: unit.y, unit, units: getArmy(unit) });
+    });
+
+    return withDistance
+        .sort((a, b) => a.distance - b.distance || a.y - b.y || a.x - b.x)
+        .map(({ distance, ...stack }) => stack);
+}
+
+/**
+ * The stack index of a game. Moves update it as they happen; new units, deaths, boarding
+ * and landing, undone commands and the start of each turn have it rebuilt on next use.
+ */
+function getStackIndex(gameState) {
+    let index = indexesByGame.get(gameState);
+    if (!index) {
+        index = { partition: null, stale: true };
+        const bus = getEventBus(gameState);
+        bus.on('unit.moved', event => moveInIndex(gameState, index, event));
+        INDEX_EVENTS.forEach(type => bus.on(type, () => {
+            index.stale = true;
+        }));
+        indexesByGame.set(gameState, index);
+    }
+
+    if (index.stale) {
+        const grid = getGrid(gameState);
+        index.partition = new SpatialPartition(Math.max(grid.width, grid.height));
+        gameState.map.forEach(row => row.forEach(tile => {
+            if (tile.unit) index.partition.addEntity(tile.unit);
+        }));
+        index.stale = false;
+    }
+    return index.partition;
+}
+
+/**
+ * Follow a unit's move in the stack index: it leaves its old partition, and the stack it
+ * now stands in, led by it or by the army it joined, is in the new one
+ */
+function moveInIndex(gameState, index, { unitId, from, to }) {
+    if (index.stale) return;
+
+    const arrived = gameState.map[to.y][to.x].unit;
+    const unit = arrived && getArmy(arrived).find(member => member.id === unitId);
+    if (!unit) {
+        index.stale = true;
+        return;
+    }
+    index.partition.getPartitionEntities(from.x, from.y).delete(unit);
+    index.partition.addEntity(arrived);
+}
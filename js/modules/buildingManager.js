@@ -105,4 +105,6 @@ export function updateBuildingButtonsByCategory(gameState, category, startBuildi
 }
 
 // Export the function for use in other modules
-window.updateBuildingButtonsByCategory = updateBuildingButtonsByCategory;
+if (typeof window !== 'undefined') {
+  window.updateBuildingButtonsByCategory = updateBuildingButtonsByCategory;
+}
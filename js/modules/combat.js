@@ -1,5 +1,38 @@
+// Combat - every fight goes through resolveCombat: the Attack command, air strikes and
+// interceptions alike. CombatSystem holds the formulas it uses: unit strength, terrain,
+// weather and time of day, and the damage of a strike. Each fight is written up in a
+// combat report on gameState.combatLog.
 import { unitTypes } from './units.js';
 import { terrainTypes } from './terrain.js';
+import { weatherTypes } from './weather.js';
+import { dayNightCycle } from './timeSystem.js';
+import { random } from './random.js';
+import { unregisterUnit } from './gameState.js';
+import { emitGameEvent } from './eventBus.js';
+import { getRiverDefenseBonus } from './rivers.js';
+import {
+    getStackAt,
+    getFormationAttack,
+    getFormationDefense,
+    distributeDamage,
+    findArmyLeader,
+    leaveArmy,
+    passLeadership
+} from './armies.js';
+import { grantExperience, getCombatBonus } from './promotions.js';
+
+// Damage, in percent of health, of a strike between even sides
+const BASE_DAMAGE = 30;
+
+// Least and most damage a strike deals
+const MIN_DAMAGE = 5;
+const MAX_DAMAGE = 100;
+
+// Share of a full strike a defender deals back when it counterattacks
+const COUNTER_SHARE = 0.5;
+
+// Combat reports kept in gameState.combatLog, the oldest are dropped first
+const COMBAT_LOG_LIMIT = 100;
 
 export class CombatSystem {
     constructor(gameState) {
@@ -7,48 +40,55 @@ export class CombatSystem {
     }
 
     /**
-     * Handle a combat encounter between two units
+     * Calculate the damage one unit would deal another in a strike on its own, without
+     * the luck of the dice. Used for previews and for comparing units.
      */
-    handleCombat(attackingUnit, defendingUnit) {
-        // Calculate base damage
-        const damage = this.calculateDamage(attackingUnit, defendingUnit);
-        
-        // Apply damage and check for unit death
-        const combatResult = this.applyDamage(defendingUnit, damage);
-        
-        // Update unit states after combat
-        this.handlePostCombat(attackingUnit, defendingUnit, combatResult);
-        
-        return combatResult;
+    calculateDamage(attacker, defender) {
+        return this.calculateStrike([attacker], [defender], { randomFactor: 1 }).damage;
     }
 
     /**
-     * Calculate damage based on unit stats, terrain, and modifiers
+     * Calculate a strike by one formation on another. The defenders' best unit is picked
+     * first; the attackers' attack, with the advantages of their types over that unit, is
+     * set against the defenders' defense behind their terrain, and the weather and time of
+     * day weaken both alike.
+     * @param {Array} attackers - The units striking, the one leading the strike first
+     * @param {Array} defenders - The units struck, the one the strike is aimed at first
+     * @param {Object} options - { share: part of a full strike dealt, COUNTER_SHARE for a
+     *                           counterattack; attacking: whether the striking side started
+     *                           the fight, false for a counterattack; randomFactor: a fixed
+     *                           roll, drawn from the combat stream when left out }
+     * @returns {Object} - { damage, defender, attack, defense, terrain } where defender is
+     *                     the unit that defends the formation
      */
-    calculateDamage(attacker, defender) {
-        const attackerStats = this.getUnitCombatStats(attacker);
-        const defenderStats = this.getUnitCombatStats(defender);
-        
-        // Get terrain modifiers
-        const terrainMod = this.getTerrainModifier(defender);
-        
-        // Calculate base damage
-        let damage = (attackerStats.attack * 100) / (defenderStats.defense * terrainMod);
-        
-        // Apply random factor (±10%)
-        const randomFactor = 0.9 + Math.random() * 0.2;
-        damage *= randomFactor;
-        
-        // Apply unit-specific modifiers
-        damage *= this.getUnitTypeModifier(attacker.type, defender.type);
-        
-        return Math.round(damage);
+    calculateStrike(attackers, defenders, { share = 1, attacking = true, randomFactor } = {}) {
+        const { defender, defense } = getFormationDefense(defenders, unit => this.getUnitCombatStats(unit).defense);
+        const terrain = this.getTerrainModifier(defender, attackers[0]);
+
+        const attack = getFormationAttack(attackers, unit => {
+            const chargeBonus = unit.cavalryChargeBonusActive ? unit.attackBonus || 0 : 0;
+            return (this.getUnitCombatStats(unit, attacking).attack + chargeBonus) * this.getUnitTypeModifier(unit.type, defender.type);
+        });
+
+        const roll = randomFactor ?? 0.9 + random(this.gameState, 'combat') * 0.2;
+        const strength = defense * terrain > 0 ? attack / (defense * terrain) : MAX_DAMAGE;
+        const damage = Math.round(strength * BASE_DAMAGE * roll * this.getEnvironmentModifier() * share);
+
+        return {
+            damage: Math.min(MAX_DAMAGE, Math.max(MIN_DAMAGE, damage)),
+            defender,
+            attack,
+            defense,
+            terrain
+        };
     }
 
     /**
      * Get a unit's combat statistics including all modifiers
+     * @param {Object} unit - The unit
+     * @param {Boolean} attacking - Whether the unit is on the side that started the fight
      */
-    getUnitCombatStats(unit) {
+    getUnitCombatStats(unit, attacking = false) {
         const baseStats = unitTypes[unit.type];
         const stats = {
             attack: baseStats.attack || 0,
@@ -56,16 +96,13 @@ export class CombatSystem {
         };
         
         // Apply unit health modifier
-        const healthMod = unit.health / 100;
+        const healthMod = (unit.health ?? 100) / 100;
         stats.attack *= healthMod;
         stats.defense *= healthMod;
         
-        // Apply experience bonus
-        if (unit.experience) {
-            const expBonus = Math.min(unit.experience * 0.05, 0.5); // Max 50% bonus
-            stats.attack *= (1 + expBonus);
-            stats.defense *= (1 + expBonus);
-        }
+        // Apply the bonuses of the unit's level and promotions
+        stats.attack *= (1 + getCombatBonus(this.gameState, unit, 'attack', attacking));
+        stats.defense *= (1 + getCombatBonus(this.gameState, unit, 'defense'));
         
         // Apply fortification bonus
         if (unit.fortified) {
@@ -76,17 +113,20 @@ export class CombatSystem {
     }
 
     /**
-     * Get terrain defense modifier
+     * Get terrain defense modifier, including a river between the units. Aircraft in the
+     * air have no terrain to hide behind.
      */
-    getTerrainModifier(defender) {
+    getTerrainModifier(defender, attacker) {
+        if (unitTypes[defender.type]?.type === 'air') return 1;
+
         const tile = this.gameState.map[defender.y][defender.x];
         const terrain = terrainTypes[tile.type];
         
         let modifier = 1;
         
-        // Apply terrain defense bonus
+        // Apply terrain defense bonus, given in percent
         if (terrain.defenseBonus) {
-            modifier += terrain.defenseBonus;
+            modifier += terrain.defenseBonus / 100;
         }
         
         // Apply elevation bonus
@@ -94,9 +134,24 @@ export class CombatSystem {
             modifier += tile.elevation * 0.1; // 10% per elevation level
         }
         
+        // Apply river crossing bonus, aircraft fly over rivers
+        if (attacker && unitTypes[attacker.type]?.type !== 'air') {
+            modifier += getRiverDefenseBonus(this.gameState, attacker, defender);
+        }
+        
         return modifier;
     }
 
+    /**
+     * Get the combat modifier of the weather and the time of day, which weakens every
+     * strike alike
+     */
+    getEnvironmentModifier() {
+        const weather = weatherTypes[this.gameState.weather]?.combatModifier ?? 1;
+        const timeOfDay = dayNightCycle[this.gameState.timeOfDay]?.combatModifier ?? 1;
+        return weather * timeOfDay;
+    }
+
     /**
      * Get combat modifier based on unit types
      */
@@ -146,32 +201,13 @@ export class CombatSystem {
         };
     }
 
-    /**
-     * Handle post-combat effects
-     */
-    handlePostCombat(attacker, defender, combatResult) {
-        // Use all remaining movement points
-        attacker.remainingMP = 0;
-        
-        // Grant experience
-        this.grantCombatExperience(attacker, defender, combatResult);
-        
-        // Remove dead units
-        if (!combatResult.survived) {
-            this.removeUnit(defender);
-        }
-        
-        // Update UI
-        this.gameState.updateUnitUI(attacker);
-        if (combatResult.survived) {
-            this.gameState.updateUnitUI(defender);
-        }
-    }
-
     /**
      * Grant experience points based on combat outcome
      */
     grantCombatExperience(attacker, defender, combatResult) {
+        // Destroyed units learn nothing
+        if (typeof attacker.health === 'number' && attacker.health <= 0) return;
+
         // Base XP for combat
         let expGain = 10;
         
@@ -186,14 +222,8 @@ export class CombatSystem {
             expGain += Math.round(powerDiff * 5);
         }
         
-        // Apply experience gain
-        if (!attacker.experience) attacker.experience = 0;
-        attacker.experience += expGain;
-        
-        // Handle level ups if applicable
-        if (this.checkLevelUp(attacker)) {
-            this.handleLevelUp(attacker);
-        }
+        // Apply experience gain, levelling the unit up as it allows
+        grantExperience(this.gameState, attacker, expGain);
     }
 
     /**
@@ -214,56 +244,29 @@ export class CombatSystem {
     }
 
     /**
-     * Check if a unit should level up
+     * Check if a defender can strike back at its attacker: it needs an attack and to be
+     * alive, and only aircraft can strike back at aircraft
      */
-    checkLevelUp(unit) {
-        const expNeeded = 100 + (unit.level || 0) * 50;
-        return unit.experience >= expNeeded;
+    canCounterattack(attacker, defender) {
+        if (!(unitTypes[defender.type]?.attack > 0) || (defender.health ?? 100) <= 0) return false;
+        return unitTypes[attacker.type]?.type !== 'air' || unitTypes[defender.type]?.type === 'air';
     }
 
     /**
-     * Handle unit level up
+     * Check if a defender strikes back before the attack lands: it has first strike and
+     * its attacker does not
      */
-    handleLevelUp(unit) {
-        if (!unit.level) unit.level = 1;
-        unit.level++;
-        
-        // Improve unit stats
-        const unitInfo = unitTypes[unit.type];
-        if (unitInfo.attack) unitInfo.attack *= 1.1;
-        if (unitInfo.defense) unitInfo.defense *= 1.1;
-        
-        // Reset experience for next level
-        unit.experience = 0;
+    defenderStrikesFirst(attacker, defender) {
+        const hasFirstStrike = unit => !!unitTypes[unit.type]?.abilities?.includes('first_strike');
+        return hasFirstStrike(defender) && !hasFirstStrike(attacker) && this.canCounterattack(attacker, defender);
     }
 
     /**
-     * Remove a unit from the game
+     * Calculate counterattack damage, without the luck of the dice
      */
-    removeUnit(unit) {
-        // Remove from map
-        const tile = this.gameState.map[unit.y][unit.x];
-        tile.unit = null;
-        
-        // Remove from player's units
-        const owner = this.gameState.players[unit.owner - 1];
-        const unitIndex = owner.units.findIndex(u => u === unit);
-        if (unitIndex !== -1) {
-            owner.units.splice(unitIndex, 1);
-        }
-    }
-
-    /**
-     * Calculate counterattack damage
-     */
-    calculateCounterattack(attacker, defender, initialDamage) {
-        // Only counter-attack if the defender survives
-        if (defender.health <= 0) return 0;
-        
-        // Counter-attacks deal 50% of normal damage
-        const counterDamage = this.calculateDamage(defender, attacker) * 0.5;
-        
-        return Math.round(counterDamage);
+    calculateCounterattack(attacker, defender) {
+        if (!this.canCounterattack(attacker, defender)) return 0;
+        return this.calculateStrike([defender], [attacker], { share: COUNTER_SHARE, attacking: false, randomFactor: 1 }).damage;
     }
 
     /**
@@ -271,13 +274,240 @@ export class CombatSystem {
      */
     getCombatPreview(attacker, defender) {
         const attackDamage = this.calculateDamage(attacker, defender);
-        const counterDamage = this.calculateCounterattack(attacker, defender, attackDamage);
+        const counterDamage = this.calculateCounterattack(attacker, defender);
+        const defenderSurvival = (defender.health ?? 100) > attackDamage;
+        const counters = defenderSurvival || this.defenderStrikesFirst(attacker, defender);
         
         return {
             estimatedDamage: attackDamage,
-            estimatedCounter: counterDamage,
-            attackerSurvival: attacker.health > counterDamage,
-            defenderSurvival: defender.health > attackDamage
+            estimatedCounter: counters ? counterDamage : 0,
+            attackerSurvival: !counters || (attacker.health ?? 100) > counterDamage,
+            defenderSurvival
         };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Resolve a fight between two units and the stacks they stand in. The attacking formation
+ * strikes, and the defending one counterattacks for COUNTER_SHARE of a strike when the unit
+ * that defended it lives. A defender with first strike, against an attacker without it,
+ * counterattacks before the attack lands instead, and a cavalry charge adds to the attack.
+ * The best unit of a struck formation takes the brunt of a strike and the rest share the
+ * remainder. Attacking spends the attackers' movement points and every unit in the fight
+ * gains experience. The fight is written up in a combat report on gameState.combatLog.
+ * @param {Object} gameState - The game state
+ * @param {Object} attackingUnit - Unit making the attack, with the army it is in
+ * @param {Object} defendingUnit - Unit being attacked, with the army it is in
+ * @returns {Object} - { damage, defeated, defender, losses, counterDamage, attackerDefeated,
+ *                     report } where defender is the unit that defended, damage and defeated
+ *                     are its own, counterDamage and attackerDefeated are the attacking
+ *                     unit's, and losses lists the ids of the defending units destroyed
+ */
+export function resolveCombat(gameState, attackingUnit, defendingUnit) {
+    const combat = new CombatSystem(gameState);
+    const attackers = getCombatants(gameState, attackingUnit);
+    const defenders = getCombatants(gameState, defendingUnit);
+    const { defender } = getFormationDefense(defenders, unit => combat.getUnitCombatStats(unit).defense);
+
+    const report = {
+        turn: gameState.turn,
+        x: defendingUnit.x,
+        y: defendingUnit.y,
+        attacker: describeCombatant(attackingUnit),
+        defender: describeCombatant(defendingUnit),
+        weather: gameState.weather || null,
+        timeOfDay: gameState.timeOfDay || null,
+        charge: attackers.some(unit => unit.cavalryChargeBonusActive),
+        firstStrike: combat.defenderStrikesFirst(attackingUnit, defender),
+        strikes: [],
+        casualties: { attacker: [], defender: [] }
+    };
+    const alive = units => units.filter(unit => (unit.health ?? 100) > 0);
+
+    const counterattack = () => {
+        const striking = alive([defender, ...defenders.filter(unit => unit !== defender)]);
+        const struck = alive(attackers);
+        const strike = combat.calculateStrike(striking, struck, { share: COUNTER_SHARE, attacking: false });
+        const outcome = applyStrike(gameState, combat, defender, struck, strike);
+        report.strikes.push({ side: 'defender', ...outcome.summary });
+        report.casualties.attacker.push(...outcome.losses);
+        return outcome;
+    };
+
+    let counter = null;
+    if (report.firstStrike) {
+        counter = counterattack();
+    }
+
+    let attack = null;
+    if ((attackingUnit.health ?? 100) > 0) {
+        const strike = combat.calculateStrike(alive(attackers), defenders);
+        attack = applyStrike(gameState, combat, attackingUnit, defenders, strike);
+        report.strikes.push({ side: 'attacker', ...attack.summary });
+        report.casualties.defender.push(...attack.losses);
+    }
+
+    if (!counter && combat.canCounterattack(attackingUnit, defender) && alive(attackers).length > 0) {
+        counter = counterattack();
+    }
+
+    // Attacking uses all remaining MP, and spends a charge
+    attackers.forEach(unit => {
+        unit.remainingMP = 0;
+        unit.cavalryChargeBonusActive = false;
+        unit.attackBonus = 0;
+    });
+
+    // Every unit in the fight gains experience, more for a kill
+    attackers.forEach(unit => combat.grantCombatExperience(unit, defender, { killed: report.casualties.defender.length > 0 }));
+    defenders.forEach(unit => combat.grantCombatExperience(unit, attackingUnit, { killed: report.casualties.attacker.length > 0 }));
+
+    recordCombat(gameState, report);
+
+    return {
+        damage: attack ? attack.damageTaken.get(defender) || 0 : 0,
+        defeated: defender.health <= 0,
+        defender,
+        losses: report.casualties.defender,
+        counterDamage: counter ? counter.damageTaken.get(attackingUnit) || 0 : 0,
+        attackerDefeated: (attackingUnit.health ?? 100) <= 0,
+        report
+    };
+}
+
+/**
+ * The combat reports of a game, oldest first
+ * @param {Object} gameState - The game state
+ * @returns {Array}
+ */
+export function getCombatLog(gameState) {
+    return gameState.combatLog || [];
+}
+
+/**
+ * The units fighting with a unit, itself first: the stack it stands in on the map, or the
+ * unit alone when it is off the map, like an aircraft at its base
+ */
+function getCombatants(gameState, unit) {
+    const onMap = gameState.map[unit.y]?.[unit.x]?.unit === unit || findArmyLeader(unit, gameState);
+    if (!onMap) return [unit];
+    return [unit, ...getStackAt(gameState, unit.x, unit.y).filter(member => member !== unit)];
+}
+
+/**
+ * A unit as a combat report names it
+ */
+function describeCombatant(unit) {
+    return { id: unit.id, type: unit.type, owner: unit.owner, x: unit.x, y: unit.y };
+}
+
+/**
+ * Deal a strike's damage over the struck units and destroy those it kills
+ * @param {Object} gameState - The game state
+ * @param {CombatSystem} combat - The combat system
+ * @param {Object} striker - The unit leading the strike
+ * @param {Array} units - The units struck
+ * @param {Object} strike - The strike, see CombatSystem.calculateStrike
+ * @returns {Object} - { damageTaken, losses, summary } where damageTaken maps units to their
+ *                     damage and summary describes the strike for the combat report
+ */
+function applyStrike(gameState, combat, striker, units, strike) {
+    const losses = [];
+    const damageTaken = distributeDamage(units, strike.defender, strike.damage);
+    damageTaken.forEach((unitDamage, unit) => {
+        const { killed } = combat.applyDamage(unit, unitDamage);
+
+        emitGameEvent(gameState, 'unit.attacked', {
+            attackerId: striker.id,
+            defenderId: unit.id,
+            damage: unitDamage
+        });
+
+        if (killed) {
+            destroyUnit(gameState, unit, striker.id);
+            losses.push(unit.id);
+        }
+    });
+
+    const summary = {
+        unitId: striker.id,
+        defenderId: strike.defender.id,
+        attack: Math.round(strike.attack * 100) / 100,
+        defense: Math.round(strike.defense * 100) / 100,
+        terrain: Math.round(strike.terrain * 100) / 100,
+        damage: strike.damage,
+        damageTaken: Object.fromEntries([...damageTaken].map(([unit, unitDamage]) => [unit.id, unitDamage])),
+        losses
+    };
+    return { damageTaken, losses, summary };
+}
+
+/**
+ * Append a combat report to the game's combat log, dropping the oldest past COMBAT_LOG_LIMIT
+ */
+function recordCombat(gameState, report) {
+    if (!gameState.combatLog) {
+        gameState.combatLog = [];
+    }
+    gameState.combatLog.push(report);
+    if (gameState.combatLog.length > COMBAT_LOG_LIMIT) {
+        gameState.combatLog.splice(0, gameState.combatLog.length - COMBAT_LOG_LIMIT);
+    }
+    emitGameEvent(gameState, 'combat.resolved', {
+        attackerId: report.attacker.id,
+        defenderId: report.defender.id,
+        x: report.x,
+        y: report.y
+    });
+}
+
+/**
+ * Remove a destroyed unit from the map, its army or the carrier it is based on, and from
+ * its owner, along with any units it carried
+ * @param {Object} gameState - The game state
+ * @param {Object} unit - The destroyed unit
+ * @param {String} killedBy - Id of the unit that destroyed it
+ */
+export function destroyUnit(gameState, unit, killedBy) {
+    const tile = gameState.map[unit.y][unit.x];
+    const leader = findArmyLeader(unit, gameState);
+    if (tile.unit === unit) {
+        // The rest of its army stays on the tile under a new leader
+        tile.unit = passLeadership(unit);
+    } else if (leader) {
+        leaveArmy(unit, leader);
+    } else if (tile.unit && tile.unit.cargo) {
+        tile.unit.cargo = tile.unit.cargo.filter(cargoUnit => cargoUnit !== unit);
+    }
+    unregisterUnit(gameState, unit);
+    emitGameEvent(gameState, 'unit.killed', {
+        unitId: unit.id,
+        owner: unit.owner,
+        unitType: unit.type,
+        killedBy,
+        x: unit.x,
+        y: unit.y
+    });
+    sinkCargo(gameState, unit, killedBy);
+}
+
+/**
+ * Destroy the units a sunk transport carried
+ * @param {Object} gameState - The game state
+ * @param {Object} transport - The destroyed transport
+ * @param {String} killedBy - Id of the unit that destroyed it
+ */
+function sinkCargo(gameState, transport, killedBy) {
+    (transport.cargo || []).forEach(cargoUnit => {
+        unregisterUnit(gameState, cargoUnit);
+        emitGameEvent(gameState, 'unit.killed', {
+            unitId: cargoUnit.id,
+            owner: cargoUnit.owner,
+            unitType: cargoUnit.type,
+            killedBy,
+            x: transport.x,
+            y: transport.y
+        });
+    });
+    transport.cargo = [];
+}
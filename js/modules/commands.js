@@ -0,0 +1,778 @@
+// Command layer - every player and AI action is a plain, serializable command.
+// Commands go through one dispatcher that validates them with validateGameAction,
+// appends them to gameState.actionLog and applies them.
+import { validateGameAction, handleError } from './errorHandling.js';
+import { findUnit, unregisterUnit } from './gameState.js';
+import { moveUnit, boardTransport, disembarkUnit, findTransport } from './movement.js';
+import { revealArea } from './map.js';
+import { UndoManager } from './undoManager.js';
+import { resolveCombat } from './combat.js';
+import { buildStructure, createUnit, findTrainingSite } from './gameEvents.js';
+import { buildingTypes } from './buildings.js';
+import { infrastructureTypes, startInfrastructure, pillageInfrastructure } from './infrastructure.js';
+import { terrainTypes } from './terrain.js';
+import { unitTypes } from './units.js';
+import { findTechnology } from './technologies.js';
+import { emitGameEvent, getEventBus } from './eventBus.js';
+import { unitVision } from './constants.js';
+import { getGrid } from './grid.js';
+import { getAirBase, rebaseAircraft, flyMission, isInOperationalRange } from './air.js';
+import { getArmy } from './armies.js';
+import { promotionTypes, canTakePromotion, promoteUnit } from './promotions.js';
+
+// Registry of command handlers keyed by command type
+const commandHandlers = {};
+
+/**
+ * Register how a command type is validated and applied
+ * @param {string} type - Command type, e.g. 'MoveUnit'
+ * @param {Object} handler - {
+ *     action: validateGameAction type, or null for commands without action rules,
+ *     resolve(gameState, command, player) => params for validateGameAction and apply,
+ *     apply(gameState, params, context) => { success, reason, ... },
+ *     capture(gameState, params) => function that reverts apply (optional, makes the command undoable)
+ * }
+ */
+export function registerCommand(type, handler) {
+    if (commandHandlers[type]) {
+        throw new Error(`Command ${type} is already registered`);
+    }
+    commandHandlers[type] = handler;
+}
+
+/**
+ * Get every registered command type
+ */
+export function getCommandTypes() {
+    return Object.keys(commandHandlers);
+}
+
+export class CommandDispatcher {
+    /**
+     * @param {Object} gameState - The game state
+     * @param {Object} context - { systems, turnManager } used by commands that need them
+     */
+    constructor(gameState, context = {}) {
+        this.gameState = gameState;
+        this.context = context;
+        this.history = new UndoManager(gameState, this);
+
+        // Above 0 while a command applies or a system acts; commands issued then are system commands
+        this.systemDepth = 0;
+
+        // Newly seen tiles cannot be un-seen, so nothing before them can be undone
+        this.unsubscribe = getEventBus(gameState).on('tiles.revealed', () => this.history.markIrreversible());
+    }
+
+    /**
+     * Stop listening to the game's events, when the dispatcher is replaced
+     */
+    detach() {
+        this.unsubscribe();
+    }
+
+    /**
+     * Run a system that issues commands of its own, such as the AI or move orders. Its
+     * commands are logged as system commands, which replaying the game reproduces by itself.
+     * @param {Function} action - The system's work
+     */
+    runAsSystem(action) {
+        this.systemDepth++;
+        try {
+            return action();
+        } finally {
+            this.systemDepth--;
+        }
+    }
+
+    /**
+     * Validate and apply a command, recording it in the action log when it succeeds
+     * @param {Object} command - { type, player, ...fields }
+     * @returns {Object} - { success, reason, ... } plus any result of the command
+     */
+    dispatch(command) {
+        const handler = command && commandHandlers[command.type];
+        if (!handler) {
+            return { success: false, reason: `Unknown command: ${command?.type}` };
+        }
+
+        const player = this.gameState.players[command.player - 1];
+        if (!player) {
+            return { success: false, reason: `Unknown player: ${command.player}` };
+        }
+        if (command.player !== this.gameState.currentPlayer) {
+            return { success: false, reason: `It is not ${player.name}'s turn` };
+        }
+        if (this.gameState.gameOver) {
+            return { success: false, reason: 'The game is over' };
+        }
+
+        const params = handler.resolve(this.gameState, command, player);
+        if (handler.action) {
+            const validation = validateGameAction(handler.action, params);
+            if (!validation.isValid) {
+                return { success: false, reason: validation.error };
+            }
+        }
+
+        // Record the turn the command was issued in, before EndTurn advances it
+        const turn = this.gameState.turn;
+        const logLength = this.gameState.actionLog ? this.gameState.actionLog.length : 0;
+        const revert = handler.capture ? handler.capture(this.gameState, params) : null;
+        const randomStateBefore = JSON.stringify(this.gameState.rng);
+
+        // Log the command before applying it, so the commands it causes follow it in the log
+        this.recordCommand(command, turn);
+
+        let result;
+        try {
+            result = this.runAsSystem(() => handler.apply(this.gameState, params, this.context));
+        } catch (error) {
+            handleError(`command ${command.type}`, error);
+            result = { success: false, reason: error.message };
+        }
+
+        if (!result.success) {
+            this.gameState.actionLog.length = logLength;
+        } else {
+            // Commands that drew random numbers or uncovered tiles cannot be taken back
+            const usedRandomness = JSON.stringify(this.gameState.rng) !== randomStateBefore;
+            const revealedTiles = result.revealedTiles > 0;
+            this.history.record({
+                command: JSON.parse(JSON.stringify(command)),
+                logLength: logLength,
+                revert: usedRandomness || revealedTiles ? null : revert
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Dispatch a command on behalf of the player whose turn it is
+     * @param {string} type - Command type
+     * @param {Object} fields - Command fields other than type and player
+     */
+    issue(type, fields = {}) {
+        return this.dispatch({ type: type, player: this.gameState.currentPlayer, ...fields });
+    }
+
+    /**
+     * Undo the current player's most recent undoable command
+     */
+    undo() {
+        const result = this.history.undo();
+        if (result.success) {
+            emitGameEvent(this.gameState, 'command.undone', { commandType: result.command.type, player: result.command.player });
+        }
+        return result;
+    }
+
+    /**
+     * Re-apply the most recently undone command
+     */
+    redo() {
+        return this.history.redo();
+    }
+
+    /**
+     * Append a copy of a command to the action log
+     */
+    recordCommand(command, turn) {
+        if (!this.gameState.actionLog) {
+            this.gameState.actionLog = [];
+        }
+        const entry = {
+            turn: turn,
+            command: JSON.parse(JSON.stringify(command))
+        };
+        if (this.systemDepth > 0) {
+            entry.system = true;
+        }
+        this.gameState.actionLog.push(entry);
+    }
+}
+
+/**
+ * Put an object's own properties back to a shallow copy taken earlier
+ */
+function restoreObject(target, snapshot) {
+    Object.keys(target).forEach(key => {
+        if (!(key in snapshot)) delete target[key];
+    });
+    Object.assign(target, snapshot);
+}
+
+/**
+ * Capture a player's resources so a command that spent them can refund them
+ */
+function captureResources(player) {
+    const resources = { ...player.resources };
+    return () => restoreObject(player.resources, resources);
+}
+
+/**
+ * Capture the units a transport carries, so a command that moved them can put them back
+ */
+function captureCargo(transport) {
+    const cargo = transport && transport.cargo ? [...transport.cargo] : null;
+    const cargoStates = (cargo || []).map(cargoUnit => ({ ...cargoUnit }));
+    return () => {
+        if (!transport) return;
+        if (cargo) {
+            transport.cargo = cargo;
+        } else {
+            delete transport.cargo;
+        }
+        (cargo || []).forEach((cargoUnit, i) => restoreObject(cargoUnit, cargoStates[i]));
+    };
+}
+
+/**
+ * Capture the stack on a tile, so a command that moved units onto or off it can put them back
+ */
+function captureStack(tile) {
+    const leader = tile.unit;
+    const units = leader ? getArmy(leader) : [];
+    const unitStates = units.map(unit => (unit.army ? { ...unit, army: [...unit.army] } : { ...unit }));
+    return () => {
+        tile.unit = leader;
+        units.forEach((unit, i) => restoreObject(unit, unitStates[i]));
+    };
+}
+
+// Move a unit: { unitId, targetX, targetY }
+// Moving onto a friendly unit joins its army, and moving a unit of an army leaves it.
+registerCommand('MoveUnit', {
+    action: 'move',
+    resolve: (gameState, command, player) => ({
+        unit: findUnit(gameState, command.unitId),
+        targetX: command.targetX,
+        targetY: command.targetY,
+        mapSize: gameState.mapSize,
+        player: player
+    }),
+    apply: (gameState, { unit, targetX, targetY }) => {
+        const from = { x: unit.x, y: unit.y };
+        let message = null;
+        const moved = moveUnit(unit, targetX, targetY, gameState, text => {
+            message = text;
+        });
+        if (!moved) {
+            return { success: false, reason: message };
+        }
+
+        emitGameEvent(gameState, 'unit.moved', {
+            unitId: unit.id,
+            owner: unit.owner,
+            from: from,
+            to: { x: unit.x, y: unit.y }
+        });
+
+        const revealedTiles = revealArea(gameState, unit.x, unit.y, unitVision, unit.owner - 1);
+        return { success: true, message, revealedTiles };
+    },
+    capture: (gameState, { unit, targetX, targetY }) => {
+        const sourceStack = captureStack(gameState.map[unit.y][unit.x]);
+        const targetStack = captureStack(gameState.map[targetY][targetX]);
+        const cargoStates = captureCargo(unit);
+        return () => {
+            targetStack();
+            sourceStack();
+            cargoStates();
+        };
+    }
+});
+
+// Give a unit a standing order to travel through waypoints: { unitId, waypoints: [{ x, y }] }
+// MoveOrderSystem walks the unit along the order with MoveUnit commands, this turn and the next.
+registerCommand('SetMoveOrder', {
+    action: 'move',
+    resolve: (gameState, command, player) => {
+        const waypoints = Array.isArray(command.waypoints) ? command.waypoints : [];
+        const destination = waypoints[waypoints.length - 1] || {};
+        return {
+            unit: findUnit(gameState, command.unitId),
+            waypoints: waypoints,
+            targetX: destination.x,
+            targetY: destination.y,
+            mapSize: gameState.mapSize,
+            player: player
+        };
+    },
+    apply: (gameState, { unit, waypoints }) => {
+        if (waypoints.length === 0) {
+            return { success: false, reason: 'A move order needs at least one waypoint' };
+        }
+        const grid = getGrid(gameState);
+        if (!waypoints.every(waypoint => grid.inBounds(waypoint.x, waypoint.y))) {
+            return { success: false, reason: 'Waypoint out of bounds' };
+        }
+
+        unit.moveOrder = { waypoints: waypoints.map(waypoint => ({ x: waypoint.x, y: waypoint.y })) };
+        return { success: true };
+    },
+    capture: (gameState, { unit }) => {
+        const moveOrder = unit.moveOrder;
+        return () => {
+            if (moveOrder) {
+                unit.moveOrder = moveOrder;
+            } else {
+                delete unit.moveOrder;
+            }
+        };
+    }
+});
+
+// Drop a unit's standing move order: { unitId }
+registerCommand('CancelMoveOrder', {
+    action: null,
+    resolve: (gameState, command, player) => ({
+        unit: findUnit(gameState, command.unitId),
+        player: player
+    }),
+    apply: (gameState, { unit, player }) => {
+        if (!unit || unit.owner !== player.index) {
+            return { success: false, reason: 'Unit belongs to another player' };
+        }
+        if (!unit.moveOrder) {
+            return { success: false, reason: 'Unit has no move order' };
+        }
+
+        delete unit.moveOrder;
+        emitGameEvent(gameState, 'unit.orderEnded', { unitId: unit.id, owner: unit.owner, reason: 'cancelled' });
+        return { success: true };
+    },
+    capture: (gameState, { unit }) => {
+        const moveOrder = unit && unit.moveOrder;
+        return () => {
+            unit.moveOrder = moveOrder;
+        };
+    }
+});
+
+// Board a land unit onto an adjacent transport of its owner: { unitId, transportId }
+// The unit leaves the map and sails with the transport until it disembarks.
+registerCommand('Embark', {
+    action: 'embark',
+    resolve: (gameState, command, player) => ({
+        unit: findUnit(gameState, command.unitId),
+        transport: findUnit(gameState, command.transportId),
+        player: player
+    }),
+    apply: (gameState, { unit, transport }) => {
+        const from = { x: unit.x, y: unit.y };
+        let message = null;
+        const embarked = boardTransport(unit, transport, gameState, text => {
+            message = text;
+        });
+        if (!embarked) {
+            return { success: false, reason: message };
+        }
+
+        emitGameEvent(gameState, 'unit.embarked', {
+            unitId: unit.id,
+            transportId: transport.id,
+            owner: unit.owner,
+            x: from.x,
+            y: from.y
+        });
+        return { success: true, message };
+    },
+    capture: (gameState, { unit, transport }) => {
+        const unitState = { ...unit };
+        const cargoStates = captureCargo(transport);
+        return () => {
+            cargoStates();
+            restoreObject(unit, unitState);
+            gameState.map[unit.y][unit.x].unit = unit;
+        };
+    }
+});
+
+// Land a unit from its transport on an adjacent tile: { unitId, targetX, targetY }
+registerCommand('Disembark', {
+    action: 'disembark',
+    resolve: (gameState, command, player) => {
+        const unit = findUnit(gameState, command.unitId);
+        return {
+            unit,
+            transport: unit ? findTransport(unit, gameState) : null,
+            targetX: command.targetX,
+            targetY: command.targetY,
+            mapSize: gameState.mapSize,
+            player: player
+        };
+    },
+    apply: (gameState, { unit, transport, targetX, targetY }) => {
+        let message = null;
+        const landed = disembarkUnit(unit, transport, targetX, targetY, gameState, text => {
+            message = text;
+        });
+        if (!landed) {
+            return { success: false, reason: message };
+        }
+
+        emitGameEvent(gameState, 'unit.disembarked', {
+            unitId: unit.id,
+            transportId: transport.id,
+            owner: unit.owner,
+            x: unit.x,
+            y: unit.y
+        });
+
+        const revealedTiles = revealArea(gameState, unit.x, unit.y, unitVision, unit.owner - 1);
+        return { success: true, message, revealedTiles };
+    },
+    capture: (gameState, { unit, transport }) => {
+        const unitState = { ...unit };
+        const cargoStates = captureCargo(transport);
+        return () => {
+            gameState.map[unit.y][unit.x].unit = null;
+            restoreObject(unit, unitState);
+            cargoStates();
+        };
+    }
+});
+
+// Fly an aircraft to another airfield or carrier of its owner within its range: { unitId, x, y }
+registerCommand('Rebase', {
+    action: 'rebase',
+    resolve: (gameState, command, player) => {
+        const unit = findUnit(gameState, command.unitId);
+        return {
+            unit,
+            unitInfo: unit && unitTypes[unit.type],
+            base: getAirBase(gameState, command.x, command.y, player.index),
+            inRange: !!unit && isInOperationalRange(gameState, unit, command.x, command.y),
+            player
+        };
+    },
+    apply: (gameState, { unit, base }) => {
+        rebaseAircraft(gameState, unit, base);
+        return { success: true, message: `${unit.type} rebased to (${base.x}, ${base.y})` };
+    },
+    capture: (gameState, { unit, base }) => {
+        const unitState = { ...unit };
+        const fromCarrier = captureCargo(gameState.map[unit.y][unit.x].unit);
+        const toCarrier = captureCargo(base && base.carrier);
+        return () => {
+            restoreObject(unit, unitState);
+            fromCarrier();
+            toCarrier();
+        };
+    }
+});
+
+// Fly an aircraft's mission for the turn: { unitId, mission, x, y } where mission is
+// strike, intercept, recon or airlift. Airlifts carry the land unit on the aircraft's
+// airfield to another airfield of its owner.
+registerCommand('AirMission', {
+    action: 'airMission',
+    resolve: (gameState, command, player) => {
+        const unit = findUnit(gameState, command.unitId);
+        const targetTile = gameState.map?.[command.y]?.[command.x];
+        return {
+            unit,
+            unitInfo: unit && unitTypes[unit.type],
+            mission: command.mission,
+            targetTile,
+            inRange: !!unit && !!targetTile && isInOperationalRange(gameState, unit, command.x, command.y),
+            passenger: unit ? gameState.map[unit.y][unit.x].unit : null,
+            targetBase: getAirBase(gameState, command.x, command.y, player.index),
+            player,
+            enemy: targetTile?.unit ? gameState.players[targetTile.unit.owner - 1] : null
+        };
+    },
+    apply: (gameState, { unit, mission, targetTile }) => {
+        const result = flyMission(gameState, unit, mission, targetTile.x, targetTile.y);
+        const { interception } = result;
+        let message = `${unit.type} flew its ${mission} mission`;
+        if (interception && interception.shotDown) {
+            message = `${unit.type} was shot down on its ${mission} mission`;
+        } else if (mission === 'strike') {
+            message = result.defeated ? `Air strike destroyed the enemy unit` : `Air strike dealt ${result.damage}% damage`;
+        }
+        if (interception && !interception.shotDown) {
+            message += ` after being intercepted for ${interception.damage}% damage`;
+        }
+        return { success: true, message, ...result };
+    },
+    capture: (gameState, { unit, passenger, targetTile }) => {
+        const unitState = { ...unit };
+        const passengerState = passenger && { ...passenger };
+        return () => {
+            restoreObject(unit, unitState);
+            if (passenger && targetTile.unit === passenger) {
+                targetTile.unit = null;
+                restoreObject(passenger, passengerState);
+                gameState.map[passenger.y][passenger.x].unit = passenger;
+            }
+        };
+    }
+});
+
+// Attack another player's unit, with the army it is in: { unitId, targetUnitId }
+// The best unit of the army on the target's tile defends it and counterattacks.
+registerCommand('Attack', {
+    action: 'attack',
+    resolve: (gameState, command, player) => {
+        const attacker = findUnit(gameState, command.unitId);
+        const defender = findUnit(gameState, command.targetUnitId);
+        return {
+            attacker: attacker,
+            defender: defender,
+            player: player,
+            enemy: defender ? gameState.players[defender.owner - 1] : null,
+            distance: attacker && defender ? getGrid(gameState).distance(attacker.x, attacker.y, defender.x, defender.y) : null
+        };
+    },
+    apply: (gameState, { attacker, defender }) => {
+        const result = resolveCombat(gameState, attacker, defender);
+        let message = result.defeated
+            ? `Enemy ${result.defender.type} defeated!`
+            : `Attacked enemy ${result.defender.type}, dealing ${result.damage}% damage.`;
+        if (result.report.firstStrike) {
+            message = `The enemy ${result.defender.type} struck first. ${message}`;
+        }
+        if (result.losses.length > (result.defeated ? 1 : 0)) {
+            message += ` The enemy army lost ${result.losses.length} unit${result.losses.length === 1 ? '' : 's'}.`;
+        }
+        if (result.attackerDefeated) {
+            message += ` Your ${attacker.type} was destroyed by the counterattack.`;
+        } else if (result.counterDamage > 0) {
+            message += ` Your ${attacker.type} took ${result.counterDamage}% damage in the counterattack.`;
+        }
+        return { success: true, ...result, message };
+    }
+});
+
+// Give a unit one of the promotions its levels earned it: { unitId, promotionId }
+registerCommand('Promote', {
+    action: 'promote',
+    resolve: (gameState, command, player) => {
+        const unit = findUnit(gameState, command.unitId);
+        return {
+            unit,
+            promotion: promotionTypes[command.promotionId],
+            promotionId: command.promotionId,
+            eligibility: unit ? canTakePromotion(unit, command.promotionId) : null,
+            player
+        };
+    },
+    apply: (gameState, { unit, promotion, promotionId }) => {
+        promoteUnit(gameState, unit, promotionId);
+        return { success: true, message: `${unit.type} was promoted: ${promotion.name}` };
+    },
+    capture: (gameState, { unit }) => {
+        const unitState = { ...unit };
+        return () => restoreObject(unit, unitState);
+    }
+});
+
+// Start construction on a tile: { buildingType, x, y }
+registerCommand('Build', {
+    action: 'build',
+    resolve: (gameState, command, player) => ({
+        buildingType: command.buildingType,
+        building: buildingTypes[command.buildingType],
+        resources: player.resources,
+        position: { x: command.x, y: command.y },
+        tile: gameState.map?.[command.y]?.[command.x]
+    }),
+    apply: (gameState, { buildingType, position, tile }) => {
+        if (!tile) {
+            return { success: false, reason: 'Target position out of bounds' };
+        }
+        buildStructure(gameState, position.x, position.y, buildingType);
+        return { success: true };
+    },
+    capture: (gameState, { tile, resources }) => {
+        const refund = captureResources({ resources });
+        return () => {
+            tile.buildingInProgress = null;
+            refund();
+        };
+    }
+});
+
+// Build a road, bridge or railway on the tile of a unit with the build ability:
+// { unitId, infrastructureType }. Building uses the rest of the unit's turn.
+registerCommand('BuildInfrastructure', {
+    action: 'infrastructure',
+    resolve: (gameState, command, player) => {
+        const unit = findUnit(gameState, command.unitId);
+        const tile = unit ? gameState.map[unit.y][unit.x] : null;
+        return {
+            unit,
+            unitInfo: unit && unitTypes[unit.type],
+            infrastructureType: command.infrastructureType,
+            infrastructure: infrastructureTypes[command.infrastructureType],
+            tile,
+            terrainInfo: tile && terrainTypes[tile.type],
+            ages: gameState.ages,
+            player,
+            resources: player.resources
+        };
+    },
+    apply: (gameState, { unit, infrastructureType, infrastructure }) => {
+        startInfrastructure(gameState, unit.x, unit.y, infrastructureType, unit.owner);
+        unit.remainingMP = 0;
+        unit.canMove = false;
+        return { success: true, message: `${infrastructure.name} construction started` };
+    },
+    capture: (gameState, { unit, tile, resources }) => {
+        const refund = captureResources({ resources });
+        const unitState = { ...unit };
+        return () => {
+            tile.infrastructureInProgress = null;
+            restoreObject(unit, unitState);
+            refund();
+        };
+    }
+});
+
+// Destroy another player's road, bridge or railway under a military unit: { unitId }
+// The unit's owner carries off part of its cost, and pillaging uses the rest of the unit's turn.
+registerCommand('Pillage', {
+    action: 'pillage',
+    resolve: (gameState, command, player) => {
+        const unit = findUnit(gameState, command.unitId);
+        return {
+            unit,
+            unitInfo: unit && unitTypes[unit.type],
+            tile: unit ? gameState.map[unit.y][unit.x] : null,
+            player
+        };
+    },
+    apply: (gameState, { unit }) => {
+        const { infrastructureType, loot } = pillageInfrastructure(gameState, unit);
+        unit.remainingMP = 0;
+        unit.canMove = false;
+
+        const lootText = Object.entries(loot).map(([resource, amount]) => `${amount} ${resource}`).join(', ');
+        const name = infrastructureTypes[infrastructureType]?.name || infrastructureType;
+        return { success: true, loot, message: `Pillaged ${name}${lootText ? `, looting ${lootText}` : ''}` };
+    },
+    capture: (gameState, { unit, tile, player }) => {
+        const refund = captureResources(player);
+        const unitState = { ...unit };
+        const { infrastructure, infrastructureInProgress } = tile;
+        return () => {
+            tile.infrastructure = infrastructure;
+            tile.infrastructureInProgress = infrastructureInProgress;
+            restoreObject(unit, unitState);
+            refund();
+        };
+    }
+});
+
+// Train a unit at one of the player's buildings: { unitType, x, y }. Without x, y the
+// first building with room for the unit trains it.
+registerCommand('CreateUnit', {
+    action: 'createUnit',
+    resolve: (gameState, command, player) => {
+        const position = Number.isInteger(command.x) && Number.isInteger(command.y) ? { x: command.x, y: command.y } : null;
+        return {
+            unitType: command.unitType,
+            unitInfo: unitTypes[command.unitType],
+            resources: player.resources,
+            player: player,
+            ages: gameState.ages,
+            position: position,
+            site: findTrainingSite(gameState, player, command.unitType, position)
+        };
+    },
+    apply: (gameState, { unitType, site }) => {
+        const unit = createUnit(gameState, unitType, site.spawn);
+        return { success: true, unitId: unit.id };
+    },
+    capture: (gameState, { player, site }) => {
+        const refund = captureResources(player);
+        const unitId = gameState.nextUnitId || 1;
+        const carrier = site?.spawn.base?.carrier;
+        const restoreCargo = captureCargo(carrier);
+        return () => {
+            const unit = findUnit(gameState, unitId);
+            if (unit) {
+                const tile = gameState.map[unit.y][unit.x];
+                if (tile.unit === unit) tile.unit = null;
+                unregisterUnit(gameState, unit);
+            }
+            restoreCargo();
+            gameState.nextUnitId = unitId;
+            refund();
+        };
+    }
+});
+
+// Queue a technology: { techId }
+registerCommand('Research', {
+    action: 'research',
+    resolve: (gameState, command, player) => ({
+        techId: command.techId,
+        technology: findTechnology(command.techId),
+        player: player
+    }),
+    apply: (gameState, { techId, player }, context) => {
+        if (!context.systems?.technology) {
+            return { success: false, reason: 'Research is not available' };
+        }
+        return context.systems.technology.startResearch(player, techId);
+    },
+    capture: (gameState, { player }) => {
+        const refund = captureResources(player);
+        const researchQueue = player.researchQueue ? [...player.researchQueue] : undefined;
+        return () => {
+            player.researchQueue = researchQueue;
+            refund();
+        };
+    }
+});
+
+// Offer a treaty: { targetPlayer, treatyType, terms }
+registerCommand('ProposeTreaty', {
+    action: 'diplomacy',
+    resolve: (gameState, command, player) => ({
+        sourcePlayer: player,
+        targetPlayer: gameState.players[command.targetPlayer - 1],
+        treatyType: command.treatyType,
+        terms: command.terms || {}
+    }),
+    apply: (gameState, { sourcePlayer, targetPlayer, treatyType, terms }, context) => {
+        if (!context.systems?.diplomacy) {
+            return { success: false, reason: 'Diplomacy is not available' };
+        }
+        return context.systems.diplomacy.proposeTreaty(sourcePlayer, targetPlayer, treatyType, terms);
+    }
+});
+
+// Go to war: { targetPlayer }
+registerCommand('DeclareWar', {
+    action: 'diplomacy',
+    resolve: (gameState, command, player) => ({
+        sourcePlayer: player,
+        targetPlayer: gameState.players[command.targetPlayer - 1]
+    }),
+    apply: (gameState, { sourcePlayer, targetPlayer }, context) => {
+        if (!context.systems?.diplomacy) {
+            return { success: false, reason: 'Diplomacy is not available' };
+        }
+        if (context.systems.diplomacy.areAtWar(sourcePlayer, targetPlayer)) {
+            return { success: false, reason: `Already at war with ${targetPlayer.name}` };
+        }
+        context.systems.diplomacy.declareWar(sourcePlayer, targetPlayer);
+        return { success: true };
+    }
+});
+
+// Finish the current player's turn: {}
+registerCommand('EndTurn', {
+    action: null,
+    resolve: () => ({}),
+    apply: (gameState, params, context) => {
+        if (!context.turnManager) {
+            return { success: false, reason: 'Turn pipeline is not running' };
+        }
+        return { success: true, ...context.turnManager.endTurn() };
+    }
+});
@@ -3,10 +3,14 @@ export const tileSize = 30;
 export const mapSize = 30;
 export const ages = ['Stone Age', 'Bronze Age', 'Iron Age', 'Medieval Age', 'Renaissance'];
 
+// Radius a unit uncovers around the tile it moves to, same as starting vision
+export const unitVision = 2;
+
 // Default game settings
 export const defaultSettings = {
     mapSize: 30,
     mapType: 'continents',
+    gridType: 'hex',
     resourceDensity: 'standard',
     aiDifficulty: 'medium',
     fogOfWar: true,
@@ -0,0 +1,167 @@
+// Content packs - units, buildings, infrastructure, promotions, technologies, terrain, resource
+// tiles and countries are defined in JSON packs. The base pack ships with the game; mod packs add
+// entries or override base entries field by field, and are merged in order at game start.
+import basePack from '../../content/base.json' with { type: 'json' };
+
+// Registry of loaded packs keyed by pack id
+const contentPacks = {};
+
+// Tables filled from the packs, keyed by the pack section they read
+const contentTables = {};
+
+// Packs merged into the tables right now
+let activePacks = [];
+
+/**
+ * Register a content pack so games can use it
+ * @param {Object} pack - { id, name, version, units, buildings, infrastructure, promotions, technologies, terrain,
+ *                        resourceTiles, countries }
+ *                        Every section is optional. An entry set to null removes the entry.
+ * @returns {Object} - The pack
+ */
+export function registerContentPack(pack) {
+    if (!pack || typeof pack.id !== 'string') {
+        throw new Error('Content pack needs a string id');
+    }
+    if (contentPacks[pack.id]) {
+        throw new Error(`Content pack ${pack.id} is already registered`);
+    }
+    contentPacks[pack.id] = pack;
+    return pack;
+}
+
+/**
+ * Get the ids of every registered pack, base pack first
+ */
+export function getContentPacks() {
+    return Object.keys(contentPacks);
+}
+
+/**
+ * Get the ids of the packs the tables were built from
+ */
+export function getActiveContentPacks() {
+    return [...activePacks];
+}
+
+/**
+ * Fetch a pack from a URL and register it
+ * @param {string} url - URL of the pack's JSON file
+ * @returns {Promise<Object>} - The pack
+ */
+export async function loadContentPack(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load content pack ${url}: ${response.status}`);
+    }
+    return registerContentPack(await response.json());
+}
+
+/**
+ * Fetch and register every pack listed in a content index
+ * @param {string} url - URL of { packs: [pack file, ...] }, pack files are relative to it
+ * @returns {Promise<Array>} - Ids of the loaded packs
+ */
+export async function loadContentIndex(url = 'content/index.json') {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load content index ${url}: ${response.status}`);
+    }
+    const index = await response.json();
+    const baseUrl = new URL(url, globalThis.location?.href);
+
+    const loaded = [];
+    for (const file of index.packs || []) {
+        const pack = await loadContentPack(new URL(file, baseUrl).href);
+        loaded.push(pack.id);
+    }
+    return loaded;
+}
+
+/**
+ * Declare a table that is filled from one section of the content packs.
+ * The table object is kept and refilled in place, so modules can import it once.
+ * @param {string} section - Pack section, e.g. 'units'
+ * @param {Object|Array} table - Empty object, or empty array for sections whose entries are keyed by name
+ * @param {Object} options - { nested: entries are grouped one level deeper (technologies by age),
+ *                             finalize(entry, id): derive fields after merging }
+ * @returns {Object|Array} - The table, filled from the active packs
+ */
+export function defineContentTable(section, table, options = {}) {
+    if (contentTables[section]) {
+        throw new Error(`Content table ${section} is already defined`);
+    }
+    contentTables[section] = { table, ...options };
+    fillTable(section, activePacks.map(id => contentPacks[id]));
+    return table;
+}
+
+/**
+ * Rebuild every content table from a list of packs
+ * @param {Array} packIds - Pack ids in merge order, the base pack is always merged first
+ * @returns {Array} - The pack ids now active
+ */
+export function applyContentPacks(packIds = getContentPacks()) {
+    const ids = ['base', ...packIds.filter(id => id !== 'base')];
+    const missing = ids.filter(id => !contentPacks[id]);
+    if (missing.length > 0) {
+        throw new Error(`Content pack not loaded: ${missing.join(', ')}`);
+    }
+
+    activePacks = ids;
+    const packs = ids.map(id => contentPacks[id]);
+    Object.keys(contentTables).forEach(section => fillTable(section, packs));
+    return getActiveContentPacks();
+}
+
+/**
+ * Merge a section's entries into a keyed object. Entries override field by field.
+ */
+function mergeEntries(target, entries) {
+    Object.entries(entries || {}).forEach(([id, entry]) => {
+        if (entry === null) {
+            delete target[id];
+        } else {
+            target[id] = { ...target[id], ...JSON.parse(JSON.stringify(entry)) };
+        }
+    });
+}
+
+/**
+ * Refill one content table from the given packs
+ */
+function fillTable(section, packs) {
+    const { table, nested, finalize } = contentTables[section];
+    const merged = {};
+
+    packs.forEach(pack => {
+        if (Array.isArray(table)) {
+            const entries = {};
+            (pack[section] || []).forEach(entry => {
+                entries[entry.name] = entry;
+            });
+            mergeEntries(merged, entries);
+        } else if (nested) {
+            Object.entries(pack[section] || {}).forEach(([group, entries]) => {
+                merged[group] = merged[group] || {};
+                mergeEntries(merged[group], entries);
+            });
+        } else {
+            mergeEntries(merged, pack[section]);
+        }
+    });
+
+    if (finalize) {
+        Object.entries(merged).forEach(([id, entry]) => finalize(entry, id));
+    }
+
+    if (Array.isArray(table)) {
+        table.splice(0, table.length, ...Object.values(merged));
+    } else {
+        Object.keys(table).forEach(key => delete table[key]);
+        Object.assign(table, merged);
+    }
+}
+
+registerContentPack(basePack);
+activePacks = ['base'];
@@ -0,0 +1,256 @@
+// Content validator - checks that every id the content and the code refer to exists:
+// buildings, infrastructure, promotions, technologies, terrain, resources and ages.
+import { ages } from './constants.js';
+import { unitTypes } from './units.js';
+import { buildingTypes, buildingCategories, resourceExtractors } from './buildings.js';
+import { technologies } from './technologies.js';
+import { infrastructureTypes } from './infrastructure.js';
+import { promotionTypes } from './promotions.js';
+import { terrainTypes } from './terrain.js';
+import { resourceTileTypes, resourcesByAge, resourceIcons } from './resources.js';
+import { countries } from './countries.js';
+
+// Ids the code relies on, registered by the modules that use them
+const codeReferences = [];
+
+// How a dangling reference to each section is reported
+const referenceProblems = {
+    buildings: 'unknown building',
+    units: 'unknown unit',
+    technologies: 'unknown technology',
+    terrain: 'missing terrain',
+    resources: 'unknown resource'
+};
+
+/**
+ * Record that a module relies on content ids existing
+ * @param {string} section - 'buildings', 'units', 'technologies', 'terrain' or 'resources'
+ * @param {Array} ids - Ids the module uses
+ * @param {string} source - Module or function that uses them, for the report
+ */
+export function registerContentReference(section, ids, source) {
+    codeReferences.push({ section, ids, source });
+}
+
+/**
+ * Every technology keyed by id, with the age that defines it
+ */
+function getTechnologyAges() {
+    const techAges = {};
+    Object.entries(technologies).forEach(([age, ageTechnologies]) => {
+        Object.keys(ageTechnologies).forEach(techId => {
+            techAges[techId] = age;
+        });
+    });
+    return techAges;
+}
+
+/**
+ * Resource keys the game knows: every resource with an icon, an age or a map tile
+ */
+function getKnownResources() {
+    return new Set([
+        ...Object.keys(resourceIcons),
+        ...Object.values(resourcesByAge).flat(),
+        ...Object.keys(resourceTileTypes)
+    ]);
+}
+
+/**
+ * Check the loaded content tables and the registered code references
+ * @returns {Object} - { isValid, errors } where each error names the entry and the missing id
+ */
+export function validateContent() {
+    const errors = [];
+    const resources = getKnownResources();
+    const techAges = getTechnologyAges();
+
+    const ids = {
+        buildings: id => id in buildingTypes,
+        units: id => id in unitTypes,
+        technologies: id => id in techAges,
+        terrain: id => id in terrainTypes,
+        resources: id => resources.has(id)
+    };
+
+    const checkAge = (path, age) => {
+        if (!ages.includes(age)) {
+            errors.push(`${path}: unknown age ${age}`);
+        }
+    };
+    const checkResources = (path, amounts) => {
+        Object.keys(amounts || {}).forEach(resource => {
+            if (!resources.has(resource)) {
+                errors.push(`${path}: unknown resource ${resource}`);
+            }
+        });
+    };
+    const checkTerrain = (path, terrainList) => {
+        (terrainList || []).forEach(terrain => {
+            if (!ids.terrain(terrain)) {
+                errors.push(`${path}: missing terrain ${terrain}`);
+            }
+        });
+    };
+
+    Object.entries(unitTypes).forEach(([unitId, unit]) => {
+        const path = `units.${unitId}`;
+        checkAge(path, unit.age);
+        checkResources(`${path}.cost`, unit.cost);
+        checkResources(`${path}.upkeep`, unit.upkeep);
+        if (unit.abilities?.includes('transport') && (unit.type !== 'sea' || !(unit.capacity > 0))) {
+            errors.push(`${path}: transports must be sea units with a capacity`);
+        }
+        if (unit.type === 'air' && !(unit.range > 0)) {
+            errors.push(`${path}: air units need a range`);
+        }
+        ['strengths', 'resistances'].forEach(field => {
+            (unit[field] || []).forEach(otherId => {
+                if (!(otherId in unitTypes)) {
+                    errors.push(`${path}.${field}: unknown unit ${otherId}`);
+                }
+            });
+        });
+    });
+
+    Object.entries(buildingTypes).forEach(([buildingId, building]) => {
+        const path = `buildings.${buildingId}`;
+        checkAge(path, building.age);
+        if (!(building.category in buildingCategories)) {
+            errors.push(`${path}: unknown category ${building.category}`);
+        }
+        checkResources(`${path}.cost`, building.cost);
+        checkResources(`${path}.production`, building.production);
+        checkResources(`${path}.riverBonus`, building.riverBonus);
+        checkTerrain(`${path}.terrainRequirement`, building.terrainRequirement);
+        (building.trains || []).forEach(unitId => {
+            if (!ids.units(unitId)) {
+                errors.push(`${path}.trains: unknown unit ${unitId}`);
+            }
+        });
+    });
+
+    // Every unit type needs a building that trains it
+    const trainedUnits = new Set(Object.values(buildingTypes).flatMap(building => building.trains || []));
+    Object.keys(unitTypes).forEach(unitId => {
+        if (!trainedUnits.has(unitId)) {
+            errors.push(`units.${unitId}: no building trains it`);
+        }
+    });
+
+    Object.entries(infrastructureTypes).forEach(([infrastructureId, infrastructure]) => {
+        const path = `infrastructure.${infrastructureId}`;
+        checkAge(path, infrastructure.age);
+        checkResources(`${path}.cost`, infrastructure.cost);
+        if (!Number.isFinite(infrastructure.movementCost) || infrastructure.movementCost <= 0) {
+            errors.push(`${path}: movementCost must be a positive number`);
+        }
+        (infrastructure.requires || []).forEach(requiredId => {
+            if (!(requiredId in infrastructureTypes)) {
+                errors.push(`${path}.requires: unknown infrastructure ${requiredId}`);
+            }
+        });
+    });
+
+    const unitCategories = new Set(Object.values(unitTypes).map(unit => unit.type));
+    Object.entries(promotionTypes).forEach(([promotionId, promotion]) => {
+        const path = `promotions.${promotionId}`;
+        checkTerrain(`${path}.terrain`, promotion.terrain);
+        (promotion.requires || []).forEach(requiredId => {
+            if (!(requiredId in promotionTypes)) {
+                errors.push(`${path}.requires: unknown promotion ${requiredId}`);
+            }
+        });
+        (promotion.types || []).forEach(category => {
+            if (!unitCategories.has(category)) {
+                errors.push(`${path}.types: no unit is of type ${category}`);
+            }
+        });
+    });
+
+    Object.entries(technologies).forEach(([age, ageTechnologies]) => {
+        checkAge(`technologies.${age}`, age);
+
+        Object.entries(ageTechnologies).forEach(([techId, tech]) => {
+            const path = `technologies.${techId}`;
+            const effects = tech.effects || {};
+
+            (tech.prerequisites || []).forEach(prerequisite => {
+                if (!ids.technologies(prerequisite)) {
+                    errors.push(`${path}.prerequisites: unknown technology ${prerequisite}`);
+                } else if (ages.indexOf(techAges[prerequisite]) > ages.indexOf(age)) {
+                    errors.push(`${path}: age mismatch, requires ${prerequisite} from the later ${techAges[prerequisite]}`);
+                }
+            });
+
+            (effects.unlocksBuildings || []).forEach(buildingId => {
+                const building = buildingTypes[buildingId];
+                if (!building) {
+                    errors.push(`${path}.effects.unlocksBuildings: unknown building ${buildingId}`);
+                } else if (building.age !== age) {
+                    errors.push(`${path}: age mismatch, unlocks ${buildingId} (${building.age}) in the ${age}`);
+                }
+            });
+
+            (effects.unlocksResources || []).forEach(resource => {
+                if (!resources.has(resource)) {
+                    errors.push(`${path}.effects.unlocksResources: unknown resource ${resource}`);
+                }
+            });
+            checkResources(`${path}.effects.resourceBonus`, effects.resourceBonus);
+        });
+    });
+
+    Object.entries(resourceTileTypes).forEach(([resource, tile]) => {
+        checkTerrain(`resourceTiles.${resource}.validTerrain`, tile.validTerrain);
+    });
+
+    Object.entries(resourcesByAge).forEach(([age, ageResources]) => {
+        checkAge(`resourcesByAge.${age}`, age);
+        ageResources.forEach(resource => {
+            if (!resources.has(resource)) {
+                errors.push(`resourcesByAge.${age}: unknown resource ${resource}`);
+            }
+        });
+    });
+
+    Object.entries(resourceExtractors).forEach(([resource, buildingIds]) => {
+        if (!resources.has(resource)) {
+            errors.push(`resourceExtractors: unknown resource ${resource}`);
+        }
+        buildingIds.forEach(buildingId => {
+            if (!ids.buildings(buildingId)) {
+                errors.push(`resourceExtractors.${resource}: unknown building ${buildingId}`);
+            }
+        });
+    });
+
+    const countryNames = new Set();
+    countries.forEach(country => {
+        if (!country.name || !country.flag) {
+            errors.push(`countries: ${country.name || 'unnamed country'} needs a name and a flag`);
+        }
+        if (countryNames.has(country.name)) {
+            errors.push(`countries: ${country.name} is defined twice`);
+        }
+        countryNames.add(country.name);
+    });
+
+    codeReferences.forEach(({ section, ids: referencedIds, source }) => {
+        const exists = ids[section];
+        if (!exists) {
+            errors.push(`${source}: unknown content section ${section}`);
+            return;
+        }
+        referencedIds.forEach(id => {
+            if (!exists(id)) {
+                errors.push(`${source}: ${referenceProblems[section]} ${id}`);
+            }
+        });
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
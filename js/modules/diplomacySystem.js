@@ -1,3 +1,6 @@
+import { nextId } from './random.js';
+import { emitGameEvent } from './eventBus.js';
+
 export class DiplomacySystem {
     constructor(gameState) {
         this.gameState = gameState;
@@ -88,6 +91,12 @@ export class DiplomacySystem {
             targetPlayer.pendingTreaties = [];
         }
         targetPlayer.pendingTreaties.push(proposal);
+        emitGameEvent(this.gameState, 'treaty.proposed', {
+            treatyId: proposal.id,
+            treatyType: treatyType,
+            source: sourcePlayer.index,
+            target: targetPlayer.index
+        });
 
         return {
             success: true,
@@ -99,7 +108,7 @@ export class DiplomacySystem {
      * Generate unique treaty ID
      */
     generateTreatyId() {
-        return `treaty_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return nextId(this.gameState, 'treaty');
     }
 
     /**
@@ -198,6 +207,13 @@ export class DiplomacySystem {
         const treatyIndex = player.pendingTreaties.findIndex(t => t.id === treatyId);
         player.pendingTreaties.splice(treatyIndex, 1);
 
+        emitGameEvent(this.gameState, 'treaty.signed', {
+            treatyId: treaty.id,
+            treatyType: treaty.type,
+            source: treaty.source,
+            target: treaty.target
+        });
+
         return {
             success: true
         };
@@ -335,6 +351,8 @@ export class DiplomacySystem {
 
         // Notify allies
         this.notifyAlliesOfWar(player1, player2);
+
+        emitGameEvent(this.gameState, 'war.declared', { aggressor: player1.index, defender: player2.index });
     }
 
     /**
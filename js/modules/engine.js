@@ -0,0 +1,319 @@
+// Headless game engine - creates, steps and inspects games without the DOM,
+// so AI-vs-AI simulations and CI can run the rules in Node.
+// The browser UI drives the same TurnManager, systems and CommandDispatcher.
+import { defaultSettings } from './constants.js';
+import { generateMap, generateFallbackMap } from './map.js';
+import { validateGameState, cleanGameState } from './errorHandling.js';
+import { createInitialGameState, attachStateMethods, syncPlayerUnits } from './gameState.js';
+import { initializeRandom, createSeed } from './random.js';
+import { initializeTurnSystems } from './gameSystems.js';
+import { initializeVictory } from './victory.js';
+import { applyContentPacks } from './content.js';
+import { serializeGame, deserializeGame } from './saveGame.js';
+
+/**
+ * Apply new game settings to a game state: players, random streams, map and starting units.
+ * Pure game setup, shared by the start menu and headless games.
+ * @param {Object} gameState - The game state to set up
+ * @param {Object} settings - { mapSize, mapType, gridType, mapSeed, aiPlayerCount, aiOnly, victoryConditions, contentPacks, ... }
+ * @returns {Object} - The set up game state
+ */
+export function setupNewGame(gameState, settings) {
+    // Initialize players array if it doesn't exist
+    if (!gameState.players || !Array.isArray(gameState.players) || gameState.players.length === 0) {
+        console.warn("Players array missing, initializing default players");
+        gameState.players = [
+            {
+                index: 1,
+                name: "Player 1",
+                type: "human",
+                age: gameState.ages[0] || 'Stone Age',
+                resources: {
+                    food: 100,
+                    wood: 100,
+                    stone: 50,
+                    gold: 0
+                },
+                technologies: [],
+                units: [],
+                buildings: [],
+                buildingQueue: [],
+                unlockedUnits: ["settler", "warrior"],
+                happiness: 100,
+                health: 100,
+                totalPopulation: 5,
+                populationCap: 10,
+                ageProgress: 0
+            }
+        ];
+    }
+
+    // Apply settings to gameState
+    gameState.mapSize = settings.mapSize;
+    gameState.mapType = settings.mapType;
+    gameState.gridType = settings.gridType || defaultSettings.gridType;
+    gameState.gameStarted = true;
+    gameState.fogOfWarEnabled = settings.fogOfWar;
+    gameState.aiDifficulty = settings.aiDifficulty;
+    gameState.resourceDensity = settings.resourceDensity;
+    gameState.aiPlayerCount = settings.aiPlayerCount || 1;
+    gameState.useNewGenerator = settings.useNewMapGenerator || false;
+    // The map and every random stream share one seed, picked now when the settings have none
+    gameState.mapSeed = Number.isFinite(settings.mapSeed) ? settings.mapSeed : createSeed();
+
+    // Build units, buildings, technologies and terrain from the chosen content packs
+    gameState.contentPacks = applyContentPacks(settings.contentPacks);
+    
+    // Seed every random stream from the game seed so the game can be reproduced
+    initializeRandom(gameState, gameState.mapSeed);
+    gameState.actionLog = [];
+    initializeVictory(gameState, settings.victoryConditions);
+
+    // Headless simulations let the AI play the first seat as well
+    if (settings.aiOnly && gameState.players.length > 0) {
+        gameState.players[0].type = 'ai';
+    }
+
+    // Apply selected country to human player
+    if (settings.playerCountry && gameState.players && gameState.players.length > 0) {
+        gameState.players[0].faction = settings.playerCountry.name;
+        gameState.players[0].name = `Player (${settings.playerCountry.flag} ${settings.playerCountry.name})`;
+    }
+    
+    // Make sure there are enough AI players based on settings
+    if (gameState.aiPlayerCount > 0 && gameState.players.length < gameState.aiPlayerCount + 1) {
+        // Add AI players if needed
+        const aiToCreate = gameState.aiPlayerCount - (gameState.players.length - 1);
+        console.log(`Creating ${aiToCreate} new AI players`);
+        
+        for (let i = 0; i < aiToCreate; i++) {
+            const aiIndex = gameState.players.length + 1;
+            gameState.players.push({
+                index: aiIndex,
+                name: `AI Player ${aiIndex}`,
+                type: "ai",
+                age: gameState.ages[0] || 'Stone Age',
+                resources: {
+                    food: 100,
+                    wood: 100,
+                    stone: 50,
+                    gold: 0
+                },
+                technologies: [],
+                units: [],
+                buildings: [],
+                buildingQueue: [],
+                unlockedUnits: ["settler", "warrior"],
+                happiness: 100,
+                health: 100,
+                totalPopulation: 5,
+                populationCap: 10,
+                ageProgress: 0
+            });
+        }
+    }
+    
+    // Set AI players active/inactive
+    if (gameState.players) {
+        for (let i = 1; i < gameState.players.length; i++) {
+            gameState.players[i].inactive = i > gameState.aiPlayerCount;
+        }
+    }
+    
+    // Generate map with error handling and recovery
+    console.log('Generating map...');
+    try {
+        gameState = generateMap(gameState);
+        
+        // Validate the generated game state
+        const validationResult = validateGameState(gameState);
+        if (!validationResult.isValid) {
+            throw new Error(`Invalid game state after map generation: ${validationResult.errors.join(', ')}`);
+        }
+    } catch (mapError) {
+        console.error('Map generation failed:', mapError);
+        
+        // Clean up the game state
+        gameState = cleanGameState(gameState);
+        
+        // Retry map generation with different seed
+        try {
+            if (!Number.isFinite(settings.mapSeed)) {
+                gameState.mapSeed = createSeed();
+                initializeRandom(gameState, gameState.mapSeed);
+                console.log('Retrying map generation with new seed:', gameState.mapSeed);
+                gameState = generateMap(gameState);
+            } else {
+                throw new Error('Failed to generate map with provided seed');
+            }
+        } catch (retryError) {
+            console.error("Failed on retry:", retryError);
+            // Create a basic fallback map - just a simple grid with varied terrain
+            generateFallbackMap(gameState);
+        }
+    }
+    
+    // Give every starting unit an id and track it on its owner
+    syncPlayerUnits(gameState);
+    
+    // Make sure game state has required methods
+    if (typeof gameState.checkGameEnd !== 'function' || typeof gameState.notifyPlayers !== 'function') {
+        attachStateMethods(gameState);
+    }
+    
+    return gameState;
+}
+
+/**
+ * Create a new game from settings
+ * @param {Object} settings - New game settings, see setupNewGame
+ * @returns {GameEngine} - Engine ready for start()
+ */
+export function createGame(settings) {
+    return new GameEngine(setupNewGame(createInitialGameState(), settings));
+}
+
+export class GameEngine {
+    /**
+     * @param {Object} gameState - A set up or loaded game state
+     * @param {Object} savedSystems - Optional system states from a save file
+     */
+    constructor(gameState, savedSystems = null) {
+        this.gameState = gameState;
+
+        const { turnManager, systems, commands } = initializeTurnSystems(gameState, savedSystems || {});
+        this.turnManager = turnManager;
+        this.systems = systems;
+        this.commands = commands;
+    }
+
+    /**
+     * Begin the first turn of a new game. Loaded games continue where they were saved.
+     */
+    start() {
+        this.turnManager.startGame();
+        return this;
+    }
+
+    /**
+     * Issue a command for the player whose turn it is
+     * @returns {Object} - { success, reason, ... }
+     */
+    issue(type, fields = {}) {
+        return this.commands.issue(type, fields);
+    }
+
+    /**
+     * End the current player's turn
+     * @returns {Object} - { success, reason, turn, currentPlayer, newRound }
+     */
+    endTurn() {
+        return this.issue('EndTurn');
+    }
+
+    /**
+     * Search the routes of the AI players that act before the next human player on the
+     * pathfinding workers. Call it before ending a human turn so the AI turns that
+     * follow find their paths cached instead of searching on the main thread.
+     * @returns {Promise}
+     */
+    prepareAITurns() {
+        const players = this.gameState.players;
+        const upcoming = [];
+        for (let i = 1; i < players.length; i++) {
+            const player = players[(this.gameState.currentPlayer - 1 + i) % players.length];
+            if (player.type === 'human') break;
+            if (!player.inactive) upcoming.push(player);
+        }
+        return this.systems.ai.prepareTurns(upcoming, this.systems.pathfindingPool);
+    }
+
+    /**
+     * Play until the given number of rounds have finished or the game is over
+     * @param {number} rounds - Number of rounds to play
+     * @returns {Object} - Summary of the game afterwards
+     */
+    runTurns(rounds) {
+        // Players take their turns in index order within a round, so this only ever grows
+        const seatCount = this.gameState.players.length;
+        const position = () => this.gameState.turn * seatCount + this.gameState.currentPlayer - 1;
+        const lastPosition = position() + rounds * seatCount;
+
+        while (position() < lastPosition && !this.gameState.gameOver) {
+            const result = this.endTurn();
+            if (!result.success) {
+                throw new Error(`Could not end turn ${this.gameState.turn}: ${result.reason}`);
+            }
+        }
+
+        return this.getSummary();
+    }
+
+    /**
+     * Replay the action log of another game on this one, started from the same settings.
+     * System commands are skipped, the AI and move orders issue them again as the game plays.
+     * @param {Array} actionLog - [{ turn, command, system }] from gameState.actionLog
+     * @returns {Object} - Summary of the game afterwards
+     */
+    replay(actionLog) {
+        actionLog.filter(entry => !entry.system).forEach(entry => {
+            const result = this.commands.dispatch(entry.command);
+            if (!result.success) {
+                throw new Error(`Could not replay ${entry.command.type} of turn ${entry.turn}: ${result.reason}`);
+            }
+        });
+
+        return this.getSummary();
+    }
+
+    /**
+     * Detach the engine from the game state before another engine takes it over
+     */
+    dispose() {
+        this.commands.detach();
+        this.systems.pathfindingPool.terminate();
+    }
+
+    /**
+     * Write the game into a save document
+     */
+    save() {
+        return serializeGame(this.gameState, this.systems);
+    }
+
+    /**
+     * Continue a game from a save document
+     * @param {Object} saveDocument - Document produced by save() or serializeGame
+     * @returns {GameEngine}
+     */
+    static fromSave(saveDocument) {
+        const { gameState, systems } = deserializeGame(saveDocument);
+        return new GameEngine(gameState, systems);
+    }
+
+    /**
+     * Describe the game for logs and tests
+     * @returns {Object} - { turn, currentPlayer, gameOver, gameResult, commandCount, players }
+     */
+    getSummary() {
+        const state = this.gameState;
+        return {
+            turn: state.turn,
+            currentPlayer: state.currentPlayer,
+            gameOver: !!state.gameOver,
+            gameResult: state.gameResult || null,
+            commandCount: (state.actionLog || []).length,
+            players: state.players.filter(player => !player.inactive).map(player => ({
+                index: player.index,
+                name: player.name,
+                type: player.type,
+                age: player.age,
+                resources: { ...player.resources },
+                units: (player.units || []).length,
+                buildings: (player.buildings || []).length,
+                technologies: (player.technologies || []).length,
+                victoryProgress: { ...state.victory?.progress[player.index] }
+            }))
+        };
+    }
+}
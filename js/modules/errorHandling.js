@@ -113,8 +113,8 @@ export function validateGameState(gameState) {
 export function handleError(context, error, recoveryAction = null) {
     console.error(`Error in ${context}:`, error);
     
-    // Log to analytics or error tracking service if available
-    if (window.errorTracking) {
+    // Log to analytics or error tracking service if available (browser only)
+    if (typeof window !== 'undefined' && window.errorTracking) {
         window.errorTracking.logError(context, error);
     }
 
@@ -168,26 +168,227 @@ export function validateGameAction(actionType, params) {
             return validateMoveAction(params);
         case 'build':
             return validateBuildAction(params);
+        case 'infrastructure':
+            return validateInfrastructureAction(params);
+        case 'pillage':
+            return validatePillageAction(params);
+        case 'embark':
+            return validateEmbarkAction(params);
+        case 'disembark':
+            return validateDisembarkAction(params);
+        case 'rebase':
+            return validateRebaseAction(params);
+        case 'airMission':
+            return validateAirMissionAction(params);
         case 'research':
             return validateResearchAction(params);
+        case 'attack':
+            return validateAttackAction(params);
+        case 'promote':
+            return validatePromoteAction(params);
+        case 'createUnit':
+            return validateCreateUnitAction(params);
+        case 'diplomacy':
+            return validateDiplomacyAction(params);
         default:
             return { isValid: false, error: 'Unknown action type' };
     }
 }
 
 // Private helper functions for action validation
-function validateMoveAction({ unit, targetX, targetY, mapSize }) {
+function validateMoveAction({ unit, targetX, targetY, mapSize, player }) {
     if (!unit) return { isValid: false, error: 'No unit specified' };
+    if (player && unit.owner !== player.index) {
+        return { isValid: false, error: 'Unit belongs to another player' };
+    }
     if (targetX < 0 || targetX >= mapSize || targetY < 0 || targetY >= mapSize) {
         return { isValid: false, error: 'Target position out of bounds' };
     }
     return { isValid: true };
 }
 
-function validateBuildAction({ building, resources, position }) {
+function validateBuildAction({ building, resources, position, tile }) {
     if (!building) return { isValid: false, error: 'No building specified' };
     if (!position) return { isValid: false, error: 'No position specified' };
     if (!resources) return { isValid: false, error: 'No resources specified' };
+    if (tile) {
+        if (tile.building || tile.buildingInProgress) {
+            return { isValid: false, error: 'Tile already has a building' };
+        }
+        if (building.terrainRequirement && !building.terrainRequirement.includes(tile.type)) {
+            return { isValid: false, error: `Cannot build on ${tile.type}` };
+        }
+    }
+    return validateCost(building.cost, resources);
+}
+
+function validateInfrastructureAction({ unit, unitInfo, infrastructure, tile, terrainInfo, ages, player, resources }) {
+    if (!infrastructure) return { isValid: false, error: 'No infrastructure specified' };
+    if (!unit || !tile) return { isValid: false, error: 'No unit specified' };
+    if (player && unit.owner !== player.index) {
+        return { isValid: false, error: 'Unit belongs to another player' };
+    }
+    if (!unitInfo?.abilities?.includes('build')) {
+        return { isValid: false, error: `${unit.type} cannot build ${infrastructure.name}` };
+    }
+    if (unit.remainingMP !== undefined && unit.remainingMP <= 0) {
+        return { isValid: false, error: 'Unit has no movement points left' };
+    }
+    if (player && ages && ages.indexOf(infrastructure.age) > ages.indexOf(player.age)) {
+        return { isValid: false, error: `${infrastructure.name} requires the ${infrastructure.age}` };
+    }
+    if (!terrainInfo || terrainInfo.movementCost === null) {
+        return { isValid: false, error: `Cannot build ${infrastructure.name} on ${tile.type}` };
+    }
+    if (tile.infrastructureInProgress) {
+        return { isValid: false, error: 'Tile already has construction under way' };
+    }
+    if (infrastructure.riverOnly && !tile.river) {
+        return { isValid: false, error: `${infrastructure.name} can only be built on a river` };
+    }
+
+    // Railways are laid over an existing road or bridge, anything else needs an empty tile
+    const existing = tile.infrastructure?.type;
+    if (infrastructure.requires) {
+        if (!infrastructure.requires.includes(existing)) {
+            return { isValid: false, error: `${infrastructure.name} must be built on a ${infrastructure.requires.join(' or ')}` };
+        }
+    } else if (existing) {
+        return { isValid: false, error: `Tile already has a ${existing}` };
+    } else if (tile.river && !infrastructure.riverOnly) {
+        return { isValid: false, error: 'Rivers need a bridge' };
+    }
+    return validateCost(infrastructure.cost, resources);
+}
+
+function validatePillageAction({ unit, unitInfo, tile, player }) {
+    if (!unit || !tile) return { isValid: false, error: 'No unit specified' };
+    if (player && unit.owner !== player.index) {
+        return { isValid: false, error: 'Unit belongs to another player' };
+    }
+    if (unitInfo?.type !== 'military') {
+        return { isValid: false, error: 'Only military units can pillage' };
+    }
+    if (unit.remainingMP !== undefined && unit.remainingMP <= 0) {
+        return { isValid: false, error: 'Unit has no movement points left' };
+    }
+    const target = tile.infrastructure || tile.infrastructureInProgress;
+    if (!target) {
+        return { isValid: false, error: 'Nothing to pillage here' };
+    }
+    if (target.owner === unit.owner) {
+        return { isValid: false, error: 'Cannot pillage your own infrastructure' };
+    }
+    return { isValid: true };
+}
+
+function validateEmbarkAction({ unit, transport, player }) {
+    if (!unit) return { isValid: false, error: 'No unit specified' };
+    if (!transport) return { isValid: false, error: 'No transport specified' };
+    if (player && (unit.owner !== player.index || transport.owner !== player.index)) {
+        return { isValid: false, error: 'Unit belongs to another player' };
+    }
+    if (unit === transport) {
+        return { isValid: false, error: 'A unit cannot board itself' };
+    }
+    if (unit.isEmbarked) {
+        return { isValid: false, error: 'Unit is already aboard a transport' };
+    }
+    if (unit.army || unit.inArmy) {
+        return { isValid: false, error: 'Units board one at a time, move the unit out of its army first' };
+    }
+    return { isValid: true };
+}
+
+function validateDisembarkAction({ unit, transport, targetX, targetY, mapSize, player }) {
+    if (!unit) return { isValid: false, error: 'No unit specified' };
+    if (player && unit.owner !== player.index) {
+        return { isValid: false, error: 'Unit belongs to another player' };
+    }
+    if (!transport) {
+        return { isValid: false, error: 'Unit is not aboard a transport' };
+    }
+    if (targetX < 0 || targetX >= mapSize || targetY < 0 || targetY >= mapSize) {
+        return { isValid: false, error: 'Target position out of bounds' };
+    }
+    return { isValid: true };
+}
+
+/**
+ * Checks shared by every order to an aircraft
+ */
+function validateAircraft(unit, unitInfo, player) {
+    if (!unit) return { isValid: false, error: 'No unit specified' };
+    if (player && unit.owner !== player.index) {
+        return { isValid: false, error: 'Unit belongs to another player' };
+    }
+    if (unitInfo?.type !== 'air') {
+        return { isValid: false, error: 'Only aircraft can fly' };
+    }
+    if (unit.remainingMP !== undefined && unit.remainingMP <= 0) {
+        return { isValid: false, error: 'Aircraft has already flown this turn' };
+    }
+    return { isValid: true };
+}
+
+function validateRebaseAction({ unit, unitInfo, base, inRange, player }) {
+    const aircraft = validateAircraft(unit, unitInfo, player);
+    if (!aircraft.isValid) return aircraft;
+    if (!base) {
+        return { isValid: false, error: 'Aircraft can only rebase to your own airfield or carrier' };
+    }
+    if (base.x === unit.x && base.y === unit.y) {
+        return { isValid: false, error: 'Aircraft is already based there' };
+    }
+    if (!inRange) {
+        return { isValid: false, error: `That base is beyond the ${unit.type}'s range of ${unitInfo.range || 0}` };
+    }
+    if (base.aircraft.length >= base.capacity) {
+        return { isValid: false, error: 'That base has no room for more aircraft' };
+    }
+    return { isValid: true };
+}
+
+/**
+ * Check if either player declared war on the other
+ */
+function isAtWar(player, other) {
+    return player.relations?.[other.index]?.status === 'war' || other.relations?.[player.index]?.status === 'war';
+}
+
+function validateAirMissionAction({ unit, unitInfo, mission, targetTile, inRange, passenger, targetBase, player, enemy }) {
+    const aircraft = validateAircraft(unit, unitInfo, player);
+    if (!aircraft.isValid) return aircraft;
+    if (!unitInfo.abilities?.includes(mission)) {
+        return { isValid: false, error: `${unit.type} cannot fly ${mission} missions` };
+    }
+    if (!targetTile) {
+        return { isValid: false, error: 'Target position out of bounds' };
+    }
+    if (!inRange) {
+        return { isValid: false, error: `Target is beyond the ${unit.type}'s range of ${unitInfo.range || 0}` };
+    }
+
+    if (mission === 'strike' && (!targetTile.unit || targetTile.unit.owner === unit.owner)) {
+        return { isValid: false, error: 'No enemy unit to strike there' };
+    }
+    if (mission === 'strike' && player && enemy && !isAtWar(player, enemy)) {
+        return { isValid: false, error: `Not at war with ${enemy.name}` };
+    }
+    if (mission === 'airlift') {
+        if (unit.base?.carrierId) {
+            return { isValid: false, error: 'Airlifts fly from airfields' };
+        }
+        if (!passenger || passenger.owner !== unit.owner || passenger.isEmbarked) {
+            return { isValid: false, error: 'No unit of yours at the airfield to airlift' };
+        }
+        if (passenger.army) {
+            return { isValid: false, error: 'An army is too large to airlift, move its units out first' };
+        }
+        if (!targetBase || targetBase.carrier || targetTile.unit) {
+            return { isValid: false, error: 'Airlifts land at another of your airfields with no unit on it' };
+        }
+    }
     return { isValid: true };
 }
 
@@ -196,3 +397,84 @@ function validateResearchAction({ technology, player }) {
     if (!player) return { isValid: false, error: 'No player specified' };
     return { isValid: true };
 }
+
+function validatePromoteAction({ unit, promotion, eligibility, player }) {
+    if (!unit) return { isValid: false, error: 'No unit specified' };
+    if (player && unit.owner !== player.index) {
+        return { isValid: false, error: 'Unit belongs to another player' };
+    }
+    if (!unit.promotionsPending) {
+        return { isValid: false, error: 'Unit has no promotion to pick' };
+    }
+    if (!promotion) return { isValid: false, error: 'No promotion specified' };
+    if (!eligibility.allowed) {
+        return { isValid: false, error: eligibility.reason };
+    }
+    return { isValid: true };
+}
+
+function validateAttackAction({ attacker, defender, player, enemy, distance }) {
+    if (!attacker) return { isValid: false, error: 'No attacking unit specified' };
+    if (!defender) return { isValid: false, error: 'No target unit specified' };
+    if (player && attacker.owner !== player.index) {
+        return { isValid: false, error: 'Unit belongs to another player' };
+    }
+    if (attacker.owner === defender.owner) {
+        return { isValid: false, error: 'Cannot attack your own unit' };
+    }
+    // Either side's declaration of war is enough
+    if (player && enemy && !isAtWar(player, enemy)) {
+        return { isValid: false, error: `Not at war with ${enemy.name}` };
+    }
+    if (attacker.isEmbarked) {
+        return { isValid: false, error: 'Units aboard a transport cannot attack' };
+    }
+    if (attacker.base || defender.base) {
+        return { isValid: false, error: 'Aircraft fight with air missions' };
+    }
+    if (defender.isEmbarked) {
+        return { isValid: false, error: 'Attack the transport carrying that unit' };
+    }
+    if (distance !== 1) {
+        return { isValid: false, error: 'Target is out of range' };
+    }
+    if (attacker.remainingMP !== undefined && attacker.remainingMP <= 0) {
+        return { isValid: false, error: 'Unit has no movement points left' };
+    }
+    return { isValid: true };
+}
+
+function validateCreateUnitAction({ unitInfo, resources, player, ages, position, site }) {
+    if (!unitInfo) return { isValid: false, error: 'No unit type specified' };
+    if (!resources) return { isValid: false, error: 'No resources specified' };
+    if (player && ages && ages.indexOf(unitInfo.age) > ages.indexOf(player.age)) {
+        return { isValid: false, error: `${unitInfo.name} requires the ${unitInfo.age}` };
+    }
+    if (!site) {
+        return {
+            isValid: false,
+            error: position
+                ? `No building of yours at ${position.x}, ${position.y} trains a ${unitInfo.name} and has room for it`
+                : `None of your buildings trains a ${unitInfo.name} and has room for it`
+        };
+    }
+    return validateCost(unitInfo.cost, resources);
+}
+
+function validateDiplomacyAction({ sourcePlayer, targetPlayer }) {
+    if (!sourcePlayer) return { isValid: false, error: 'No player specified' };
+    if (!targetPlayer) return { isValid: false, error: 'No target player specified' };
+    if (sourcePlayer === targetPlayer) {
+        return { isValid: false, error: 'Cannot negotiate with yourself' };
+    }
+    return { isValid: true };
+}
+
+function validateCost(cost, resources) {
+    for (const resource in cost || {}) {
+        if ((resources[resource] || 0) < cost[resource]) {
+            return { isValid: false, error: `Not enough ${resource}` };
+        }
+    }
+    return { isValid: true };
+}
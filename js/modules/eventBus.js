@@ -0,0 +1,171 @@
+// Publish/subscribe bus for game events. Systems emit what happened to the game;
+// the UI and other systems listen for it instead of calling each other through window globals.
+import { handleError } from './errorHandling.js';
+
+// Registry of event types and the payload fields every event of that type carries
+const eventTypes = {};
+
+// One bus per game, so several headless games can run side by side
+const busesByGame = new WeakMap();
+
+/**
+ * Register an event type that can be emitted on the bus
+ * @param {string} type - Event type, e.g. 'unit.moved'
+ * @param {Array} fields - Payload fields every event of this type must have
+ * @param {string} description - Short summary of when the event is emitted
+ */
+export function registerEventType(type, fields, description) {
+    if (eventTypes[type]) {
+        throw new Error(`Event type ${type} is already registered`);
+    }
+    eventTypes[type] = { fields, description };
+}
+
+/**
+ * Get every registered event type with its payload fields and description
+ */
+export function getEventTypes() {
+    return { ...eventTypes };
+}
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Listen for an event type
+     * @param {string} type - Registered event type, or '*' for every event
+     * @param {Function} listener - (payload, type) => void
+     * @returns {Function} - Call to stop listening
+     */
+    on(type, listener) {
+        if (type !== '*' && !eventTypes[type]) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Listen for the next event of a type only
+     */
+    once(type, listener) {
+        const unsubscribe = this.on(type, (payload, eventType) => {
+            unsubscribe();
+            listener(payload, eventType);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Stop listening for an event type
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    /**
+     * Deliver an event to its listeners. A failing listener is logged and
+     * does not stop the others or the system that emitted the event.
+     * @param {string} type - Registered event type
+     * @param {Object} payload - Event data, must contain the type's fields
+     */
+    emit(type, payload = {}) {
+        const eventType = eventTypes[type];
+        if (!eventType) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+        const missing = eventType.fields.filter(field => !(field in payload));
+        if (missing.length > 0) {
+            throw new Error(`Event ${type} is missing ${missing.join(', ')}`);
+        }
+
+        const listeners = [...(this.listeners.get(type) || []), ...(this.listeners.get('*') || [])];
+        listeners.forEach(listener => {
+            try {
+                listener(payload, type);
+            } catch (error) {
+                handleError(`listener for ${type}`, error);
+            }
+        });
+    }
+
+    /**
+     * Remove every listener
+     */
+    clear() {
+        this.listeners.clear();
+    }
+}
+
+/**
+ * Get the event bus of a game, creating it on first use
+ * @param {Object} gameState - The game state
+ * @returns {EventBus}
+ */
+export function getEventBus(gameState) {
+    if (!busesByGame.has(gameState)) {
+        busesByGame.set(gameState, new EventBus());
+    }
+    return busesByGame.get(gameState);
+}
+
+/**
+ * Emit an event on a game's bus
+ */
+export function emitGameEvent(gameState, type, payload) {
+    getEventBus(gameState).emit(type, payload);
+}
+
+// Units
+registerEventType('unit.created', ['unitId', 'owner', 'unitType', 'x', 'y'], 'A player trained a unit at one of its buildings, placed on tile x, y');
+registerEventType('unit.moved', ['unitId', 'owner', 'from', 'to'], 'A unit moved one or more tiles');
+registerEventType('unit.attacked', ['attackerId', 'defenderId', 'damage'], 'A unit attacked another unit');
+registerEventType('unit.killed', ['unitId', 'owner', 'unitType', 'killedBy', 'x', 'y'], 'A unit was destroyed');
+registerEventType('unit.embarked', ['unitId', 'transportId', 'owner', 'x', 'y'], 'A unit boarded a transport, leaving tile x, y');
+registerEventType('unit.disembarked', ['unitId', 'transportId', 'owner', 'x', 'y'], 'A unit landed from a transport on tile x, y');
+registerEventType('unit.rebased', ['unitId', 'owner', 'from', 'to'], 'An aircraft flew to another air base');
+registerEventType('unit.intercepted', ['unitId', 'interceptorId', 'damage', 'x', 'y'], 'A patrolling aircraft engaged an enemy aircraft flying a mission to tile x, y');
+registerEventType('unit.airMission', ['unitId', 'owner', 'mission', 'x', 'y'], 'An aircraft flew a strike, intercept, recon or airlift mission to tile x, y');
+registerEventType('combat.resolved', ['attackerId', 'defenderId', 'x', 'y'], 'A fight on tile x, y ended and its report was added to gameState.combatLog');
+registerEventType('unit.leveledUp', ['unitId', 'owner', 'level'], 'A unit gained enough experience to reach a new level and pick a promotion');
+registerEventType('unit.promoted', ['unitId', 'owner', 'promotionId'], 'A unit took a promotion');
+registerEventType('unit.orderEnded', ['unitId', 'owner', 'reason'], 'A move order ended: arrived, enemySpotted, blocked or cancelled');
+registerEventType('unit.selected', ['unitId'], 'The player selected a unit, unitId is null when the selection is cleared');
+registerEventType('tiles.revealed', ['player', 'count', 'x', 'y'], 'A player discovered new tiles');
+
+// Buildings, infrastructure and research
+registerEventType('building.started', ['buildingType', 'owner', 'x', 'y'], 'Construction began on a tile');
+registerEventType('building.completed', ['buildingType', 'owner', 'x', 'y'], 'A construction site finished');
+registerEventType('infrastructure.started', ['infrastructureType', 'owner', 'x', 'y'], 'A unit began building a road, bridge or railway');
+registerEventType('infrastructure.completed', ['infrastructureType', 'owner', 'x', 'y'], 'A road, bridge or railway was finished');
+registerEventType('infrastructure.pillaged', ['infrastructureType', 'owner', 'pillagedBy', 'x', 'y'], 'A unit destroyed another player\'s road, bridge or railway');
+registerEventType('tech.researched', ['techId', 'player'], 'A player finished researching a technology');
+
+// Diplomacy
+registerEventType('treaty.proposed', ['treatyId', 'treatyType', 'source', 'target'], 'A player offered a treaty');
+registerEventType('treaty.signed', ['treatyId', 'treatyType', 'source', 'target'], 'A treaty was accepted');
+registerEventType('war.declared', ['aggressor', 'defender'], 'A player declared war');
+
+// World
+registerEventType('weather.changed', ['weather', 'previous'], 'The weather changed');
+registerEventType('event.started', ['eventId', 'name', 'description'], 'A random game event began');
+registerEventType('event.ended', ['eventId', 'name'], 'A random game event ended');
+registerEventType('notification', ['message'], 'A message for the players, from gameState.notifyPlayers');
+
+// Turns
+registerEventType('turn.started', ['turn', 'player'], 'A player\'s turn began');
+registerEventType('turn.ended', ['turn', 'player'], 'A player ended their turn');
+registerEventType('round.ended', ['turn'], 'Every player finished the round and the round systems ran');
+registerEventType('command.undone', ['commandType', 'player'], 'A player took back a command; undo restores the game without the events the command emitted');
+registerEventType('game.over', ['winner', 'type', 'turn'], 'The game ended');
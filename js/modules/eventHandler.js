@@ -1,7 +1,17 @@
+import { revealArea } from './map.js';
+import { canMoveToTile } from './movement.js';
+import { emitGameEvent } from './eventBus.js';
+
 export class EventHandler {
-    constructor(gameState, viewport) {
+    /**
+     * @param {Object} gameState - The game state
+     * @param {Viewport} viewport - Camera used to map screen positions to tiles
+     * @param {Function} dispatchCommand - (type, fields) => result, issues a command for the current player
+     */
+    constructor(gameState, viewport, dispatchCommand) {
         this.gameState = gameState;
         this.viewport = viewport;
+        this.dispatchCommand = dispatchCommand;
         this.isDragging = false;
         this.dragStartX = 0;
         this.dragStartY = 0;
@@ -138,6 +148,22 @@ export class EventHandler {
     }
 
     handleKeyDown(e) {
+        // Ctrl+Z / Ctrl+Y (Cmd on Mac) undo and redo the current turn's actions; other
+        // combinations fall through to the keys below
+        if (e.ctrlKey || e.metaKey) {
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                if (typeof window.undoAction === 'function') window.undoAction();
+                return;
+            }
+            if (key === 'y' || (key === 'z' && e.shiftKey)) {
+                e.preventDefault();
+                if (typeof window.redoAction === 'function') window.redoAction();
+                return;
+            }
+        }
+
         switch(e.key) {
             case 'ArrowLeft':
                 this.viewport.pan(50, 0);
@@ -157,6 +183,9 @@ export class EventHandler {
             case '-':
                 this.viewport.zoom(0.9);
                 break;
+            case 'Escape':
+                if (typeof window.clearMovePreview === 'function') window.clearMovePreview();
+                break;
         }
     }
 
@@ -191,89 +220,35 @@ export class EventHandler {
     }
 
     handleFogOfWar(hexCoords) {
-        // Import the revealArea function if it's not available in the current scope
-        if (typeof window.revealArea === 'function') {
-            // Use globally available function
-            window.revealArea(this.gameState, hexCoords.q, hexCoords.r, 2, this.gameState.currentPlayer - 1);
-        } else {
-            // Dynamically import the function
-            import('../modules/map.js').then(mapModule => {
-                mapModule.revealArea(this.gameState, hexCoords.q, hexCoords.r, 2, this.gameState.currentPlayer - 1);
-            }).catch(error => {
-                console.error("Error importing revealArea function:", error);
-            });
-        }
+        revealArea(this.gameState, hexCoords.q, hexCoords.r, 2, this.gameState.currentPlayer - 1);
         
         if (this.gameState.selectedUnit) {
-            // Import canMoveToTile from movement.js
-            import('../modules/movement.js').then(movementModule => {
-                if (movementModule.canMoveToTile) {
-                    const moveResult = movementModule.canMoveToTile(
-                        this.gameState.selectedUnit,
-                        this.gameState.selectedUnit.x,
-                        this.gameState.selectedUnit.y,
-                        hexCoords.q,
-                        hexCoords.r,
-                        this.gameState.map,
-                        true // Allow moving through fog of war
-                    );
-                    
-                    if (moveResult.canMove) {
-                        this.handleUnitMovement(this.gameState.selectedUnit, hexCoords);
-                    }
-                } else {
-                    console.error("canMoveToTile function not found in movement module");
-                }
-            }).catch(error => {
-                console.error("Error importing movement module:", error);
-            });
+            const moveResult = canMoveToTile(
+                this.gameState.selectedUnit,
+                this.gameState.selectedUnit.x,
+                this.gameState.selectedUnit.y,
+                hexCoords.q,
+                hexCoords.r,
+                this.gameState,
+                true // Allow moving through fog of war
+            );
+            
+            if (moveResult.canMove) {
+                this.handleUnitMovement(this.gameState.selectedUnit, hexCoords);
+            }
         }
     }
 
     handleBuildingPlacement(hexCoords) {
-        // Import buildStructure from gameEvents.js
-        import('../modules/gameEvents.js').then(gameEventsModule => {
-            if (gameEventsModule.buildStructure) {
-                const success = gameEventsModule.buildStructure(this.gameState, hexCoords.q, hexCoords.r);
-                if (success) {
-                    this.gameState.selectedBuildingType = null;
-                }
-            } else {
-                console.error("buildStructure function not found in gameEvents module");
-            }
-        }).catch(error => {
-            console.error("Error importing gameEvents module:", error);
-        });
+        const buildingType = this.gameState.selectedBuildingType;
+        this.gameState.selectedBuildingType = null;
+        this.dispatchCommand('Build', { buildingType, x: hexCoords.q, y: hexCoords.r });
     }
 
     handleUnitSelection(unit) {
-        // Set the selected unit in the game state
+        // Set the selected unit in the game state, the UI shows its actions panel
         this.gameState.selectedUnit = unit;
-        
-        // Show unit actions panel via DOM
-        const unitActionsContainer = document.getElementById('unit-actions-container');
-        if (unitActionsContainer) {
-            // Update unit info in the panel
-            if (typeof window.updateUnitActionsPanel === 'function') {
-                window.updateUnitActionsPanel(unit);
-            } else {
-                // Fallback to showing the panel if the function doesn't exist
-                unitActionsContainer.style.display = 'block';
-                
-                // Update unit info if possible
-                const selectedUnitInfo = document.getElementById('selected-unit-info');
-                if (selectedUnitInfo) {
-                    const unitInfo = `
-                        <div style="margin: 10px 0;">
-                            <strong>${unit.type}</strong><br>
-                            Health: ${unit.health || 100}%<br>
-                            Movement: ${unit.remainingMP || 2}/2<br>
-                        </div>
-                    `;
-                    selectedUnitInfo.innerHTML = unitInfo;
-                }
-            }
-        }
+        emitGameEvent(this.gameState, 'unit.selected', { unitId: unit.id });
     }
 
     handleUnitAction(hexCoords) {
@@ -286,117 +261,50 @@ export class EventHandler {
             this.handleUnitAttack(this.gameState.selectedUnit, tile);
         } else {
             // Direct movement if no specific action mode
-            // Import canMoveToTile from movement.js if needed
-            import('../modules/movement.js').then(movementModule => {
-                if (movementModule.canMoveToTile) {
-                    const moveResult = movementModule.canMoveToTile(
-                        this.gameState.selectedUnit,
-                        this.gameState.selectedUnit.x,
-                        this.gameState.selectedUnit.y,
-                        hexCoords.q,
-                        hexCoords.r,
-                        this.gameState.map
-                    );
-                    
-                    if (moveResult.canMove) {
-                        this.handleUnitMovement(this.gameState.selectedUnit, hexCoords);
-                    }
-                } else {
-                    console.error("canMoveToTile function not found in movement module");
-                }
-            }).catch(error => {
-                console.error("Error importing movement module:", error);
-            });
+            const moveResult = canMoveToTile(
+                this.gameState.selectedUnit,
+                this.gameState.selectedUnit.x,
+                this.gameState.selectedUnit.y,
+                hexCoords.q,
+                hexCoords.r,
+                this.gameState
+            );
+            
+            if (moveResult.canMove) {
+                this.handleUnitMovement(this.gameState.selectedUnit, hexCoords);
+            }
         }
     }
 
     handleUnitMovement(unit, hexCoords) {
-        // Import moveUnit from movement.js if needed
-        import('../modules/movement.js').then(movementModule => {
-            if (movementModule.moveUnit) {
-                const success = movementModule.moveUnit(
-                    unit, 
-                    hexCoords.q, 
-                    hexCoords.r, 
-                    this.gameState.map,
-                    (message) => console.log(message)
-                );
-                
-                if (success) {
-                    // Update UI
-                    if (typeof window.updateUnitActionsPanel === 'function') {
-                        window.updateUnitActionsPanel(unit);
-                    }
-                    
-                    // Clear selected unit if out of movement points
-                    if (unit.remainingMP <= 0) {
-                        this.gameState.selectedUnit = null;
-                        
-                        // Hide unit actions panel if it exists
-                        const unitActionsContainer = document.getElementById('unit-actions-container');
-                        if (unitActionsContainer) {
-                            unitActionsContainer.style.display = 'none';
-                        }
-                    }
-                }
-            } else {
-                console.error("moveUnit function not found in movement module");
-            }
-        }).catch(error => {
-            console.error("Error importing movement module:", error);
+        const result = this.dispatchCommand('MoveUnit', {
+            unitId: unit.id,
+            targetX: hexCoords.q,
+            targetY: hexCoords.r
         });
+        
+        // Clear selected unit if out of movement points
+        if (result.success && unit.remainingMP <= 0) {
+            this.clearUnitSelection();
+        }
     }
 
     handleUnitAttack(attackingUnit, targetTile) {
         if (targetTile.unit && targetTile.unit.owner !== this.gameState.currentPlayer) {
-            // Import the attackUnit function or use a local implementation
-            if (typeof window.attackUnit === 'function') {
-                window.attackUnit(attackingUnit, targetTile.unit);
-            } else {
-                // Fallback to a simple attack implementation
-                this.simpleAttack(attackingUnit, targetTile.unit);
+            const result = this.dispatchCommand('Attack', {
+                unitId: attackingUnit.id,
+                targetUnitId: targetTile.unit.id
+            });
+            
+            // Attacking uses all movement points
+            if (result.success) {
+                this.clearUnitSelection();
             }
         }
     }
-    
-    // Simple attack implementation as a fallback
-    simpleAttack(attackingUnit, defendingUnit) {
-        // Get unit types
-        const unitTypes = window.unitTypes || {
-            // Default unit type info if not available
-            warrior: { attack: 10, defense: 10 },
-            archer: { attack: 15, defense: 5 },
-            settler: { attack: 2, defense: 2 }
-        };
-        
-        const attackerType = unitTypes[attackingUnit.type] || { attack: 5 };
-        const defenderType = unitTypes[defendingUnit.type] || { defense: 5 };
-        
-        // Calculate damage
-        const damage = Math.floor((attackerType.attack / defenderType.defense) * 20);
-        
-        // Apply damage
-        if (!defendingUnit.health) defendingUnit.health = 100;
-        defendingUnit.health -= damage;
-        
-        // Use all movement points
-        attackingUnit.remainingMP = 0;
-        
-        // Check if defender is defeated
-        if (defendingUnit.health <= 0) {
-            const x = defendingUnit.x;
-            const y = defendingUnit.y;
-            this.gameState.map[y][x].unit = null;
-            console.log(`Enemy ${defendingUnit.type} defeated`);
-        }
-        
-        // Clear selected unit
+
+    clearUnitSelection() {
         this.gameState.selectedUnit = null;
-        
-        // Hide UI panel
-        const unitActionsContainer = document.getElementById('unit-actions-container');
-        if (unitActionsContainer) {
-            unitActionsContainer.style.display = 'none';
-        }
+        emitGameEvent(this.gameState, 'unit.selected', { unitId: null });
     }
 }
@@ -1,18 +1,34 @@
 // Import needed modules
 import { unitTypes } from './units.js';
 import { buildingTypes } from './buildings.js';
+import { random } from './random.js';
+import { emitGameEvent } from './eventBus.js';
+import { terrainTypes } from './terrain.js';
+import { getGrid } from './grid.js';
+import { registerUnit } from './gameState.js';
+import { checkTerrainPassability } from './movementRules.js';
+import { getAirBase, stationAircraft } from './air.js';
 
 // Export individual functions to match the imports in game.js
+/**
+ * Pass play to the next active player.
+ * Round bookkeeping (turn counter, end-of-round systems) is done by the TurnManager.
+ * @returns {boolean} - True when play wrapped around and a new round begins
+ */
 export function endTurn(gameState) {
-    // End the current turn
-    const currentPlayer = gameState.currentPlayer;
-    gameState.currentPlayer = (currentPlayer % gameState.players.length) + 1;
-    gameState.turn++;
+    const playerCount = gameState.players.length;
+    let nextPlayer = gameState.currentPlayer;
+    let newRound = false;
     
-    // Process end of turn effects
-    processProductionQueues(gameState);
+    // Skip eliminated/unused player slots
+    for (let i = 0; i < playerCount; i++) {
+        nextPlayer = (nextPlayer % playerCount) + 1;
+        if (nextPlayer === 1) newRound = true;
+        if (!gameState.players[nextPlayer - 1].inactive) break;
+    }
     
-    return gameState;
+    gameState.currentPlayer = nextPlayer;
+    return newRound;
 }
 
 export function startResearch(techName) {
@@ -51,23 +67,94 @@ export function handleDiplomacy(gameState, targetPlayer, action) {
     return gameState;
 }
 
-export function createUnit(gameState, unitType) {
-    // Create a new unit of the specified type
+/**
+ * Where a unit trained at a building is placed: at the building when it is an air base with
+ * room for an aircraft, otherwise on the building's tile or the first tile next to it the
+ * unit can stand on
+ * @param {Object} gameState - The game state
+ * @param {String} unitType - Key in unitTypes
+ * @param {Number} x - X coordinate of the building
+ * @param {Number} y - Y coordinate of the building
+ * @param {Number} owner - Index of the player training the unit
+ * @returns {Object|null} - { x, y, base } where base is the air base of an aircraft
+ */
+export function findSpawnPosition(gameState, unitType, x, y, owner) {
+    const unitInfo = unitTypes[unitType];
+    if (!unitInfo) return null;
+
+    if (unitInfo.type === 'air') {
+        const base = getAirBase(gameState, x, y, owner);
+        return base && base.aircraft.length < base.capacity ? { x, y, base } : null;
+    }
+
+    const position = [{ x, y }, ...getGrid(gameState).neighbors(x, y)].find(candidate => {
+        const tile = gameState.map[candidate.y]?.[candidate.x];
+        const terrainInfo = tile && terrainTypes[tile.type];
+        return terrainInfo && !tile.unit && checkTerrainPassability(unitInfo, tile.type, terrainInfo, false).passable;
+    });
+    return position ? { x: position.x, y: position.y, base: null } : null;
+}
+
+/**
+ * A building of the player that trains the unit type, with where the unit would be placed
+ * @param {Object} gameState - The game state
+ * @param {Object} player - The player
+ * @param {String} unitType - Key in unitTypes
+ * @param {Object} position - { x, y } of the building to use, or null for any of the player's buildings
+ * @returns {Object|null} - { x, y, spawn } of the building, see findSpawnPosition
+ */
+export function findTrainingSite(gameState, player, unitType, position = null) {
+    const candidates = position ? [position] : (player.buildings || []);
+    for (const candidate of candidates) {
+        const tile = gameState.map?.[candidate.y]?.[candidate.x];
+        if (!tile || !tile.building || tile.building.owner !== player.index) continue;
+        if (!buildingTypes[tile.building.type]?.trains?.includes(unitType)) continue;
+
+        const spawn = findSpawnPosition(gameState, unitType, candidate.x, candidate.y, player.index);
+        if (spawn) {
+            return { x: candidate.x, y: candidate.y, spawn };
+        }
+    }
+    return null;
+}
+
+/**
+ * Train a unit for the current player, paying its cost. It can act from the next turn.
+ * @param {Object} gameState - The game state
+ * @param {String} unitType - Key in unitTypes
+ * @param {Object} spawn - Where the unit is placed, see findSpawnPosition
+ * @returns {Object} - The new unit
+ */
+export function createUnit(gameState, unitType, spawn) {
     const player = gameState.players[gameState.currentPlayer - 1];
-    
-    // Check if player can afford it
     const unitInfo = unitTypes[unitType];
-    if (!unitInfo) return gameState;
-    
-    // Deduct resources
+
     for (const resource in unitInfo.cost) {
         player.resources[resource] -= unitInfo.cost[resource];
     }
-    
-    // Add unit to player's units
-    // In a real implementation, would need to place on map
-    
-    return gameState;
+
+    const unit = {
+        type: unitType,
+        owner: player.index,
+        x: spawn.x,
+        y: spawn.y,
+        health: 100,
+        remainingMP: 0,
+        canMove: false
+    };
+    if (unitInfo.capacity) {
+        unit.cargo = [];
+    }
+
+    if (spawn.base) {
+        stationAircraft(unit, spawn.base);
+    } else {
+        gameState.map[spawn.y][spawn.x].unit = unit;
+    }
+    registerUnit(gameState, unit);
+    emitGameEvent(gameState, 'unit.created', { unitId: unit.id, owner: player.index, unitType, x: spawn.x, y: spawn.y });
+
+    return unit;
 }
 
 export function startBuilding(gameState, buildingType) {
@@ -75,11 +162,11 @@ export function startBuilding(gameState, buildingType) {
     return gameState;
 }
 
-export function buildStructure(gameState, x, y) {
-    if (!gameState.selectedBuildingType) return gameState;
+export function buildStructure(gameState, x, y, buildingType = gameState.selectedBuildingType) {
+    if (!buildingType) return gameState;
     
     const player = gameState.players[gameState.currentPlayer - 1];
-    const buildingInfo = buildingTypes[gameState.selectedBuildingType];
+    const buildingInfo = buildingTypes[buildingType];
     
     // Check if can afford
     for (const resource in buildingInfo.cost) {
@@ -87,9 +174,13 @@ export function buildStructure(gameState, x, y) {
     }
     
     // Add building in progress
-    gameState.map[y][x].buildingInProgress = gameState.selectedBuildingType;
-    gameState.map[y][x].buildingProgress = 0;
-    gameState.map[y][x].buildingOwner = gameState.currentPlayer;
+    gameState.map[y][x].buildingInProgress = {
+        type: buildingType,
+        owner: gameState.currentPlayer,
+        progress: 0,
+        buildTime: buildingInfo.buildTime
+    };
+    emitGameEvent(gameState, 'building.started', { buildingType, owner: gameState.currentPlayer, x, y });
     
     // Clear selection
     gameState.selectedBuildingType = null;
@@ -97,8 +188,32 @@ export function buildStructure(gameState, x, y) {
     return gameState;
 }
 
-export function processProductionQueues(gameState) {
-    // Process building and unit production queues
+export function processProductionQueues(gameState, playerIndex = gameState.currentPlayer) {
+    // Advance every construction site owned by the player by one turn
+    const player = gameState.players[playerIndex - 1];
+    if (!player || !gameState.map) return gameState;
+    
+    for (const row of gameState.map) {
+        for (const tile of row) {
+            const construction = tile.buildingInProgress;
+            if (!construction || construction.owner !== playerIndex) continue;
+            
+            construction.progress = (construction.progress || 0) + 1;
+            
+            if (construction.progress >= (construction.buildTime || 1)) {
+                tile.building = { type: construction.type, owner: playerIndex };
+                player.buildings.push({ type: construction.type, x: tile.x, y: tile.y });
+                tile.buildingInProgress = null;
+                emitGameEvent(gameState, 'building.completed', {
+                    buildingType: construction.type,
+                    owner: playerIndex,
+                    x: tile.x,
+                    y: tile.y
+                });
+            }
+        }
+    }
+    
     return gameState;
 }
 
@@ -110,6 +225,27 @@ export class GameEvents {
         this.eventHistory = [];
     }
 
+    /**
+     * Get the serializable state of the event system
+     */
+    getState() {
+        return JSON.parse(JSON.stringify({
+            eventQueue: this.eventQueue,
+            activeEvents: this.activeEvents,
+            eventHistory: this.eventHistory
+        }));
+    }
+
+    /**
+     * Restore state produced by getState
+     */
+    loadState(state) {
+        if (!state) return;
+        this.eventQueue = state.eventQueue || [];
+        this.activeEvents = state.activeEvents || [];
+        this.eventHistory = state.eventHistory || [];
+    }
+
     /**
      * Update and process events for current turn
      */
@@ -145,7 +281,7 @@ export class GameEvents {
      * Generate random events based on current game state
      */
     generateRandomEvents() {
-        if (Math.random() < this.getEventChance()) {
+        if (random(this.gameState, 'events') < this.getEventChance()) {
             const possibleEvents = this.getPossibleEvents();
             if (possibleEvents.length > 0) {
                 const event = this.selectRandomEvent(possibleEvents);
@@ -298,11 +434,11 @@ export class GameEvents {
             (sum, event) => sum + (event.weight || 1), 0
         );
         
-        let random = Math.random() * totalWeight;
+        let roll = random(this.gameState, 'events') * totalWeight;
         
         for (const event of possibleEvents) {
-            random -= (event.weight || 1);
-            if (random <= 0) {
+            roll -= (event.weight || 1);
+            if (roll <= 0) {
                 return this.createEventInstance(event);
             }
         }
@@ -481,13 +617,65 @@ export class GameEvents {
         }
     }
 
+    /**
+     * Get the players an effect applies to - the targeted player or everyone
+     */
+    getEffectPlayers(targets) {
+        if (targets?.player) return [targets.player];
+        return this.gameState.players.filter(player => !player.inactive);
+    }
+
+    /**
+     * Apply a production modifier for a resource
+     */
+    applyResourceEffect(effect, targets) {
+        this.getEffectPlayers(targets).forEach(player => {
+            if (!player.resourceModifiers) player.resourceModifiers = {};
+            player.resourceModifiers[effect.resource] = effect.modifier;
+        });
+    }
+
+    /**
+     * Remove a production modifier for a resource
+     */
+    removeResourceEffect(effect, targets) {
+        this.getEffectPlayers(targets).forEach(player => {
+            if (player.resourceModifiers) {
+                delete player.resourceModifiers[effect.resource];
+            }
+        });
+    }
+
+    /**
+     * Scale a numeric player attribute
+     */
+    applyPlayerEffect(effect, targets) {
+        this.getEffectPlayers(targets).forEach(player => {
+            if (typeof player[effect.attribute] === 'number') {
+                player[effect.attribute] = Math.floor(player[effect.attribute] * effect.modifier);
+            }
+        });
+    }
+
+    /**
+     * Undo a player attribute scaling
+     */
+    removePlayerEffect(effect, targets) {
+        this.getEffectPlayers(targets).forEach(player => {
+            if (typeof player[effect.attribute] === 'number' && effect.modifier) {
+                player[effect.attribute] = Math.floor(player[effect.attribute] / effect.modifier);
+            }
+        });
+    }
+
     /**
      * Notify players about event start
      */
     notifyEventStart(event) {
-        // Implementation depends on UI system
-        this.gameState.notifyPlayers({
-            type: 'eventStart',
+        emitGameEvent(this.gameState, 'event.started', {
+            eventId: event.id,
+            name: event.name,
+            description: event.description,
             event: event
         });
     }
@@ -496,9 +684,9 @@ export class GameEvents {
      * Notify players about event end
      */
     notifyEventEnd(event) {
-        // Implementation depends on UI system
-        this.gameState.notifyPlayers({
-            type: 'eventEnd',
+        emitGameEvent(this.gameState, 'event.ended', {
+            eventId: event.id,
+            name: event.name,
             event: event
         });
     }
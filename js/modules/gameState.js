@@ -1,9 +1,12 @@
 import { defaultSettings, ages } from './constants.js';
+import { emitGameEvent } from './eventBus.js';
+import { checkVictory } from './victory.js';
 
 export function createInitialGameState() {
     const state = {
         mapSize: defaultSettings.mapSize,
         mapType: defaultSettings.mapType,
+        gridType: defaultSettings.gridType,
         resourceDensity: defaultSettings.resourceDensity,
         aiDifficulty: defaultSettings.aiDifficulty,
         fogOfWarEnabled: defaultSettings.fogOfWar,
@@ -37,27 +40,114 @@ export function createInitialGameState() {
             }
         ],
         map: null,
-        
-        // Check game end conditions
-        checkGameEnd: function() {
-            const result = {
-                ended: false,
-                winner: null,
-                type: null
-            };
-            
-            // No victory conditions in starter game
-            // But we'll implement a placeholder for future expansion
-            
-            return result;
-        },
-        
-        // Notify players about events
-        notifyPlayers: function(notification) {
-            // This is a placeholder for future event notification
-            console.log("Game notification:", notification);
-        }
+        nextUnitId: 1,
+        actionLog: []
     };
     
+    attachStateMethods(state);
+    
     return state;
 }
+
+/**
+ * Attach the game state's helper methods. Functions are not part of a save
+ * file, so this runs for fresh states and after a save is loaded.
+ * @param {Object} state - The game state
+ * @returns {Object} - The same game state
+ */
+export function attachStateMethods(state) {
+    // Check game end conditions against the victory progress recorded this round
+    // @returns {Object} - { ended, winner, type, turn }
+    state.checkGameEnd = function() {
+        return checkVictory(state);
+    };
+    
+    // Send a message to the players through the game's event bus
+    // @param {Object|string} notification - { message, ... } or just the message
+    state.notifyPlayers = function(notification) {
+        const payload = typeof notification === 'string' ? { message: notification } : notification;
+        emitGameEvent(state, 'notification', payload);
+    };
+    
+    return state;
+}
+
+/**
+ * Give a unit a stable id and add it to its owner's unit list
+ * @param {Object} state - The game state
+ * @param {Object} unit - The unit to register
+ * @returns {Object} - The unit
+ */
+export function registerUnit(state, unit) {
+    if (unit.id === undefined || unit.id === null) {
+        if (!state.nextUnitId) state.nextUnitId = 1;
+        unit.id = state.nextUnitId++;
+    }
+    
+    const owner = state.players[unit.owner - 1];
+    if (owner) {
+        if (!owner.units) owner.units = [];
+        if (!owner.units.includes(unit)) {
+            owner.units.push(unit);
+        }
+    }
+    
+    return unit;
+}
+
+/**
+ * Remove a unit from its owner's unit list
+ * @param {Object} state - The game state
+ * @param {Object} unit - The unit to remove
+ */
+export function unregisterUnit(state, unit) {
+    const owner = state.players[unit.owner - 1];
+    if (!owner || !owner.units) return;
+    
+    const unitIndex = owner.units.indexOf(unit);
+    if (unitIndex !== -1) {
+        owner.units.splice(unitIndex, 1);
+    }
+}
+
+/**
+ * Rebuild every player's unit list from the units on the map, including
+ * units marching in armies or carried as cargo
+ * @param {Object} state - The game state
+ */
+export function syncPlayerUnits(state) {
+    state.players.forEach(player => {
+        player.units = [];
+    });
+    
+    const visit = unit => {
+        registerUnit(state, unit);
+        if (unit.army) {
+            unit.army.forEach(visit);
+        }
+        if (unit.cargo) {
+            unit.cargo.forEach(visit);
+        }
+    };
+    
+    if (!state.map) return;
+    state.map.forEach(row => {
+        row.forEach(tile => {
+            if (tile.unit) visit(tile.unit);
+        });
+    });
+}
+
+/**
+ * Find a unit by id among the units tracked on the players
+ * @param {Object} state - The game state
+ * @param {number} unitId - Id given by registerUnit
+ * @returns {Object|null} - The unit, or null when no player owns it
+ */
+export function findUnit(state, unitId) {
+    for (const player of state.players) {
+        const unit = (player.units || []).find(candidate => candidate.id === unitId);
+        if (unit) return unit;
+    }
+    return null;
+}
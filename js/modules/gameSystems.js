@@ -0,0 +1,146 @@
+// Creates the turn-based game systems and registers them with the turn pipeline
+import { TurnManager } from './turnManager.js';
+import { ResourceManager } from './resourceManager.js';
+import { TechnologySystem } from './technologySystem.js';
+import { TradeSystem } from './tradeSystem.js';
+import { DiplomacySystem } from './diplomacySystem.js';
+import { WeatherSystem } from './weather.js';
+import { TimeSystem } from './timeSystem.js';
+import { GameEvents, processProductionQueues } from './gameEvents.js';
+import { processInfrastructureWorks } from './infrastructure.js';
+import { resetMovementPoints } from './movement.js';
+import { CommandDispatcher } from './commands.js';
+import { AISystem } from './ai.js';
+import { MoveOrderSystem } from './moveOrders.js';
+import { PathfindingSystem } from './pathfinding.js';
+import { PathfindingPool } from './pathfindingPool.js';
+import { emitGameEvent } from './eventBus.js';
+import { updateVictoryProgress } from './victory.js';
+import { endAirPatrols, getAirfieldAircraft } from './air.js';
+import { healWithMedics } from './promotions.js';
+
+/**
+ * Get every unit of a player: on the map, marching in its armies, carried by its transports
+ * and carriers, or based at its airfields
+ */
+export function getPlayerUnits(gameState, playerIndex) {
+    const units = [];
+    if (!gameState.map) return units;
+
+    gameState.map.forEach(row => {
+        row.forEach(tile => {
+            if (tile.unit && tile.unit.owner === playerIndex) {
+                units.push(tile.unit, ...(tile.unit.army || []), ...(tile.unit.cargo || []));
+            }
+        });
+    });
+
+    return units.concat(getAirfieldAircraft(gameState, playerIndex));
+}
+
+/**
+ * Instantiate the game systems and hook them into a new TurnManager.
+ * End-of-round order: time -> weather -> resources -> research -> trade -> diplomacy -> events -> game end
+ * @param {Object} gameState - The game state
+ * @param {Object} savedSystems - Optional system states from a save file
+ * @returns {Object} - { turnManager, systems, commands } where commands is the
+ *                     CommandDispatcher every player and AI action goes through
+ */
+export function initializeTurnSystems(gameState, savedSystems = {}) {
+    const turnManager = new TurnManager(gameState);
+    const systems = {
+        time: new TimeSystem(gameState),
+        weather: new WeatherSystem(gameState),
+        resources: new ResourceManager(gameState),
+        technology: new TechnologySystem(gameState),
+        trade: new TradeSystem(gameState),
+        diplomacy: new DiplomacySystem(gameState),
+        events: new GameEvents(gameState),
+        pathfinding: new PathfindingSystem(gameState),
+        pathfindingPool: new PathfindingPool()
+    };
+
+    // Restore internal state of systems when continuing a saved game
+    Object.entries(savedSystems).forEach(([name, state]) => {
+        if (systems[name] && typeof systems[name].loadState === 'function') {
+            systems[name].loadState(state);
+        }
+    });
+
+    // Every player and AI action goes through the dispatcher
+    const commands = new CommandDispatcher(gameState, { systems, turnManager });
+    systems.ai = new AISystem(gameState, commands, systems.pathfinding);
+    systems.moveOrders = new MoveOrderSystem(gameState, commands, systems.pathfinding);
+
+    // Relations must exist before updateRelations runs
+    systems.diplomacy.initializeRelations();
+    gameState.season = systems.time.currentSeason;
+    gameState.timeOfDay = systems.time.currentTimeOfDay;
+    gameState.weather = systems.weather.currentWeather;
+
+    // Per-player phases
+    turnManager.registerHook('startOfTurn', 'movement', (state, player) => {
+        resetMovementPoints(getPlayerUnits(state, player.index));
+    }, { order: 10 });
+
+    turnManager.registerHook('startOfTurn', 'airPatrols', (state, player) => {
+        endAirPatrols(state, player.index);
+    }, { order: 20 });
+
+    turnManager.registerHook('startOfTurn', 'medics', (state, player) => {
+        healWithMedics(state, player.index);
+    }, { order: 30 });
+
+    // Units with move orders carry on before the player acts. Their commands and the AI's
+    // are system commands, a replay of the game issues them again by itself.
+    turnManager.registerHook('playerActions', 'moveOrders', (state, player) => {
+        commands.runAsSystem(() => systems.moveOrders.continueOrders(player.index));
+    }, { order: 5 });
+
+    turnManager.registerHook('playerActions', 'ai', (state, player) => {
+        if (player.type !== 'human') {
+            commands.runAsSystem(() => systems.ai.processAITurn(player));
+        }
+    }, { order: 10 });
+
+    turnManager.registerHook('endOfPlayer', 'production', (state, player) => {
+        processProductionQueues(state, player.index);
+    }, { order: 10 });
+
+    turnManager.registerHook('endOfPlayer', 'infrastructure', (state, player) => {
+        processInfrastructureWorks(state, player.index);
+    }, { order: 20 });
+
+    // Round phase
+    turnManager.registerHook('endOfRound', 'time', state => {
+        systems.time.updateTime();
+        state.season = systems.time.currentSeason;
+        state.timeOfDay = systems.time.currentTimeOfDay;
+    }, { order: 10 });
+
+    turnManager.registerHook('endOfRound', 'weather', state => {
+        systems.weather.updateWeather();
+        state.weather = systems.weather.currentWeather;
+    }, { order: 20 });
+    turnManager.registerHook('endOfRound', 'resources', () => systems.resources.processTurnResources(), { order: 30 });
+    turnManager.registerHook('endOfRound', 'research', () => systems.technology.processResearch(), { order: 40 });
+    turnManager.registerHook('endOfRound', 'trade', () => systems.trade.processTradeRoutes(), { order: 50 });
+    turnManager.registerHook('endOfRound', 'diplomacy', () => systems.diplomacy.updateRelations(), { order: 60 });
+    turnManager.registerHook('endOfRound', 'events', () => systems.events.processTurnEvents(), { order: 70 });
+
+    turnManager.registerHook('endOfRound', 'gameEnd', state => {
+        updateVictoryProgress(state);
+        const result = state.checkGameEnd();
+        if (result.ended) {
+            state.gameOver = true;
+            state.gameResult = {
+                winner: result.winner ? result.winner.index : null,
+                type: result.type,
+                turn: result.turn
+            };
+            emitGameEvent(state, 'game.over', state.gameResult);
+        }
+    }, { order: 100 });
+
+    return { turnManager, systems, commands };
+}
@@ -0,0 +1,227 @@
+// Grid topology - which tiles are neighbors, how far apart tiles are and where they are
+// drawn. The map is stored as map[y][x] for every topology; systems ask the game's grid
+// instead of assuming square or hex adjacency themselves.
+import { HEX_DIRECTIONS, hexDistance, createHexRing, hexLine } from './hexgrid.js';
+
+// Registry of grid topologies keyed by gameState.gridType
+const gridTypes = {};
+
+// One grid per game, rebuilt when the game's topology or map size changes
+const gridsByGame = new WeakMap();
+
+/**
+ * Register a grid topology games can be created with
+ * @param {string} type - Grid type stored in gameState.gridType, e.g. 'hex'
+ * @param {Function} GridClass - Class extending Grid, constructed with (width, height)
+ */
+export function registerGridType(type, GridClass) {
+    if (gridTypes[type]) {
+        throw new Error(`Grid type ${type} is already registered`);
+    }
+    gridTypes[type] = GridClass;
+}
+
+/**
+ * Get every registered grid type
+ */
+export function getGridTypes() {
+    return Object.keys(gridTypes);
+}
+
+/**
+ * Shared behaviour of every topology. Subclasses define directions, distance,
+ * ringCoordinates, line and the pixel layout.
+ */
+export class Grid {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Check whether a position is on the map
+     */
+    inBounds(x, y) {
+        return x >= 0 && x < this.width && y >= 0 && y < this.height;
+    }
+
+    /**
+     * Get the on-map tiles next to a position
+     * @returns {Array} - [{ x, y }]
+     */
+    neighbors(x, y) {
+        return this.directions
+            .map(([dx, dy]) => ({ x: x + dx, y: y + dy }))
+            .filter(position => this.inBounds(position.x, position.y));
+    }
+
+    /**
+     * Check whether two positions are one step apart
+     */
+    areAdjacent(x1, y1, x2, y2) {
+        return this.distance(x1, y1, x2, y2) === 1;
+    }
+
+    /**
+     * Get the on-map tiles exactly `radius` steps from a position
+     * @returns {Array} - [{ x, y }]
+     */
+    ring(x, y, radius) {
+        return this.ringCoordinates(x, y, radius)
+            .filter(position => this.inBounds(position.x, position.y));
+    }
+
+    /**
+     * Get the on-map tiles at most `radius` steps from a position, nearest first
+     * @returns {Array} - [{ x, y }]
+     */
+    range(x, y, radius) {
+        const tiles = [];
+        for (let distance = 0; distance <= radius; distance++) {
+            tiles.push(...this.ring(x, y, distance));
+        }
+        return tiles;
+    }
+}
+
+/**
+ * Square tiles where all eight surrounding tiles are neighbors
+ */
+export class SquareGrid extends Grid {
+    constructor(width, height) {
+        super(width, height);
+        this.type = 'square';
+        this.directions = [
+            [-1, 0], [1, 0], [0, -1], [0, 1],
+            [-1, -1], [-1, 1], [1, -1], [1, 1]
+        ];
+    }
+
+    /**
+     * Steps between two tiles, diagonal steps count as one
+     */
+    distance(x1, y1, x2, y2) {
+        return Math.max(Math.abs(x1 - x2), Math.abs(y1 - y2));
+    }
+
+    ringCoordinates(x, y, radius) {
+        if (radius === 0) return [{ x, y }];
+
+        const positions = [];
+        for (let dx = -radius; dx <= radius; dx++) {
+            positions.push({ x: x + dx, y: y - radius }, { x: x + dx, y: y + radius });
+        }
+        for (let dy = -radius + 1; dy <= radius - 1; dy++) {
+            positions.push({ x: x - radius, y: y + dy }, { x: x + radius, y: y + dy });
+        }
+        return positions;
+    }
+
+    /**
+     * Tiles on the straight line between two tiles, both ends included
+     */
+    line(x1, y1, x2, y2) {
+        const steps = this.distance(x1, y1, x2, y2);
+        const positions = [];
+        for (let i = 0; i <= steps; i++) {
+            const t = steps === 0 ? 0 : i / steps;
+            positions.push({
+                x: Math.round(x1 + (x2 - x1) * t),
+                y: Math.round(y1 + (y2 - y1) * t)
+            });
+        }
+        return positions;
+    }
+
+    /**
+     * Top-left pixel of a tile drawn with the given cell size
+     */
+    toPixel(x, y, cellSize) {
+        return { x: x * cellSize, y: y * cellSize };
+    }
+
+    /**
+     * Tile under a pixel, which may be off the map
+     */
+    fromPixel(pixelX, pixelY, cellSize) {
+        return { x: Math.floor(pixelX / cellSize), y: Math.floor(pixelY / cellSize) };
+    }
+}
+
+/**
+ * Hexagonal tiles in axial coordinates, x is q and y is r
+ */
+export class HexGrid extends Grid {
+    constructor(width, height) {
+        super(width, height);
+        this.type = 'hex';
+        this.directions = HEX_DIRECTIONS.map(direction => [direction.q, direction.r]);
+    }
+
+    distance(x1, y1, x2, y2) {
+        return hexDistance(x1, y1, x2, y2);
+    }
+
+    ringCoordinates(x, y, radius) {
+        return createHexRing(x, y, radius).map(hex => ({ x: hex.q, y: hex.r }));
+    }
+
+    /**
+     * Hexes on the straight line between two hexes, both ends included
+     */
+    line(x1, y1, x2, y2) {
+        return hexLine(x1, y1, x2, y2).map(hex => ({ x: hex.q, y: hex.r }));
+    }
+
+    /**
+     * Top-left pixel of a hex drawn as a cell in offset rows: each row sits half
+     * a cell right of the row above, so the six neighbors touch the cell
+     */
+    toPixel(x, y, cellSize) {
+        return { x: (x + y / 2) * cellSize, y: y * cellSize };
+    }
+
+    /**
+     * Hex under a pixel, which may be off the map
+     */
+    fromPixel(pixelX, pixelY, cellSize) {
+        const y = Math.floor(pixelY / cellSize);
+        return { x: Math.floor(pixelX / cellSize - y / 2), y: y };
+    }
+}
+
+registerGridType('square', SquareGrid);
+registerGridType('hex', HexGrid);
+
+/**
+ * Create a grid of a registered type
+ * @param {string} type - Grid type
+ * @param {number} width - Map width in tiles
+ * @param {number} height - Map height in tiles
+ * @returns {Grid}
+ */
+export function createGrid(type, width, height = width) {
+    const GridClass = gridTypes[type];
+    if (!GridClass) {
+        throw new Error(`Unknown grid type: ${type}`);
+    }
+    return new GridClass(width, height);
+}
+
+/**
+ * Get the grid of a game, matching its gridType and map size
+ * @param {Object} gameState - The game state
+ * @returns {Grid}
+ */
+export function getGrid(gameState) {
+    const type = gameState.gridType || 'hex';
+    const height = gameState.map ? gameState.map.length : gameState.mapSize;
+    const width = gameState.map?.[0] ? gameState.map[0].length : gameState.mapSize;
+
+    let grid = gridsByGame.get(gameState);
+    if (!grid || grid.type !== type || grid.width !== width || grid.height !== height) {
+        grid = createGrid(type, width, height);
+        gridsByGame.set(gameState, grid);
+    }
+    return grid;
+}
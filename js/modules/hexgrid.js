@@ -161,16 +161,39 @@ export function getHexNeighbors(q, r) {
 }
 
 /**
- * Find a hex in an array of tiles by its axial coordinates
- * @param {Array} tiles - Array of hex tiles with q,r properties
+ * Find a hex in a collection of tiles by its axial coordinates
+ * @param {HexMap|Array} tiles - A HexMap, or an array of hex tiles with q,r properties
  * @param {Number} q - Q axial coordinate to find
  * @param {Number} r - R axial coordinate to find
  * @returns {Object|null} - The found tile or null if not found
  */
 export function findHexByAxial(tiles, q, r) {
+  if (tiles instanceof HexMap) {
+    return tiles.get(q, r);
+  }
   return tiles.find(tile => tile.q === q && tile.r === r) || null;
 }
 
+/**
+ * Convert axial coordinates to offset coordinates (pointy-top, odd rows shoved right)
+ * @param {Number} q - Q axial coordinate
+ * @param {Number} r - R axial coordinate
+ * @returns {Object} - {col, row} offset coordinates
+ */
+export function axialToOffset(q, r) {
+  return { col: q + (r - (r & 1)) / 2, row: r };
+}
+
+/**
+ * Convert offset coordinates (pointy-top, odd rows shoved right) to axial coordinates
+ * @param {Number} col - Column
+ * @param {Number} row - Row
+ * @returns {Object} - {q, r} axial coordinates
+ */
+export function offsetToAxial(col, row) {
+  return { q: col - (row - (row & 1)) / 2, r: row };
+}
+
 /**
  * Generate the points for drawing a hexagon centered at (0,0)
  * @param {Number} size - Hex radius in pixels (distance from center to corner)
@@ -201,19 +224,18 @@ export function createHexRing(centerQ, centerR, radius) {
     return [{q: centerQ, r: centerR}];
   }
   
-  // Start at the hex directly southwest of the center and move in a clockwise direction
-  let q = centerQ;
-  let r = centerR + radius;
+  // Start at the corner `radius` hexes southwest of the center
+  let q = centerQ + HEX_DIRECTIONS[4].q * radius;
+  let r = centerR + HEX_DIRECTIONS[4].r * radius;
   
-  // Each of the 6 sides of the ring
+  // Each of the 6 sides of the ring, walking east first and turning at every corner
   for (let side = 0; side < 6; side++) {
     // For each step along the side
     for (let step = 0; step < radius; step++) {
       results.push({q, r});
       // Move to the next hex along this side
-      const direction = (side + 4) % 6;  // +4 to start with SW and go clockwise
-      q += HEX_DIRECTIONS[direction].q;
-      r += HEX_DIRECTIONS[direction].r;
+      q += HEX_DIRECTIONS[side].q;
+      r += HEX_DIRECTIONS[side].r;
     }
   }
   
@@ -236,3 +258,417 @@ export function createHexSpiral(centerQ, centerR, radius) {
   
   return results;
 }
+
+/**
+ * Convert axial coordinates to cube coordinates, where q + r + s = 0
+ * @param {Number} q - Q axial coordinate
+ * @param {Number} r - R axial coordinate
+ * @returns {Object} - {q, r, s} cube coordinates
+ */
+export function axialToCube(q, r) {
+  return { q, r, s: -q - r };
+}
+
+/**
+ * Convert cube coordinates to axial coordinates by dropping s
+ * @param {Object} cube - {q, r, s} cube coordinates
+ * @returns {Object} - {q, r} axial coordinates
+ */
+export function cubeToAxial(cube) {
+  return { q: cube.q, r: cube.r };
+}
+
+/**
+ * Get every hex within a distance of a center, with no obstacles
+ * @param {Number} centerQ - Q axial coordinate of the center hex
+ * @param {Number} centerR - R axial coordinate of the center hex
+ * @param {Number} radius - Maximum distance from the center
+ * @returns {Array} - Array of {q, r} coordinates, row by row
+ */
+export function hexRange(centerQ, centerR, radius) {
+  const results = [];
+  for (let dq = -radius; dq <= radius; dq++) {
+    const rMin = Math.max(-radius, -dq - radius);
+    const rMax = Math.min(radius, -dq + radius);
+    for (let dr = rMin; dr <= rMax; dr++) {
+      results.push({ q: centerQ + dq, r: centerR + dr });
+    }
+  }
+  return results;
+}
+
+/**
+ * Draw a straight line of hexes between two hexes, both ends included
+ * @param {Number} q1 - Q axial coordinate of the start hex
+ * @param {Number} r1 - R axial coordinate of the start hex
+ * @param {Number} q2 - Q axial coordinate of the end hex
+ * @param {Number} r2 - R axial coordinate of the end hex
+ * @returns {Array} - Array of {q, r} coordinates from start to end
+ */
+export function hexLine(q1, r1, q2, r2) {
+  const steps = hexDistance(q1, r1, q2, r2);
+  const results = [];
+  for (let i = 0; i <= steps; i++) {
+    const t = steps === 0 ? 0 : i / steps;
+    // Nudge off hex edges so lines along an edge round the same way every time
+    results.push(roundToHex(
+      q1 + (q2 - q1) * t + 1e-6,
+      r1 + (r2 - r1) * t + 1e-6
+    ));
+  }
+  return results;
+}
+
+/**
+ * Get every hex that can be reached in a number of steps without entering a blocked hex
+ * @param {Number} startQ - Q axial coordinate of the start hex
+ * @param {Number} startR - R axial coordinate of the start hex
+ * @param {Number} steps - Maximum number of steps
+ * @param {Function} isBlocked - (q, r) => true for hexes that cannot be entered
+ * @returns {Array} - Array of {q, r, distance} coordinates, nearest first, start included
+ */
+export function hexReachable(startQ, startR, steps, isBlocked) {
+  const visited = new Set([`${startQ},${startR}`]);
+  const results = [{ q: startQ, r: startR, distance: 0 }];
+  let frontier = [{ q: startQ, r: startR }];
+
+  for (let distance = 1; distance <= steps; distance++) {
+    const next = [];
+    for (const hex of frontier) {
+      for (const dir of HEX_DIRECTIONS) {
+        const q = hex.q + dir.q;
+        const r = hex.r + dir.r;
+        const key = `${q},${r}`;
+        if (visited.has(key) || isBlocked(q, r)) continue;
+
+        visited.add(key);
+        results.push({ q, r, distance });
+        next.push({ q, r });
+      }
+    }
+    frontier = next;
+  }
+
+  return results;
+}
+
+/**
+ * Check whether a viewer can see a hex. Every hex between them must be no higher
+ * than the sight line from the viewer's eye to the target's ground.
+ * @param {Number} q1 - Q axial coordinate of the viewer
+ * @param {Number} r1 - R axial coordinate of the viewer
+ * @param {Number} q2 - Q axial coordinate of the target
+ * @param {Number} r2 - R axial coordinate of the target
+ * @param {Function} getElevation - (q, r) => elevation, or undefined for hexes off the map
+ * @param {Number} viewerHeight - Height of the viewer's eye above its hex
+ * @returns {Boolean} - Whether the target is in sight
+ */
+export function hasLineOfSight(q1, r1, q2, r2, getElevation, viewerHeight = 1) {
+  const targetElevation = getElevation(q2, r2);
+  if (targetElevation === undefined || targetElevation === null) return false;
+
+  const eye = getElevation(q1, r1) + viewerHeight;
+  const line = hexLine(q1, r1, q2, r2);
+  const steps = line.length - 1;
+
+  for (let i = 1; i < steps; i++) {
+    const sightHeight = eye + (targetElevation - eye) * (i / steps);
+    const elevation = getElevation(line[i].q, line[i].r);
+    if (elevation === undefined || elevation === null || elevation > sightHeight) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Get every hex a viewer can see within a radius, taking elevation into account
+ * @param {Number} centerQ - Q axial coordinate of the viewer
+ * @param {Number} centerR - R axial coordinate of the viewer
+ * @param {Number} radius - How far the viewer can see
+ * @param {Function} getElevation - (q, r) => elevation, or undefined for hexes off the map
+ * @param {Number} viewerHeight - Height of the viewer's eye above its hex
+ * @returns {Array} - Array of visible {q, r} coordinates, nearest first
+ */
+export function hexFieldOfView(centerQ, centerR, radius, getElevation, viewerHeight = 1) {
+  return createHexSpiral(centerQ, centerR, radius)
+    .filter(hex => hasLineOfSight(centerQ, centerR, hex.q, hex.r, getElevation, viewerHeight));
+}
+
+/**
+ * Rotate a hex around a center in 60 degree steps
+ * @param {Number} q - Q axial coordinate of the hex
+ * @param {Number} r - R axial coordinate of the hex
+ * @param {Number} turns - Number of 60 degree steps, positive is clockwise on screen
+ * @param {Number} centerQ - Q axial coordinate of the center of rotation
+ * @param {Number} centerR - R axial coordinate of the center of rotation
+ * @returns {Object} - {q, r} rotated coordinates
+ */
+export function rotateHex(q, r, turns, centerQ = 0, centerR = 0) {
+  let cube = axialToCube(q - centerQ, r - centerR);
+  const clockwiseTurns = ((turns % 6) + 6) % 6;
+  for (let i = 0; i < clockwiseTurns; i++) {
+    cube = { q: -cube.r, r: -cube.s, s: -cube.q };
+  }
+  return { q: cube.q + centerQ, r: cube.r + centerR };
+}
+
+/**
+ * Mirror a hex across one of the three hex axes through a center
+ * @param {Number} q - Q axial coordinate of the hex
+ * @param {Number} r - R axial coordinate of the hex
+ * @param {String} axis - 'q', 'r' or 's', the cube coordinate that stays the same
+ * @param {Number} centerQ - Q axial coordinate of the center
+ * @param {Number} centerR - R axial coordinate of the center
+ * @returns {Object} - {q, r} reflected coordinates
+ */
+export function reflectHex(q, r, axis, centerQ = 0, centerR = 0) {
+  const cube = axialToCube(q - centerQ, r - centerR);
+  let reflected;
+  if (axis === 'q') {
+    reflected = { q: cube.q, r: cube.s };
+  } else if (axis === 'r') {
+    reflected = { q: cube.s, r: cube.r };
+  } else if (axis === 's') {
+    reflected = { q: cube.r, r: cube.q };
+  } else {
+    throw new Error(`Unknown hex axis: ${axis}`);
+  }
+  return { q: reflected.q + centerQ, r: reflected.r + centerR };
+}
+
+/**
+ * Get the hexes that are within range of every one of several centers,
+ * e.g. where two artillery batteries can both fire
+ * @param {Array} ranges - Array of {q, r, radius}
+ * @returns {Array} - Array of {q, r} coordinates, row by row
+ */
+export function intersectHexRanges(ranges) {
+  if (ranges.length === 0) return [];
+
+  let qMin = -Infinity, qMax = Infinity;
+  let rMin = -Infinity, rMax = Infinity;
+  let sMin = -Infinity, sMax = Infinity;
+  for (const { q, r, radius } of ranges) {
+    const s = -q - r;
+    qMin = Math.max(qMin, q - radius); qMax = Math.min(qMax, q + radius);
+    rMin = Math.max(rMin, r - radius); rMax = Math.min(rMax, r + radius);
+    sMin = Math.max(sMin, s - radius); sMax = Math.min(sMax, s + radius);
+  }
+
+  const results = [];
+  for (let q = qMin; q <= qMax; q++) {
+    for (let r = Math.max(rMin, -q - sMax); r <= Math.min(rMax, -q - sMin); r++) {
+      results.push({ q, r });
+    }
+  }
+  return results;
+}
+
+/**
+ * Get the hexes that appear in every one of several regions
+ * @param {...Array} regions - Arrays of {q, r} coordinates
+ * @returns {Array} - {q, r} coordinates of the first region that are in all the others
+ */
+export function intersectHexRegions(...regions) {
+  if (regions.length === 0) return [];
+
+  const [first, ...others] = regions;
+  const otherKeys = others.map(region => new Set(region.map(hex => `${hex.q},${hex.r}`)));
+  return first.filter(hex => otherKeys.every(keys => keys.has(`${hex.q},${hex.r}`)));
+}
+
+/**
+ * Hex tiles indexed by axial coordinates. A typed index maps every (q, r) inside the
+ * bounds to its tile, so lookups, neighbors, ranges and rings never search the tiles.
+ * Tiles also get a dense index (0 to size - 1) for per-tile typed arrays.
+ */
+export class HexMap {
+  /**
+   * @param {Object} bounds - { qMin, qMax, rMin, rMax } axial coordinates the map can hold
+   */
+  constructor({ qMin = 0, qMax, rMin = 0, rMax }) {
+    this.qMin = qMin;
+    this.rMin = rMin;
+    this.columns = qMax - qMin + 1;
+    this.rows = rMax - rMin + 1;
+    // Tile index of every cell in the bounds, -1 for cells without a tile
+    this.cells = new Int32Array(this.columns * this.rows).fill(-1);
+    this.tiles = [];
+    this.qs = [];
+    this.rs = [];
+  }
+
+  /**
+   * Index tiles that carry their own q,r properties, e.g. the result of createHexGrid
+   * @param {Array} tiles - Hex tiles with q,r properties
+   * @returns {HexMap}
+   */
+  static fromTiles(tiles) {
+    const qs = tiles.map(tile => tile.q);
+    const rs = tiles.map(tile => tile.r);
+    const hexMap = new HexMap({
+      qMin: Math.min(...qs), qMax: Math.max(...qs),
+      rMin: Math.min(...rs), rMax: Math.max(...rs)
+    });
+    tiles.forEach(tile => hexMap.set(tile.q, tile.r, tile));
+    return hexMap;
+  }
+
+  /**
+   * Index a game map stored as map[y][x], where x is q and y is r
+   * @param {Array} map - The game map
+   * @returns {HexMap}
+   */
+  static fromGameMap(map) {
+    const hexMap = new HexMap({ qMax: (map[0]?.length || 1) - 1, rMax: map.length - 1 });
+    map.forEach((row, r) => row.forEach((tile, q) => hexMap.set(q, r, tile)));
+    return hexMap;
+  }
+
+  /**
+   * Create a rectangular map laid out in offset rows
+   * @param {Number} width - Columns
+   * @param {Number} height - Rows
+   * @param {Function} createTile - (q, r, col, row) => tile, defaults to {q, r}
+   * @returns {HexMap}
+   */
+  static fromOffsetRect(width, height, createTile = (q, r) => ({ q, r })) {
+    const hexMap = new HexMap({
+      qMin: offsetToAxial(0, height - 1).q,
+      qMax: width - 1,
+      rMin: 0,
+      rMax: height - 1
+    });
+    for (let row = 0; row < height; row++) {
+      for (let col = 0; col < width; col++) {
+        const { q, r } = offsetToAxial(col, row);
+        hexMap.set(q, r, createTile(q, r, col, row));
+      }
+    }
+    return hexMap;
+  }
+
+  /**
+   * Number of tiles in the map
+   */
+  get size() {
+    return this.tiles.length;
+  }
+
+  /**
+   * Position of a cell in the typed index, -1 outside the bounds
+   */
+  cellOf(q, r) {
+    const column = q - this.qMin;
+    const row = r - this.rMin;
+    if (column < 0 || column >= this.columns || row < 0 || row >= this.rows) {
+      return -1;
+    }
+    return row * this.columns + column;
+  }
+
+  /**
+   * Dense index of the tile at (q, r), -1 when there is none
+   */
+  indexOf(q, r) {
+    const cell = this.cellOf(q, r);
+    return cell === -1 ? -1 : this.cells[cell];
+  }
+
+  /**
+   * Axial coordinates of the tile with a dense index
+   * @returns {Object} - {q, r}
+   */
+  coordinatesOf(index) {
+    return { q: this.qs[index], r: this.rs[index] };
+  }
+
+  has(q, r) {
+    return this.indexOf(q, r) !== -1;
+  }
+
+  /**
+   * Get the tile at (q, r)
+   * @returns {Object|null}
+   */
+  get(q, r) {
+    const index = this.indexOf(q, r);
+    return index === -1 ? null : this.tiles[index];
+  }
+
+  /**
+   * Put a tile at (q, r), replacing any tile already there
+   */
+  set(q, r, tile) {
+    const cell = this.cellOf(q, r);
+    if (cell === -1) {
+      throw new RangeError(`Hex (${q}, ${r}) is outside the map bounds`);
+    }
+    if (this.cells[cell] !== -1) {
+      this.tiles[this.cells[cell]] = tile;
+      return this;
+    }
+    this.cells[cell] = this.tiles.length;
+    this.tiles.push(tile);
+    this.qs.push(q);
+    this.rs.push(r);
+    return this;
+  }
+
+  /**
+   * Get the tile at offset coordinates (col, row)
+   */
+  getOffset(col, row) {
+    const { q, r } = offsetToAxial(col, row);
+    return this.get(q, r);
+  }
+
+  [Symbol.iterator]() {
+    return this.tiles[Symbol.iterator]();
+  }
+
+  /**
+   * Call callback(tile, q, r, index) for every tile in the order they were added
+   */
+  forEach(callback) {
+    this.tiles.forEach((tile, index) => callback(tile, this.qs[index], this.rs[index], index));
+  }
+
+  /**
+   * Tiles next to (q, r) that are on the map
+   * @returns {Array} - Tiles in HEX_DIRECTIONS order
+   */
+  neighbors(q, r) {
+    const neighbors = [];
+    for (const dir of HEX_DIRECTIONS) {
+      const tile = this.get(q + dir.q, r + dir.r);
+      if (tile) neighbors.push(tile);
+    }
+    return neighbors;
+  }
+
+  /**
+   * Tiles exactly `radius` steps from (q, r) that are on the map
+   */
+  ring(q, r, radius) {
+    return this.collect(createHexRing(q, r, radius));
+  }
+
+  /**
+   * Tiles at most `radius` steps from (q, r) that are on the map, nearest first
+   */
+  range(q, r, radius) {
+    return this.collect(createHexSpiral(q, r, radius));
+  }
+
+  // Tiles at the given coordinates, skipping coordinates off the map
+  collect(coordinates) {
+    const tiles = [];
+    for (const hex of coordinates) {
+      const tile = this.get(hex.q, hex.r);
+      if (tile) tiles.push(tile);
+    }
+    return tiles;
+  }
+}
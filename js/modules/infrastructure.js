@@ -0,0 +1,149 @@
+// Roads, bridges and railways - tile improvements built by units with the build ability.
+// A step between two tiles on the network costs the infrastructure's movementCost instead
+// of the terrain's, trade between markets travels along it, and enemies can pillage it.
+import { defineContentTable } from './content.js';
+import { getGrid } from './grid.js';
+import { findGridPath } from './pathSearch.js';
+import { getNetworkMovementCost } from './movementRules.js';
+import { emitGameEvent } from './eventBus.js';
+
+// Infrastructure types, from the 'infrastructure' section of the content packs
+export const infrastructureTypes = defineContentTable('infrastructure', {});
+
+// Share of an improvement's cost a pillaging unit carries off
+const PILLAGE_LOOT_SHARE = 0.5;
+
+/**
+ * Movement cost of the infrastructure on a tile
+ * @param {Object} tile - The map tile
+ * @returns {Number} - The cost, or NaN when the tile has no finished infrastructure
+ */
+export function getInfrastructureCost(tile) {
+    const info = tile.infrastructure && infrastructureTypes[tile.infrastructure.type];
+    return info ? info.movementCost : NaN;
+}
+
+/**
+ * Movement cost of a step along the network between adjacent tiles
+ * @returns {Number} - The cost, or NaN when the step is not along the network
+ */
+export function getNetworkStepCost(gameState, fromX, fromY, toX, toY) {
+    return getNetworkMovementCost(
+        getInfrastructureCost(gameState.map[fromY][fromX]),
+        getInfrastructureCost(gameState.map[toY][toX])
+    );
+}
+
+/**
+ * The cheapest a single step can cost on the map, for path search heuristics: 1, or less
+ * where roads and railways have been built
+ */
+export function getMinimumStepCost(gameState) {
+    let cheapest = 1;
+    gameState.map.forEach(row => row.forEach(tile => {
+        const cost = getInfrastructureCost(tile);
+        if (cost < cheapest) cheapest = cost;
+    }));
+    return cheapest;
+}
+
+/**
+ * Start building infrastructure on a tile, paying its cost
+ * @param {Object} gameState - The game state
+ * @param {Number} x - X coordinate of the tile
+ * @param {Number} y - Y coordinate of the tile
+ * @param {String} infrastructureType - Key in infrastructureTypes
+ * @param {Number} owner - Index of the building player
+ */
+export function startInfrastructure(gameState, x, y, infrastructureType, owner) {
+    const player = gameState.players[owner - 1];
+    const info = infrastructureTypes[infrastructureType];
+
+    for (const resource in info.cost) {
+        player.resources[resource] -= info.cost[resource];
+    }
+
+    gameState.map[y][x].infrastructureInProgress = {
+        type: infrastructureType,
+        owner,
+        progress: 0,
+        buildTime: info.buildTime
+    };
+    emitGameEvent(gameState, 'infrastructure.started', { infrastructureType, owner, x, y });
+}
+
+/**
+ * Advance every infrastructure construction of a player by one turn
+ * @param {Object} gameState - The game state
+ * @param {Number} playerIndex - The player whose works advance
+ */
+export function processInfrastructureWorks(gameState, playerIndex) {
+    gameState.map.forEach((row, y) => row.forEach((tile, x) => {
+        const works = tile.infrastructureInProgress;
+        if (!works || works.owner !== playerIndex) return;
+
+        works.progress = (works.progress || 0) + 1;
+        if (works.progress < (works.buildTime || 1)) return;
+
+        // Railways replace the road or bridge they are built on
+        tile.infrastructure = { type: works.type, owner: playerIndex };
+        tile.infrastructureInProgress = null;
+        emitGameEvent(gameState, 'infrastructure.completed', { infrastructureType: works.type, owner: playerIndex, x, y });
+    }));
+}
+
+/**
+ * Destroy the infrastructure, finished or under construction, on a unit's tile and
+ * hand the unit's owner part of its cost
+ * @param {Object} gameState - The game state
+ * @param {Object} unit - The pillaging unit
+ * @returns {Object} - { infrastructureType, loot }
+ */
+export function pillageInfrastructure(gameState, unit) {
+    const tile = gameState.map[unit.y][unit.x];
+    const pillaged = tile.infrastructure || tile.infrastructureInProgress;
+    const info = infrastructureTypes[pillaged.type];
+    const player = gameState.players[unit.owner - 1];
+
+    const loot = {};
+    for (const resource in info?.cost) {
+        loot[resource] = Math.floor(info.cost[resource] * PILLAGE_LOOT_SHARE);
+        player.resources[resource] = (player.resources[resource] || 0) + loot[resource];
+    }
+
+    if (tile.infrastructure) {
+        tile.infrastructure = null;
+    } else {
+        tile.infrastructureInProgress = null;
+    }
+    emitGameEvent(gameState, 'infrastructure.pillaged', {
+        infrastructureType: pillaged.type,
+        owner: pillaged.owner,
+        pillagedBy: unit.owner,
+        x: unit.x,
+        y: unit.y
+    });
+    return { infrastructureType: pillaged.type, loot };
+}
+
+/**
+ * Length of the cheapest overland or sea route between two tiles, where every step costs
+ * 1 except steps along the network, which cost the infrastructure's movementCost
+ * @returns {Number} - The route length
+ */
+export function getRouteDistance(gameState, x1, y1, x2, y2) {
+    const grid = getGrid(gameState);
+    const getStepCost = (fromX, fromY, toX, toY) => {
+        const networkCost = getNetworkStepCost(gameState, fromX, fromY, toX, toY);
+        return Number.isFinite(networkCost) ? Math.min(1, networkCost) : 1;
+    };
+
+    const path = findGridPath(grid, x1, y1, x2, y2, getStepCost, getMinimumStepCost(gameState));
+    if (!path) return Infinity;
+
+    let distance = 0;
+    for (let i = 1; i < path.length; i++) {
+        distance += getStepCost(path[i - 1].x, path[i - 1].y, path[i].x, path[i].y);
+    }
+    return distance;
+}
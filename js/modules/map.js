@@ -1,11 +1,26 @@
 import { terrainTypes } from './terrain.js';
 import { resourceTileTypes } from './resources.js';
+import { random, randomChoice, randomInt } from './random.js';
+import { emitGameEvent } from './eventBus.js';
+import { registerContentReference } from './contentValidator.js';
+import { createGrid, getGrid } from './grid.js';
+import { generateRivers } from './rivers.js';
+
+registerContentReference('terrain', ['plains', 'desert', 'forest', 'mountain', 'hills', 'water'], 'generateMap');
+registerContentReference('units', ['settler', 'warrior', 'galley'], 'starting units');
+
+// Farthest a starting galley is moored from its player's settler on island maps
+const GALLEY_SEARCH_RADIUS = 5;
 
 export function generateMap(gameState) {
     const size = gameState.mapSize;
     const mapType = gameState.mapType || 'continents';
     const resourceDensity = gameState.resourceDensity || 'standard';
-    const seed = gameState.mapSeed || Math.floor(Math.random() * 1000000);
+    // The game seed, chosen with the random streams in setupNewGame, reproduces the map
+    const seed = gameState.mapSeed ?? gameState.rng?.seed;
+    if (!Number.isFinite(seed)) {
+        throw new Error('Cannot generate a map without a game seed');
+    }
     
     console.log(`Generating ${size}x${size} map of type: ${mapType}, seed: ${seed}`);
     
@@ -27,7 +42,11 @@ export function generateMap(gameState) {
                 resourceAmount: 0,
                 unit: null,
                 building: null,
-                buildingInProgress: null
+                buildingInProgress: null,
+                infrastructure: null,
+                infrastructureInProgress: null,
+                river: false,
+                riverTo: null
             };
         }
     }
@@ -53,22 +72,192 @@ export function generateMap(gameState) {
             generateContinentsMap(map, size, rng); // Default to continents
     }
     
+    const grid = createGrid(gameState.gridType || 'hex', size);
+    
+    // Rivers draw on their own seeded stream, so they leave the rest of the map as it was
+    generateRivers(map, grid, createRNG(seed + 1));
+    
     // Add resources based on density
     addResources(map, size, resourceDensity, rng);
     
     // Place starting units for players
-    placePlayerStartingUnits(gameState, map, size, rng);
+    placePlayerStartingUnits(gameState, map, grid, rng, mapType === 'archipelago');
+
+    // revealArea works on gameState.map, so the new map must be in place first
+    gameState.map = map;
 
-    // Set initial discovered tiles for players
+    // Set initial discovered tiles for players around their starting units
     const startingVision = 2;
+    map.forEach(row => row.forEach(tile => {
+        if (tile.unit) {
+            revealArea(gameState, tile.unit.x, tile.unit.y, startingVision, tile.unit.owner - 1);
+        }
+    }));
+
+    return gameState;
+}
+
+// Create a simple fallback map as a last resort, used when generateMap fails
+export function generateFallbackMap(gameState) {
+    console.warn("Creating fallback map");
+    
+    const size = gameState.mapSize || 30;
+    const map = [];
+
+    // Initialize empty map
+    for (let y = 0; y < size; y++) {
+        map[y] = [];
+        for (let x = 0; x < size; x++) {
+            // Simple pattern: water at edges, plains in center, forests and mountains scattered
+            let terrainType = 'plains';
+            
+            // Water at edges
+            if (x < 3 || x >= size - 3 || y < 3 || y >= size - 3) {
+                terrainType = 'water';
+            }
+            
+            // Some forests - in diagonal patterns
+            if ((x + y) % 7 === 0 && terrainType === 'plains') {
+                terrainType = 'forest';
+            }
+            
+            // Some mountains - in circular patterns
+            const distToCenter = Math.sqrt(Math.pow(x - size/2, 2) + Math.pow(y - size/2, 2));
+            if (distToCenter > size/4 && distToCenter < size/3 && (x * y) % 11 === 0 && terrainType === 'plains') {
+                terrainType = 'mountain';
+            }
+            
+            // Hills in between mountains and plains
+            if (distToCenter > size/3.5 && distToCenter < size/2.5 && (x * y) % 13 === 0 && terrainType === 'plains') {
+                terrainType = 'hills';
+            }
+            
+            map[y][x] = {
+                x: x,
+                y: y,
+                q: x,
+                r: y,
+                type: terrainType,
+                discovered: Array(gameState.players.length).fill(false),
+                resourceType: null,
+                resourceAmount: 0,
+                unit: null,
+                building: null,
+                buildingInProgress: null,
+                infrastructure: null,
+                infrastructureInProgress: null,
+                river: false,
+                riverTo: null
+            };
+        }
+    }
+    
+    // Set initial discovered tiles for players and place starting units
     for (let i = 0; i < gameState.players.length; i++) {
-        // Get the player's start position
-        const startPos = findPlayerStartPosition(gameState, i, map, size, rng);
-        revealArea(gameState, startPos.x, startPos.y, startingVision, i);
+        // Place player starts in different areas
+        let startX, startY;
+        
+        switch (i % 4) {
+            case 0: // Top left quadrant
+                startX = Math.floor(size * 0.2 + random(gameState, 'mapgen') * size * 0.2);
+                startY = Math.floor(size * 0.2 + random(gameState, 'mapgen') * size * 0.2);
+                break;
+            case 1: // Top right quadrant
+                startX = Math.floor(size * 0.6 + random(gameState, 'mapgen') * size * 0.2);
+                startY = Math.floor(size * 0.2 + random(gameState, 'mapgen') * size * 0.2);
+                break;
+            case 2: // Bottom left quadrant
+                startX = Math.floor(size * 0.2 + random(gameState, 'mapgen') * size * 0.2);
+                startY = Math.floor(size * 0.6 + random(gameState, 'mapgen') * size * 0.2);
+                break;
+            case 3: // Bottom right quadrant
+                startX = Math.floor(size * 0.6 + random(gameState, 'mapgen') * size * 0.2);
+                startY = Math.floor(size * 0.6 + random(gameState, 'mapgen') * size * 0.2);
+                break;
+        }
+        
+        // Make sure this isn't water
+        if (map[startY][startX].type === 'water') {
+            map[startY][startX].type = 'plains';
+        }
+        
+        // Place starter units
+        // Settler in starting position
+        map[startY][startX].unit = {
+            type: 'settler',
+            owner: i + 1,
+            x: startX,
+            y: startY,
+            q: startX,
+            r: startY,
+            health: 100,
+            remainingMP: 2,
+            canMove: true
+        };
+        
+        // Warrior in adjacent tile if possible
+        const adjacentX = Math.min(size - 1, startX + 1);
+        const adjacentY = startY;
+        
+        // Don't place warrior in water
+        if (map[adjacentY][adjacentX].type === 'water') {
+            map[adjacentY][adjacentX].type = 'plains';
+        }
+        
+        map[adjacentY][adjacentX].unit = {
+            type: 'warrior',
+            owner: i + 1,
+            x: adjacentX,
+            y: adjacentY,
+            q: adjacentX,
+            r: adjacentY,
+            health: 100,
+            remainingMP: 2,
+            canMove: true
+        };
     }
-
+    
+    // Add some random resources
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            // 10% chance of resource
+            if (random(gameState, 'mapgen') < 0.1) {
+                let possibleResources = [];
+                
+                switch (map[y][x].type) {
+                    case 'plains':
+                        possibleResources = ['food', 'horses'];
+                        break;
+                    case 'forest':
+                        possibleResources = ['wood', 'food', 'fur'];
+                        break;
+                    case 'hills':
+                    case 'mountain':
+                        possibleResources = ['stone', 'iron', 'gold'];
+                        break;
+                    case 'water':
+                        possibleResources = ['fish'];
+                        break;
+                }
+                
+                if (possibleResources.length > 0) {
+                    const resource = randomChoice(gameState, 'mapgen', possibleResources);
+                    map[y][x].resourceType = resource;
+                    map[y][x].resourceAmount = randomInt(gameState, 'mapgen', 10, 29);
+                }
+            }
+        }
+    }
+    
     gameState.map = map;
-    return gameState;
+
+    // Reveal the tiles around the starting units on the map's grid, as generateMap does
+    const startingVision = 2;
+    map.forEach(row => row.forEach(tile => {
+        if (tile.unit) {
+            revealArea(gameState, tile.unit.x, tile.unit.y, startingVision, tile.unit.owner - 1);
+        }
+    }));
 }
 
 // Simple random number generator with seed
@@ -329,11 +518,19 @@ function addResourceToTile(tile, rng) {
     }
 }
 
-// Place starting units for players
-function placePlayerStartingUnits(gameState, map, size, rng) {
+// Place starting units for players. On island maps each player starts on an island of
+// their own while there are enough, with a galley moored nearby to leave it by sea.
+function placePlayerStartingUnits(gameState, map, grid, rng, isIslandMap) {
+    const islands = isIslandMap ? labelIslands(map, grid) : null;
+    const settledIslands = new Set();
+    const isUnsettled = position => !islands || !settledIslands.has(islands[position.y][position.x]);
+    
     // Create a settler and warrior for each player
     for (let i = 0; i < gameState.players.length; i++) {
-        const startPos = findPlayerStartPosition(gameState, i, map, size, rng);
+        const startPos = findPlayerStartPosition(gameState, i, map, grid, rng, isUnsettled);
+        if (islands) {
+            settledIslands.add(islands[startPos.y][startPos.x]);
+        }
         
         // Place settler
         map[startPos.y][startPos.x].unit = {
@@ -347,7 +544,7 @@ function placePlayerStartingUnits(gameState, map, size, rng) {
         };
         
         // Find a nearby tile for warrior
-        const adjacentTiles = getAdjacentTiles(startPos.x, startPos.y, size);
+        const adjacentTiles = grid.neighbors(startPos.x, startPos.y);
         let warriorPos = null;
         
         for (const tile of adjacentTiles) {
@@ -369,11 +566,53 @@ function placePlayerStartingUnits(gameState, map, size, rng) {
                 canMove: true
             };
         }
+        
+        // Islands are left by sea, from the nearest free water
+        const galleyPos = isIslandMap && grid.range(startPos.x, startPos.y, GALLEY_SEARCH_RADIUS)
+            .find(tile => map[tile.y][tile.x].type === 'water' && !map[tile.y][tile.x].unit);
+        if (galleyPos) {
+            map[galleyPos.y][galleyPos.x].unit = {
+                type: 'galley',
+                owner: i + 1,
+                x: galleyPos.x,
+                y: galleyPos.y,
+                health: 100,
+                remainingMP: 3,
+                canMove: true,
+                cargo: []
+            };
+        }
     }
 }
 
-// Find a suitable starting position for a player
-function findPlayerStartPosition(gameState, playerIndex, map, size, rng) {
+// Number each landmass, islands[y][x] is null on water
+function labelIslands(map, grid) {
+    const islands = map.map(row => row.map(() => null));
+    let islandCount = 0;
+    
+    map.forEach((row, y) => row.forEach((tile, x) => {
+        if (tile.type === 'water' || islands[y][x] !== null) return;
+        
+        const island = islandCount++;
+        const frontier = [{ x, y }];
+        islands[y][x] = island;
+        while (frontier.length > 0) {
+            const current = frontier.pop();
+            grid.neighbors(current.x, current.y).forEach(neighbor => {
+                if (map[neighbor.y][neighbor.x].type === 'water' || islands[neighbor.y][neighbor.x] !== null) return;
+                islands[neighbor.y][neighbor.x] = island;
+                frontier.push(neighbor);
+            });
+        }
+    }));
+    return islands;
+}
+
+// Find a suitable starting position for a player, among the tiles isAllowed accepts
+// when any of them is found
+function findPlayerStartPosition(gameState, playerIndex, map, grid, rng, isAllowed = () => true) {
+    const size = grid.width;
+
     // Try to find a nice starting position
     let attempts = 0;
     let bestPos = null;
@@ -384,7 +623,7 @@ function findPlayerStartPosition(gameState, playerIndex, map, size, rng) {
         const y = Math.floor(rng() * size);
         
         // Skip water tiles
-        if (map[y][x].type === 'water') {
+        if (map[y][x].type === 'water' || !isAllowed({ x, y })) {
             attempts++;
             continue;
         }
@@ -392,8 +631,8 @@ function findPlayerStartPosition(gameState, playerIndex, map, size, rng) {
         // Calculate position score based on resources and terrain
         let score = 0;
         
-        // Check surrounding tiles
-        const surroundingTiles = getSurroundingTiles(x, y, 3, size);
+        // Check surrounding tiles, leaving out the center
+        const surroundingTiles = grid.range(x, y, 3).slice(1);
         for (const tile of surroundingTiles) {
             if (map[tile.y][tile.x].type !== 'water') score += 1;
             if (map[tile.y][tile.x].type === 'plains') score += 1;
@@ -425,57 +664,25 @@ function findPlayerStartPosition(gameState, playerIndex, map, size, rng) {
     return bestPos;
 }
 
-// Get adjacent tiles to a position (square grid)
-function getAdjacentTiles(x, y, size) {
-    const adjacent = [];
-    const directions = [
-        {dx: 1, dy: 0}, {dx: -1, dy: 0}, 
-        {dx: 0, dy: 1}, {dx: 0, dy: -1},
-        {dx: 1, dy: 1}, {dx: -1, dy: -1}, 
-        {dx: 1, dy: -1}, {dx: -1, dy: 1} // All 8 directions for square grid
-    ];
-    
-    for (const dir of directions) {
-        const nx = x + dir.dx;
-        const ny = y + dir.dy;
-        if (nx >= 0 && nx < size && ny >= 0 && ny < size) {
-            adjacent.push({x: nx, y: ny});
-        }
-    }
-    
-    return adjacent;
-}
-
-// Get surrounding tiles within a radius
-function getSurroundingTiles(x, y, radius, size) {
-    const surrounding = [];
-    
-    for (let dy = -radius; dy <= radius; dy++) {
-        for (let dx = -radius; dx <= radius; dx++) {
-            const nx = x + dx;
-            const ny = y + dy;
-            if (nx >= 0 && nx < size && ny >= 0 && ny < size) {
-                if (dx !== 0 || dy !== 0) { // Don't include the center tile
-                    surrounding.push({x: nx, y: ny});
-                }
-            }
-        }
-    }
-    
-    return surrounding;
-}
-
+// Mark tiles within a radius as discovered for a player, returns how many were newly discovered
 export function revealArea(gameState, centerX, centerY, radius, playerIndex) {
-    const size = gameState.mapSize;
+    let newlyDiscovered = 0;
     
-    // Use square distance for grid
-    for (let y = Math.max(0, centerY - radius); y <= Math.min(size - 1, centerY + radius); y++) {
-        for (let x = Math.max(0, centerX - radius); x <= Math.min(size - 1, centerX + radius); x++) {
-            if (Math.sqrt(Math.pow(x - centerX, 2) + Math.pow(y - centerY, 2)) <= radius) {
-                if (y >= 0 && y < gameState.map.length && x >= 0 && x < gameState.map[y].length) {
-                    gameState.map[y][x].discovered[playerIndex] = true;
-                }
-            }
+    getGrid(gameState).range(centerX, centerY, radius).forEach(({ x, y }) => {
+        if (!gameState.map[y][x].discovered[playerIndex]) {
+            gameState.map[y][x].discovered[playerIndex] = true;
+            newlyDiscovered++;
         }
+    });
+    
+    if (newlyDiscovered > 0) {
+        emitGameEvent(gameState, 'tiles.revealed', {
+            player: playerIndex + 1,
+            count: newlyDiscovered,
+            x: centerX,
+            y: centerY
+        });
     }
+    
+    return newlyDiscovered;
 }
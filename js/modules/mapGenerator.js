@@ -1,5 +1,11 @@
 import { terrainTypes } from './terrain.js';
 import { resourceTileTypes } from './resources.js';
+import { random, randomChoice } from './random.js';
+import { registerContentReference } from './contentValidator.js';
+
+registerContentReference('terrain',
+    ['water', 'coast', 'plains', 'hills', 'mountains', 'marsh', 'desert', 'tundra', 'volcano'],
+    'MapGenerator');
 
 export class MapGenerator {
     constructor(gameState) {
@@ -257,7 +263,7 @@ export class MapGenerator {
         // Find high elevation points for river sources
         for (let y = 0; y < map.length; y++) {
             for (let x = 0; x < map[0].length; x++) {
-                if (map[y][x].elevation > 7 && Math.random() < 0.1) {
+                if (map[y][x].elevation > 7 && random(this.gameState, 'mapgen') < 0.1) {
                     this.generateRiver(map, x, y);
                 }
             }
@@ -280,6 +286,7 @@ export class MapGenerator {
             const [nextX, nextY] = this.findLowestNeighbor(map, x, y);
             
             if (nextX === x && nextY === y) break;
+            map[y][x].riverTo = { x: nextX, y: nextY };
             
             x = nextX;
             y = nextY;
@@ -351,7 +358,7 @@ export class MapGenerator {
                     const distance = Math.sqrt(dx * dx + dy * dy);
                     if (distance <= radius) {
                         map[newY][newX].volcanic = true;
-                        if (Math.random() < 0.3) {
+                        if (random(this.gameState, 'mapgen') < 0.3) {
                             map[newY][newX].resource = 'obsidian';
                         }
                     }
@@ -382,7 +389,7 @@ export class MapGenerator {
      */
     selectRuinType() {
         const types = ['temple', 'city', 'fortress', 'tomb'];
-        return types[Math.floor(Math.random() * types.length)];
+        return randomChoice(this.gameState, 'mapgen', types);
     }
 
     /**
@@ -413,8 +420,8 @@ export class MapGenerator {
         
         // Find suitable starting locations
         for (let attempts = 0; attempts < 1000 && positions.length < playerCount; attempts++) {
-            const x = Math.floor(Math.random() * map[0].length);
-            const y = Math.floor(Math.random() * map.length);
+            const x = Math.floor(random(this.gameState, 'mapgen') * map[0].length);
+            const y = Math.floor(random(this.gameState, 'mapgen') * map.length);
             
             if (this.isValidStartingLocation(map, x, y) && 
                 this.isFarEnoughFromOthers(positions, x, y, minDistance)) {
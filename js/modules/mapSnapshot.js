@@ -0,0 +1,151 @@
+// Compact copy of the map for pathfinding workers: terrain, weather costs, infrastructure,
+// rivers, unit owners and zones of control in typed arrays, posted once per turn instead of the tile objects. Searches on a
+// snapshot use the same A* and movement rules as PathfindingSystem, so they find the
+// same paths.
+import { createGrid } from './grid.js';
+import { findGridPath } from './pathSearch.js';
+import {
+    checkTerrainPassability,
+    getTerrainMovementCost,
+    checkZoneOfControl,
+    exertsZoneOfControl,
+    getNetworkMovementCost,
+    isRiverCrossing
+} from './movementRules.js';
+
+// Grids of the snapshots searched in this thread
+const gridsBySnapshot = new WeakMap();
+
+/**
+ * Copy what path searches need from the map
+ * @param {Object} gameState - The game state
+ * @param {Object} terrainTable - Terrain definitions keyed by terrain type, for their movement costs
+ * @param {Object} unitTable - Unit definitions keyed by unit type, for the units that hold a zone of control
+ * @param {Object} infrastructureTable - Road, bridge and railway definitions, for their movement costs
+ * @returns {Object} - { gridType, width, height, terrainNames, terrainInfo, terrain, weatherCost,
+ *                       networkCost, minStepCost, river, unitOwner, zocOwner }
+ */
+export function createMapSnapshot(gameState, terrainTable, unitTable, infrastructureTable) {
+    const height = gameState.map.length;
+    const width = gameState.map[0].length;
+    const terrainNames = [];
+    const terrainIndices = {};
+    const terrain = new Uint8Array(width * height);
+    const weatherCost = new Float64Array(width * height).fill(NaN);
+    // Movement cost of the road, bridge or railway on a tile
+    const networkCost = new Float64Array(width * height).fill(NaN);
+    const river = new Uint8Array(width * height);
+    const unitOwner = new Uint8Array(width * height);
+    // Owner of the unit on a tile when that unit holds a zone of control
+    const zocOwner = new Uint8Array(width * height);
+    // Cheapest step on the map, for the A* heuristic
+    let minStepCost = 1;
+
+    gameState.map.forEach((row, y) => row.forEach((tile, x) => {
+        const index = y * width + x;
+        if (!(tile.type in terrainIndices)) {
+            terrainIndices[tile.type] = terrainNames.length;
+            terrainNames.push(tile.type);
+        }
+        terrain[index] = terrainIndices[tile.type];
+        if (Number.isFinite(tile.currentMovementCost) && tile.currentMovementCost > 0) {
+            weatherCost[index] = tile.currentMovementCost;
+        }
+        if (tile.infrastructure && infrastructureTable[tile.infrastructure.type]) {
+            networkCost[index] = infrastructureTable[tile.infrastructure.type].movementCost;
+            minStepCost = Math.min(minStepCost, networkCost[index]);
+        }
+        if (tile.river) {
+            river[index] = 1;
+        }
+        if (tile.unit) {
+            unitOwner[index] = tile.unit.owner;
+            if (exertsZoneOfControl(unitTable[tile.unit.type])) {
+                zocOwner[index] = tile.unit.owner;
+            }
+        }
+    }));
+
+    return {
+        gridType: gameState.gridType || 'hex',
+        width,
+        height,
+        terrainNames,
+        // movementCost stays null for impassable terrain
+        terrainInfo: terrainNames.map(type => ({ movementCost: terrainTable[type] ? terrainTable[type].movementCost : 1 })),
+        terrain,
+        weatherCost,
+        networkCost,
+        minStepCost,
+        river,
+        unitOwner,
+        zocOwner
+    };
+}
+
+/**
+ * The parts of a unit and its type that decide where it can move
+ * @param {Object} unit - The unit
+ * @param {Object} unitTypeInfo - The unit's type definition
+ * @returns {Object} - { owner, isEmbarked, type, abilities }
+ */
+export function createMovementProfile(unit, unitTypeInfo) {
+    return {
+        owner: unit.owner,
+        isEmbarked: !!unit.isEmbarked,
+        type: unitTypeInfo.type,
+        abilities: unitTypeInfo.abilities ? [...unitTypeInfo.abilities] : []
+    };
+}
+
+/**
+ * Find the cheapest path on a snapshot. Tiles with another unit on them are avoided,
+ * except the goal.
+ * @param {Object} snapshot - Snapshot from createMapSnapshot
+ * @param {Object} search - { startX, startY, endX, endY, unit } where unit is a movement profile
+ * @returns {Array|null} - [{ x, y }] from start to goal, or null when the goal cannot be reached
+ */
+export function findSnapshotPath(snapshot, { startX, startY, endX, endY, unit }) {
+    let grid = gridsBySnapshot.get(snapshot);
+    if (!grid) {
+        grid = createGrid(snapshot.gridType, snapshot.width, snapshot.height);
+        gridsBySnapshot.set(snapshot, grid);
+    }
+    if (!grid.inBounds(startX, startY) || !grid.inBounds(endX, endY)) return null;
+
+    const start = startY * snapshot.width + startX;
+    const isInZOC = (x, y) => grid.neighbors(x, y).some(position => {
+        const owner = snapshot.zocOwner[position.y * snapshot.width + position.x];
+        return owner && owner !== unit.owner;
+    });
+
+    return findGridPath(grid, startX, startY, endX, endY, (fromX, fromY, toX, toY, isGoal) => {
+        const index = toY * snapshot.width + toX;
+
+        // Units cannot move through other units
+        if (snapshot.unitOwner[index] && index !== start && !isGoal) {
+            return Infinity;
+        }
+
+        const terrainType = snapshot.terrainNames[snapshot.terrain[index]];
+        const terrainInfo = snapshot.terrainInfo[snapshot.terrain[index]];
+        if (!checkTerrainPassability(unit, terrainType, terrainInfo, unit.isEmbarked).passable) {
+            return Infinity;
+        }
+
+        // Attacking the unit on the goal is not a move, zones of control do not restrict it
+        const hasZOC = isInZOC(toX, toY);
+        const isAttack = snapshot.unitOwner[index] && snapshot.unitOwner[index] !== unit.owner;
+        if (hasZOC && !isAttack && !checkZoneOfControl(unit, isInZOC(fromX, fromY), hasZOC).allowed) {
+            return Infinity;
+        }
+
+        // Any finished infrastructure on a river tile is a bridge or a railway over one
+        const from = fromY * snapshot.width + fromX;
+        return getTerrainMovementCost(
+            unit, terrainType, terrainInfo, snapshot.weatherCost[index], hasZOC,
+            getNetworkMovementCost(snapshot.networkCost[from], snapshot.networkCost[index]),
+            isRiverCrossing(!!snapshot.river[from], !!snapshot.river[index], !Number.isNaN(snapshot.networkCost[index]))
+        );
+    }, snapshot.minStepCost);
+}
@@ -0,0 +1,220 @@
+// Multi-turn move orders - a unit is given a destination or a chain of waypoints, and
+// walks the cheapest path towards them with MoveUnit commands until its movement points
+// run out, continuing at the start of each of its owner's turns.
+import { getMovementAllowance } from './promotions.js';
+import { unitVision } from './constants.js';
+import { getGrid } from './grid.js';
+import { emitGameEvent } from './eventBus.js';
+
+export class MoveOrderSystem {
+    /**
+     * @param {Object} gameState - The game state
+     * @param {CommandDispatcher} commands - Dispatcher the steps are issued through
+     * @param {PathfindingSystem} pathfinding - Finds the paths between waypoints
+     */
+    constructor(gameState, commands, pathfinding) {
+        this.gameState = gameState;
+        this.commands = commands;
+        this.pathfinding = pathfinding;
+    }
+
+    /**
+     * Plan the route through waypoints and the turn each step is reached in, counting
+     * the unit's remaining movement points this turn and its full movement after that
+     * @param {Object} unit - The unit to move
+     * @param {Array} waypoints - [{ x, y }] visited in order
+     * @returns {Object} - { steps: [{ x, y, turn }], turns, complete } where turn 1 is the
+     *                     current turn and complete is false when the last waypoint cannot be reached
+     */
+    planRoute(unit, waypoints) {
+        const fullMP = getMovementAllowance(unit);
+        let remainingMP = unit.canMove === false ? 0 : (unit.remainingMP ?? fullMP);
+        let turn = 1;
+        let from = { x: unit.x, y: unit.y };
+        const steps = [];
+
+        for (const waypoint of waypoints) {
+            const path = this.pathfinding.findPath(from.x, from.y, waypoint.x, waypoint.y, unit);
+            if (!path) {
+                return { steps, turns: turn, complete: false };
+            }
+
+            for (let i = 1; i < path.length; i++) {
+                const cost = this.pathfinding.getMovementCost(
+                    path[i - 1].x, path[i - 1].y,
+                    path[i].x, path[i].y,
+                    unit,
+                    i === path.length - 1
+                );
+
+                // Steps the unit cannot afford wait for the next turn
+                if (cost > remainingMP) {
+                    turn++;
+                    remainingMP = fullMP;
+                }
+                if (cost > remainingMP) {
+                    return { steps, turns: turn, complete: false };
+                }
+
+                // Entering an enemy zone of control ends the turn's movement
+                remainingMP = this.pathfinding.endsMovement(unit, path[i].x, path[i].y) ? 0 : remainingMP - cost;
+                steps.push({ x: path[i].x, y: path[i].y, turn });
+            }
+            from = waypoint;
+        }
+
+        return { steps, turns: steps.length > 0 ? steps[steps.length - 1].turn : 0, complete: true };
+    }
+
+    /**
+     * Plan a route that crosses the water aboard a transport, for a destination the unit
+     * cannot reach over land, with the turn each step is reached in. Landing takes the
+     * rest of the unit's turn.
+     * @param {Object} unit - The land unit to move
+     * @param {Object} destination - { x, y }
+     * @param {Object} transport - Transport to sail on, by default the nearest one with room
+     * @returns {Object} - { steps: [{ x, y, turn, mode }], turns, complete, legs, transport, embarkAt },
+     *                     where embarkAt is the coastal tile the unit boards from
+     */
+    planCombinedRoute(unit, destination, transport) {
+        const route = this.pathfinding.findCombinedPath(unit.x, unit.y, destination.x, destination.y, unit, transport);
+        if (!route) {
+            return { steps: [], turns: 0, complete: false, legs: [] };
+        }
+
+        const fullMP = getMovementAllowance(unit);
+        let remainingMP = unit.canMove === false ? 0 : (unit.remainingMP ?? fullMP);
+        let turn = 1;
+        const steps = [];
+        const { path } = route;
+
+        for (let i = 1; i < path.length; i++) {
+            const mode = this.gameState.map[path[i].y][path[i].x].type === 'water' ? 'sea' : 'land';
+            const landing = mode === 'land' && this.gameState.map[path[i - 1].y][path[i - 1].x].type === 'water';
+            const cost = this.pathfinding.getCombinedMovementCost(
+                path[i - 1].x, path[i - 1].y,
+                path[i].x, path[i].y,
+                unit,
+                route.transport,
+                i === path.length - 1
+            );
+
+            // Landing needs movement points left and ends the unit's turn, as does entering
+            // an enemy zone of control
+            if (landing ? remainingMP <= 0 : cost > remainingMP) {
+                turn++;
+                remainingMP = fullMP;
+            }
+            const endsTurn = landing || (mode === 'land' && this.pathfinding.endsMovement(unit, path[i].x, path[i].y));
+            remainingMP = endsTurn ? 0 : remainingMP - cost;
+            steps.push({ x: path[i].x, y: path[i].y, turn, mode });
+        }
+
+        const embarkAt = route.legs.find(leg => leg.mode === 'sea')?.path[0];
+        return {
+            steps,
+            turns: steps.length > 0 ? steps[steps.length - 1].turn : 0,
+            complete: true,
+            legs: route.legs,
+            transport: route.transport,
+            embarkAt
+        };
+    }
+
+    /**
+     * Give a unit a move order and start walking it this turn
+     * @returns {Object} - { success, reason, moved }
+     */
+    giveOrder(unit, waypoints) {
+        const result = this.commands.issue('SetMoveOrder', { unitId: unit.id, waypoints });
+        if (!result.success) return result;
+
+        return { success: true, moved: this.followOrder(unit) };
+    }
+
+    /**
+     * Drop a unit's move order
+     */
+    cancelOrder(unit) {
+        return this.commands.issue('CancelMoveOrder', { unitId: unit.id });
+    }
+
+    /**
+     * Walk the units of a player that have move orders, at the start of the player's turn.
+     * Army members and cargo are not on map tiles, so the player's unit list is walked;
+     * units aboard a transport keep their orders until they land.
+     */
+    continueOrders(playerIndex) {
+        const player = this.gameState.players[playerIndex - 1];
+        (player?.units || [])
+            .filter(unit => unit.moveOrder && !unit.isEmbarked)
+            .forEach(unit => this.followOrder(unit));
+    }
+
+    /**
+     * Move a unit along its order until its movement points run out, it arrives, the
+     * way is blocked or a new enemy comes into view
+     * @returns {Boolean} - Whether the unit moved
+     */
+    followOrder(unit) {
+        const seenEnemies = new Set(this.getEnemiesInView(unit));
+        let moved = false;
+        let path = null;
+
+        while (unit.moveOrder) {
+            const waypoint = unit.moveOrder.waypoints[0];
+            if (unit.x === waypoint.x && unit.y === waypoint.y) {
+                // Replaced rather than changed, undoing a step restores the previous order
+                unit.moveOrder = { waypoints: unit.moveOrder.waypoints.slice(1) };
+                path = null;
+                if (unit.moveOrder.waypoints.length === 0) {
+                    this.endOrder(unit, 'arrived');
+                }
+                continue;
+            }
+
+            // Search again when another unit stepped onto the path
+            if (!path || path.length === 0 || this.gameState.map[path[0].y][path[0].x].unit) {
+                const found = this.pathfinding.findPath(unit.x, unit.y, waypoint.x, waypoint.y, unit);
+                path = found && found.slice(1);
+            }
+            if (!path) {
+                this.endOrder(unit, 'blocked');
+                break;
+            }
+
+            const step = path[0];
+            if (this.gameState.map[step.y][step.x].unit) {
+                // Only the waypoint itself can be taken, the search avoids other units
+                this.endOrder(unit, 'blocked');
+                break;
+            }
+
+            const result = this.commands.issue('MoveUnit', { unitId: unit.id, targetX: step.x, targetY: step.y });
+            if (!result.success) break; // Out of movement points, carry on next turn
+            path.shift();
+            moved = true;
+
+            if (this.getEnemiesInView(unit).some(id => !seenEnemies.has(id))) {
+                this.endOrder(unit, 'enemySpotted');
+            }
+        }
+
+        return moved;
+    }
+
+    endOrder(unit, reason) {
+        delete unit.moveOrder;
+        emitGameEvent(this.gameState, 'unit.orderEnded', { unitId: unit.id, owner: unit.owner, reason });
+    }
+
+    /**
+     * Ids of other players' units within the unit's vision
+     */
+    getEnemiesInView(unit) {
+        return getGrid(this.gameState).range(unit.x, unit.y, unitVision)
+            .map(({ x, y }) => this.gameState.map[y][x].unit)
+            .filter(other => other && other.owner !== unit.owner)
+            .map(other => other.id);
+    }
+}
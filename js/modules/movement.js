@@ -1,17 +1,30 @@
 // Movement System for War Game with Hex Grid Support
 import { terrainTypes } from './terrain.js';
 import { unitTypes } from './units.js';
-import { 
-  HEX_DIRECTIONS, 
-  axialToPixel, 
-  pixelToAxial, 
-  hexDistance, 
-  areHexesAdjacent 
-} from './hexgrid.js';
+import { getGrid } from './grid.js';
+import { getNetworkStepCost } from './infrastructure.js';
+import { crossesRiver } from './rivers.js';
+import {
+    checkTerrainPassability as checkTerrainRules,
+    getTerrainMovementCost,
+    checkZoneOfControl,
+    exertsZoneOfControl,
+    canCarry,
+    EMBARK_MP_COST
+} from './movementRules.js';
+import {
+    getArmy,
+    canJoinArmy,
+    joinArmy,
+    leaveArmy,
+    findArmyLeader,
+    marchArmy,
+    getArmyMovementPoints
+} from './armies.js';
+import { getMovementAllowance } from './promotions.js';
 
 // Constants for movement
-const ZOC_EXTRA_COST = 1; // Zone of Control additional cost
-const DEBUG_MOVEMENT = true; // Enable movement debugging
+const DEBUG_MOVEMENT = false; // Enable movement debugging
 
 /**
  * Calculate whether a unit can move to a target tile, considering MP and terrain
@@ -20,11 +33,11 @@ const DEBUG_MOVEMENT = true; // Enable movement debugging
  * @param {Number} sourceY - Y coordinate of the source tile
  * @param {Number} targetX - X coordinate of the target tile
  * @param {Number} targetY - Y coordinate of the target tile
- * @param {Array} map - The game map
+ * @param {Object} gameState - The game state, for its map and grid
  * @param {Boolean} isPartOfPath - Whether this is part of a multi-tile path
- * @returns {Object} - Result object with {canMove, cost, reason}
+ * @returns {Object} - Result object with {canMove, cost, reason, endsMovement}
  */
-export function canMoveToTile(unit, sourceX, sourceY, targetX, targetY, map, isPartOfPath = false) {
+export function canMoveToTile(unit, sourceX, sourceY, targetX, targetY, gameState, isPartOfPath = false) {
     // Ensure unit has movement properties initialized
     if (unit.remainingMP === undefined || unit.canMove === undefined) {
         initializeUnitMovement(unit);
@@ -33,20 +46,25 @@ export function canMoveToTile(unit, sourceX, sourceY, targetX, targetY, map, isP
     // Get unit type information
     const unitTypeInfo = unitTypes[unit.type];
     
-    // Get the source and target tiles
-    const sourceTile = map[sourceY][sourceX];
-    const targetTile = map[targetY][targetX];
+    // Get the target tile
+    const grid = getGrid(gameState);
+    const targetTile = gameState.map[targetY][targetX];
     const terrainType = targetTile.type;
     
-    // Get axial coordinates if available
-    const sourceQ = sourceTile.q !== undefined ? sourceTile.q : sourceX;
-    const sourceR = sourceTile.r !== undefined ? sourceTile.r : sourceY;
-    const targetQ = targetTile.q !== undefined ? targetTile.q : targetX;
-    const targetR = targetTile.r !== undefined ? targetTile.r : targetY;
+    // Cargo travels with its transport until it disembarks
+    if (unit.isEmbarked) {
+        return { canMove: false, cost: 0, reason: "Unit is aboard a transport, disembark it first" };
+    }
+    
+    // Aircraft stay at their air base between missions
+    if (unit.base) {
+        return { canMove: false, cost: 0, reason: "Aircraft fly missions or rebase between air bases" };
+    }
     
-    // Check if the unit already moved this turn
-    if (!unit.canMove && !isPartOfPath) {
-        return { canMove: false, cost: 0, reason: "Unit has already moved this turn" };
+    // Check if the unit, or any unit of the army it leads, already moved this turn
+    const army = getArmy(unit);
+    if (army.some(member => !member.canMove) && !isPartOfPath) {
+        return { canMove: false, cost: 0, reason: army.length > 1 ? "A unit of the army cannot move again this turn" : "Unit has already moved this turn" };
     }
     
     // Check if the target tile has an enemy unit
@@ -54,45 +72,108 @@ export function canMoveToTile(unit, sourceX, sourceY, targetX, targetY, map, isP
         return { canMove: false, cost: 0, reason: "Cannot move to a tile with an enemy unit without attacking" };
     }
     
-    // Check if the target tile has a friendly unit
+    // A friendly unit on the target tile is only entered to join its army
     if (targetTile.unit && targetTile.unit.owner === unit.owner) {
-        return { canMove: false, cost: 0, reason: "Cannot move to a tile with a friendly unit" };
+        const join = canJoinArmy(unit, targetTile.unit);
+        if (!join.allowed) {
+            return { canMove: false, cost: 0, reason: join.reason };
+        }
     }
     
-    // Check if hex is adjacent - in hex grid, only 6 directions are valid neighbors
-    // Calculate axial distance between tiles
-    const axialDistance = (Math.abs(targetQ - sourceQ) + Math.abs(targetR - sourceR) + 
-                          Math.abs(sourceQ + sourceR - targetQ - targetR)) / 2;
+    // Units move one step at a time to a tile the grid considers adjacent
+    if (!grid.areAdjacent(sourceX, sourceY, targetX, targetY)) {
+        return { canMove: false, cost: 0, reason: "Tile is not adjacent to the current location" };
+    }
     
-    if (axialDistance > 1) {
-        return { canMove: false, cost: 0, reason: "Hex is not adjacent to the current location" };
+    // Check terrain passability based on unit type, for every unit of an army
+    for (const member of army) {
+        const result = checkTerrainPassability(unitTypes[member.type], terrainType, member.isEmbarked);
+        if (!result.passable) {
+            return { canMove: false, cost: 0, reason: result.reason };
+        }
     }
     
-    // Check terrain passability based on unit type
-    const result = checkTerrainPassability(unitTypeInfo, terrainType, unit.isEmbarked);
-    if (!result.passable) {
-        return { canMove: false, cost: 0, reason: result.reason };
+    // Check zone of control, entering one ends movement and one cannot lead straight into another
+    const hasZOC = hasAdjacentEnemyUnit(gameState, targetX, targetY, unit.owner);
+    const zoc = checkZoneOfControl(
+        unitTypeInfo,
+        hasZOC && hasAdjacentEnemyUnit(gameState, sourceX, sourceY, unit.owner),
+        hasZOC
+    );
+    if (!zoc.allowed) {
+        return { canMove: false, cost: 0, reason: zoc.reason };
     }
     
-    // Calculate the movement cost
-    const moveCost = calculateMovementCost(unitTypeInfo, terrainType, map, targetX, targetY, unit.owner);
+    // Calculate the movement cost, an army pays what its slowest unit pays
+    const networkCost = getNetworkStepCost(gameState, sourceX, sourceY, targetX, targetY);
+    const riverCrossing = crossesRiver(gameState, sourceX, sourceY, targetX, targetY);
+    const moveCost = Math.max(...army.map(member => calculateMovementCost(
+        unitTypes[member.type], terrainType, gameState, targetX, targetY, unit.owner, hasZOC, networkCost, riverCrossing
+    )));
     
     // Check if unit has enough MP
-    if (unit.remainingMP < moveCost && !isPartOfPath) {
+    const remainingMP = getArmyMovementPoints(unit);
+    if (remainingMP < moveCost && !isPartOfPath) {
         return { 
             canMove: false, 
             cost: moveCost, 
-            reason: `Not enough movement points. Needs ${moveCost}, has ${unit.remainingMP}` 
+            reason: `Not enough movement points. Needs ${moveCost}, has ${remainingMP}` 
         };
     }
     
     return { 
         canMove: true, 
         cost: moveCost, 
-        reason: "Movement possible" 
+        reason: zoc.endsMovement ? zoc.reason : "Movement possible",
+        endsMovement: zoc.endsMovement
     };
 }
 
+/**
+ * Movement points a unit pays for a step between adjacent tiles, ignoring any unit
+ * standing on the tile it enters, with the zone of control rules applied
+ * @param {Object} unit - The unit that will move
+ * @param {Number} fromX - X coordinate of the tile the unit leaves
+ * @param {Number} fromY - Y coordinate of the tile the unit leaves
+ * @param {Number} toX - X coordinate of the tile the unit enters
+ * @param {Number} toY - Y coordinate of the tile the unit enters
+ * @param {Object} gameState - The game state
+ * @param {Boolean} isAttack - The step attacks the unit on the tile, which zones of control do not restrict
+ * @returns {Number} - The cost, or Infinity when the unit cannot make the step
+ */
+export function getStepMovementCost(unit, fromX, fromY, toX, toY, gameState, isAttack = false) {
+    const unitTypeInfo = unitTypes[unit.type];
+    const terrainType = gameState.map[toY][toX].type;
+    if (!checkTerrainPassability(unitTypeInfo, terrainType, unit.isEmbarked).passable) {
+        return Infinity;
+    }
+
+    // The tile left only matters when the tile entered is in a zone of control
+    const hasZOC = hasAdjacentEnemyUnit(gameState, toX, toY, unit.owner);
+    if (hasZOC && !isAttack &&
+        !checkZoneOfControl(unitTypeInfo, hasAdjacentEnemyUnit(gameState, fromX, fromY, unit.owner), hasZOC).allowed) {
+        return Infinity;
+    }
+
+    return calculateMovementCost(
+        unitTypeInfo, terrainType, gameState, toX, toY, unit.owner, hasZOC,
+        getNetworkStepCost(gameState, fromX, fromY, toX, toY),
+        crossesRiver(gameState, fromX, fromY, toX, toY)
+    );
+}
+
+/**
+ * Check if entering a tile ends the unit's movement because it lies in an enemy zone of control
+ * @param {Object} unit - The unit that will move
+ * @param {Number} x - X coordinate of the tile
+ * @param {Number} y - Y coordinate of the tile
+ * @param {Object} gameState - The game state
+ * @returns {Boolean}
+ */
+export function entersZoneOfControl(unit, x, y, gameState) {
+    return checkZoneOfControl(unitTypes[unit.type], false, hasAdjacentEnemyUnit(gameState, x, y, unit.owner)).endsMovement;
+}
+
 /**
  * Check if terrain is passable for the unit type
  * @param {Object} unitTypeInfo - The unit type info
@@ -101,59 +182,23 @@ export function canMoveToTile(unit, sourceX, sourceY, targetX, targetY, map, isP
  * @returns {Object} - Result with passable status and reason
  */
 function checkTerrainPassability(unitTypeInfo, terrainType, isEmbarked) {
-    // If unit is embarked on a transport, it can go where the transport can go
-    if (isEmbarked) {
-        return { passable: true, reason: "Unit is embarked on a transport" };
-    }
-    
-    // Check unit type against terrain
-    const terrainInfo = terrainTypes[terrainType];
-    
-    // Handle impassable terrain
-    if (terrainInfo.moveCost === null) {
-        // Water is passable for naval units
-        if (terrainType === 'water' && unitTypeInfo.type === 'sea') {
-            return { passable: true, reason: "Naval unit can enter water" };
-        }
-        
-        // Water is passable for amphibious units
-        if (terrainType === 'water' && unitTypeInfo.abilities && unitTypeInfo.abilities.includes('amphibious')) {
-            return { passable: true, reason: "Amphibious unit can enter water" };
-        }
-        
-        // Mountains are passable for air units
-        if (terrainType === 'mountain' && unitTypeInfo.type === 'air') {
-            return { passable: true, reason: "Air unit can fly over mountains" };
-        }
-        
-        return { passable: false, reason: `${terrainType} is impassable for ${unitTypeInfo.type} units` };
-    }
-    
-    // Rivers are only passable at fords or with appropriate units
-    if (terrainType === 'river') {
-        // Check if there's a bridge/ford (would be a property of the tile)
-        // For now, assume there's no bridge
-        const hasBridge = false; // This would be determined by game state
-        
-        if (!hasBridge && unitTypeInfo.type === 'land') {
-            return { passable: false, reason: "Rivers are only passable at bridges/fords" };
-        }
-    }
-    
-    return { passable: true, reason: "Terrain is passable" };
+    return checkTerrainRules(unitTypeInfo, terrainType, terrainTypes[terrainType], isEmbarked);
 }
 
 /**
  * Calculate the movement cost for a unit to move to a tile
  * @param {Object} unitTypeInfo - The unit type info
  * @param {String} terrainType - The terrain type
- * @param {Array} map - The game map
+ * @param {Object} gameState - The game state
  * @param {Number} x - X coordinate of target tile
  * @param {Number} y - Y coordinate of target tile
  * @param {Number} unitOwner - ID of the unit owner
+ * @param {Boolean} hasZOC - Whether the tile is in an enemy zone of control, looked up when not given
+ * @param {Number} networkCost - Cost of the step along roads or railways, NaN when it is not on the network
+ * @param {Boolean} riverCrossing - Whether the step crosses a river without a bridge
  * @returns {Number} - The movement cost
  */
-function calculateMovementCost(unitTypeInfo, terrainType, map, x, y, unitOwner) {
+function calculateMovementCost(unitTypeInfo, terrainType, gameState, x, y, unitOwner, hasZOC, networkCost, riverCrossing) {
     // Check if terrain info exists
     const terrainInfo = terrainTypes[terrainType];
     if (!terrainInfo) {
@@ -163,105 +208,37 @@ function calculateMovementCost(unitTypeInfo, terrainType, map, x, y, unitOwner)
         return 1;
     }
     
-    // Start with base cost from terrain
-    let cost = terrainInfo.moveCost;
+    // Weather can override the terrain cost of a tile with tile.currentMovementCost
+    const cost = getTerrainMovementCost(
+        unitTypeInfo,
+        terrainType,
+        terrainInfo,
+        gameState.map[y][x].currentMovementCost,
+        hasZOC ?? hasAdjacentEnemyUnit(gameState, x, y, unitOwner),
+        networkCost,
+        riverCrossing
+    );
     
-    // Handle special cases based on unit type
     if (DEBUG_MOVEMENT) {
-        console.log(`Calculating movement cost for ${unitTypeInfo.type} unit on ${terrainType} terrain (base cost: ${cost})`);
-    }
-    
-    // Air units always pay 1MP per tile regardless of terrain
-    if (unitTypeInfo.type === 'air') {
-        if (DEBUG_MOVEMENT) {
-            console.log(`Air unit movement cost override: 1`);
-        }
-        return 1;
-    }
-    
-    // Road terrain has been removed
-    
-    // If terrain is water and unit is amphibious
-    if (terrainType === 'water' && unitTypeInfo.abilities && unitTypeInfo.abilities.includes('amphibious')) {
-        if (DEBUG_MOVEMENT) {
-            console.log(`Amphibious unit on water cost override: 2`);
-        }
-        return 2; // Amphibious units pay 2MP for water
-    }
-    
-    // Check for mobility ability - reduces terrain cost by 1 (minimum 1)
-    if (unitTypeInfo.abilities && unitTypeInfo.abilities.includes('mobility') && cost > 1) {
-        cost -= 1;
-        if (DEBUG_MOVEMENT) {
-            console.log(`Mobility ability reduces cost to ${cost}`);
-        }
-    }
-    
-    // Add Zone of Control cost if there are adjacent enemy units (optional rule)
-    const hasZOC = hasAdjacentEnemyUnit(map, x, y, unitOwner);
-    if (hasZOC) {
-        cost += ZOC_EXTRA_COST;
-        if (DEBUG_MOVEMENT) {
-            console.log(`Zone of Control adds ${ZOC_EXTRA_COST} to cost, new total: ${cost}`);
-        }
-    }
-    
-    if (DEBUG_MOVEMENT) {
-        console.log(`Final movement cost: ${cost}`);
+        console.log(`Movement cost for ${unitTypeInfo.type} unit on ${terrainType} terrain: ${cost}`);
     }
     
     return cost;
 }
 
 /**
- * Check if a tile has adjacent enemy units (for Zone of Control) using hex grid
- * @param {Array} map - The game map
+ * Check if a tile has adjacent enemy units that hold a Zone of Control
+ * @param {Object} gameState - The game state
  * @param {Number} x - X coordinate
  * @param {Number} y - Y coordinate
  * @param {Number} unitOwner - ID of the unit owner
- * @returns {Boolean} - Whether there are adjacent enemy units
+ * @returns {Boolean} - Whether there are adjacent enemy military units
  */
-function hasAdjacentEnemyUnit(map, x, y, unitOwner) {
-    const mapSize = map.length;
-    const tile = map[y][x];
-    
-    // Get q,r axial coordinates from the tile if they exist
-    const q = tile.q !== undefined ? tile.q : x;
-    const r = tile.r !== undefined ? tile.r : y;
-    
-    // Use the HEX_DIRECTIONS constant from map.js
-    for (const dir of HEX_DIRECTIONS) {
-        const newQ = q + dir.q;
-        const newR = r + dir.r;
-        
-        // Find the corresponding x,y coordinates for the q,r neighbor
-        // During transition, we need to find tiles by their axial coordinates
-        let adjacentTile = null;
-        
-        // Try to find the tile by axial coordinates
-        for (let y = 0; y < mapSize; y++) {
-            for (let x = 0; x < mapSize; x++) {
-                if (map[y][x].q === newQ && map[y][x].r === newR) {
-                    adjacentTile = map[y][x];
-                    break;
-                }
-            }
-            if (adjacentTile) break;
-        }
-        
-        // If tile was not found by axial coordinates, for backward compatibility
-        // try using the axial coordinates directly as array indices if they're in bounds
-        if (!adjacentTile && newQ >= 0 && newQ < mapSize && newR >= 0 && newR < mapSize) {
-            adjacentTile = map[newR][newQ];
-        }
-        
-        // Check if the tile has an enemy unit
-        if (adjacentTile && adjacentTile.unit && adjacentTile.unit.owner !== unitOwner) {
-            return true;
-        }
-    }
-    
-    return false;
+function hasAdjacentEnemyUnit(gameState, x, y, unitOwner) {
+    return getGrid(gameState).neighbors(x, y).some(position => {
+        const adjacentUnit = gameState.map[position.y][position.x].unit;
+        return adjacentUnit && adjacentUnit.owner !== unitOwner && exertsZoneOfControl(unitTypes[adjacentUnit.type]);
+    });
 }
 
 /**
@@ -269,11 +246,13 @@ function hasAdjacentEnemyUnit(map, x, y, unitOwner) {
  * @param {Object} unit - The unit to move
  * @param {Number} targetX - X coordinate of the target tile
  * @param {Number} targetY - Y coordinate of the target tile
- * @param {Array} map - The game map
+ * @param {Object} gameState - The game state
  * @param {Function} notifyCallback - Function to notify of movement results
  * @returns {Boolean} - Whether the move was successful
  */
-export function moveUnit(unit, targetX, targetY, map, notifyCallback) {
+export function moveUnit(unit, targetX, targetY, gameState, notifyCallback) {
+    const map = gameState.map;
+    
     // Ensure unit has movement properties initialized
     if (unit.remainingMP === undefined || unit.canMove === undefined) {
         initializeUnitMovement(unit);
@@ -286,7 +265,7 @@ export function moveUnit(unit, targetX, targetY, map, notifyCallback) {
     }
     
     // Check if the move is valid
-    const moveResult = canMoveToTile(unit, unit.x, unit.y, targetX, targetY, map);
+    const moveResult = canMoveToTile(unit, unit.x, unit.y, targetX, targetY, gameState);
     
     if (!moveResult.canMove) {
         if (DEBUG_MOVEMENT) {
@@ -304,12 +283,20 @@ export function moveUnit(unit, targetX, targetY, map, notifyCallback) {
         console.log(`Terrain: ${sourceTerrainType} -> ${targetTerrainType}, Movement cost: ${moveResult.cost}`);
     }
     
+    // Roads and railways were already counted in the movement cost
+    const roadBonusApplied = Number.isFinite(getNetworkStepCost(gameState, unit.x, unit.y, targetX, targetY));
+    
     // Store axial coordinates if present in source tile
     const sourceQ = map[unit.y][unit.x].q;
     const sourceR = map[unit.y][unit.x].r;
     
-    // Remove unit from current tile
-    map[unit.y][unit.x].unit = null;
+    // Remove unit from current tile, or from the army it leaves behind there
+    const leader = findArmyLeader(unit, gameState);
+    if (leader) {
+        leaveArmy(unit, leader);
+    } else {
+        map[unit.y][unit.x].unit = null;
+    }
     
     // Update unit position
     unit.x = targetX;
@@ -323,26 +310,39 @@ export function moveUnit(unit, targetX, targetY, map, notifyCallback) {
         unit.r = map[targetY][targetX].r;
     }
     
-    // Place unit on new tile
-    map[targetY][targetX].unit = unit;
+    // Place unit on new tile, or join the army of the friendly unit there
+    const army = getArmy(unit);
+    if (map[targetY][targetX].unit) {
+        joinArmy(unit, map[targetY][targetX].unit);
+    } else {
+        map[targetY][targetX].unit = unit;
+    }
+    
+    // Cargo sails with its transport, and an army marches with its leader
+    carryCargo(unit);
+    marchArmy(unit);
     
     // Store old MP for debugging
     const oldMP = unit.remainingMP;
     
-    // Reduce movement points
-    unit.remainingMP -= moveResult.cost;
-    
-    // Road bonus section removed as road terrain has been removed
-    let roadBonusApplied = false;
-    
-    // Check for cavalry charge bonus
-    checkForCavalryChargeBonus(unit, map);
-    
-    // If movement points are depleted, mark unit as unable to move
-    if (unit.remainingMP <= 0) {
-        unit.canMove = false;
-        if (DEBUG_MOVEMENT) {
-            console.log(`${unit.type} has no MP left, marking as unable to move.`);
+    for (const member of army) {
+        // Reduce movement points
+        member.remainingMP -= moveResult.cost;
+        
+        // Check for cavalry charge bonus
+        checkForCavalryChargeBonus(member, map);
+        
+        // Entering an enemy zone of control ends movement, the unit keeps its MP to attack
+        if (moveResult.endsMovement) {
+            member.canMove = false;
+        }
+        
+        // If movement points are depleted, mark unit as unable to move
+        if (member.remainingMP <= 0) {
+            member.canMove = false;
+            if (DEBUG_MOVEMENT) {
+                console.log(`${member.type} has no MP left, marking as unable to move.`);
+            }
         }
     }
     
@@ -358,21 +358,32 @@ export function moveUnit(unit, targetX, targetY, map, notifyCallback) {
 }
 
 /**
- * Board a unit onto a transport ship
+ * Board a unit onto an adjacent transport ship. Boarding costs EMBARK_MP_COST movement
+ * points, and the unit then travels with the transport until it disembarks.
  * @param {Object} unit - The land unit to board
  * @param {Object} transport - The transport unit
- * @param {Array} map - The game map
+ * @param {Object} gameState - The game state
  * @param {Function} notifyCallback - Function to notify of boarding results
  * @returns {Boolean} - Whether the boarding was successful
  */
-export function boardTransport(unit, transport, map, notifyCallback) {
+export function boardTransport(unit, transport, gameState, notifyCallback) {
+    const transportTypeInfo = unitTypes[transport.type];
+    if (!canCarry(transportTypeInfo, unitTypes[unit.type])) {
+        if (notifyCallback) notifyCallback(`A ${transport.type} cannot carry a ${unit.type}`);
+        return false;
+    }
+    
+    if (unit.isEmbarked) {
+        if (notifyCallback) notifyCallback("Unit is already aboard a transport");
+        return false;
+    }
+    
     // Check if the transport has capacity
     if (!transport.cargo) {
         transport.cargo = [];
     }
     
     // Check transport capacity (simple version - can be expanded)
-    const transportTypeInfo = unitTypes[transport.type];
     const capacity = transportTypeInfo.capacity || 2; // Default capacity of 2 if not specified
     
     if (transport.cargo.length >= capacity) {
@@ -381,21 +392,31 @@ export function boardTransport(unit, transport, map, notifyCallback) {
     }
     
     // Check if the unit and transport are adjacent
-    const areAdjacent = areUnitsAdjacent(unit, transport);
-    if (!areAdjacent) {
+    if (!getGrid(gameState).areAdjacent(unit.x, unit.y, transport.x, transport.y)) {
         if (notifyCallback) notifyCallback("Unit must be adjacent to the transport to board");
         return false;
     }
     
+    // Boarding takes movement points of the unit's turn
+    if (unit.remainingMP === undefined || unit.canMove === undefined) {
+        initializeUnitMovement(unit);
+    }
+    if (!unit.canMove || unit.remainingMP < EMBARK_MP_COST) {
+        if (notifyCallback) notifyCallback(`Boarding needs ${EMBARK_MP_COST} movement point${EMBARK_MP_COST === 1 ? '' : 's'}`);
+        return false;
+    }
+    
     // Remove the unit from the map
-    map[unit.y][unit.x].unit = null;
+    gameState.map[unit.y][unit.x].unit = null;
     
     // Add the unit to the transport's cargo
     transport.cargo.push(unit);
     
-    // Mark the unit as embarked
+    // Mark the unit as embarked, it keeps its remaining MP to disembark this turn
     unit.isEmbarked = true;
+    unit.remainingMP -= EMBARK_MP_COST;
     unit.canMove = false; // Unit cannot move independently while embarked
+    carryCargo(transport);
     
     if (notifyCallback) {
         notifyCallback(`${unit.type} boarded the ${transport.type}`);
@@ -405,18 +426,31 @@ export function boardTransport(unit, transport, map, notifyCallback) {
 }
 
 /**
- * Disembark a unit from a transport
+ * Disembark a unit from a transport onto an adjacent land tile. The unit needs movement
+ * points left, and landing ends its move for the turn.
  * @param {Object} unit - The unit to disembark
  * @param {Object} transport - The transport unit
  * @param {Number} targetX - X coordinate to disembark to
  * @param {Number} targetY - Y coordinate to disembark to
- * @param {Array} map - The game map
+ * @param {Object} gameState - The game state
  * @param {Function} notifyCallback - Function to notify of disembarking results
  * @returns {Boolean} - Whether the disembarking was successful
  */
-export function disembarkUnit(unit, transport, targetX, targetY, map, notifyCallback) {
+export function disembarkUnit(unit, transport, targetX, targetY, gameState, notifyCallback) {
+    const map = gameState.map;
+    
+    if (!transport.cargo || !transport.cargo.includes(unit)) {
+        if (notifyCallback) notifyCallback(`${unit.type} is not aboard the ${transport.type}`);
+        return false;
+    }
+    
+    if (!(unit.remainingMP > 0)) {
+        if (notifyCallback) notifyCallback("Unit has no movement points left to disembark");
+        return false;
+    }
+    
     // Check if the target tile is valid for disembarking
-    if (!isTileValidForDisembark(targetX, targetY, map, transport, unit)) {
+    if (!isTileValidForDisembark(targetX, targetY, gameState, transport, unit)) {
         if (notifyCallback) notifyCallback("Cannot disembark to that location");
         return false;
     }
@@ -440,6 +474,7 @@ export function disembarkUnit(unit, transport, targetX, targetY, map, notifyCall
     
     // Reset the unit's embarked status
     unit.isEmbarked = false;
+    unit.remainingMP = 0;
     unit.canMove = false; // Unit cannot move after disembarking until next turn
     
     if (notifyCallback) {
@@ -449,31 +484,57 @@ export function disembarkUnit(unit, transport, targetX, targetY, map, notifyCall
     return true;
 }
 
+/**
+ * Keep a transport's cargo on the transport's tile
+ * @param {Object} transport - The transport unit
+ */
+function carryCargo(transport) {
+    (transport.cargo || []).forEach(cargo => {
+        cargo.x = transport.x;
+        cargo.y = transport.y;
+        if (transport.q !== undefined) cargo.q = transport.q;
+        if (transport.r !== undefined) cargo.r = transport.r;
+    });
+}
+
+/**
+ * Find the transport carrying a unit, which shares the unit's tile
+ * @param {Object} unit - An embarked unit
+ * @param {Object} gameState - The game state
+ * @returns {Object|null} - The transport, or null when the unit is not aboard one
+ */
+export function findTransport(unit, gameState) {
+    if (!unit.isEmbarked) return null;
+    const carrier = gameState.map[unit.y]?.[unit.x]?.unit;
+    return carrier && carrier.cargo && carrier.cargo.includes(unit) ? carrier : null;
+}
+
 /**
  * Check if a tile is valid for disembarking
  * @param {Number} x - X coordinate
  * @param {Number} y - Y coordinate
- * @param {Array} map - The game map
+ * @param {Object} gameState - The game state
  * @param {Object} transport - The transport unit
  * @param {Object} unit - The unit trying to disembark
  * @returns {Boolean} - Whether the tile is valid for disembarking
  */
-function isTileValidForDisembark(x, y, map, transport, unit) {
+export function isTileValidForDisembark(x, y, gameState, transport, unit) {
+    const grid = getGrid(gameState);
+    
     // Check if the tile is in bounds
-    if (x < 0 || y < 0 || x >= map.length || y >= map.length) {
+    if (!grid.inBounds(x, y)) {
         return false;
     }
     
-    const tile = map[y][x];
+    const tile = gameState.map[y][x];
     
     // Check if the tile is adjacent to the transport
-    // For hexagonal grids we need to check using hex adjacency
-    if (!isAdjacentToCoordinatesHex(
-        tile.q !== undefined ? tile.q : x, 
-        tile.r !== undefined ? tile.r : y, 
-        transport.q !== undefined ? transport.q : transport.x, 
-        transport.r !== undefined ? transport.r : transport.y
-    )) {
+    if (!grid.areAdjacent(x, y, transport.x, transport.y)) {
+        return false;
+    }
+    
+    // Units land on the shore, amphibious units swim ashore by themselves
+    if (tile.type === 'water') {
         return false;
     }
     
@@ -492,70 +553,14 @@ function isTileValidForDisembark(x, y, map, transport, unit) {
     return true;
 }
 
-/**
- * Check if two units are adjacent (works with both square and hex grids)
- * @param {Object} unit1 - The first unit
- * @param {Object} unit2 - The second unit
- * @returns {Boolean} - Whether the units are adjacent
- */
-function areUnitsAdjacent(unit1, unit2) {
-    // If axial coordinates are available, use hex adjacency
-    if (unit1.q !== undefined && unit1.r !== undefined && 
-        unit2.q !== undefined && unit2.r !== undefined) {
-        return isAdjacentToCoordinatesHex(unit1.q, unit1.r, unit2.q, unit2.r);
-    }
-    
-    // Fall back to square grid adjacency
-    return isAdjacentToCoordinates(unit1.x, unit1.y, unit2.x, unit2.y);
-}
-
-/**
- * Check if two coordinates are adjacent using square grid
- * @param {Number} x1 - X coordinate of the first point
- * @param {Number} y1 - Y coordinate of the first point
- * @param {Number} x2 - X coordinate of the second point
- * @param {Number} y2 - Y coordinate of the second point
- * @returns {Boolean} - Whether the coordinates are adjacent
- */
-function isAdjacentToCoordinates(x1, y1, x2, y2) {
-    // Two coordinates are adjacent if they are at most 1 tile away in any direction
-    const dx = Math.abs(x1 - x2);
-    const dy = Math.abs(y1 - y2);
-    
-    return (dx <= 1 && dy <= 1) && !(dx === 0 && dy === 0);
-}
-
-/**
- * Check if two hexes are adjacent using axial coordinates
- * @param {Number} q1 - Q axial coordinate of the first hex
- * @param {Number} r1 - R axial coordinate of the first hex
- * @param {Number} q2 - Q axial coordinate of the second hex
- * @param {Number} r2 - R axial coordinate of the second hex
- * @returns {Boolean} - Whether the hexes are adjacent
- */
-function isAdjacentToCoordinatesHex(q1, r1, q2, r2) {
-    // Calculate the axial distance between two hexes
-    // In axial coordinates, distance = (abs(q1-q2) + abs(r1-r2) + abs(q1+r1-q2-r2)) / 2
-    const distance = (
-        Math.abs(q1 - q2) + 
-        Math.abs(r1 - r2) + 
-        Math.abs(q1 + r1 - q2 - r2)
-    ) / 2;
-    
-    // Hexes are adjacent if their distance is exactly 1
-    return distance === 1;
-}
-
 /**
  * Check and apply cavalry charge bonus if applicable
  * @param {Object} unit - The unit to check for cavalry charge
  * @param {Array} map - The game map
  */
 function checkForCavalryChargeBonus(unit, map) {
-    // Check if the unit is cavalry
-    const unitTypeInfo = unitTypes[unit.type];
-    const isCavalry = unitTypeInfo.type === 'land' && 
-                      (unit.type.includes('cavalry') || unit.type.includes('horseman') || unit.type.includes('chariot'));
+    // Check if the unit is cavalry, which has the charge ability
+    const isCavalry = !!unitTypes[unit.type]?.abilities?.includes('charge');
     
     if (!isCavalry) return;
     
@@ -564,7 +569,7 @@ function checkForCavalryChargeBonus(unit, map) {
     if (startingTerrain !== 'plains') return;
     
     // Check if the unit moved at least 3 MP
-    const mpUsed = unitTypeInfo.move - unit.remainingMP;
+    const mpUsed = getMovementAllowance(unit) - unit.remainingMP;
     if (mpUsed < 3) return;
     
     // Check if there's an enemy in the target tile (handled elsewhere in combat)
@@ -606,7 +611,7 @@ export function resetMovementPoints(units) {
         const oldCanMove = unit.canMove !== undefined ? unit.canMove : 'undefined';
         
         // Set new values
-        unit.remainingMP = unitTypeInfo.move;
+        unit.remainingMP = getMovementAllowance(unit);
         unit.canMove = true;
         unit.cavalryChargeBonusActive = false;
         unit.attackBonus = 0;
@@ -638,7 +643,7 @@ export function initializeUnitMovement(unit) {
         unit.remainingMP = 1;
         unit.canMove = true;
     } else {
-        unit.remainingMP = unitTypeInfo.move;
+        unit.remainingMP = getMovementAllowance(unit);
         unit.canMove = true;
         
         if (DEBUG_MOVEMENT) {
@@ -655,121 +660,3 @@ export function initializeUnitMovement(unit) {
     unit.cavalryChargeBonusActive = false;
     unit.attackBonus = 0;
 }
-
-/**
- * Find all valid movement locations for a selected unit using hex grid
- * @param {Object} unit - The unit to check movement for
- * @param {Array} map - The game map
- * @returns {Array} - Array of valid movement locations as {x, y, cost} objects
- */
-export function getValidMovementLocations(unit, map) {
-    if (!unit) return [];
-    
-    // Ensure unit has movement properties initialized
-    if (unit.remainingMP === undefined || unit.canMove === undefined) {
-        initializeUnitMovement(unit);
-    }
-    
-    // If unit can't move, return empty array
-    if (!unit.canMove || unit.remainingMP <= 0) {
-        return [];
-    }
-    
-    const mapSize = map.length;
-    const validLocations = [];
-    
-    // Get the unit's axial coordinates if available
-    const unitQ = unit.q !== undefined ? unit.q : unit.x;
-    const unitR = unit.r !== undefined ? unit.r : unit.y;
-    
-    // Use breadth-first search to find all reachable tiles within MP limit
-    const queue = [{
-        x: unit.x, 
-        y: unit.y, 
-        q: unitQ, 
-        r: unitR, 
-        mpLeft: unit.remainingMP
-    }];
-    
-    // Track visited tiles to avoid loops (use coordKey to handle both coord systems)
-    const visited = {}; 
-    const coordKey = unit.q !== undefined ? `${unitQ},${unitR}` : `${unit.x},${unit.y}`;
-    visited[coordKey] = true;
-    
-    // Use HEX_DIRECTIONS constant for movement
-    
-    while (queue.length > 0) {
-        const current = queue.shift();
-        
-        // Skip the starting tile for valid locations list
-        if (current.x !== unit.x || current.y !== unit.y) {
-            validLocations.push({
-                x: current.x,
-                y: current.y,
-                q: current.q,
-                r: current.r,
-                cost: unit.remainingMP - current.mpLeft
-            });
-        }
-        
-        // Check each possible hex direction using HEX_DIRECTIONS from map.js
-        for (const dir of HEX_DIRECTIONS) {
-            const nextQ = current.q + dir.q;
-            const nextR = current.r + dir.r;
-            
-            // Find the corresponding x,y coordinates for the q,r neighbor
-            let nextX = -1;
-            let nextY = -1;
-            let nextTile = null;
-            
-            // Try to find the tile by axial coordinates first
-            for (let y = 0; y < mapSize; y++) {
-                for (let x = 0; x < mapSize; x++) {
-                    if (map[y][x].q === nextQ && map[y][x].r === nextR) {
-                        nextX = x;
-                        nextY = y;
-                        nextTile = map[y][x];
-                        break;
-                    }
-                }
-                if (nextTile) break;
-            }
-            
-            // If tile not found by axial coords and we're in transition phase,
-            // try using axial coords directly as indices if in bounds 
-            if (!nextTile && nextQ >= 0 && nextQ < mapSize && nextR >= 0 && nextR < mapSize) {
-                nextX = nextQ;
-                nextY = nextR;
-                nextTile = map[nextY][nextX];
-            }
-            
-            // Skip if no valid tile was found or if already visited
-            if (!nextTile || visited[`${nextX},${nextY}`]) {
-                continue;
-            }
-            
-            // Check if we can move to this tile
-            const moveResult = canMoveToTile(unit, current.x, current.y, nextX, nextY, map, true);
-            
-            if (moveResult.canMove && moveResult.cost <= current.mpLeft) {
-                // Mark as visited
-                visited[`${nextX},${nextY}`] = true;
-                
-                // Add to queue with updated MP
-                queue.push({
-                    x: nextX,
-                    y: nextY,
-                    q: nextQ,
-                    r: nextR,
-                    mpLeft: current.mpLeft - moveResult.cost
-                });
-            }
-        }
-    }
-    
-    if (DEBUG_MOVEMENT) {
-        console.log(`Found ${validLocations.length} valid movement locations for ${unit.type} at (${unit.x},${unit.y})`);
-    }
-    
-    return validLocations;
-}
@@ -0,0 +1,197 @@
+// Movement rules that only depend on the unit and terrain definitions passed in, so
+// pathfinding workers can apply them without the content tables or the game state.
+// movement.js looks the definitions up and adds the map around the tile.
+
+export const ZOC_EXTRA_COST = 1; // Zone of Control additional cost
+export const RIVER_CROSSING_COST = 1; // Additional cost of crossing a river without a bridge
+
+// Units with this ability slip through zones of control
+export const IGNORE_ZOC_ABILITY = 'ignore_zoc';
+
+// Naval units with this ability carry land units as cargo
+export const TRANSPORT_ABILITY = 'transport';
+
+// Movement points a land unit spends to board a transport
+export const EMBARK_MP_COST = 1;
+
+/**
+ * Check if a unit type holds a zone of control over the tiles around it.
+ * Civilian, naval and air units do not.
+ * @param {Object} unitTypeInfo - The unit type info, { type }
+ * @returns {Boolean}
+ */
+export function exertsZoneOfControl(unitTypeInfo) {
+    return !!unitTypeInfo && !['civilian', 'sea', 'air'].includes(unitTypeInfo.type);
+}
+
+/**
+ * Check if a unit type is a transport that can carry another as cargo. Transports
+ * carry land and civilian units, not ships, aircraft or other transports.
+ * @param {Object} transportInfo - The transport's unit type info, { type, abilities, capacity }
+ * @param {Object} cargoInfo - The cargo's unit type info, { type }
+ * @returns {Boolean}
+ */
+export function canCarry(transportInfo, cargoInfo) {
+    return !!(transportInfo && cargoInfo) &&
+        !!(transportInfo.abilities && transportInfo.abilities.includes(TRANSPORT_ABILITY)) &&
+        cargoInfo.type !== 'sea' && cargoInfo.type !== 'air';
+}
+
+/**
+ * Share of a cargo unit's movement one step at sea takes, when a transport carries it at
+ * the transport's speed
+ * @param {Object} cargoInfo - The cargo's unit type info, { move }
+ * @param {Object} transportInfo - The transport's unit type info, { move }
+ * @returns {Number} - Movement points of the cargo unit per tile at sea
+ */
+export function getSeaStepCost(cargoInfo, transportInfo) {
+    return (cargoInfo.move || 1) / (transportInfo.move || 1);
+}
+
+/**
+ * Check if a unit type ignores zones of control: air units fly over them and units
+ * with the ignore_zoc ability slip through
+ * @param {Object} unitTypeInfo - The unit type info, { type, abilities }
+ * @returns {Boolean}
+ */
+export function ignoresZoneOfControl(unitTypeInfo) {
+    return unitTypeInfo.type === 'air' ||
+        !!(unitTypeInfo.abilities && unitTypeInfo.abilities.includes(IGNORE_ZOC_ABILITY));
+}
+
+/**
+ * Zone of control rules for a step between adjacent tiles. Entering a tile next to an
+ * enemy military unit ends the unit's movement for the turn, and a unit cannot step
+ * from one such tile straight into another.
+ * @param {Object} unitTypeInfo - The unit type info, { type, abilities }
+ * @param {Boolean} fromZOC - Whether an enemy unit is next to the tile the unit leaves
+ * @param {Boolean} toZOC - Whether an enemy unit is next to the tile the unit enters
+ * @returns {Object} - { allowed, endsMovement, reason }
+ */
+export function checkZoneOfControl(unitTypeInfo, fromZOC, toZOC) {
+    if (!toZOC || ignoresZoneOfControl(unitTypeInfo)) {
+        return { allowed: true, endsMovement: false, reason: "No enemy zone of control" };
+    }
+
+    if (fromZOC) {
+        return { allowed: false, endsMovement: false, reason: "Cannot move from one enemy zone of control into another" };
+    }
+
+    return { allowed: true, endsMovement: true, reason: "Entering an enemy zone of control ends movement" };
+}
+
+/**
+ * Check if terrain is passable for the unit type
+ * @param {Object} unitTypeInfo - The unit type info, { type, abilities }
+ * @param {String} terrainType - The terrain type
+ * @param {Object} terrainInfo - The terrain type info, { movementCost }
+ * @param {Boolean} isEmbarked - Whether the unit is embarked on a transport
+ * @returns {Object} - Result with passable status and reason
+ */
+export function checkTerrainPassability(unitTypeInfo, terrainType, terrainInfo, isEmbarked) {
+    // If unit is embarked on a transport, it can go where the transport can go
+    if (isEmbarked) {
+        return { passable: true, reason: "Unit is embarked on a transport" };
+    }
+
+    // Naval units stay on the water
+    if (unitTypeInfo.type === 'sea' && terrainType !== 'water') {
+        return { passable: false, reason: "Naval units cannot leave the water" };
+    }
+
+    // Handle impassable terrain
+    if (terrainInfo.movementCost === null) {
+        // Water is passable for naval units
+        if (terrainType === 'water' && unitTypeInfo.type === 'sea') {
+            return { passable: true, reason: "Naval unit can enter water" };
+        }
+
+        // Water is passable for amphibious units
+        if (terrainType === 'water' && unitTypeInfo.abilities && unitTypeInfo.abilities.includes('amphibious')) {
+            return { passable: true, reason: "Amphibious unit can enter water" };
+        }
+
+        // Mountains are passable for air units
+        if (terrainType === 'mountain' && unitTypeInfo.type === 'air') {
+            return { passable: true, reason: "Air unit can fly over mountains" };
+        }
+
+        return { passable: false, reason: `${terrainType} is impassable for ${unitTypeInfo.type} units` };
+    }
+
+    return { passable: true, reason: "Terrain is passable" };
+}
+
+/**
+ * Check if a step crosses a river: it enters a river tile from off the river, and no
+ * bridge spans the river there
+ * @param {Boolean} fromRiver - Whether the tile left is on a river
+ * @param {Boolean} toRiver - Whether the tile entered is on a river
+ * @param {Boolean} toBridged - Whether the tile entered has a bridge or railway
+ * @returns {Boolean}
+ */
+export function isRiverCrossing(fromRiver, toRiver, toBridged) {
+    return toRiver && !fromRiver && !toBridged;
+}
+
+/**
+ * Movement cost of a step along roads, bridges or railways. Both tiles need infrastructure,
+ * and the slower of the two sets the cost, so a railway only pays off between railway tiles.
+ * @param {Number} fromCost - movementCost of the infrastructure on the tile left, NaN when it has none
+ * @param {Number} toCost - movementCost of the infrastructure on the tile entered, NaN when it has none
+ * @returns {Number} - The step cost, or NaN when the step is not along the network
+ */
+export function getNetworkMovementCost(fromCost, toCost) {
+    if (!Number.isFinite(fromCost) || !Number.isFinite(toCost)) {
+        return NaN;
+    }
+    return Math.max(fromCost, toCost);
+}
+
+/**
+ * Movement points a unit pays to enter a passable tile
+ * @param {Object} unitTypeInfo - The unit type info, { type, abilities }
+ * @param {String} terrainType - The terrain type
+ * @param {Object} terrainInfo - The terrain type info, { movementCost }
+ * @param {Number} weatherCost - The tile's currentMovementCost, which overrides the terrain cost when positive
+ * @param {Boolean} hasZOC - Whether an enemy military unit is next to the tile
+ * @param {Number} networkCost - Cost of the step along infrastructure, see getNetworkMovementCost
+ * @param {Boolean} crossesRiver - Whether the step crosses a river, see isRiverCrossing
+ * @returns {Number} - The movement cost
+ */
+export function getTerrainMovementCost(unitTypeInfo, terrainType, terrainInfo, weatherCost, hasZOC, networkCost = NaN, crossesRiver = false) {
+    // Start with base cost from terrain (impassable terrain costs 1 for units allowed to enter it)
+    let cost = Number.isFinite(weatherCost) && weatherCost > 0 ? weatherCost : (terrainInfo.movementCost ?? 1);
+
+    // Roads and railways replace the terrain and weather cost when they are cheaper
+    if (Number.isFinite(networkCost)) {
+        cost = Math.min(cost, networkCost);
+    }
+
+    // Air units always pay 1MP per tile regardless of terrain
+    if (unitTypeInfo.type === 'air') {
+        return 1;
+    }
+
+    // Amphibious units pay 2MP for water
+    if (terrainType === 'water' && unitTypeInfo.abilities && unitTypeInfo.abilities.includes('amphibious')) {
+        return 2;
+    }
+
+    // Check for mobility ability - reduces terrain cost by 1 (minimum 1)
+    if (unitTypeInfo.abilities && unitTypeInfo.abilities.includes('mobility') && cost > 1) {
+        cost -= 1;
+    }
+
+    // Fording a river costs extra, amphibious units swim across
+    if (crossesRiver && !(unitTypeInfo.abilities && unitTypeInfo.abilities.includes('amphibious'))) {
+        cost += RIVER_CROSSING_COST;
+    }
+
+    // Add Zone of Control cost if there are adjacent enemy units
+    if (hasZOC && !ignoresZoneOfControl(unitTypeInfo)) {
+        cost += ZOC_EXTRA_COST;
+    }
+
+    return cost;
+}
@@ -0,0 +1,72 @@
+// A* over a grid's tile indices. Shared by PathfindingSystem on the main thread and the
+// pathfinding workers, which only differ in where step costs come from.
+import { PriorityQueue } from './priorityQueue.js';
+
+/**
+ * Find the cheapest path between two tiles with a binary-heap open set
+ * @param {Grid} grid - Topology of the map
+ * @param {Number} startX - X coordinate of the start tile
+ * @param {Number} startY - Y coordinate of the start tile
+ * @param {Number} endX - X coordinate of the goal tile
+ * @param {Number} endY - Y coordinate of the goal tile
+ * @param {Function} getStepCost - (fromX, fromY, toX, toY, isGoal) => cost, Infinity when the step is not allowed
+ * @param {Number} minStepCost - The cheapest any step can be, which scales the heuristic
+ * @returns {Array|null} - [{ x, y }] from start to goal, or null when the goal cannot be reached
+ */
+export function findGridPath(grid, startX, startY, endX, endY, getStepCost, minStepCost = 1) {
+    const width = grid.width;
+    const start = startY * width + startX;
+    const goal = endY * width + endX;
+
+    const gScore = new Float64Array(width * grid.height).fill(Infinity);
+    const cameFrom = new Int32Array(width * grid.height).fill(-1);
+    const closed = new Uint8Array(width * grid.height);
+    const open = new PriorityQueue();
+
+    gScore[start] = 0;
+    open.push(start, grid.distance(startX, startY, endX, endY) * minStepCost);
+
+    while (open.size > 0) {
+        const current = open.pop();
+        if (closed[current]) continue;
+        closed[current] = 1;
+
+        if (current === goal) {
+            return reconstructPath(cameFrom, current, width);
+        }
+
+        const x = current % width;
+        const y = (current - x) / width;
+
+        for (const neighbor of grid.neighbors(x, y)) {
+            const index = neighbor.y * width + neighbor.x;
+            if (closed[index]) continue;
+
+            // Every step costs at least minStepCost, so the scaled grid distance never overestimates
+            const tentativeGScore = gScore[current] + getStepCost(x, y, neighbor.x, neighbor.y, index === goal);
+            if (tentativeGScore >= gScore[index]) continue;
+
+            cameFrom[index] = current;
+            gScore[index] = tentativeGScore;
+            open.push(index, tentativeGScore + grid.distance(neighbor.x, neighbor.y, endX, endY) * minStepCost);
+        }
+    }
+
+    // No path found
+    return null;
+}
+
+/**
+ * Walk back from the goal through cameFrom to the start
+ */
+function reconstructPath(cameFrom, current, width) {
+    const path = [];
+
+    while (current !== -1) {
+        const x = current % width;
+        path.unshift({ x, y: (current - x) / width });
+        current = cameFrom[current];
+    }
+
+    return path;
+}
@@ -1,222 +1,268 @@
-import { terrainTypes } from './terrain.js';
+import { getGrid } from './grid.js';
+import { getEventBus } from './eventBus.js';
+import { getStepMovementCost, entersZoneOfControl } from './movement.js';
+import { PriorityQueue } from './priorityQueue.js';
+import { findGridPath } from './pathSearch.js';
+import { getMinimumStepCost } from './infrastructure.js';
 import { unitTypes } from './units.js';
+import { canCarry, getSeaStepCost, EMBARK_MP_COST } from './movementRules.js';
+
+// Events after which cached paths through the affected tile are dropped
+const TILE_EVENTS = ['unit.created', 'unit.killed', 'unit.embarked', 'unit.disembarked', 'building.started', 'building.completed', 'infrastructure.completed', 'infrastructure.pillaged'];
+
+// Events after which the cheapest step on the map may have changed
+const NETWORK_EVENTS = ['infrastructure.completed', 'infrastructure.pillaged'];
 
 export class PathfindingSystem {
     constructor(gameState) {
         this.gameState = gameState;
+
+        // Paths found this turn, keyed by unit movement rules, start and goal
+        this.pathCache = new Map();
+        this.cacheTurn = null;
+        this.cacheStats = { hits: 0, misses: 0 };
+
+        // Cheapest step on the map, scales the A* heuristic; looked up again after the network changes
+        this.minStepCost = null;
+
+        // Paths searched ahead of a player's turn, keyed by player index
+        this.primedPaths = new Map();
+
+        const bus = getEventBus(gameState);
+        bus.on('unit.moved', ({ from, to }) => {
+            this.invalidateTile(from.x, from.y);
+            this.invalidateTile(to.x, to.y);
+        });
+        TILE_EVENTS.forEach(type => bus.on(type, ({ x, y }) => this.invalidateTile(x, y)));
+        NETWORK_EVENTS.forEach(type => bus.on(type, () => {
+            this.minStepCost = null;
+        }));
+        bus.on('weather.changed', () => this.clearCache());
+        // Undo puts units and buildings back without events, any cached path may be stale
+        bus.on('command.undone', () => this.clearCache());
+        bus.on('round.ended', () => this.primedPaths.clear());
     }
 
     /**
-     * Find path between two points using A* algorithm
+     * Find the cheapest path between two points using A*.
+     * Tiles with another unit on them are avoided, except the goal.
+     * @returns {Array|null} - [{ x, y }] from start to goal, or null when the goal cannot be reached
      */
     findPath(startX, startY, endX, endY, unit) {
-        const openSet = new Set();
-        const closedSet = new Set();
-        const cameFrom = new Map();
-        
-        // Cost from start to node
-        const gScore = new Map();
-        // Estimated total cost from start to end through node
-        const fScore = new Map();
-        
-        const start = `${startX},${startY}`;
-        const goal = `${endX},${endY}`;
-        
-        openSet.add(start);
-        gScore.set(start, 0);
-        fScore.set(start, this.heuristic(startX, startY, endX, endY));
-        
-        while (openSet.size > 0) {
-            // Get node with lowest fScore
-            const current = this.getLowestFScore(openSet, fScore);
-            
-            if (current === goal) {
-                return this.reconstructPath(cameFrom, current);
-            }
-            
-            openSet.delete(current);
-            closedSet.add(current);
-            
-            const [x, y] = current.split(',').map(Number);
-            
-            // Check all neighbors
-            const neighbors = this.getNeighbors(x, y);
-            
-            for (const neighbor of neighbors) {
-                const [nx, ny] = neighbor;
-                const neighborKey = `${nx},${ny}`;
-                
-                if (closedSet.has(neighborKey)) continue;
-                
-                // Calculate tentative gScore
-                const movementCost = this.getMovementCost(x, y, nx, ny, unit);
-                const tentativeGScore = gScore.get(current) + movementCost;
-                
-                if (!openSet.has(neighborKey)) {
-                    openSet.add(neighborKey);
-                } else if (tentativeGScore >= gScore.get(neighborKey)) {
-                    continue;
-                }
-                
-                // This path is the best so far
-                cameFrom.set(neighborKey, current);
-                gScore.set(neighborKey, tentativeGScore);
-                fScore.set(neighborKey, tentativeGScore + 
-                    this.heuristic(nx, ny, endX, endY));
-            }
+        const grid = getGrid(this.gameState);
+        if (!grid.inBounds(startX, startY) || !grid.inBounds(endX, endY)) return null;
+
+        const key = this.getCacheKey(startX, startY, endX, endY, unit);
+        const cached = this.getCachedPath(key);
+        if (cached !== undefined) {
+            this.cacheStats.hits++;
+            return cached && cached.path.map(step => ({ ...step }));
         }
-        
-        // No path found
-        return null;
+        this.cacheStats.misses++;
+
+        const path = this.searchPath(grid, startX, startY, endX, endY, unit);
+        this.cachePath(key, grid, path);
+        return path && path.map(step => ({ ...step }));
+    }
+
+    /**
+     * A* with this system's step costs
+     */
+    searchPath(grid, startX, startY, endX, endY, unit) {
+        return findGridPath(grid, startX, startY, endX, endY, (fromX, fromY, toX, toY, isGoal) =>
+            this.getMovementCost(fromX, fromY, toX, toY, unit, isGoal), this.getMinStepCost());
     }
 
     /**
-     * Manhattan distance heuristic
+     * Steps between two tiles on the game's grid times the cheapest step on the map
      */
     heuristic(x1, y1, x2, y2) {
-        return Math.abs(x1 - x2) + Math.abs(y1 - y2);
+        return getGrid(this.gameState).distance(x1, y1, x2, y2) * this.getMinStepCost();
+    }
+
+    /**
+     * The cheapest step on the map: 1, or less once roads or railways are built
+     */
+    getMinStepCost() {
+        if (this.minStepCost === null) {
+            this.minStepCost = getMinimumStepCost(this.gameState);
+        }
+        return this.minStepCost;
     }
 
     /**
      * Get valid neighboring tiles
      */
     getNeighbors(x, y) {
-        const neighbors = [];
-        const directions = [
-            [-1, 0], [1, 0], [0, -1], [0, 1],  // Orthogonal
-            [-1, -1], [-1, 1], [1, -1], [1, 1]  // Diagonal
-        ];
-        
-        for (const [dx, dy] of directions) {
-            const newX = x + dx;
-            const newY = y + dy;
-            
-            if (this.isValidPosition(newX, newY)) {
-                neighbors.push([newX, newY]);
-            }
-        }
-        
-        return neighbors;
+        return getGrid(this.gameState).neighbors(x, y).map(position => [position.x, position.y]);
     }
 
     /**
      * Check if position is within map bounds
      */
     isValidPosition(x, y) {
-        return x >= 0 && x < this.gameState.mapSize && 
-               y >= 0 && y < this.gameState.mapSize;
+        return getGrid(this.gameState).inBounds(x, y);
     }
 
     /**
-     * Calculate movement cost between adjacent tiles
+     * Calculate movement cost between adjacent tiles, using the same rules as moving the unit
+     * @param {Boolean} isGoal - The destination may hold a unit, e.g. the target of an attack
      */
-    getMovementCost(fromX, fromY, toX, toY, unit) {
-        const fromTile = this.gameState.map[fromY][fromX];
+    getMovementCost(fromX, fromY, toX, toY, unit, isGoal = false) {
         const toTile = this.gameState.map[toY][toX];
-        
-        // Base movement cost
-        let cost = 1;
-        
-        // Add terrain movement cost
-        const terrain = terrainTypes[toTile.type];
-        cost *= terrain.movementCost || 1;
-        
-        // Check if unit can move through this terrain
-        const unitInfo = unitTypes[unit.type];
-        if (terrain.restricted && 
-            (!unitInfo.canCross || !unitInfo.canCross.includes(toTile.type))) {
-            return Infinity;
-        }
-        
-        // Add elevation change cost
-        const elevationDiff = Math.abs(toTile.elevation - fromTile.elevation);
-        cost += elevationDiff * 0.5;
-        
-        // Add diagonal movement cost
-        if (Math.abs(toX - fromX) === 1 && Math.abs(toY - fromY) === 1) {
-            cost *= 1.4; // √2 for diagonal movement
-        }
-        
-        // Check for blocking units
-        if (toTile.unit && toTile.unit.owner !== unit.owner) {
+
+        // Units cannot move through other units
+        if (toTile.unit && toTile.unit !== unit && !isGoal) {
             return Infinity;
         }
-        
-        return cost;
+
+        // Attacking the unit on the goal is not a move, zones of control do not restrict it
+        const isAttack = !!toTile.unit && toTile.unit.owner !== unit.owner;
+        return getStepMovementCost(unit, fromX, fromY, toX, toY, this.gameState, isAttack);
     }
 
     /**
-     * Get node with lowest fScore from open set
+     * Check if entering a tile ends the unit's movement for the turn, in an enemy zone of control
      */
-    getLowestFScore(openSet, fScore) {
-        let lowest = null;
-        let lowestScore = Infinity;
-        
-        for (const node of openSet) {
-            const score = fScore.get(node);
-            if (score < lowestScore) {
-                lowest = node;
-                lowestScore = score;
+    endsMovement(unit, x, y) {
+        return entersZoneOfControl(unit, x, y, this.gameState);
+    }
+
+    /**
+     * Find a route for a land unit that crosses the water aboard a transport: it walks to
+     * the coast, boards, sails and lands, every step charged in the unit's own movement
+     * points. A step at sea costs the unit's share of the transport's speed, boarding costs
+     * EMBARK_MP_COST more and landing uses a whole turn of the unit's movement.
+     * @param {Object} transport - Transport to sail on, by default the nearest one of the unit's owner with room
+     * @returns {Object|null} - { path, legs: [{ mode, path }], cost, transport }, where mode is
+     *                          'land' or 'sea' and neighbouring legs share the coastal tile; null
+     *                          when there is no transport or no route
+     */
+    findCombinedPath(startX, startY, endX, endY, unit, transport = this.findTransportFor(unit)) {
+        const grid = getGrid(this.gameState);
+        if (!transport || !grid.inBounds(startX, startY) || !grid.inBounds(endX, endY)) return null;
+
+        const getStepCost = (fromX, fromY, toX, toY, isGoal) =>
+            this.getCombinedMovementCost(fromX, fromY, toX, toY, unit, transport, isGoal);
+        const seaStepCost = getSeaStepCost(unitTypes[unit.type], unitTypes[transport.type]);
+        const path = findGridPath(grid, startX, startY, endX, endY, getStepCost, Math.min(this.getMinStepCost(), seaStepCost));
+        if (!path) return null;
+
+        let cost = 0;
+        const legs = [];
+        path.forEach((step, i) => {
+            const mode = this.gameState.map[step.y][step.x].type === 'water' ? 'sea' : 'land';
+            const leg = legs[legs.length - 1];
+            if (i > 0) {
+                cost += getStepCost(path[i - 1].x, path[i - 1].y, step.x, step.y, i === path.length - 1);
             }
-        }
-        
-        return lowest;
+
+            // Boarding and landing steps belong to the sea leg
+            if (!leg) {
+                legs.push({ mode, path: [step] });
+            } else if (leg.mode === 'sea' || mode === leg.mode) {
+                leg.path.push(step);
+                if (leg.mode === 'sea' && mode === 'land') legs.push({ mode, path: [step] });
+            } else {
+                legs.push({ mode, path: [leg.path[leg.path.length - 1], step] });
+            }
+        });
+
+        // A route ending on the landing tile leaves an empty land leg behind
+        if (legs.length > 1 && legs[legs.length - 1].path.length === 1) legs.pop();
+        return { path, legs, cost, transport };
     }
 
     /**
-     * Reconstruct path from A* result
+     * Movement cost of a step on a combined land and sea route, see findCombinedPath
      */
-    reconstructPath(cameFrom, current) {
-        const path = [current];
-        
-        while (cameFrom.has(current)) {
-            current = cameFrom.get(current);
-            path.unshift(current);
+    getCombinedMovementCost(fromX, fromY, toX, toY, unit, transport, isGoal = false) {
+        const map = this.gameState.map;
+        const toTile = map[toY][toX];
+        const toSea = toTile.type === 'water';
+        const fromSea = map[fromY][fromX].type === 'water';
+        if (!toSea && !fromSea) {
+            return this.getMovementCost(fromX, fromY, toX, toY, unit, isGoal);
+        }
+
+        // Ships pass only the transport itself, and the unit lands only on an empty tile
+        if (toTile.unit && toTile.unit !== unit && toTile.unit !== transport) {
+            return Infinity;
+        }
+
+        const unitTypeInfo = unitTypes[unit.type];
+        if (toSea) {
+            return getSeaStepCost(unitTypeInfo, unitTypes[transport.type]) + (fromSea ? 0 : EMBARK_MP_COST);
         }
-        
-        return path.map(pos => {
-            const [x, y] = pos.split(',').map(Number);
-            return {x, y};
+        if (!Number.isFinite(getStepMovementCost(unit, fromX, fromY, toX, toY, this.gameState, true))) {
+            return Infinity;
+        }
+        return unitTypeInfo.move || 1;
+    }
+
+    /**
+     * The nearest transport of a unit's owner that can take the unit aboard
+     * @returns {Object|null}
+     */
+    findTransportFor(unit) {
+        const grid = getGrid(this.gameState);
+        const player = this.gameState.players[unit.owner - 1];
+        const unitTypeInfo = unitTypes[unit.type];
+        let nearest = null;
+        (player?.units || []).forEach(candidate => {
+            const info = unitTypes[candidate.type];
+            if (candidate.isEmbarked || !canCarry(info, unitTypeInfo)) return;
+            if ((candidate.cargo || []).length >= (info.capacity || 2)) return;
+            if (!nearest || grid.distance(unit.x, unit.y, candidate.x, candidate.y) < grid.distance(unit.x, unit.y, nearest.x, nearest.y)) {
+                nearest = candidate;
+            }
         });
+        return nearest;
     }
 
     /**
-     * Get all reachable tiles within movement points
+     * Get all reachable tiles within movement points using a Dijkstra flood fill
+     * @param {Object} unit - The unit that will move
+     * @param {Number} maxCost - Movement points to spend, the unit's remaining MP by default
+     * @returns {Array} - [{ x, y, cost }] cheapest first, the unit's own tile included
      */
-    getReachableTiles(unit) {
-        const reachable = new Set();
-        const queue = [{
-            x: unit.x,
-            y: unit.y,
-            mp: unit.remainingMP
-        }];
-        
-        while (queue.length > 0) {
-            const current = queue.shift();
-            const key = `${current.x},${current.y}`;
-            
-            if (reachable.has(key)) continue;
-            reachable.add(key);
-            
-            // Check neighbors
-            const neighbors = this.getNeighbors(current.x, current.y);
-            
-            for (const [nx, ny] of neighbors) {
-                const cost = this.getMovementCost(
-                    current.x, current.y, nx, ny, unit
-                );
-                
-                const remainingMP = current.mp - cost;
-                if (remainingMP >= 0) {
-                    queue.push({x: nx, y: ny, mp: remainingMP});
+    getReachableTiles(unit, maxCost = unit.remainingMP) {
+        const grid = getGrid(this.gameState);
+        const width = grid.width;
+        const costs = new Float64Array(width * grid.height).fill(Infinity);
+        const settled = new Uint8Array(width * grid.height);
+        const queue = new PriorityQueue();
+        const reachable = [];
+
+        const start = unit.y * width + unit.x;
+        costs[start] = 0;
+        queue.push(start, 0);
+
+        while (queue.size > 0) {
+            const current = queue.pop();
+            if (settled[current]) continue;
+            settled[current] = 1;
+
+            const x = current % width;
+            const y = (current - x) / width;
+            reachable.push({ x, y, cost: costs[current] });
+
+            // The unit stops in a zone of control it enters
+            if (current !== start && this.endsMovement(unit, x, y)) continue;
+
+            for (const neighbor of grid.neighbors(x, y)) {
+                const index = neighbor.y * width + neighbor.x;
+                if (settled[index]) continue;
+
+                const cost = costs[current] + this.getMovementCost(x, y, neighbor.x, neighbor.y, unit);
+                if (cost <= maxCost && cost < costs[index]) {
+                    costs[index] = cost;
+                    queue.push(index, cost);
                 }
             }
         }
-        
-        return Array.from(reachable).map(pos => {
-            const [x, y] = pos.split(',').map(Number);
-            return {x, y};
-        });
+
+        return reachable;
     }
 
     /**
@@ -225,18 +271,8 @@ export class PathfindingSystem {
     canReachTile(unit, targetX, targetY) {
         const path = this.findPath(unit.x, unit.y, targetX, targetY, unit);
         if (!path) return false;
-        
-        // Calculate total movement cost
-        let totalCost = 0;
-        for (let i = 0; i < path.length - 1; i++) {
-            totalCost += this.getMovementCost(
-                path[i].x, path[i].y,
-                path[i + 1].x, path[i + 1].y,
-                unit
-            );
-        }
-        
-        return totalCost <= unit.remainingMP;
+
+        return this.getPartialPath(unit, path).length === path.length;
     }
 
     /**
@@ -245,22 +281,103 @@ export class PathfindingSystem {
     getPartialPath(unit, path) {
         let remainingMP = unit.remainingMP;
         let lastValidIndex = 0;
-        
+
         for (let i = 0; i < path.length - 1; i++) {
             const cost = this.getMovementCost(
                 path[i].x, path[i].y,
                 path[i + 1].x, path[i + 1].y,
-                unit
+                unit,
+                i === path.length - 2
             );
-            
+
             if (remainingMP >= cost) {
                 remainingMP -= cost;
                 lastValidIndex = i + 1;
             } else {
                 break;
             }
+
+            // Entering an enemy zone of control ends the move
+            if (this.endsMovement(unit, path[i + 1].x, path[i + 1].y)) break;
         }
-        
+
         return path.slice(0, lastValidIndex + 1);
     }
-}
\ No newline at end of file
+
+    /**
+     * Paths depend on the unit's movement rules, not on which unit asks
+     */
+    getCacheKey(startX, startY, endX, endY, unit) {
+        return `${unit.type}:${unit.owner}:${unit.isEmbarked ? 1 : 0}:${startX},${startY}:${endX},${endY}`;
+    }
+
+    /**
+     * Cached result for a key: the entry, null for a cached failure, or undefined when not cached
+     */
+    getCachedPath(key) {
+        const turn = `${this.gameState.turn}:${this.gameState.currentPlayer}`;
+        if (this.cacheTurn !== turn) {
+            this.pathCache = this.primedPaths.get(this.gameState.currentPlayer) || new Map();
+            this.primedPaths.delete(this.gameState.currentPlayer);
+            this.cacheTurn = turn;
+        }
+        return this.pathCache.get(key);
+    }
+
+    /**
+     * Remember a search result with the tiles it depends on
+     */
+    cachePath(key, grid, path) {
+        this.pathCache.set(key, this.createCacheEntry(grid, path));
+    }
+
+    /**
+     * Cache entry for a path: the path and, for zone of control, the tiles around it.
+     * Failed searches are stored as null and depend on every tile.
+     */
+    createCacheEntry(grid, path) {
+        if (!path) return null;
+
+        const tiles = new Set();
+        path.forEach(step => {
+            tiles.add(step.y * grid.width + step.x);
+            grid.neighbors(step.x, step.y).forEach(neighbor => tiles.add(neighbor.y * grid.width + neighbor.x));
+        });
+        return { path, tiles, width: grid.width };
+    }
+
+    /**
+     * Keep paths searched ahead of a player's turn, e.g. on a PathfindingPool, and serve
+     * them from the cache once that player's turn begins. Moves before then drop the
+     * paths they affect, as they do for cached paths.
+     * @param {Number} playerIndex - Player whose turn the paths are for
+     * @param {Array} searches - [{ startX, startY, endX, endY, unit, path }]
+     */
+    primePaths(playerIndex, searches) {
+        const grid = getGrid(this.gameState);
+        const cache = this.primedPaths.get(playerIndex) || new Map();
+        searches.forEach(({ startX, startY, endX, endY, unit, path }) => {
+            cache.set(this.getCacheKey(startX, startY, endX, endY, unit), this.createCacheEntry(grid, path));
+        });
+        this.primedPaths.set(playerIndex, cache);
+    }
+
+    /**
+     * Drop cached and primed paths that a change on this tile could affect
+     */
+    invalidateTile(x, y) {
+        [this.pathCache, ...this.primedPaths.values()].forEach(cache => {
+            cache.forEach((entry, key) => {
+                if (!entry || entry.tiles.has(y * entry.width + x)) {
+                    cache.delete(key);
+                }
+            });
+        });
+    }
+
+    clearCache() {
+        this.pathCache.clear();
+        this.primedPaths.clear();
+        this.minStepCost = null;
+    }
+}
@@ -0,0 +1,183 @@
+// Pool of pathfinding workers. The map is posted to every worker as a compact snapshot
+// once per turn; batches of path searches are split across the workers and answered
+// with promises. Where workers cannot start (Node, file:// pages, older browsers) the
+// same searches run on the main thread.
+import { terrainTypes } from './terrain.js';
+import { unitTypes } from './units.js';
+import { infrastructureTypes } from './infrastructure.js';
+import { createMapSnapshot, createMovementProfile, findSnapshotPath } from './mapSnapshot.js';
+
+// Workers started when hardwareConcurrency is unknown, one core is left for the UI
+const DEFAULT_POOL_SIZE = 2;
+
+export class PathfindingPool {
+    /**
+     * @param {Object} options - { size } number of workers, { workerUrl } module worker script
+     */
+    constructor(options = {}) {
+        const cores = globalThis.navigator?.hardwareConcurrency || DEFAULT_POOL_SIZE + 1;
+        this.size = options.size ?? Math.max(1, Math.min(DEFAULT_POOL_SIZE, cores - 1));
+        this.workerUrl = options.workerUrl ?? new URL('./pathfinding.worker.js', import.meta.url);
+
+        // Workers start on the first search; an empty list means searches run on the main thread
+        this.workers = null;
+        this.snapshot = null;
+        this.snapshotTurn = null;
+        this.nextBatchId = 1;
+        this.pendingBatches = new Map();
+    }
+
+    /**
+     * Check whether this environment can run module workers at all
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Whether searches currently go to workers
+     */
+    get usesWorkers() {
+        return !!this.workers && this.workers.length > 0;
+    }
+
+    /**
+     * Take a new snapshot of the map when the turn changed since the last one
+     * @param {Object} gameState - The game state
+     * @param {Boolean} force - Take the snapshot even if one exists for this turn
+     * @returns {Boolean} - Whether a new snapshot was taken
+     */
+    updateSnapshot(gameState, force = false) {
+        const turn = `${gameState.turn}:${gameState.currentPlayer}`;
+        if (!force && this.snapshot && this.snapshotTurn === turn) {
+            return false;
+        }
+
+        this.snapshot = createMapSnapshot(gameState, terrainTypes, unitTypes, infrastructureTypes);
+        this.snapshotTurn = turn;
+        if (this.usesWorkers) {
+            this.workers.forEach(worker => worker.postMessage({ type: 'snapshot', snapshot: this.snapshot }));
+        }
+        return true;
+    }
+
+    /**
+     * Search several paths on the current snapshot
+     * @param {Array} requests - [{ startX, startY, endX, endY, unit }]
+     * @returns {Promise<Array>} - One path ([{ x, y }] or null) per request, in request order
+     */
+    findPaths(requests) {
+        if (!this.snapshot) {
+            return Promise.reject(new Error('No map snapshot, call updateSnapshot first'));
+        }
+
+        const searches = requests.map(({ startX, startY, endX, endY, unit }) => ({
+            startX,
+            startY,
+            endX,
+            endY,
+            unit: createMovementProfile(unit, unitTypes[unit.type])
+        }));
+        if (searches.length === 0) {
+            return Promise.resolve([]);
+        }
+
+        this.startWorkers();
+        if (!this.usesWorkers) {
+            return Promise.resolve(this.searchOnMainThread(searches));
+        }
+
+        // One chunk per worker, answered in request order
+        const chunkSize = Math.ceil(searches.length / this.workers.length);
+        const batches = [];
+        for (let i = 0; i * chunkSize < searches.length; i++) {
+            batches.push(this.postBatch(this.workers[i], searches.slice(i * chunkSize, (i + 1) * chunkSize)));
+        }
+        return Promise.all(batches).then(results => results.flat());
+    }
+
+    /**
+     * Search a single path on the current snapshot
+     * @returns {Promise<Array|null>}
+     */
+    findPath(startX, startY, endX, endY, unit) {
+        return this.findPaths([{ startX, startY, endX, endY, unit }]).then(paths => paths[0]);
+    }
+
+    /**
+     * Start the workers and send them the current snapshot. Falls back to the
+     * main thread when a worker cannot be created.
+     */
+    startWorkers() {
+        if (this.workers) return;
+
+        this.workers = [];
+        if (!PathfindingPool.isSupported()) return;
+
+        try {
+            for (let i = 0; i < this.size; i++) {
+                const worker = new Worker(this.workerUrl, { type: 'module' });
+                worker.onmessage = event => this.handleMessage(event.data);
+                worker.onerror = event => this.handleWorkerError(event);
+                worker.postMessage({ type: 'snapshot', snapshot: this.snapshot });
+                this.workers.push(worker);
+            }
+        } catch (error) {
+            console.warn('Pathfinding workers are unavailable, searching on the main thread:', error);
+            this.stopWorkers();
+        }
+    }
+
+    postBatch(worker, searches) {
+        return new Promise((resolve, reject) => {
+            const batchId = this.nextBatchId++;
+            this.pendingBatches.set(batchId, { searches, resolve, reject });
+            worker.postMessage({ type: 'paths', batchId, searches });
+        });
+    }
+
+    handleMessage({ batchId, paths, error }) {
+        const batch = this.pendingBatches.get(batchId);
+        if (!batch) return;
+
+        this.pendingBatches.delete(batchId);
+        if (error) {
+            batch.reject(new Error(`Pathfinding worker failed: ${error}`));
+        } else {
+            batch.resolve(paths);
+        }
+    }
+
+    /**
+     * A worker that fails to load or crashes takes the pool down to the main thread,
+     * which also answers the batches still waiting
+     */
+    handleWorkerError(event) {
+        event.preventDefault?.();
+        console.warn('Pathfinding worker failed, searching on the main thread:', event.message);
+
+        this.stopWorkers();
+        this.pendingBatches.forEach(batch => batch.resolve(this.searchOnMainThread(batch.searches)));
+        this.pendingBatches.clear();
+    }
+
+    searchOnMainThread(searches) {
+        return searches.map(search => findSnapshotPath(this.snapshot, search));
+    }
+
+    stopWorkers() {
+        (this.workers || []).forEach(worker => worker.terminate());
+        this.workers = [];
+    }
+
+    /**
+     * Stop the workers and reject searches still running. The pool starts new
+     * workers on its next search.
+     */
+    terminate() {
+        this.stopWorkers();
+        this.workers = null;
+        this.pendingBatches.forEach(batch => batch.reject(new Error('Pathfinding pool was terminated')));
+        this.pendingBatches.clear();
+    }
+}
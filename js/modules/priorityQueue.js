@@ -0,0 +1,78 @@
+/**
+ * Binary min-heap of items ordered by a numeric priority, lowest first.
+ * Used by pathfinding for the A* open set and Dijkstra flood fills.
+ */
+export class PriorityQueue {
+    constructor() {
+        this.items = [];
+        this.priorities = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Add an item. An item can be pushed again with a lower priority instead of
+     * being updated in place; callers skip the stale copy when it is popped.
+     */
+    push(item, priority) {
+        this.items.push(item);
+        this.priorities.push(priority);
+        this.siftUp(this.items.length - 1);
+    }
+
+    /**
+     * Remove and return the item with the lowest priority
+     */
+    pop() {
+        if (this.items.length === 0) return undefined;
+
+        const top = this.items[0];
+        const lastItem = this.items.pop();
+        const lastPriority = this.priorities.pop();
+        if (this.items.length > 0) {
+            this.items[0] = lastItem;
+            this.priorities[0] = lastPriority;
+            this.siftDown(0);
+        }
+        return top;
+    }
+
+    /**
+     * Priority of the item pop() would return next
+     */
+    peekPriority() {
+        return this.priorities[0];
+    }
+
+    siftUp(index) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= this.priorities[index]) break;
+            this.swap(index, parent);
+            index = parent;
+        }
+    }
+
+    siftDown(index) {
+        const length = this.items.length;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+
+            if (left < length && this.priorities[left] < this.priorities[smallest]) smallest = left;
+            if (right < length && this.priorities[right] < this.priorities[smallest]) smallest = right;
+            if (smallest === index) break;
+
+            this.swap(index, smallest);
+            index = smallest;
+        }
+    }
+
+    swap(a, b) {
+        [this.items[a], this.items[b]] = [this.items[b], this.items[a]];
+        [this.priorities[a], this.priorities[b]] = [this.priorities[b], this.priorities[a]];
+    }
+}
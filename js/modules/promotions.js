@@ -0,0 +1,167 @@
+// Veterancy and promotions - each unit gains experience in combat and levels up, which makes
+// it a little stronger and lets its owner pick a promotion from the 'promotions' section of
+// the content packs: combat training, terrain specialists, ambush, medic or march. Every
+// bonus belongs to the unit itself, never to its unit type.
+import { defineContentTable } from './content.js';
+import { unitTypes } from './units.js';
+import { getGrid } from './grid.js';
+import { emitGameEvent } from './eventBus.js';
+import { getArmy } from './armies.js';
+
+// Promotion types, from the 'promotions' section of the content packs
+export const promotionTypes = defineContentTable('promotions', {});
+
+// Experience the first level needs; each level after needs this much more than the last
+const EXPERIENCE_PER_LEVEL = 20;
+
+// Attack and defense bonus of each level
+const LEVEL_BONUS = 0.05;
+
+/**
+ * Total experience a unit needs to reach a level
+ * @param {Number} level - The level, from 1
+ * @returns {Number}
+ */
+export function getExperienceForLevel(level) {
+    return EXPERIENCE_PER_LEVEL * level * (level + 1) / 2;
+}
+
+/**
+ * Add experience to a unit, levelling it up as often as the experience allows. Each level
+ * gives the unit one promotion to pick.
+ * @param {Object} gameState - The game state
+ * @param {Object} unit - The unit
+ * @param {Number} amount - Experience gained
+ * @returns {Number} - Levels gained
+ */
+export function grantExperience(gameState, unit, amount) {
+    unit.experience = (unit.experience || 0) + amount;
+
+    let levels = 0;
+    while (unit.experience >= getExperienceForLevel((unit.level || 0) + 1)) {
+        unit.level = (unit.level || 0) + 1;
+        unit.promotionsPending = (unit.promotionsPending || 0) + 1;
+        levels++;
+        emitGameEvent(gameState, 'unit.leveledUp', { unitId: unit.id, owner: unit.owner, level: unit.level });
+    }
+    return levels;
+}
+
+/**
+ * Check if a unit could take a promotion, ignoring whether it has one to pick
+ * @param {Object} unit - The unit
+ * @param {String} promotionId - Key in promotionTypes
+ * @returns {Object} - { allowed, reason }
+ */
+export function canTakePromotion(unit, promotionId) {
+    const promotion = promotionTypes[promotionId];
+    if (!promotion) {
+        return { allowed: false, reason: `Unknown promotion: ${promotionId}` };
+    }
+    const taken = unit.promotions || [];
+    if (taken.includes(promotionId)) {
+        return { allowed: false, reason: `Unit already has ${promotion.name}` };
+    }
+    if (promotion.types && !promotion.types.includes(unitTypes[unit.type]?.type)) {
+        return { allowed: false, reason: `${promotion.name} is not open to a ${unit.type}` };
+    }
+    if (promotion.requires && !promotion.requires.some(requiredId => taken.includes(requiredId))) {
+        const names = promotion.requires.map(requiredId => promotionTypes[requiredId]?.name || requiredId);
+        return { allowed: false, reason: `${promotion.name} needs ${names.join(' or ')}` };
+    }
+    return { allowed: true };
+}
+
+/**
+ * Promotions a unit could take next
+ * @param {Object} unit - The unit
+ * @returns {Array} - Keys in promotionTypes
+ */
+export function getAvailablePromotions(unit) {
+    return Object.keys(promotionTypes).filter(promotionId => canTakePromotion(unit, promotionId).allowed);
+}
+
+/**
+ * Give a unit one of the promotions its levels earned it
+ * @param {Object} gameState - The game state
+ * @param {Object} unit - The unit
+ * @param {String} promotionId - Key in promotionTypes
+ */
+export function promoteUnit(gameState, unit, promotionId) {
+    unit.promotions = [...(unit.promotions || []), promotionId];
+    unit.promotionsPending -= 1;
+    if (unit.promotionsPending <= 0) delete unit.promotionsPending;
+
+    emitGameEvent(gameState, 'unit.promoted', { unitId: unit.id, owner: unit.owner, promotionId });
+}
+
+/**
+ * Bonus of a unit's level and promotions to its attack or defense, where it stands now.
+ * Terrain promotions only count on their terrain, and `attacking` promotions only for the
+ * side that started the fight.
+ * @param {Object} gameState - The game state
+ * @param {Object} unit - The unit
+ * @param {String} stat - 'attack' or 'defense'
+ * @param {Boolean} attacking - Whether the unit is on the side that started the fight
+ * @returns {Number} - The bonus, 0.25 for +25%
+ */
+export function getCombatBonus(gameState, unit, stat, attacking = false) {
+    const terrain = gameState.map[unit.y]?.[unit.x]?.type;
+    return (unit.promotions || []).reduce((bonus, promotionId) => {
+        const promotion = promotionTypes[promotionId];
+        if (!promotion || (promotion.terrain && !promotion.terrain.includes(terrain))) return bonus;
+        if (promotion.attacking && !attacking) return bonus;
+        return bonus + (promotion[stat] || 0);
+    }, (unit.level || 0) * LEVEL_BONUS);
+}
+
+/**
+ * Movement points a unit has each turn, with those its promotions add
+ * @param {Object} unit - The unit
+ * @returns {Number}
+ */
+export function getMovementAllowance(unit) {
+    const extra = (unit.promotions || []).reduce((total, promotionId) => total + (promotionTypes[promotionId]?.move || 0), 0);
+    return (unitTypes[unit.type]?.move ?? 1) + extra;
+}
+
+/**
+ * Health a unit's promotions restore to the units around it each turn
+ * @param {Object} unit - The unit
+ * @returns {Number}
+ */
+function getHealing(unit) {
+    return Math.max(0, ...(unit.promotions || []).map(promotionId => promotionTypes[promotionId]?.heal || 0));
+}
+
+/**
+ * Heal the units of a player next to its medics, at the start of the player's turn. A
+ * wounded unit is healed once, by the best medic in reach, which may be itself.
+ * @param {Object} gameState - The game state
+ * @param {Number} playerIndex - The player whose turn begins
+ */
+export function healWithMedics(gameState, playerIndex) {
+    const grid = getGrid(gameState);
+    const healing = new Map();
+
+    gameState.map.forEach((row, y) => row.forEach((tile, x) => {
+        if (!tile.unit || tile.unit.owner !== playerIndex) return;
+
+        const amount = Math.max(...getArmy(tile.unit).map(getHealing));
+        if (amount <= 0) return;
+
+        [{ x, y }, ...grid.neighbors(x, y)].forEach(position => {
+            const patient = gameState.map[position.y][position.x].unit;
+            if (!patient || patient.owner !== playerIndex) return;
+            getArmy(patient).forEach(unit => {
+                healing.set(unit, Math.max(healing.get(unit) || 0, amount));
+            });
+        });
+    }));
+
+    healing.forEach((amount, unit) => {
+        if (typeof unit.health === 'number' && unit.health < 100) {
+            unit.health = Math.min(100, unit.health + amount);
+        }
+    });
+}
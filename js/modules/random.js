@@ -0,0 +1,121 @@
+// Seeded random number service shared by all game systems.
+// Each system draws from its own named stream so that, for example, an extra
+// combat roll does not change the next weather roll. Stream positions are plain
+// numbers stored in gameState.rng and are saved with the game.
+
+export const RNG_STREAMS = ['combat', 'weather', 'events', 'mapgen', 'ai'];
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ */
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create the serializable random state for a game seed
+ * @param {number} seed - Game seed
+ * @returns {Object} - { seed, streams, counters }
+ */
+export function createRandomState(seed) {
+    const streams = {};
+    RNG_STREAMS.forEach(name => {
+        streams[name] = hashString(`${seed}:${name}`);
+    });
+
+    return {
+        seed: seed,
+        streams: streams,
+        counters: {}
+    };
+}
+
+/**
+ * Pick a seed for a new game started without one. This is the only place the game draws
+ * unseeded random numbers; everything after it is reproduced from the seed.
+ * @returns {number}
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 1000000);
+}
+
+/**
+ * Seed the game's random streams
+ * @param {Object} gameState - The game state
+ * @param {number} seed - Game seed
+ */
+export function initializeRandom(gameState, seed) {
+    gameState.rng = createRandomState(seed);
+    return gameState.rng;
+}
+
+/**
+ * Get the random state, seeding it from the map seed if the game has none yet
+ */
+function getRandomState(gameState) {
+    if (!gameState.rng) {
+        console.warn('Random streams were not initialized, seeding from map seed');
+        initializeRandom(gameState, gameState.mapSeed ?? 0);
+    }
+    return gameState.rng;
+}
+
+/**
+ * Draw the next number in [0, 1) from a named stream (mulberry32)
+ * @param {Object} gameState - The game state
+ * @param {string} stream - One of RNG_STREAMS
+ * @returns {number}
+ */
+export function random(gameState, stream) {
+    const rng = getRandomState(gameState);
+    if (rng.streams[stream] === undefined) {
+        throw new Error(`Unknown random stream: ${stream}`);
+    }
+
+    let t = (rng.streams[stream] + 0x6D2B79F5) >>> 0;
+    rng.streams[stream] = t;
+
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Draw an integer in [min, max] (inclusive) from a named stream
+ */
+export function randomInt(gameState, stream, min, max) {
+    return Math.floor(random(gameState, stream) * (max - min + 1)) + min;
+}
+
+/**
+ * Pick a random element of an array from a named stream
+ */
+export function randomChoice(gameState, stream, items) {
+    return items[Math.floor(random(gameState, stream) * items.length)];
+}
+
+/**
+ * Get a () => number generator bound to a stream, for code that takes an rng function
+ */
+export function getStream(gameState, stream) {
+    return () => random(gameState, stream);
+}
+
+/**
+ * Get the next sequential id for a prefix. Ids do not depend on wall-clock
+ * time, so replaying a game produces the same ids.
+ * @param {Object} gameState - The game state
+ * @param {string} prefix - Id prefix, e.g. 'trade'
+ * @returns {string}
+ */
+export function nextId(gameState, prefix) {
+    const rng = getRandomState(gameState);
+    if (!rng.counters) rng.counters = {};
+    rng.counters[prefix] = (rng.counters[prefix] || 0) + 1;
+    return `${prefix}_${rng.counters[prefix]}`;
+}
@@ -1,5 +1,9 @@
 import { resourceTileTypes } from './resources.js';
 import { buildingTypes } from './buildings.js';
+import { registerContentReference } from './contentValidator.js';
+import { isNextToRiver } from './rivers.js';
+
+registerContentReference('buildings', ['house', 'storehouse'], 'ResourceManager');
 
 export class ResourceManager {
     constructor(gameState) {
@@ -13,7 +17,7 @@ export class ResourceManager {
         this.gameState.players.forEach(player => {
             this.processResourceProduction(player);
             this.processResourceConsumption(player);
-            this.processTradeRoutes(player);
+            // Trade routes are settled by TradeSystem.processTradeRoutes
             this.processResourceStorage(player);
         });
     }
@@ -28,9 +32,6 @@ export class ResourceManager {
         // Production bonuses from technologies
         this.applyTechnologyBonuses(player);
         
-        // Production from trade routes
-        this.processTradeIncome(player);
-        
         // Special resource gains (events, missions, etc)
         this.processSpecialGains(player);
     }
@@ -41,33 +42,41 @@ export class ResourceManager {
     processBasicProduction(player) {
         const production = this.calculateBuildingProduction(player);
         
-        // Apply production to player's resources
+        // Apply production to player's resources (event modifiers such as drought)
         Object.entries(production).forEach(([resource, amount]) => {
             if (!player.resources[resource]) {
                 player.resources[resource] = 0;
             }
-            player.resources[resource] += amount;
+            const modifier = player.resourceModifiers?.[resource] ?? 1;
+            player.resources[resource] += amount * modifier;
         });
     }
 
     /**
-     * Calculate total production from all buildings
+     * Calculate total production from all buildings, with the riverBonus of
+     * buildings on or next to a river
      */
     calculateBuildingProduction(player) {
         const production = {};
+        const addProduction = yields => {
+            Object.entries(yields).forEach(([resource, amount]) => {
+                if (!production[resource]) {
+                    production[resource] = 0;
+                }
+                production[resource] += amount;
+            });
+        };
         
-        this.gameState.map.forEach(row => {
-            row.forEach(tile => {
+        this.gameState.map.forEach((row, y) => {
+            row.forEach((tile, x) => {
                 if (tile.building && tile.building.owner === player.index) {
                     const building = buildingTypes[tile.building.type];
                     
-                    if (building.produces) {
-                        Object.entries(building.produces).forEach(([resource, amount]) => {
-                            if (!production[resource]) {
-                                production[resource] = 0;
-                            }
-                            production[resource] += amount;
-                        });
+                    if (building.production) {
+                        addProduction(building.production);
+                    }
+                    if (building.riverBonus && isNextToRiver(this.gameState, x, y)) {
+                        addProduction(building.riverBonus);
                     }
                 }
             });
@@ -0,0 +1,137 @@
+// Rivers - chains of tiles that rise inland and flow down to the sea, each pointing at the
+// tile downstream with riverTo. Stepping onto a river from off it costs extra movement
+// unless a bridge spans it, units attacked across a river defend better, and buildings
+// with a riverBonus yield more next to one.
+import { getGrid } from './grid.js';
+import { isRiverCrossing } from './movementRules.js';
+import { registerContentReference } from './contentValidator.js';
+
+registerContentReference('terrain', ['water', 'mountain'], 'generateRivers');
+
+// Defense bonus of a unit attacked across a river
+export const RIVER_DEFENSE_BONUS = 0.25;
+
+// Fewest steps from the nearest water a river can rise at
+const MIN_SOURCE_DISTANCE = 3;
+
+// Map width in tiles for each river generated
+const RIVER_SPACING = 8;
+
+/**
+ * Lay rivers on a generated map. Each river rises on an inland tile and runs downhill
+ * towards the nearest water, ending at the sea, a lake or another river.
+ * @param {Array} map - The map, map[y][x]
+ * @param {Object} grid - The map's grid, for which tiles touch
+ * @param {Function} rng - Seeded random number generator returning [0, 1)
+ * @returns {Number} - The number of rivers laid
+ */
+export function generateRivers(map, grid, rng) {
+    const distance = getDistanceToWater(map, grid);
+    const sources = [];
+    map.forEach((row, y) => row.forEach((tile, x) => {
+        if (distance[y][x] >= MIN_SOURCE_DISTANCE && distance[y][x] < Infinity) {
+            sources.push({ x, y });
+        }
+    }));
+
+    const riverCount = Math.floor(grid.width / RIVER_SPACING);
+    let rivers = 0;
+    while (rivers < riverCount && sources.length > 0) {
+        const source = sources.splice(Math.floor(rng() * sources.length), 1)[0];
+        if (touchesRiver(map, grid, source.x, source.y)) continue;
+
+        traceRiver(map, grid, distance, source, rng);
+        rivers++;
+    }
+    return rivers;
+}
+
+/**
+ * Steps from each tile to the nearest water over land units can cross, Infinity for
+ * water-locked or impassable tiles
+ */
+function getDistanceToWater(map, grid) {
+    const distance = map.map(row => row.map(tile => (tile.type === 'water' ? 0 : Infinity)));
+    let frontier = [];
+    map.forEach((row, y) => row.forEach((tile, x) => {
+        if (tile.type === 'water') frontier.push({ x, y });
+    }));
+
+    for (let steps = 1; frontier.length > 0; steps++) {
+        const next = [];
+        frontier.forEach(({ x, y }) => grid.neighbors(x, y).forEach(neighbor => {
+            if (distance[neighbor.y][neighbor.x] !== Infinity || map[neighbor.y][neighbor.x].type === 'mountain') return;
+            distance[neighbor.y][neighbor.x] = steps;
+            next.push(neighbor);
+        }));
+        frontier = next;
+    }
+    return distance;
+}
+
+/**
+ * Run a river from its source, one step closer to the water at a time
+ */
+function traceRiver(map, grid, distance, source, rng) {
+    let current = source;
+    while (true) {
+        const downstream = grid.neighbors(current.x, current.y)
+            .filter(neighbor => distance[neighbor.y][neighbor.x] === distance[current.y][current.x] - 1);
+        const next = downstream[Math.floor(rng() * downstream.length)];
+
+        map[current.y][current.x].river = true;
+        map[current.y][current.x].riverTo = { x: next.x, y: next.y };
+
+        // The river ends where it meets the water or joins another river
+        const nextTile = map[next.y][next.x];
+        if (nextTile.type === 'water' || nextTile.river) return;
+        current = next;
+    }
+}
+
+function touchesRiver(map, grid, x, y) {
+    return !!map[y][x].river || grid.neighbors(x, y).some(neighbor => map[neighbor.y][neighbor.x].river);
+}
+
+/**
+ * Check if a tile lies on or next to a river
+ * @param {Object} gameState - The game state
+ * @param {Number} x - X coordinate of the tile
+ * @param {Number} y - Y coordinate of the tile
+ * @returns {Boolean}
+ */
+export function isNextToRiver(gameState, x, y) {
+    return touchesRiver(gameState.map, getGrid(gameState), x, y);
+}
+
+/**
+ * Check if a step between adjacent tiles crosses a river: it enters a river tile from
+ * off the river, and no bridge spans the river there
+ * @returns {Boolean}
+ */
+export function crossesRiver(gameState, fromX, fromY, toX, toY) {
+    const to = gameState.map[toY][toX];
+    return isRiverCrossing(!!gameState.map[fromY][fromX].river, !!to.river, !!to.infrastructure);
+}
+
+/**
+ * Check if two river tiles are linked along the same river, for drawing it. Rivers from
+ * older maps without riverTo link to every river tile next to them.
+ * @returns {Boolean}
+ */
+export function flowsBetween(tile, x, y, neighbor, neighborX, neighborY) {
+    const pointsAt = (from, toX, toY) => !!from.riverTo && from.riverTo.x === toX && from.riverTo.y === toY;
+    if (pointsAt(tile, neighborX, neighborY) || pointsAt(neighbor, x, y)) return true;
+    return !tile.riverTo && !!neighbor.river && !neighbor.riverTo;
+}
+
+/**
+ * Defense bonus of a unit attacked across a river
+ * @param {Object} gameState - The game state
+ * @param {Object} attacker - The attacking unit
+ * @param {Object} defender - The defending unit
+ * @returns {Number} - The bonus, 0 when the attack does not cross a river
+ */
+export function getRiverDefenseBonus(gameState, attacker, defender) {
+    return crossesRiver(gameState, attacker.x, attacker.y, defender.x, defender.y) ? RIVER_DEFENSE_BONUS : 0;
+}
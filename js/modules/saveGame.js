@@ -0,0 +1,271 @@
+// Save and load complete games as versioned JSON documents
+import { attachStateMethods, registerUnit } from './gameState.js';
+import { validateGameState } from './errorHandling.js';
+import { migrateSaveDocument } from './saveMigrations.js';
+import { applyContentPacks } from './content.js';
+
+export const SAVE_FORMAT = 'epochs-of-empires-save';
+export const SAVE_VERSION = 13;
+
+// localStorage slots offered in the UI
+export const SAVE_SLOTS = ['autosave', 'slot1', 'slot2', 'slot3'];
+const SLOT_KEY_PREFIX = 'epochsOfEmpires.save.';
+
+// UI selection state that is never written to a save
+const TRANSIENT_KEYS = ['selectedUnit', 'selectedBuildingType', 'unitActionMode', 'disembarkingUnit', 'airMission', 'validMovementLocations', 'movePreview', 'sizeWarningShown'];
+
+// Systems whose internal state is stored in the save's `systems` section
+const SAVED_SYSTEMS = ['time', 'weather', 'events', 'trade'];
+
+/**
+ * Description of the save document, written into every save so the file
+ * can be understood without the code
+ */
+export const SAVE_SCHEMA = {
+    format: 'Always "' + SAVE_FORMAT + '"',
+    version: 'Save schema version (integer)',
+    savedAt: 'ISO timestamp of when the save was written',
+    summary: '{ turn, currentPlayer, playerName } for save slot listings',
+    state: 'Game state without functions or UI selection',
+    'state.map[y][x].unit': 'Unit id or null',
+    'state.map[y][x].buildingInProgress': '{ type, owner, progress, buildTime } or null',
+    'state.map[y][x].infrastructure': '{ type, owner } road, bridge or railway, or null',
+    'state.map[y][x].infrastructureInProgress': '{ type, owner, progress, buildTime } or null',
+    'state.map[y][x].river': 'Boolean, whether a river runs through the tile',
+    'state.map[y][x].riverTo': '{ x, y } of the tile the river flows on to, or null',
+    'state.players[].units': 'Array of unit ids owned by the player',
+    'state.rng': '{ seed, streams, counters } - positions of the seeded random streams',
+    'state.actionLog': '[{ turn, command, system }] - every command applied, in order; system marks the commands of the AI and move orders, which replaying the others issues again',
+    'state.gridType': 'Map topology, "hex" or "square" - decides which tiles are adjacent and how the map is drawn',
+    'state.contentPacks': 'Ids of the content packs the game was started with, in merge order',
+    'state.combatLog': '[{ turn, x, y, attacker, defender, weather, timeOfDay, charge, firstStrike, strikes, casualties }] - reports of the latest fights, oldest first',
+    'state.victory': '{ conditions: { [type]: { enabled, options } }, progress: { [player]: { [type]: 0-1 } } }',
+    units: 'Every unit in the game, stored once. unit.cargo and unit.army hold unit ids',
+    'units[].army': 'Other units of the army led by the unit on a tile; they share its x, y, carry inArmy and are not on map tiles',
+    'units[].promotions': 'Ids of the promotions the unit took, with unit.experience, unit.level and unit.promotionsPending still to pick',
+    'units[].base': 'Air base of an aircraft, { x, y } of an airfield or { carrierId }; aircraft are not on map tiles',
+    systems: 'Internal state of the ' + SAVED_SYSTEMS.join(', ') + ' systems'
+};
+
+/**
+ * Collect every unit reachable from the map and the player unit lists
+ * @param {Object} gameState - The game state
+ * @returns {Array} - Unique unit objects
+ */
+function collectUnits(gameState) {
+    const units = new Set();
+
+    const visit = unit => {
+        if (!unit || units.has(unit)) return;
+        units.add(unit);
+        if (unit.army) {
+            unit.army.forEach(visit);
+        }
+        if (unit.cargo) {
+            unit.cargo.forEach(visit);
+        }
+    };
+
+    if (gameState.map) {
+        gameState.map.forEach(row => row.forEach(tile => visit(tile.unit)));
+    }
+    gameState.players.forEach(player => (player.units || []).forEach(visit));
+
+    return [...units];
+}
+
+/**
+ * Convert a game into a save document
+ * @param {Object} gameState - The game state
+ * @param {Object} systems - Turn systems ({ time, weather, events, trade, ... })
+ * @returns {Object} - Plain JSON-safe save document
+ */
+export function serializeGame(gameState, systems = {}) {
+    // Units are stored once and referenced by id everywhere else
+    const units = collectUnits(gameState);
+    units.forEach(unit => registerUnit(gameState, unit));
+
+    const state = {};
+    Object.entries(gameState).forEach(([key, value]) => {
+        if (typeof value === 'function' || TRANSIENT_KEYS.includes(key)) return;
+        state[key] = value;
+    });
+
+    state.map = gameState.map
+        ? gameState.map.map(row => row.map(tile => ({ ...tile, unit: tile.unit ? tile.unit.id : null })))
+        : null;
+    state.players = gameState.players.map(player => ({
+        ...player,
+        units: (player.units || []).map(unit => unit.id)
+    }));
+
+    const systemStates = {};
+    SAVED_SYSTEMS.forEach(name => {
+        if (systems[name] && typeof systems[name].getState === 'function') {
+            systemStates[name] = systems[name].getState();
+        }
+    });
+
+    const currentPlayer = gameState.players[gameState.currentPlayer - 1];
+
+    // Round-trip through JSON so the document shares nothing with the live game
+    return JSON.parse(JSON.stringify({
+        format: SAVE_FORMAT,
+        version: SAVE_VERSION,
+        savedAt: new Date().toISOString(),
+        schema: SAVE_SCHEMA,
+        summary: {
+            turn: gameState.turn,
+            currentPlayer: gameState.currentPlayer,
+            playerName: currentPlayer ? currentPlayer.name : null
+        },
+        state: state,
+        units: units.map(unit => ({
+            ...unit,
+            cargo: unit.cargo ? unit.cargo.map(cargoUnit => cargoUnit.id) : undefined,
+            army: unit.army ? unit.army.map(member => member.id) : undefined
+        })),
+        systems: systemStates
+    }));
+}
+
+/**
+ * Rebuild a game from a save document, upgrading older save versions first
+ * @param {Object} saveDocument - Document produced by serializeGame
+ * @returns {Object} - { gameState, systems, migrations } where systems holds the saved
+ *                     system states and migrations lists the upgrade steps applied
+ */
+export function deserializeGame(saveDocument) {
+    if (!saveDocument || saveDocument.format !== SAVE_FORMAT) {
+        throw new Error('Not an Epochs of Empires save file');
+    }
+
+    // Rebuild the content tables from the packs the game was started with before the
+    // migrations read them; games from before content packs used the base pack
+    const contentPacks = applyContentPacks(saveDocument.state?.contentPacks || ['base']);
+
+    const { document, changes } = migrateSaveDocument(JSON.parse(JSON.stringify(saveDocument)), SAVE_VERSION);
+    const gameState = document.state;
+    gameState.contentPacks = contentPacks;
+
+    // Restore unit objects, then point every reference at the same object
+    const unitsById = new Map();
+    (document.units || []).forEach(unit => unitsById.set(unit.id, unit));
+
+    const resolveUnit = id => {
+        if (!unitsById.has(id)) {
+            throw new Error(`Save references unknown unit ${id}`);
+        }
+        return unitsById.get(id);
+    };
+
+    unitsById.forEach(unit => {
+        if (unit.cargo) {
+            unit.cargo = unit.cargo.map(resolveUnit);
+        }
+        if (unit.army) {
+            unit.army = unit.army.map(resolveUnit);
+        }
+    });
+
+    if (gameState.map) {
+        gameState.map.forEach(row => row.forEach(tile => {
+            tile.unit = tile.unit === null || tile.unit === undefined ? null : resolveUnit(tile.unit);
+
+            // A weather cost is a positive number; anything else would make the tile free to cross
+            if (!(Number.isFinite(tile.currentMovementCost) && tile.currentMovementCost > 0)) {
+                delete tile.currentMovementCost;
+            }
+        }));
+    }
+    gameState.players.forEach(player => {
+        player.units = (player.units || []).map(resolveUnit);
+    });
+
+    attachStateMethods(gameState);
+
+    const validation = validateGameState(gameState);
+    if (!validation.isValid) {
+        throw new Error(`Save file is corrupted: ${validation.errors.join(', ')}`);
+    }
+
+    return {
+        gameState: gameState,
+        systems: document.systems || {},
+        migrations: changes
+    };
+}
+
+/**
+ * Get the localStorage key of a save slot
+ */
+function getSlotKey(slot) {
+    return SLOT_KEY_PREFIX + slot;
+}
+
+/**
+ * Write a game into a save slot
+ * @returns {Object} - { success, reason }
+ */
+export function saveToSlot(slot, gameState, systems = {}) {
+    try {
+        const saveDocument = serializeGame(gameState, systems);
+        localStorage.setItem(getSlotKey(slot), JSON.stringify(saveDocument));
+        return { success: true };
+    } catch (error) {
+        console.error(`Failed to save game to ${slot}:`, error);
+        return { success: false, reason: error.message };
+    }
+}
+
+/**
+ * Read a game from a save slot
+ * @returns {Object} - { success, reason, gameState, systems, migrations }
+ */
+export function loadFromSlot(slot) {
+    try {
+        const raw = localStorage.getItem(getSlotKey(slot));
+        if (!raw) {
+            return { success: false, reason: 'Save slot is empty' };
+        }
+
+        const { gameState, systems, migrations } = deserializeGame(JSON.parse(raw));
+        return { success: true, gameState, systems, migrations };
+    } catch (error) {
+        console.error(`Failed to load game from ${slot}:`, error);
+        return { success: false, reason: error.message };
+    }
+}
+
+/**
+ * Delete the save in a slot
+ */
+export function deleteSaveSlot(slot) {
+    localStorage.removeItem(getSlotKey(slot));
+}
+
+/**
+ * Describe every save slot for the save/load menu
+ * @returns {Array} - [{ slot, empty, savedAt, summary, version }]
+ */
+export function listSaveSlots() {
+    return SAVE_SLOTS.map(slot => {
+        const raw = localStorage.getItem(getSlotKey(slot));
+        if (!raw) {
+            return { slot, empty: true };
+        }
+
+        try {
+            const saveDocument = JSON.parse(raw);
+            return {
+                slot,
+                empty: false,
+                savedAt: saveDocument.savedAt,
+                summary: saveDocument.summary || {},
+                version: saveDocument.version
+            };
+        } catch (error) {
+            return { slot, empty: false, corrupted: true };
+        }
+    });
+}
@@ -0,0 +1,215 @@
+// Upgrades save documents written by older builds, one schema version at a time
+import { buildingTypes } from './buildings.js';
+import { createRandomState } from './random.js';
+import { initializeVictory } from './victory.js';
+import { unitTypes } from './units.js';
+import { isAircraft } from './air.js';
+
+// Registry of migrations keyed by the version they upgrade from
+const migrations = {};
+
+/**
+ * Register a migration that upgrades a save from `fromVersion` to `fromVersion + 1`
+ * @param {number} fromVersion - Save version the migration reads
+ * @param {string} description - Short summary shown in migration reports
+ * @param {Function} migrate - (document, log) => void, mutates the document in place
+ *                             and calls log(message) for every change it makes
+ */
+export function registerMigration(fromVersion, description, migrate) {
+    if (migrations[fromVersion]) {
+        throw new Error(`Save migration from version ${fromVersion} is already registered`);
+    }
+    migrations[fromVersion] = { description, migrate };
+}
+
+/**
+ * Upgrade a save document to the target version
+ * @param {Object} document - Save document (mutated in place)
+ * @param {number} targetVersion - Version the game currently writes
+ * @returns {Object} - { document, changes } where changes lists each applied step
+ */
+export function migrateSaveDocument(document, targetVersion) {
+    const changes = [];
+    let version = document.version;
+
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Save file has an invalid version: ${version}`);
+    }
+    if (version > targetVersion) {
+        throw new Error(
+            `This save was made by a newer version of the game (save version ${version}, ` +
+            `this build supports up to ${targetVersion}). Update the game to load it.`
+        );
+    }
+
+    while (version < targetVersion) {
+        const migration = migrations[version];
+        if (!migration) {
+            throw new Error(`No migration available from save version ${version} to ${version + 1}`);
+        }
+
+        const details = [];
+        migration.migrate(document, message => details.push(message));
+
+        changes.push({
+            from: version,
+            to: version + 1,
+            description: migration.description,
+            details: details
+        });
+
+        version++;
+        document.version = version;
+    }
+
+    return { document, changes };
+}
+
+// Version 1 -> 2: construction sites become objects like GameLoopManager and the UI expect
+registerMigration(1, 'Convert construction sites to { type, owner, progress, buildTime }', (document, log) => {
+    if (!document.state?.map) return;
+
+    let converted = 0;
+    document.state.map.forEach(row => row.forEach(tile => {
+        if (typeof tile.buildingInProgress === 'string') {
+            const type = tile.buildingInProgress;
+            tile.buildingInProgress = {
+                type: type,
+                owner: tile.buildingOwner,
+                progress: tile.buildingProgress || 0,
+                buildTime: buildingTypes[type]?.buildTime || 1
+            };
+            converted++;
+        }
+        delete tile.buildingProgress;
+        delete tile.buildingOwner;
+    }));
+
+    if (converted > 0) {
+        log(`Converted ${converted} construction site(s)`);
+    }
+});
+
+// Version 2 -> 3: games carry seeded random streams
+registerMigration(2, 'Add seeded random streams to the game state', (document, log) => {
+    if (document.state.rng) return;
+
+    const seed = document.state.mapSeed ?? 0;
+    document.state.rng = createRandomState(seed);
+    log(`Seeded random streams from map seed ${seed}`);
+});
+
+// Version 3 -> 4: games record their victory conditions and progress
+registerMigration(3, 'Add victory conditions with default settings', (document, log) => {
+    if (document.state.victory) return;
+
+    initializeVictory(document.state);
+    log(`Enabled victory conditions: ${Object.keys(document.state.victory.conditions).join(', ')}`);
+});
+
+// Version 4 -> 5: games record the content packs they were started with
+registerMigration(4, 'Record the content packs of the game', (document, log) => {
+    if (document.state.contentPacks) return;
+
+    document.state.contentPacks = ['base'];
+    log('Game uses the base content pack');
+});
+
+// Version 5 -> 6: games record their grid topology, older games were played on hexes
+registerMigration(5, 'Record the grid topology of the game', (document, log) => {
+    if (document.state.gridType) return;
+
+    document.state.gridType = 'hex';
+    log('Game uses the hex grid');
+});
+
+// Version 6 -> 7: tiles carry roads, bridges and railways, finished or being built
+registerMigration(6, 'Add roads, bridges and railways to the map', (document, log) => {
+    let infrastructureTiles = 0;
+    (document.state.map || []).forEach(row => row.forEach(tile => {
+        if (tile.infrastructure !== undefined) return;
+
+        tile.infrastructure = null;
+        tile.infrastructureInProgress = tile.infrastructureInProgress ?? null;
+        infrastructureTiles++;
+    }));
+    if (infrastructureTiles > 0) {
+        log(`Added infrastructure fields to ${infrastructureTiles} tile(s)`);
+    }
+});
+
+// Version 7 -> 8: tiles can lie on a river, older maps have none
+registerMigration(7, 'Add rivers to the map', (document, log) => {
+    let riverTiles = 0;
+    (document.state.map || []).forEach(row => row.forEach(tile => {
+        if (tile.river !== undefined) return;
+
+        tile.river = false;
+        tile.riverTo = tile.riverTo ?? null;
+        riverTiles++;
+    }));
+    if (riverTiles > 0) {
+        log(`Added river fields to ${riverTiles} tile(s)`);
+    }
+});
+
+// Version 8 -> 9: transports keep the units they carry in unit.cargo
+registerMigration(8, 'Give transports an empty hold', (document, log) => {
+    (document.units || []).forEach(unit => {
+        if (unitTypes[unit.type]?.capacity && !unit.cargo) {
+            unit.cargo = [];
+            log(`Gave transport ${unit.id} an empty hold`);
+        }
+    });
+});
+
+// Version 9 -> 10: aircraft are based at an airfield or carrier instead of standing on the map
+registerMigration(9, 'Base aircraft where they stand', (document, log) => {
+    const unitTiles = new Map();
+    (document.state.map || []).forEach(row => row.forEach(tile => {
+        if (tile.unit !== null && tile.unit !== undefined) unitTiles.set(tile.unit, tile);
+    }));
+    (document.units || []).forEach(unit => {
+        if (!isAircraft(unit) || unit.base) return;
+
+        unit.base = { x: unit.x, y: unit.y };
+        const tile = unitTiles.get(unit.id);
+        if (tile) tile.unit = null;
+        log(`Based aircraft ${unit.id} at ${unit.x}, ${unit.y}`);
+    });
+});
+
+// Version 10 -> 11: army members carry inArmy and are listed in their leader's unit.army
+registerMigration(10, 'Take units out of armies that no longer exist', (document, log) => {
+    const armyMembers = new Set((document.units || []).flatMap(unit => unit.army || []));
+    (document.units || []).forEach(unit => {
+        if (unit.inArmy && !armyMembers.has(unit.id)) {
+            delete unit.inArmy;
+            log(`Took unit ${unit.id} out of an army that no longer exists`);
+        }
+    });
+});
+
+// Version 11 -> 12: units gain experience and levels and take promotions
+registerMigration(11, 'Start units without experience or promotions', (document, log) => {
+    let recruits = 0;
+    (document.units || []).forEach(unit => {
+        if (unit.experience !== undefined) return;
+
+        unit.experience = 0;
+        unit.level = unit.level ?? 0;
+        unit.promotions = unit.promotions ?? [];
+        recruits++;
+    });
+    if (recruits > 0) {
+        log(`Started ${recruits} unit(s) without experience or promotions`);
+    }
+});
+
+// Version 12 -> 13: games keep reports of their latest fights
+registerMigration(12, 'Start an empty combat log', (document, log) => {
+    if (!document.state.combatLog) {
+        document.state.combatLog = [];
+        log('Started an empty combat log');
+    }
+});
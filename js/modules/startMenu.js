@@ -1,10 +1,12 @@
 // Start Menu Module for War Game
 import { mapSize } from './constants.js';
-import { generateMap } from './map.js';
 import { toggleFogOfWar, setAIDifficulty } from './gameEvents.js';
 import { countries, getCountryByName } from './countries.js';
-import { validateGameState, cleanGameState } from './errorHandling.js';
+import { validateGameState } from './errorHandling.js';
 import { createInitialGameState } from './gameState.js';
+import { serializeGame, deserializeGame, listSaveSlots, deleteSaveSlot } from './saveGame.js';
+import { setupNewGame } from './engine.js';
+import { getVictoryConditions } from './victory.js';
 
 export function startNewGame(gameState, settings) {
     console.log('Starting new game with settings:', settings);
@@ -18,7 +20,7 @@ export function startNewGame(gameState, settings) {
         // Create backup of current state
         let previousState;
         try {
-            previousState = JSON.parse(JSON.stringify(gameState));
+            previousState = deserializeGame(serializeGame(gameState)).gameState;
         } catch (e) {
             console.warn("Failed to clone game state:", e);
             // If we can't clone, just create a fresh initial state
@@ -39,148 +41,10 @@ export function startNewGame(gameState, settings) {
                 gameState = createInitialGameState(); // Reset to fresh state
             }
 
-            // Initialize players array if it doesn't exist
-            if (!gameState.players || !Array.isArray(gameState.players) || gameState.players.length === 0) {
-                console.warn("Players array missing, initializing default players");
-                gameState.players = [
-                    {
-                        index: 1,
-                        name: "Player 1",
-                        type: "human",
-                        age: gameState.ages[0] || 'Stone Age',
-                        resources: {
-                            food: 100,
-                            wood: 100,
-                            stone: 50,
-                            gold: 0
-                        },
-                        technologies: [],
-                        units: [],
-                        buildings: [],
-                        buildingQueue: [],
-                        unlockedUnits: ["settler", "warrior"],
-                        happiness: 100,
-                        health: 100,
-                        totalPopulation: 5,
-                        populationCap: 10,
-                        ageProgress: 0
-                    }
-                ];
-            }
-
-            // Apply settings to gameState
-            gameState.mapSize = settings.mapSize;
-            gameState.mapType = settings.mapType;
-            gameState.gameStarted = true;
-            gameState.fogOfWarEnabled = settings.fogOfWar;
-            gameState.aiDifficulty = settings.aiDifficulty;
-            gameState.resourceDensity = settings.resourceDensity;
-            gameState.aiPlayerCount = settings.aiPlayerCount || 1;
-            gameState.useNewGenerator = settings.useNewMapGenerator || false;
-            gameState.mapSeed = settings.mapSeed;
-
-            // Apply selected country to human player
-            if (settings.playerCountry && gameState.players && gameState.players.length > 0) {
-                gameState.players[0].faction = settings.playerCountry.name;
-                gameState.players[0].name = `Player (${settings.playerCountry.flag} ${settings.playerCountry.name})`;
-            }
-            
-            // Make sure there are enough AI players based on settings
-            if (gameState.aiPlayerCount > 0 && gameState.players.length < gameState.aiPlayerCount + 1) {
-                // Add AI players if needed
-                const aiToCreate = gameState.aiPlayerCount - (gameState.players.length - 1);
-                console.log(`Creating ${aiToCreate} new AI players`);
-                
-                for (let i = 0; i < aiToCreate; i++) {
-                    const aiIndex = gameState.players.length + 1;
-                    gameState.players.push({
-                        index: aiIndex,
-                        name: `AI Player ${aiIndex}`,
-                        type: "ai",
-                        age: gameState.ages[0] || 'Stone Age',
-                        resources: {
-                            food: 100,
-                            wood: 100,
-                            stone: 50,
-                            gold: 0
-                        },
-                        technologies: [],
-                        units: [],
-                        buildings: [],
-                        buildingQueue: [],
-                        unlockedUnits: ["settler", "warrior"],
-                        happiness: 100,
-                        health: 100,
-                        totalPopulation: 5,
-                        populationCap: 10,
-                        ageProgress: 0
-                    });
-                }
-            }
+            // Players, random streams, map and starting units
+            gameState = setupNewGame(gameState, settings);
             
-            // Set AI players active/inactive
-            if (gameState.players) {
-                for (let i = 1; i < gameState.players.length; i++) {
-                    gameState.players[i].inactive = i > gameState.aiPlayerCount;
-                }
-            }
-            
-            // Generate map with error handling and recovery
-            console.log('Generating map...');
-            try {
-                gameState = generateMap(gameState);
-                
-                // Validate the generated game state
-                const validationResult = validateGameState(gameState);
-                if (!validationResult.isValid) {
-                    throw new Error(`Invalid game state after map generation: ${validationResult.errors.join(', ')}`);
-                }
-            } catch (mapError) {
-                console.error('Map generation failed:', mapError);
-                
-                // Clean up the game state
-                gameState = cleanGameState(gameState);
-                
-                // Retry map generation with different seed
-                try {
-                    if (!settings.mapSeed) {
-                        settings.mapSeed = Math.floor(Math.random() * 1000000);
-                        console.log('Retrying map generation with new seed:', settings.mapSeed);
-                        gameState = generateMap(gameState);
-                    } else {
-                        throw new Error('Failed to generate map with provided seed');
-                    }
-                } catch (retryError) {
-                    console.error("Failed on retry:", retryError);
-                    // Create a basic fallback map - just a simple grid with varied terrain
-                    createFallbackMap(gameState);
-                }
-            }
-            
-            // Make sure game state has required methods
-            if (!gameState.checkGameEnd || typeof gameState.checkGameEnd !== 'function') {
-                gameState.checkGameEnd = function() {
-                    return { ended: false, winner: null, type: null };
-                };
-            }
-            
-            if (!gameState.notifyPlayers || typeof gameState.notifyPlayers !== 'function') {
-                gameState.notifyPlayers = function(notification) {
-                    console.log("Game notification:", notification);
-                };
-            }
-            
-            // Hide start menu
-            const startMenuOverlay = document.getElementById('startMenuOverlay');
-            if (startMenuOverlay) {
-                startMenuOverlay.style.display = 'none';
-            }
-
-            // Show game container
-            const gameContainer = document.getElementById('gameContainer');
-            if (gameContainer) {
-                gameContainer.style.display = 'flex';
-            }
+            showGameScreen();
             
             return gameState;
         } catch (error) {
@@ -196,177 +60,27 @@ export function startNewGame(gameState, settings) {
     }
 }
 
-// Create a simple fallback map as a last resort
-function createFallbackMap(gameState) {
-    console.warn("Creating fallback map");
-    
-    const size = gameState.mapSize || 30;
-    const map = [];
-
-    // Initialize empty map
-    for (let y = 0; y < size; y++) {
-        map[y] = [];
-        for (let x = 0; x < size; x++) {
-            // Simple pattern: water at edges, plains in center, forests and mountains scattered
-            let terrainType = 'plains';
-            
-            // Water at edges
-            if (x < 3 || x >= size - 3 || y < 3 || y >= size - 3) {
-                terrainType = 'water';
-            }
-            
-            // Some forests - in diagonal patterns
-            if ((x + y) % 7 === 0 && terrainType === 'plains') {
-                terrainType = 'forest';
-            }
-            
-            // Some mountains - in circular patterns
-            const distToCenter = Math.sqrt(Math.pow(x - size/2, 2) + Math.pow(y - size/2, 2));
-            if (distToCenter > size/4 && distToCenter < size/3 && (x * y) % 11 === 0 && terrainType === 'plains') {
-                terrainType = 'mountain';
-            }
-            
-            // Hills in between mountains and plains
-            if (distToCenter > size/3.5 && distToCenter < size/2.5 && (x * y) % 13 === 0 && terrainType === 'plains') {
-                terrainType = 'hills';
-            }
-            
-            map[y][x] = {
-                x: x,
-                y: y,
-                q: x,
-                r: y,
-                type: terrainType,
-                discovered: Array(gameState.players.length).fill(false),
-                resourceType: null,
-                resourceAmount: 0,
-                unit: null,
-                building: null,
-                buildingInProgress: null
-            };
-        }
-    }
-    
-    // Set initial discovered tiles for players and place starting units
-    for (let i = 0; i < gameState.players.length; i++) {
-        // Place player starts in different areas
-        let startX, startY;
-        
-        switch (i % 4) {
-            case 0: // Top left quadrant
-                startX = Math.floor(size * 0.2 + Math.random() * size * 0.2);
-                startY = Math.floor(size * 0.2 + Math.random() * size * 0.2);
-                break;
-            case 1: // Top right quadrant
-                startX = Math.floor(size * 0.6 + Math.random() * size * 0.2);
-                startY = Math.floor(size * 0.2 + Math.random() * size * 0.2);
-                break;
-            case 2: // Bottom left quadrant
-                startX = Math.floor(size * 0.2 + Math.random() * size * 0.2);
-                startY = Math.floor(size * 0.6 + Math.random() * size * 0.2);
-                break;
-            case 3: // Bottom right quadrant
-                startX = Math.floor(size * 0.6 + Math.random() * size * 0.2);
-                startY = Math.floor(size * 0.6 + Math.random() * size * 0.2);
-                break;
-        }
-        
-        // Make sure this isn't water
-        if (map[startY][startX].type === 'water') {
-            map[startY][startX].type = 'plains';
-        }
-        
-        // Place starter units
-        // Settler in starting position
-        map[startY][startX].unit = {
-            type: 'settler',
-            owner: i + 1,
-            x: startX,
-            y: startY,
-            q: startX,
-            r: startY,
-            health: 100,
-            remainingMP: 2,
-            canMove: true
-        };
-        
-        // Warrior in adjacent tile if possible
-        const adjacentX = Math.min(size - 1, startX + 1);
-        const adjacentY = startY;
-        
-        // Don't place warrior in water
-        if (map[adjacentY][adjacentX].type === 'water') {
-            map[adjacentY][adjacentX].type = 'plains';
-        }
-        
-        map[adjacentY][adjacentX].unit = {
-            type: 'warrior',
-            owner: i + 1,
-            x: adjacentX,
-            y: adjacentY,
-            q: adjacentX,
-            r: adjacentY,
-            health: 100,
-            remainingMP: 2,
-            canMove: true
-        };
-        
-        // Reveal area around starting position
-        const startingVision = 2;
-        for (let dy = -startingVision; dy <= startingVision; dy++) {
-            for (let dx = -startingVision; dx <= startingVision; dx++) {
-                const y = startY + dy;
-                const x = startX + dx;
-                if (x >= 0 && x < size && y >= 0 && y < size) {
-                    // Simple radius check
-                    if (Math.sqrt(dx*dx + dy*dy) <= startingVision) {
-                        map[y][x].discovered[i] = true;
-                    }
-                }
-            }
-        }
+/**
+ * Hide the start menu and show the game container
+ */
+export function showGameScreen() {
+    const startMenuOverlay = document.getElementById('startMenuOverlay');
+    if (startMenuOverlay) {
+        startMenuOverlay.style.display = 'none';
     }
-    
-    // Add some random resources
-    for (let y = 0; y < size; y++) {
-        for (let x = 0; x < size; x++) {
-            // 10% chance of resource
-            if (Math.random() < 0.1) {
-                let possibleResources = [];
-                
-                switch (map[y][x].type) {
-                    case 'plains':
-                        possibleResources = ['food', 'horses'];
-                        break;
-                    case 'forest':
-                        possibleResources = ['wood', 'food', 'fur'];
-                        break;
-                    case 'hills':
-                    case 'mountain':
-                        possibleResources = ['stone', 'iron', 'gold'];
-                        break;
-                    case 'water':
-                        possibleResources = ['fish'];
-                        break;
-                }
-                
-                if (possibleResources.length > 0) {
-                    const resource = possibleResources[Math.floor(Math.random() * possibleResources.length)];
-                    map[y][x].resourceType = resource;
-                    map[y][x].resourceAmount = 10 + Math.floor(Math.random() * 20);
-                }
-            }
-        }
+
+    const gameContainer = document.getElementById('gameContainer');
+    if (gameContainer) {
+        gameContainer.style.display = 'flex';
     }
-    
-    gameState.map = map;
 }
 
 /**
  * Initialize the start menu
  * @param {Function} startGameCallback - Callback to initialize the game
+ * @param {Function} loadGameCallback - Callback receiving the save slot to load
  */
-export function initStartMenu(startGameCallback) {
+export function initStartMenu(startGameCallback, loadGameCallback) {
     console.log('Initializing start menu');
     
     // First, remove any existing overlay to prevent duplicates
@@ -400,7 +114,7 @@ export function initStartMenu(startGameCallback) {
     }
     
     // Setup event handlers
-    setupStartMenuHandlers(startGameCallback);
+    setupStartMenuHandlers(startGameCallback, loadGameCallback);
 }
 
 /**
@@ -459,6 +173,14 @@ function createStartMenuUI() {
                     </select>
                 </div>
                 
+                <div class="setting-group">
+                    <label for="gridTypeSelect">Grid:</label>
+                    <select id="gridTypeSelect">
+                        <option value="hex" selected>Hexagons</option>
+                        <option value="square">Squares</option>
+                    </select>
+                </div>
+                
                 <div class="setting-group">
                     <label for="resourceDensitySelect">Resource Density:</label>
                     <select id="resourceDensitySelect">
@@ -509,10 +231,21 @@ function createStartMenuUI() {
                     <input type="checkbox" id="fogOfWarCheck" checked>
                     <label for="fogOfWarCheck">Enable Fog of War</label>
                 </div>
+                
+                <div class="setting-group">
+                    <label>Victory Conditions:</label>
+                    ${Object.entries(getVictoryConditions()).map(([type, condition]) => `
+                        <div class="checkbox-group">
+                            <input type="checkbox" id="${type}VictoryCheck" data-victory="${type}" checked>
+                            <label for="${type}VictoryCheck" title="${condition.description}">${condition.name}</label>
+                        </div>`
+                    ).join('')}
+                </div>
             </div>
             
             <div class="menu-buttons">
                 <button id="startGameBtn" class="primary-button">Start New Game</button>
+                <button id="loadGameBtn">Load Game</button>
                 <button id="showGuideBtn">Game Guide</button>
             </div>
             
@@ -549,13 +282,20 @@ function createStartMenuUI() {
  * Set up event handlers for the start menu
  * @param {Function} startGameCallback - Callback to initialize the game
  */
-function setupStartMenuHandlers(startGameCallback) {
+function setupStartMenuHandlers(startGameCallback, loadGameCallback) {
     // Start game button
     document.getElementById('startGameBtn').addEventListener('click', () => {
         const settings = getSelectedSettings();
         startGameCallback(settings);
     });
     
+    // Load game button
+    document.getElementById('loadGameBtn').addEventListener('click', () => {
+        if (loadGameCallback) {
+            showSaveLoadMenu('load', loadGameCallback);
+        }
+    });
+    
     // Game guide toggle
     document.getElementById('showGuideBtn').addEventListener('click', () => {
         document.getElementById('gameGuide').style.display = 'block';
@@ -618,21 +358,29 @@ function getSelectedSettings() {
     // Get map generator setting
     const useNewMapGenerator = document.getElementById('useNewMapGenerator').checked;
     
-    // Get map seed (if provided)
+    // Get map seed (if provided), setupNewGame picks one otherwise
     let mapSeed = document.getElementById('mapSeedInput').value;
-    mapSeed = mapSeed ? parseInt(mapSeed) : Math.floor(Math.random() * 1000000);
+    mapSeed = mapSeed ? parseInt(mapSeed) : undefined;
+    
+    // Get enabled victory conditions, unchecked ones are turned off
+    const victoryConditions = {};
+    document.querySelectorAll('[data-victory]').forEach(checkbox => {
+        victoryConditions[checkbox.dataset.victory] = checkbox.checked;
+    });
     
     // Compile all settings
     const settings = {
         mapSize: mapSize,
         mapType: mapType,
+        gridType: document.getElementById('gridTypeSelect').value,
         resourceDensity: document.getElementById('resourceDensitySelect').value,
         aiDifficulty: document.getElementById('aiDifficultySelect').value,
         fogOfWar: document.getElementById('fogOfWarCheck').checked,
         aiPlayerCount: aiCount,
         playerCountry: selectedCountry || countries[0],  // Default to first country if not found
         useNewMapGenerator: useNewMapGenerator,
-        mapSeed: mapSeed
+        mapSeed: mapSeed,
+        victoryConditions: victoryConditions
     };
     
     console.log("Game settings:", settings); // Log all settings for debugging
@@ -779,3 +527,83 @@ function applySettings(gameState) {
         enableAnimations: enableAnimations
     };
 }
+
+/**
+ * Show the save/load slot menu
+ * @param {string} mode - 'save' or 'load'
+ * @param {Function} onSelectSlot - Called with the chosen slot name
+ */
+export function showSaveLoadMenu(mode, onSelectSlot) {
+    let overlay = document.getElementById('saveLoadOverlay');
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = 'saveLoadOverlay';
+        overlay.className = 'settings-overlay';
+        document.body.appendChild(overlay);
+    }
+    
+    const slots = listSaveSlots();
+    const title = mode === 'save' ? 'Save Game' : 'Load Game';
+    
+    overlay.innerHTML = `
+        <div class="settings-container">
+            <h2>${title}</h2>
+            <div class="save-slot-list">
+                ${slots.map(slot => `
+                    <div class="save-slot" data-slot="${slot.slot}">
+                        <div class="save-slot-info">
+                            <strong>${slot.slot === 'autosave' ? 'Autosave' : slot.slot.replace('slot', 'Slot ')}</strong>
+                            <span>${describeSaveSlot(slot)}</span>
+                        </div>
+                        <button class="save-slot-select primary-button"
+                            ${(mode === 'load' && (slot.empty || slot.corrupted)) || (mode === 'save' && slot.slot === 'autosave') ? 'disabled' : ''}>
+                            ${mode === 'save' ? 'Save' : 'Load'}
+                        </button>
+                        <button class="save-slot-delete" ${slot.empty ? 'disabled' : ''}>Delete</button>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="menu-buttons">
+                <button id="closeSaveLoadBtn">Close</button>
+            </div>
+        </div>
+    `;
+    
+    overlay.querySelectorAll('.save-slot').forEach(row => {
+        const slot = row.dataset.slot;
+        
+        row.querySelector('.save-slot-select').addEventListener('click', () => {
+            if (mode === 'save' && !listSaveSlots().find(s => s.slot === slot).empty &&
+                !confirm('Overwrite the existing save in this slot?')) {
+                return;
+            }
+            overlay.style.display = 'none';
+            onSelectSlot(slot);
+        });
+        
+        row.querySelector('.save-slot-delete').addEventListener('click', () => {
+            if (confirm('Delete this save?')) {
+                deleteSaveSlot(slot);
+                showSaveLoadMenu(mode, onSelectSlot);
+            }
+        });
+    });
+    
+    document.getElementById('closeSaveLoadBtn').addEventListener('click', () => {
+        overlay.style.display = 'none';
+    });
+    
+    overlay.style.display = 'flex';
+}
+
+/**
+ * Get a one-line description of a save slot
+ */
+function describeSaveSlot(slot) {
+    if (slot.empty) return 'Empty';
+    if (slot.corrupted) return 'Unreadable save';
+    
+    const savedAt = slot.savedAt ? new Date(slot.savedAt).toLocaleString() : 'Unknown date';
+    const playerName = slot.summary.playerName ? ` - ${slot.summary.playerName}` : '';
+    return `Turn ${slot.summary.turn}${playerName} (${savedAt})`;
+}
@@ -1,6 +1,10 @@
-import { technologies } from './technologies.js';
+import { technologies, findTechnology } from './technologies.js';
 import { buildingTypes } from './buildings.js';
 import { unitTypes } from './units.js';
+import { emitGameEvent } from './eventBus.js';
+import { registerContentReference } from './contentValidator.js';
+
+registerContentReference('buildings', ['library', 'university'], 'TechnologySystem.getResearchSpeed');
 
 export class TechnologySystem {
     constructor(gameState) {
@@ -11,7 +15,7 @@ export class TechnologySystem {
      * Start research of a new technology
      */
     startResearch(player, techId) {
-        const technology = technologies[techId];
+        const technology = findTechnology(techId);
         
         if (!this.canResearch(player, techId)) {
             return {
@@ -46,7 +50,10 @@ export class TechnologySystem {
      * Check if a technology can be researched
      */
     canResearch(player, techId) {
-        const technology = technologies[techId];
+        const technology = findTechnology(techId);
+        if (!technology) {
+            return false;
+        }
         
         // Check if already researched
         if (player.technologies?.includes(techId)) {
@@ -91,7 +98,10 @@ export class TechnologySystem {
      * Get the reason why a technology cannot be researched
      */
     getResearchBlocker(player, techId) {
-        const technology = technologies[techId];
+        const technology = findTechnology(techId);
+        if (!technology) {
+            return `Unknown technology: ${techId}`;
+        }
         
         if (player.technologies?.includes(techId)) {
             return 'Already researched';
@@ -204,13 +214,15 @@ export class TechnologySystem {
         
         // Apply technology effects
         this.applyTechnologyEffects(techId, player);
+        
+        emitGameEvent(this.gameState, 'tech.researched', { techId, player: player.index });
     }
 
     /**
      * Apply effects of a completed technology
      */
     applyTechnologyEffects(techId, player) {
-        const technology = technologies[techId];
+        const technology = findTechnology(techId);
         
         // Unlock new buildings
         if (technology.unlocksBuildings) {
@@ -318,7 +330,7 @@ export class TechnologySystem {
         }
         
         const currentResearch = player.researchQueue[0];
-        const technology = technologies[currentResearch.id];
+        const technology = findTechnology(currentResearch.id);
         
         return {
             technology: currentResearch.id,
@@ -118,6 +118,31 @@ export class TimeSystem {
         this.year = 1;
     }
 
+    /**
+     * Get the serializable state of the time system
+     */
+    getState() {
+        return {
+            currentSeason: this.currentSeason,
+            currentTimeOfDay: this.currentTimeOfDay,
+            seasonalTurn: this.seasonalTurn,
+            dayTurn: this.dayTurn,
+            year: this.year
+        };
+    }
+
+    /**
+     * Restore state produced by getState
+     */
+    loadState(state) {
+        if (!state) return;
+        this.currentSeason = state.currentSeason ?? this.currentSeason;
+        this.currentTimeOfDay = state.currentTimeOfDay ?? this.currentTimeOfDay;
+        this.seasonalTurn = state.seasonalTurn ?? 0;
+        this.dayTurn = state.dayTurn ?? 0;
+        this.year = state.year ?? 1;
+    }
+
     /**
      * Update time for current turn
      */
@@ -191,9 +216,9 @@ export class TimeSystem {
         // Apply movement and visibility modifiers
         this.gameState.players.forEach(player => {
             player.units.forEach(unit => {
-                unit.currentMovementPoints *= season.movementModifier * timeOfDay.movementModifier;
-                unit.visibility *= season.visibilityModifier * timeOfDay.visibilityModifier;
-                unit.combatModifier *= timeOfDay.combatModifier;
+                if (typeof unit.currentMovementPoints === 'number') unit.currentMovementPoints *= season.movementModifier * timeOfDay.movementModifier;
+                if (typeof unit.visibility === 'number') unit.visibility *= season.visibilityModifier * timeOfDay.visibilityModifier;
+                if (typeof unit.combatModifier === 'number') unit.combatModifier *= timeOfDay.combatModifier;
             });
         });
         
@@ -1,5 +1,10 @@
 import { resourceTileTypes } from './resources.js';
 import { buildingTypes } from './buildings.js';
+import { nextId } from './random.js';
+import { registerContentReference } from './contentValidator.js';
+import { getRouteDistance } from './infrastructure.js';
+
+registerContentReference('buildings', ['market'], 'TradeSystem');
 
 export class TradeSystem {
     constructor(gameState) {
@@ -7,6 +12,23 @@ export class TradeSystem {
         this.marketPrices = this.initializeMarketPrices();
     }
 
+    /**
+     * Get the serializable state of the trade system
+     */
+    getState() {
+        return {
+            marketPrices: { ...this.marketPrices }
+        };
+    }
+
+    /**
+     * Restore state produced by getState
+     */
+    loadState(state) {
+        if (!state?.marketPrices) return;
+        this.marketPrices = { ...this.initializeMarketPrices(), ...state.marketPrices };
+    }
+
     /**
      * Initialize base market prices for resources
      */
@@ -64,7 +86,7 @@ export class TradeSystem {
      * Generate unique trade route ID
      */
     generateRouteId() {
-        return `trade_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        return nextId(this.gameState, 'trade');
     }
 
     /**
@@ -220,7 +242,8 @@ export class TradeSystem {
     }
 
     /**
-     * Calculate trade distance between players
+     * Calculate trade distance between players: the shortest route between their closest
+     * markets, where roads and railways shorten the legs they cover
      */
     calculateTradeDistance(player1, player2) {
         // Find closest markets between players
@@ -235,9 +258,7 @@ export class TradeSystem {
                         row2.forEach((tile2, x2) => {
                             if (tile2.building?.type === 'market' && 
                                 tile2.building?.owner === player2.index) {
-                                const distance = Math.sqrt(
-                                    Math.pow(x2 - x, 2) + Math.pow(y2 - y, 2)
-                                );
+                                const distance = getRouteDistance(this.gameState, x, y, x2, y2);
                                 minDistance = Math.min(minDistance, distance);
                             }
                         });
@@ -0,0 +1,211 @@
+// Turn pipeline - runs every registered game system in a fixed order each turn
+import { endTurn as advanceToNextPlayer } from './gameEvents.js';
+import { handleError } from './errorHandling.js';
+import { emitGameEvent } from './eventBus.js';
+
+/**
+ * Turn phases in the order they run.
+ * - startOfTurn: once for a player, when their turn begins
+ * - playerActions: once for a player, after startOfTurn (AI moves, automated orders)
+ * - endOfPlayer: once for a player, when they end their turn
+ * - endOfRound: once per round, after the last active player has finished
+ */
+export const TURN_PHASES = ['startOfTurn', 'playerActions', 'endOfPlayer', 'endOfRound'];
+
+export class TurnManager {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.hooks = {};
+        this.isProcessing = false;
+
+        TURN_PHASES.forEach(phase => {
+            this.hooks[phase] = [];
+        });
+
+        // Tracks which hook already ran for which round/player so nothing runs twice
+        this.completedRuns = new Set();
+    }
+
+    /**
+     * Register a system callback for a phase.
+     * Callbacks receive (gameState, player) - player is null for endOfRound.
+     * @param {string} phase - One of TURN_PHASES
+     * @param {string} id - Unique name of the hook, used for ordering and removal
+     * @param {Function} callback - Function to run
+     * @param {Object} options - { order } lower numbers run first (default 100)
+     */
+    registerHook(phase, id, callback, options = {}) {
+        if (!this.hooks[phase]) {
+            throw new Error(`Unknown turn phase: ${phase}`);
+        }
+        if (typeof callback !== 'function') {
+            throw new Error(`Turn hook ${id} must be a function`);
+        }
+
+        this.unregisterHook(id);
+        this.hooks[phase].push({
+            id: id,
+            callback: callback,
+            order: options.order ?? 100
+        });
+        this.hooks[phase].sort((a, b) => a.order - b.order);
+    }
+
+    /**
+     * Remove a hook from every phase
+     */
+    unregisterHook(id) {
+        TURN_PHASES.forEach(phase => {
+            this.hooks[phase] = this.hooks[phase].filter(hook => hook.id !== id);
+        });
+    }
+
+    /**
+     * Get the ids of hooks registered for a phase, in run order
+     */
+    getHookIds(phase) {
+        return (this.hooks[phase] || []).map(hook => hook.id);
+    }
+
+    /**
+     * Begin the first turn of a freshly started game
+     */
+    startGame() {
+        this.gameState.turnPhase = 'startOfTurn';
+        this.beginPlayerTurn();
+    }
+
+    /**
+     * End the current player's turn and run the pipeline up to the next
+     * player that needs input. Players that are not human are ended
+     * automatically once their playerActions hooks have run; when no player
+     * needs input the pipeline stops after one round, back at the player
+     * whose turn was ended.
+     * @returns {Object} - { turn, currentPlayer, newRound }
+     */
+    endTurn() {
+        if (this.isProcessing) {
+            console.warn("endTurn called while the turn pipeline is running, ignoring");
+            return this.getTurnInfo(false);
+        }
+
+        this.isProcessing = true;
+        let newRound = false;
+
+        try {
+            const endedPlayer = this.getCurrentPlayer();
+            let guard = this.gameState.players.length + 1;
+
+            do {
+                newRound = this.finishPlayerTurn() || newRound;
+                this.beginPlayerTurn();
+                guard--;
+            } while (!this.needsInput(this.getCurrentPlayer()) && this.getCurrentPlayer() !== endedPlayer &&
+                guard > 0 && !this.gameState.gameOver);
+        } finally {
+            this.isProcessing = false;
+        }
+
+        return this.getTurnInfo(newRound);
+    }
+
+    /**
+     * Run endOfPlayer for the current player, rotate players, and close the
+     * round when play wraps back to the first player
+     * @returns {boolean} - Whether a new round began
+     */
+    finishPlayerTurn() {
+        const player = this.getCurrentPlayer();
+
+        this.gameState.turnPhase = 'endOfPlayer';
+        this.runPhase('endOfPlayer', player);
+        emitGameEvent(this.gameState, 'turn.ended', { turn: this.gameState.turn, player: player.index });
+
+        const newRound = advanceToNextPlayer(this.gameState);
+
+        if (newRound) {
+            this.gameState.turnPhase = 'endOfRound';
+            this.runPhase('endOfRound', null);
+            emitGameEvent(this.gameState, 'round.ended', { turn: this.gameState.turn });
+            this.gameState.turn++;
+        }
+
+        return newRound;
+    }
+
+    /**
+     * Run startOfTurn and playerActions for the current player
+     */
+    beginPlayerTurn() {
+        const player = this.getCurrentPlayer();
+
+        this.gameState.turnPhase = 'startOfTurn';
+        this.runPhase('startOfTurn', player);
+        emitGameEvent(this.gameState, 'turn.started', { turn: this.gameState.turn, player: player.index });
+
+        this.gameState.turnPhase = 'playerActions';
+        this.runPhase('playerActions', player);
+    }
+
+    /**
+     * Run every hook of a phase once. Errors in one system are logged and
+     * do not stop the remaining systems.
+     */
+    runPhase(phase, player) {
+        const scope = player ? `${this.gameState.turn}:${player.index}` : `${this.gameState.turn}`;
+
+        for (const hook of this.hooks[phase]) {
+            const runKey = `${phase}:${hook.id}:${scope}`;
+            if (this.completedRuns.has(runKey)) {
+                continue;
+            }
+            this.completedRuns.add(runKey);
+
+            try {
+                hook.callback(this.gameState, player);
+            } catch (error) {
+                handleError(`turn hook ${hook.id} (${phase})`, error);
+            }
+        }
+
+        this.pruneCompletedRuns();
+    }
+
+    /**
+     * Forget run records from rounds that can no longer repeat
+     */
+    pruneCompletedRuns() {
+        const currentTurn = this.gameState.turn;
+        for (const key of this.completedRuns) {
+            const turn = parseInt(key.split(':')[2], 10);
+            if (turn < currentTurn - 1) {
+                this.completedRuns.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Whether the pipeline should stop and wait for this player
+     */
+    needsInput(player) {
+        return !player || player.type === 'human';
+    }
+
+    /**
+     * Get the player whose turn it is
+     */
+    getCurrentPlayer() {
+        return this.gameState.players[this.gameState.currentPlayer - 1] || null;
+    }
+
+    /**
+     * Get a summary of the current turn
+     */
+    getTurnInfo(newRound) {
+        return {
+            turn: this.gameState.turn,
+            currentPlayer: this.gameState.currentPlayer,
+            newRound: newRound
+        };
+    }
+}
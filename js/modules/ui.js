@@ -3,13 +3,21 @@ import { terrainTypes } from './terrain.js';
 import { unitTypes } from './units.js';
 import { technologies } from './technologies.js';
 import { buildingTypes } from './buildings.js';
+import { infrastructureTypes } from './infrastructure.js';
+import { flowsBetween } from './rivers.js';
 import { revealArea } from './map.js';
+import { getVictoryProgress } from './victory.js';
+import { getGrid } from './grid.js';
+import { isAircraft, getAirBase, getOperationalRange } from './air.js';
+import { getArmy, STACK_LIMIT } from './armies.js';
+import { promotionTypes, getExperienceForLevel } from './promotions.js';
 
 // Constants for tile drawing
 const TILE_SIZE = 50; // Increased from 40 to 50px as requested
-const TILE_GUTTER = 3; // Added 3px gutter between tiles
 const HIGHLIGHT_BORDER_WIDTH = 3; // For tile highlighting
 const ICON_SIZE = 32; // Standardized icon size
+const RIVER_COLOR = '#3a7bd5';
+const SEA_ROUTE_COLOR = 'rgba(120, 200, 255, 0.9)';
 
 // Rendering metrics
 let renderedFrameCount = 0;
@@ -44,18 +52,43 @@ export function getRecommendedMapSize() {
   return 50;
 }
 
-// Coordinate conversion
-export function gridToPixel(x, y) {
-  // Account for gutter in positioning
-  return { x: x * (TILE_SIZE + TILE_GUTTER), y: y * (TILE_SIZE + TILE_GUTTER) };
+// Coordinate conversion, laid out by the game's grid
+export function gridToPixel(gameState, x, y) {
+  return getGrid(gameState).toPixel(x, y, TILE_SIZE);
 }
 
-export function pixelToGrid(pixelX, pixelY) {
-  // Account for gutter in conversion
-  return { 
-    x: Math.floor(pixelX / (TILE_SIZE + TILE_GUTTER)), 
-    y: Math.floor(pixelY / (TILE_SIZE + TILE_GUTTER)) 
-  };
+export function pixelToGrid(gameState, pixelX, pixelY) {
+  return getGrid(gameState).fromPixel(pixelX, pixelY, TILE_SIZE);
+}
+
+// Size of the whole map in tiles once laid out, hex rows are shifted so the map is wider
+function getMapExtent(gameState) {
+  const grid = getGrid(gameState);
+  const corner = grid.toPixel(grid.width - 1, grid.height - 1, 1);
+  return { width: corner.x + 1, height: corner.y + 1 };
+}
+
+// Camera offset the map is drawn with, small maps are centered on the canvas
+export function getMapOffset(gameState, canvas, cameraOffsetX, cameraOffsetY) {
+  const extent = getMapExtent(gameState);
+  let offsetX = cameraOffsetX;
+  let offsetY = cameraOffsetY;
+  
+  if (extent.width * TILE_SIZE < canvas.width) {
+    offsetX = -(canvas.width - extent.width * TILE_SIZE) / 2;
+  }
+  
+  if (extent.height * TILE_SIZE < canvas.height) {
+    offsetY = -(canvas.height - extent.height * TILE_SIZE) / 2;
+  }
+  
+  return { x: offsetX, y: offsetY };
+}
+
+// Tile under a point on the canvas, which may be off the map
+export function screenToTile(gameState, canvas, screenX, screenY, cameraOffsetX, cameraOffsetY) {
+  const offset = getMapOffset(gameState, canvas, cameraOffsetX, cameraOffsetY);
+  return pixelToGrid(gameState, screenX + offset.x, screenY + offset.y);
 }
 
 // Show map size recommendation
@@ -230,8 +263,9 @@ export function updateResearchButtons(gameState, startResearch) {
     button.onclick = () => startResearch(techName);
     
     // If researching, show progress
-    if (player.currentResearch === techName) {
-      button.textContent += ` - Researching (${Math.floor(player.researchProgress)}%)`;
+    const queued = player.researchQueue && player.researchQueue.find(item => item.id === techName);
+    if (queued) {
+      button.textContent += ` - Researching (${Math.floor(queued.progress)}%)`;
       button.disabled = true;
     }
     
@@ -300,6 +334,29 @@ export function updateAgeProgressDisplay(gameState) {
   progressLabel.textContent = `Age Progress: ${Math.floor(player.ageProgress)}%`;
 }
 
+// Victory progress
+export function updateVictoryPanel(gameState) {
+  const victoryList = document.getElementById('victoryProgressList');
+  if (!victoryList) return;
+  
+  const conditions = getVictoryProgress(gameState);
+  if (conditions.length === 0) {
+    victoryList.innerHTML = 'No victory conditions';
+    return;
+  }
+  
+  victoryList.innerHTML = conditions.map(condition => `
+    <div class="victory-condition">
+      <h5 title="${condition.description}">${condition.name}</h5>
+      ${condition.players.map(player => `
+        <div class="victory-player">
+          <span class="player-name">${player.name}</span>
+          <div class="victory-bar"><div class="victory-bar-fill" style="width: ${Math.round(player.progress * 100)}%"></div></div>
+          <span>${Math.round(player.progress * 100)}%</span>
+        </div>`).join('')}
+    </div>`).join('');
+}
+
 // Notifications
 export function showNotification(message, type = 'info') {
   const notification = document.getElementById('notification');
@@ -324,6 +381,35 @@ export function getUnitTooltipContent(unit) {
     content += `<br>Health: ${unit.health}%`;
   }
   
+  if (unit.experience) {
+    const level = unit.level || 0;
+    content += `<br>Level ${level} (${unit.experience}/${getExperienceForLevel(level + 1)} XP)`;
+  }
+  
+  if (unit.promotions && unit.promotions.length > 0) {
+    content += `<br>Promotions: ${unit.promotions.map(id => promotionTypes[id]?.name || id).join(', ')}`;
+  }
+  
+  if (unit.promotionsPending) {
+    content += '<br>Promotion available';
+  }
+  
+  if (unit.cargo && unit.cargo.length > 0) {
+    content += `<br>Carrying: ${unit.cargo.map(cargoUnit => cargoUnit.type).join(', ')}`;
+  }
+  
+  if (unit.army) {
+    const army = getArmy(unit);
+    content += `<br>Army (${army.length}/${STACK_LIMIT}): ${army.map(member => member.type).join(', ')}`;
+  }
+  
+  if (isAircraft(unit)) {
+    content += `<br>Range: ${getOperationalRange(unit)} tiles`;
+    if (unit.mission === 'intercept') {
+      content += '<br>On intercept patrol';
+    }
+  }
+  
   return content;
 }
 
@@ -413,6 +499,77 @@ function drawTerrainFeatures(tile, ctx, x, y) {
   }
 }
 
+// Rivers run from the tile's center towards the tiles up- and downstream, a source
+// tile gets a pool
+function drawRiver(tile, ctx, x, y, gameState) {
+  if (!tile.river) return;
+  
+  const grid = getGrid(gameState);
+  const from = grid.toPixel(tile.x, tile.y, TILE_SIZE);
+  const links = grid.neighbors(tile.x, tile.y)
+    .filter(neighbor => flowsBetween(tile, tile.x, tile.y, gameState.map[neighbor.y][neighbor.x], neighbor.x, neighbor.y))
+    .map(neighbor => {
+      const to = grid.toPixel(neighbor.x, neighbor.y, TILE_SIZE);
+      return { x: x + (to.x - from.x) / 2, y: y + (to.y - from.y) / 2 };
+    });
+  
+  ctx.save();
+  ctx.strokeStyle = ctx.fillStyle = RIVER_COLOR;
+  ctx.lineWidth = 6;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  links.forEach(link => {
+    ctx.moveTo(x, y);
+    ctx.lineTo(link.x, link.y);
+  });
+  ctx.stroke();
+  if (links.length <= 1) {
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.restore();
+}
+
+// Roads, bridges and railways run from the tile's center towards connected neighbors,
+// construction sites are drawn faded and dashed
+function drawInfrastructure(tile, ctx, x, y, gameState) {
+  const works = tile.infrastructure || tile.infrastructureInProgress;
+  if (!works) return;
+  
+  const grid = getGrid(gameState);
+  const from = grid.toPixel(tile.x, tile.y, TILE_SIZE);
+  const links = grid.neighbors(tile.x, tile.y)
+    .filter(neighbor => gameState.map[neighbor.y][neighbor.x].infrastructure)
+    .map(neighbor => {
+      const to = grid.toPixel(neighbor.x, neighbor.y, TILE_SIZE);
+      return { x: x + (to.x - from.x) / 2, y: y + (to.y - from.y) / 2 };
+    });
+  
+  ctx.save();
+  ctx.strokeStyle = ctx.fillStyle = infrastructureTypes[works.type]?.color || '#8b6f47';
+  ctx.lineWidth = 4;
+  ctx.lineCap = 'round';
+  if (!tile.infrastructure) {
+    ctx.globalAlpha = 0.5;
+    ctx.setLineDash([4, 4]);
+  }
+  
+  // A tile not yet linked to the network gets a dot
+  ctx.beginPath();
+  if (links.length === 0) {
+    ctx.arc(x, y, 4, 0, Math.PI * 2);
+    ctx.fill();
+  } else {
+    links.forEach(link => {
+      ctx.moveTo(x, y);
+      ctx.lineTo(link.x, link.y);
+    });
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
 function drawBuilding(building, ctx, x, y) {
   const size = TILE_SIZE * 0.7;
   
@@ -452,6 +609,22 @@ function drawBuilding(building, ctx, x, y) {
   ctx.fillText(displayText, x, y);
 }
 
+// Count of the aircraft based at an airfield, in the corner of its tile
+function drawBasedAircraft(tile, ctx, x, y, gameState) {
+  const airfield = getAirBase(gameState, tile.x, tile.y, tile.building.owner);
+  if (!airfield || airfield.aircraft.length === 0) return;
+  
+  const badgeX = x - TILE_SIZE / 2 + 2;
+  const badgeY = y + TILE_SIZE / 2 - 16;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(badgeX, badgeY, 24, 14);
+  ctx.fillStyle = '#fff';
+  ctx.font = '10px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`✈${airfield.aircraft.length}`, badgeX + 12, badgeY + 7);
+}
+
 function drawBuildingInProgress(building, ctx, x, y) {
   // Add null check for building
   if (!building || typeof building !== 'object') {
@@ -467,14 +640,14 @@ function drawBuildingInProgress(building, ctx, x, y) {
   ctx.strokeRect(x - size/2, y - size/2, size, size);
   ctx.setLineDash([]);
   
-  const progress = building.progress || 0;
+  const progress = (building.progress || 0) / (building.buildTime || 1);
   const barWidth = size * 0.8;
   
   ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
   ctx.fillRect(x - barWidth/2, y + 8, barWidth, 3);
   
   ctx.fillStyle = '#3498db';
-  ctx.fillRect(x - barWidth/2, y + 8, barWidth * (progress / 100), 3);
+  ctx.fillRect(x - barWidth/2, y + 8, barWidth * Math.min(1, progress), 3);
   
   ctx.fillStyle = '#fff';
   ctx.font = '8px Arial';
@@ -516,6 +689,9 @@ function drawUnit(unit, ctx, x, y, currentPlayer) {
     case 'archer': unitSymbol = '🏹'; break;
     case 'knight': unitSymbol = '🐎'; break;
     case 'worker': unitSymbol = '🔨'; break;
+    case 'galley': unitSymbol = '⛵'; break;
+    case 'trireme': unitSymbol = '🚢'; break;
+    case 'carrier': unitSymbol = '🛳️'; break;
   }
   
   ctx.fillStyle = '#fff';
@@ -524,6 +700,38 @@ function drawUnit(unit, ctx, x, y, currentPlayer) {
   ctx.textBaseline = 'middle';
   ctx.fillText(unitSymbol, x, y);
   
+  // Armies show how many units march in them
+  if (unit.army) {
+    const badgeX = x - unitSize / 2;
+    const badgeY = y - unitSize / 2;
+    ctx.beginPath();
+    ctx.arc(badgeX, badgeY, 6, 0, Math.PI * 2);
+    ctx.fillStyle = '#ecf0f1';
+    ctx.fill();
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.fillStyle = '#000';
+    ctx.font = 'bold 9px Arial';
+    ctx.fillText(String(getArmy(unit).length), badgeX, badgeY);
+  }
+  
+  // Transports show how many units they carry
+  if (unit.cargo && unit.cargo.length > 0) {
+    const badgeX = x + unitSize / 2;
+    const badgeY = y - unitSize / 2;
+    ctx.beginPath();
+    ctx.arc(badgeX, badgeY, 6, 0, Math.PI * 2);
+    ctx.fillStyle = '#f1c40f';
+    ctx.fill();
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+    ctx.fillStyle = '#000';
+    ctx.font = 'bold 9px Arial';
+    ctx.fillText(String(unit.cargo.length), badgeX, badgeY);
+  }
+  
   if (unit.health && unit.health < 100) {
     const barWidth = unitSize * 0.8;
     
@@ -610,6 +818,8 @@ function drawTile(tile, ctx, x, y, gameState, fogOfWarEnabled, waterPattern, isH
   const centerY = y + TILE_SIZE / 2;
   
   drawTerrainFeatures(tile, ctx, centerX, centerY);
+  drawRiver(tile, ctx, centerX, centerY, gameState);
+  drawInfrastructure(tile, ctx, centerX, centerY, gameState);
   
   if (tile.resourceType && resourceIcons[tile.resourceType]) {
     ctx.beginPath();
@@ -626,6 +836,7 @@ function drawTile(tile, ctx, x, y, gameState, fogOfWarEnabled, waterPattern, isH
   
   if (tile.building) {
     drawBuilding(tile.building, ctx, centerX, centerY);
+    drawBasedAircraft(tile, ctx, centerX, centerY, gameState);
   } else if (tile.buildingInProgress) {
     drawBuildingInProgress(tile.buildingInProgress, ctx, centerX, centerY);
   }
@@ -636,6 +847,10 @@ function drawTile(tile, ctx, x, y, gameState, fogOfWarEnabled, waterPattern, isH
 }
 
 function drawMinimapTile(tile, minimapCtx, tileSize, gameState, fogOfWarEnabled) {
+  const position = gridToPixel(gameState, tile.x, tile.y);
+  const minimapX = position.x / TILE_SIZE * tileSize;
+  const minimapY = position.y / TILE_SIZE * tileSize;
+
   const playerIndex = gameState.currentPlayer - 1;
   
   // More robust check for discovered status (matches main tile rendering)
@@ -657,12 +872,17 @@ function drawMinimapTile(tile, minimapCtx, tileSize, gameState, fogOfWarEnabled)
     minimapCtx.fillStyle = terrainInfo.color;
   }
   
-  minimapCtx.fillRect(tile.x * tileSize, tile.y * tileSize, tileSize, tileSize);
+  minimapCtx.fillRect(minimapX, minimapY, tileSize, tileSize);
+  
+  if (tile.river && (!fogOfWarEnabled || isDiscovered)) {
+    minimapCtx.fillStyle = RIVER_COLOR;
+    minimapCtx.fillRect(minimapX + tileSize / 4, minimapY + tileSize / 4, tileSize / 2, tileSize / 2);
+  }
   
   if (tile.unit && (!fogOfWarEnabled || isDiscovered)) {
     const playerColors = ['#3498db', '#e74c3c', '#2ecc71', '#f39c12', '#9b59b6', '#1abc9c'];
     minimapCtx.fillStyle = playerColors[(tile.unit.owner - 1) % playerColors.length];
-    minimapCtx.fillRect(tile.x * tileSize, tile.y * tileSize, tileSize, tileSize);
+    minimapCtx.fillRect(minimapX, minimapY, tileSize, tileSize);
   }
 }
 
@@ -678,7 +898,7 @@ function drawMinimapViewport(minimap, minimapCtx, canvas, cameraX, cameraY, tile
   minimapCtx.strokeRect(viewX, viewY, viewW, viewH);
 }
 
-function drawSelectedUnit(selectedUnit, ctx, offsetX, offsetY) {
+function drawSelectedUnit(selectedUnit, ctx, gameState, offsetX, offsetY) {
   // Add null check for selectedUnit and its properties
   if (!selectedUnit || typeof selectedUnit !== 'object' || 
       typeof selectedUnit.x !== 'number' || typeof selectedUnit.y !== 'number') {
@@ -686,8 +906,9 @@ function drawSelectedUnit(selectedUnit, ctx, offsetX, offsetY) {
     return;
   }
   
-  const tileX = selectedUnit.x * TILE_SIZE - offsetX;
-  const tileY = selectedUnit.y * TILE_SIZE - offsetY;
+  const position = gridToPixel(gameState, selectedUnit.x, selectedUnit.y);
+  const tileX = position.x - offsetX;
+  const tileY = position.y - offsetY;
   
   ctx.strokeStyle = '#ff0';
   ctx.lineWidth = 2;
@@ -701,12 +922,13 @@ function drawSelectedUnit(selectedUnit, ctx, offsetX, offsetY) {
   );
 }
 
-function drawMovementRange(validMovementLocations, ctx, offsetX, offsetY) {
+function drawMovementRange(validMovementLocations, ctx, gameState, offsetX, offsetY) {
   ctx.fillStyle = 'rgba(0, 255, 0, 0.3)';
   
   for (const loc of validMovementLocations) {
-    const tileX = loc.x * TILE_SIZE - offsetX;
-    const tileY = loc.y * TILE_SIZE - offsetY;
+    const position = gridToPixel(gameState, loc.x, loc.y);
+    const tileX = position.x - offsetX;
+    const tileY = position.y - offsetY;
     
     if (tileX < -TILE_SIZE || tileX > ctx.canvas.width + TILE_SIZE ||
         tileY < -TILE_SIZE || tileY > ctx.canvas.height + TILE_SIZE) {
@@ -717,6 +939,80 @@ function drawMovementRange(validMovementLocations, ctx, offsetX, offsetY) {
   }
 }
 
+// Shade the tiles an aircraft can reach from its base and outline the edge of its range
+function drawOperationalRange(unit, ctx, gameState, offsetX, offsetY) {
+  const grid = getGrid(gameState);
+  const range = getOperationalRange(unit);
+  
+  ctx.save();
+  ctx.fillStyle = 'rgba(120, 200, 255, 0.15)';
+  ctx.strokeStyle = 'rgba(120, 200, 255, 0.8)';
+  ctx.lineWidth = 2;
+  grid.range(unit.x, unit.y, range).forEach(({ x, y }) => {
+    const position = gridToPixel(gameState, x, y);
+    const tileX = position.x - offsetX;
+    const tileY = position.y - offsetY;
+    ctx.fillRect(tileX, tileY, TILE_SIZE, TILE_SIZE);
+    if (grid.distance(unit.x, unit.y, x, y) === range) {
+      ctx.strokeRect(tileX + 1, tileY + 1, TILE_SIZE - 2, TILE_SIZE - 2);
+    }
+  });
+  ctx.restore();
+}
+
+// Draw a planned route with a marker where each turn of travel ends
+function drawMoveRoute(route, ctx, gameState, offsetX, offsetY) {
+  const centerOf = (x, y) => {
+    const position = gridToPixel(gameState, x, y);
+    return { x: position.x - offsetX + TILE_SIZE / 2, y: position.y - offsetY + TILE_SIZE / 2 };
+  };
+  
+  ctx.save();
+  const landColor = route.complete ? 'rgba(255, 255, 255, 0.85)' : 'rgba(255, 120, 120, 0.85)';
+  ctx.lineWidth = 3;
+  ctx.setLineDash([8, 6]);
+  
+  // Steps aboard a transport are drawn in the sea colour, up to and including the landing
+  let previous = route.from;
+  route.steps.forEach(step => {
+    const atSea = step.mode === 'sea' || (step.mode === 'land' && previous.mode === 'sea');
+    const start = centerOf(previous.x, previous.y);
+    const point = centerOf(step.x, step.y);
+    ctx.strokeStyle = atSea ? SEA_ROUTE_COLOR : landColor;
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(point.x, point.y);
+    ctx.stroke();
+    previous = step;
+  });
+  ctx.setLineDash([]);
+  
+  // Waypoints the player picked
+  ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+  route.waypoints.forEach(waypoint => {
+    const point = centerOf(waypoint.x, waypoint.y);
+    ctx.fillRect(point.x - 4, point.y - 4, 8, 8);
+  });
+  
+  // The last tile reached in each turn, numbered by turn
+  ctx.font = 'bold 12px Arial';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  route.steps.forEach((step, i) => {
+    const next = route.steps[i + 1];
+    if (next && next.turn === step.turn) return;
+    
+    const point = centerOf(step.x, step.y);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, 10, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#fff';
+    ctx.fillText(String(step.turn), point.x, point.y);
+  });
+  ctx.restore();
+}
+
 // For tile click animation
 let clickAnimationTile = null;
 let clickAnimationStart = 0;
@@ -776,19 +1072,10 @@ export function render(gameState, canvasData) {
   }
   
   // Center small maps
-  let offsetX = cameraOffsetX;
-  let offsetY = cameraOffsetY;
-  
-  if (mapSize * TILE_SIZE < canvas.width) {
-    offsetX = -(canvas.width - mapSize * TILE_SIZE) / 2;
-  }
-  
-  if (mapSize * TILE_SIZE < canvas.height) {
-    offsetY = -(canvas.height - mapSize * TILE_SIZE) / 2;
-  }
+  const { x: offsetX, y: offsetY } = getMapOffset(gameState, canvas, cameraOffsetX, cameraOffsetY);
   
   // Minimap tile size calculation
-  const minimapTileSize = minimap ? Math.max(1, minimap.width / mapSize) : 1;
+  const minimapTileSize = minimap ? Math.max(1, minimap.width / getMapExtent(gameState).width) : 1;
   
   // Draw all tiles
   for (let y = 0; y < mapSize; y++) {
@@ -801,8 +1088,9 @@ export function render(gameState, canvasData) {
       tile.y = y;
       
       // Calculate screen position
-      const screenX = x * TILE_SIZE - offsetX;
-      const screenY = y * TILE_SIZE - offsetY;
+      const position = gridToPixel(gameState, x, y);
+      const screenX = position.x - offsetX;
+      const screenY = position.y - offsetY;
       
       // Skip off-screen tiles
       if (screenX < -TILE_SIZE || screenX > canvas.width ||
@@ -860,12 +1148,22 @@ export function render(gameState, canvasData) {
   
   // Draw movement range
   if (gameState.unitActionMode === 'move' && gameState.validMovementLocations && selectedUnit) {
-    drawMovementRange(gameState.validMovementLocations, ctx, offsetX, offsetY);
+    drawMovementRange(gameState.validMovementLocations, ctx, gameState, offsetX, offsetY);
+  }
+  
+  // Draw how far the selected aircraft can fly from its base
+  if (selectedUnit && isAircraft(selectedUnit)) {
+    drawOperationalRange(selectedUnit, ctx, gameState, offsetX, offsetY);
+  }
+  
+  // Draw the route being planned for the selected unit
+  if (gameState.movePreview && gameState.movePreview.steps.length > 0) {
+    drawMoveRoute(gameState.movePreview, ctx, gameState, offsetX, offsetY);
   }
   
   // Draw selection highlight
   if (selectedUnit) {
-    drawSelectedUnit(selectedUnit, ctx, offsetX, offsetY);
+    drawSelectedUnit(selectedUnit, ctx, gameState, offsetX, offsetY);
   }
   
   // Draw minimap viewport
@@ -0,0 +1,124 @@
+// Undo/redo for the current player's turn.
+// Only commands that reveal nothing new and draw no random numbers can be undone;
+// anything else is a barrier that clears the history, so players cannot take back
+// a move after seeing what it uncovered or re-roll a fight.
+
+export class UndoManager {
+    /**
+     * @param {Object} gameState - The game state
+     * @param {CommandDispatcher} dispatcher - Dispatcher used to re-apply redone commands
+     */
+    constructor(gameState, dispatcher) {
+        this.gameState = gameState;
+        this.dispatcher = dispatcher;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.scope = null;
+        this.isRedoing = false;
+    }
+
+    /**
+     * Record an applied command
+     * @param {Object} entry - { command, logLength, revert } where revert() restores the
+     *                         state from before the command, or null if it cannot be undone
+     */
+    record(entry) {
+        this.checkScope();
+
+        if (!entry.revert) {
+            this.clear();
+            return;
+        }
+
+        this.undoStack.push(entry);
+        if (!this.isRedoing) {
+            this.redoStack = [];
+        }
+    }
+
+    /**
+     * Drop the history because hidden information was revealed or randomness was used
+     */
+    markIrreversible() {
+        this.clear();
+    }
+
+    /**
+     * Forget every undo and redo step
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Undo the most recent command of this turn
+     * @returns {Object} - { success, reason, command }
+     */
+    undo() {
+        this.checkScope();
+
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            return { success: false, reason: 'Nothing to undo' };
+        }
+
+        entry.revert();
+
+        // The command is no longer part of the game's history
+        if (this.gameState.actionLog) {
+            this.gameState.actionLog.length = entry.logLength;
+        }
+
+        this.redoStack.push(entry);
+        return { success: true, command: entry.command };
+    }
+
+    /**
+     * Re-apply the most recently undone command
+     * @returns {Object} - Dispatcher result, plus the command
+     */
+    redo() {
+        this.checkScope();
+
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            return { success: false, reason: 'Nothing to redo' };
+        }
+
+        this.isRedoing = true;
+        let result;
+        try {
+            result = this.dispatcher.dispatch(entry.command);
+        } finally {
+            this.isRedoing = false;
+        }
+
+        // The game changed underneath the undone command, it cannot be redone
+        if (!result.success) {
+            this.redoStack = [];
+        }
+        return { ...result, command: entry.command };
+    }
+
+    canUndo() {
+        this.checkScope();
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        this.checkScope();
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * History only covers the current player's turn
+     */
+    checkScope() {
+        const scope = `${this.gameState.turn}:${this.gameState.currentPlayer}`;
+        if (scope !== this.scope) {
+            this.clear();
+            this.scope = scope;
+        }
+    }
+}
@@ -1,43 +1,34 @@
+import { defineContentTable } from './content.js';
+
 // Calculate unit cost based on its stats
 export function calculateUnitCost(unit) {
-  // Base costs - adjust these values for game balance
+  // Base costs, in resources players hold - adjust these values for game balance
   const baseCosts = {
     gold: 25,
     wood: 10,
-    ironOre: 15,
+    iron: 15,
     food: 10,
-    coal: 0,
-    oil: 10,
-    techPoints: 0
+    coal: 10
   };
   
-  // Calculate factors based on unit stats
-  const powerFactor = (unit.hp + unit.attack) / 200;
-  const armorFactor = unit.defense / 50;
-  const upkeepFactor = unit.move / 2;
-  const mobilityFactor = (unit.move + unit.vision) / 10;
-  const specialAbilityFactor = (unit.abilities ? unit.abilities.length : 0) * 0.5;
+  // Calculate factors based on unit stats, missing stats count as 0
+  const powerFactor = ((unit.hp || 0) + (unit.attack || 0)) / 200;
+  const armorFactor = (unit.defense || 0) / 50;
+  const upkeepFactor = (unit.move || 0) / 2;
+  const mobilityFactor = ((unit.move || 0) + (unit.vision || 0)) / 10;
   
   // Calculate final costs
   const cost = {
     gold: Math.round(baseCosts.gold * (1 + powerFactor)),
     wood: Math.round(baseCosts.wood * (1 + powerFactor)),
-    ironOre: Math.round(baseCosts.ironOre * (1 + armorFactor)),
+    iron: Math.round(baseCosts.iron * (1 + armorFactor)),
     food: Math.round(baseCosts.food * (1 + upkeepFactor)),
-    coal: 0,
-    oil: 0,
-    techPoints: 0
+    coal: 0
   };
   
   // Only add fuel costs for units with engines
   if (unit.hasEngine) {
     cost.coal = Math.round(baseCosts.coal * (1 + mobilityFactor));
-    cost.oil = Math.round(baseCosts.oil * (1 + mobilityFactor));
-  }
-  
-  // Add tech points for advanced units
-  if (unit.hasSpecialAbilities) {
-    cost.techPoints = Math.round(baseCosts.techPoints * (1 + specialAbilityFactor));
   }
   
   // Zero out any costs that don't apply to this unit type
@@ -77,36 +68,11 @@ export function calculateUnitUpkeep(unit) {
   return upkeep;
 }
 
-// Unit types with expanded definition including age, abilities, and engine info
-export const unitTypes = {
-    settler: {
-        name: "Settler",
-        type: "civilian",
-        cost: { food: 50, wood: 30 },
-        move: 2,
-        defense: 1,
-        buildTime: 5,
-        age: "Stone Age",
-        abilities: ["build", "found_city"],
-        description: "Can found new cities and build improvements"
-    },
-    warrior: {
-        name: "Warrior",
-        type: "military",
-        cost: { food: 30, wood: 20 },
-        move: 2,
-        attack: 3,
-        defense: 2,
-        buildTime: 3,
-        age: "Stone Age",
-        abilities: ["melee"],
-        description: "Basic military unit for early combat"
-    }
-};
-
-// Calculate costs for all units
-for (const unitType in unitTypes) {
-  const unit = unitTypes[unitType];
-  unit.cost = calculateUnitCost(unit);
-  unit.upkeep = calculateUnitUpkeep(unit);
-}
+// Unit types, from the 'units' section of the content packs.
+// Upkeep is calculated from each unit's stats, and so is the cost of a unit whose entry has none.
+export const unitTypes = defineContentTable('units', {}, {
+  finalize: unit => {
+    unit.cost = unit.cost || calculateUnitCost(unit);
+    unit.upkeep = calculateUnitUpkeep(unit);
+  }
+});
@@ -0,0 +1,202 @@
+// Victory conditions - each condition measures how close every player is to winning
+// by it. Progress is recorded once per round and the game ends when a player reaches 100%.
+import { buildingTypes } from './buildings.js';
+import { technologies } from './technologies.js';
+
+// Registry of victory conditions, in the order ties are decided
+const victoryConditions = {};
+
+/**
+ * Register a way to win the game
+ * @param {string} type - Victory type, e.g. 'conquest'
+ * @param {Object} condition - {
+ *     name: shown in the UI,
+ *     description: short summary of the goal,
+ *     defaults: options a game can override at setup,
+ *     progress(gameState, player, options) => number from 0 to 1, 1 wins the game
+ * }
+ */
+export function registerVictoryCondition(type, condition) {
+    if (victoryConditions[type]) {
+        throw new Error(`Victory condition ${type} is already registered`);
+    }
+    victoryConditions[type] = { defaults: {}, ...condition };
+}
+
+/**
+ * Get every registered victory condition
+ */
+export function getVictoryConditions() {
+    return { ...victoryConditions };
+}
+
+/**
+ * A player is still in the game while they have units or buildings
+ */
+export function isPlayerAlive(player) {
+    return (player.units || []).length > 0 || (player.buildings || []).length > 0;
+}
+
+/**
+ * Players taking part in the game, ignoring unused AI seats
+ */
+function getActivePlayers(gameState) {
+    return gameState.players.filter(player => !player.inactive);
+}
+
+/**
+ * Other active players a player competes against
+ */
+function getRivals(gameState, player) {
+    return getActivePlayers(gameState).filter(other => other.index !== player.index);
+}
+
+/**
+ * Set which victory conditions a game uses and their options
+ * @param {Object} gameState - The game state
+ * @param {Object} config - { [type]: false to disable, true for defaults, or an options object }
+ * @returns {Object} - gameState.victory
+ */
+export function initializeVictory(gameState, config = {}) {
+    const conditions = {};
+
+    Object.entries(victoryConditions).forEach(([type, condition]) => {
+        const setting = config[type];
+        conditions[type] = {
+            enabled: setting !== false,
+            options: { ...condition.defaults, ...(typeof setting === 'object' ? setting : {}) }
+        };
+    });
+
+    Object.keys(config).forEach(type => {
+        if (!victoryConditions[type]) {
+            console.warn(`Unknown victory condition: ${type}`);
+        }
+    });
+
+    gameState.victory = { conditions, progress: {} };
+    return gameState.victory;
+}
+
+/**
+ * Measure every active player against every enabled condition and store the result
+ * @param {Object} gameState - The game state
+ * @returns {Object} - { [playerIndex]: { [type]: progress } }
+ */
+export function updateVictoryProgress(gameState) {
+    if (!gameState.victory) {
+        initializeVictory(gameState);
+    }
+
+    const progress = {};
+    getActivePlayers(gameState).forEach(player => {
+        progress[player.index] = {};
+        Object.entries(gameState.victory.conditions).forEach(([type, { enabled, options }]) => {
+            const condition = victoryConditions[type];
+            if (!enabled || !condition) return;
+
+            const value = isPlayerAlive(player) ? condition.progress(gameState, player, options) : 0;
+            progress[player.index][type] = Math.max(0, Math.min(1, value || 0));
+        });
+    });
+
+    gameState.victory.progress = progress;
+    return progress;
+}
+
+/**
+ * Progress of every player towards every enabled condition, for the victory panel
+ * @param {Object} gameState - The game state
+ * @returns {Array} - [{ type, name, description, players: [{ index, name, progress }] }]
+ */
+export function getVictoryProgress(gameState) {
+    if (!gameState.victory) return [];
+
+    return Object.entries(gameState.victory.conditions)
+        .filter(([type, { enabled }]) => enabled && victoryConditions[type])
+        .map(([type]) => ({
+            type: type,
+            name: victoryConditions[type].name,
+            description: victoryConditions[type].description,
+            players: getActivePlayers(gameState).map(player => ({
+                index: player.index,
+                name: player.name,
+                progress: gameState.victory.progress[player.index]?.[type] || 0
+            }))
+        }));
+}
+
+/**
+ * Decide whether the recorded progress ends the game. Conditions are checked
+ * in registration order, then players by seat, so ties always go the same way.
+ * @param {Object} gameState - The game state
+ * @returns {Object} - { ended, winner, type, turn }
+ */
+export function checkVictory(gameState) {
+    const result = { ended: false, winner: null, type: null, turn: gameState.turn };
+    if (!gameState.victory) return result;
+
+    for (const [type, { enabled }] of Object.entries(gameState.victory.conditions)) {
+        if (!enabled) continue;
+
+        const winner = getActivePlayers(gameState).find(player =>
+            gameState.victory.progress[player.index]?.[type] >= 1
+        );
+        if (winner) {
+            return { ...result, ended: true, winner: winner, type: type };
+        }
+    }
+
+    return result;
+}
+
+registerVictoryCondition('conquest', {
+    name: 'Conquest',
+    description: 'Eliminate every rival',
+    defaults: {},
+    progress: (gameState, player) => {
+        const rivals = getRivals(gameState, player);
+        if (rivals.length === 0) return 0;
+        return rivals.filter(rival => !isPlayerAlive(rival)).length / rivals.length;
+    }
+});
+
+registerVictoryCondition('culture', {
+    name: 'Culture',
+    description: 'Complete wonders',
+    defaults: { wondersRequired: 3 },
+    progress: (gameState, player, { wondersRequired }) => {
+        const wonders = (player.buildings || [])
+            .filter(building => buildingTypes[building.type]?.category === 'wonder').length;
+        return wonders / wondersRequired;
+    }
+});
+
+registerVictoryCondition('technology', {
+    name: 'Technology',
+    description: 'Research every technology',
+    defaults: { technologiesRequired: null },
+    progress: (gameState, player, { technologiesRequired }) => {
+        const required = technologiesRequired ||
+            Object.values(technologies).reduce((total, age) => total + Object.keys(age).length, 0);
+        return (player.technologies || []).length / required;
+    }
+});
+
+registerVictoryCondition('economy', {
+    name: 'Economy',
+    description: 'Amass a gold reserve',
+    defaults: { goldRequired: 1000 },
+    progress: (gameState, player, { goldRequired }) => (player.resources?.gold || 0) / goldRequired
+});
+
+registerVictoryCondition('diplomacy', {
+    name: 'Diplomacy',
+    description: 'Be allied with every surviving rival',
+    defaults: {},
+    progress: (gameState, player) => {
+        const rivals = getRivals(gameState, player).filter(isPlayerAlive);
+        if (rivals.length === 0) return 0;
+        return rivals.filter(rival => (player.allies || []).includes(rival.index)).length / rivals.length;
+    }
+});
@@ -210,25 +210,14 @@ export class Viewport {
     
     // Convert screen coordinates to grid coordinates
     screenToGrid(screenX, screenY) {
-        // First convert to world coordinates
-        const worldPos = this.screenToWorld(screenX, screenY);
-        
-        // Get UI constants for tile size and gutter
-        let tileSize = 50; // Default from enhanced-ui.css
-        let gutter = 3;   // Default from enhanced-ui.css
+        const rect = this.canvas.getBoundingClientRect();
         
-        // Check if UI module has these values defined
+        // The UI module knows the map layout it draws with, before a game starts no tile is under the mouse
         const uiModule = window.gameModules?.ui;
-        if (uiModule) {
-            tileSize = uiModule.TILE_SIZE || tileSize;
-            gutter = uiModule.TILE_GUTTER || gutter;
+        if (!uiModule?.screenToTile) {
+            return { x: -1, y: -1 };
         }
-        
-        // Convert to grid coordinates considering tile size and gutter
-        return {
-            x: Math.floor(worldPos.x / (tileSize + gutter)),
-            y: Math.floor(worldPos.y / (tileSize + gutter))
-        };
+        return uiModule.screenToTile(screenX - rect.left, screenY - rect.top);
     }
 
     screenToWorld(screenX, screenY) {
@@ -245,44 +234,11 @@ export class Viewport {
         };
     }
 
-    screenToHex(screenX, screenY) {
-        const worldPos = this.screenToWorld(screenX, screenY);
-        return this.worldToHex(worldPos.x, worldPos.y);
-    }
-
-    worldToHex(x, y) {
-        const hexSize = 30; // Match the HEX_SIZE from ui.js
-        const q = (x * Math.sqrt(3)/3 - y/3) / hexSize;
-        const r = y * 2/3 / hexSize;
-        return this.roundToHex(q, r);
-    }
-
-    roundToHex(q, r) {
-        // Convert to cube coordinates
-        let x = q;
-        let z = r;
-        let y = -x - z;
-        
-        // Round cube coordinates
-        let rx = Math.round(x);
-        let ry = Math.round(y);
-        let rz = Math.round(z);
-        
-        // Fix rounding errors
-        const x_diff = Math.abs(rx - x);
-        const y_diff = Math.abs(ry - y);
-        const z_diff = Math.abs(rz - z);
-        
-        if (x_diff > y_diff && x_diff > z_diff) {
-            rx = -ry - rz;
-        } else if (y_diff > z_diff) {
-            ry = -rx - rz;
-        } else {
-            rz = -rx - ry;
-        }
-        
-        // Convert back to axial coordinates
-        return {q: rx, r: rz};
+    // Tile under a point on the canvas in axial form, q is the map x and r the map y
+    screenToHex(canvasX, canvasY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const tile = this.screenToGrid(canvasX + rect.left, canvasY + rect.top);
+        return { q: tile.x, r: tile.y };
     }
 
     pan(deltaX, deltaY) {
@@ -1,3 +1,7 @@
+import { random, randomInt } from './random.js';
+import { emitGameEvent } from './eventBus.js';
+import { terrainTypes } from './terrain.js';
+
 export const weatherTypes = {
     clear: {
         name: 'Clear',
@@ -121,6 +125,27 @@ export class WeatherSystem {
         this.weatherHistory = [];
     }
 
+    /**
+     * Get the serializable state of the weather system
+     */
+    getState() {
+        return {
+            currentWeather: this.currentWeather,
+            remainingDuration: this.remainingDuration,
+            weatherHistory: [...this.weatherHistory]
+        };
+    }
+
+    /**
+     * Restore state produced by getState
+     */
+    loadState(state) {
+        if (!state) return;
+        this.currentWeather = state.currentWeather ?? 'clear';
+        this.remainingDuration = state.remainingDuration ?? 0;
+        this.weatherHistory = [...(state.weatherHistory || [])];
+    }
+
     /**
      * Update weather for current turn
      */
@@ -145,6 +170,7 @@ export class WeatherSystem {
     generateNewWeather() {
         const season = this.gameState.season;
         const weights = this.calculateWeatherWeights(season);
+        const previous = this.currentWeather;
         
         // Select new weather based on weights
         this.currentWeather = this.selectWeightedWeather(weights);
@@ -152,6 +178,10 @@ export class WeatherSystem {
         // Set duration
         const duration = weatherTypes[this.currentWeather].duration;
         this.remainingDuration = this.randomRange(duration.min, duration.max);
+        
+        if (this.currentWeather !== previous) {
+            emitGameEvent(this.gameState, 'weather.changed', { weather: this.currentWeather, previous });
+        }
     }
 
     /**
@@ -180,11 +210,11 @@ export class WeatherSystem {
      */
     selectWeightedWeather(weights) {
         const totalWeight = Object.values(weights).reduce((a, b) => a + b, 0);
-        let random = Math.random() * totalWeight;
+        let roll = random(this.gameState, 'weather') * totalWeight;
         
         for (const [type, weight] of Object.entries(weights)) {
-            random -= weight;
-            if (random <= 0) {
+            roll -= weight;
+            if (roll <= 0) {
                 return type;
             }
         }
@@ -196,7 +226,7 @@ export class WeatherSystem {
      * Get random number in range
      */
     randomRange(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return randomInt(this.gameState, 'weather', min, max);
     }
 
     /**
@@ -208,10 +238,8 @@ export class WeatherSystem {
         // Apply global effects
         this.applyGlobalWeatherEffects(weather);
         
-        // Apply terrain-specific effects
-        if (weather.terrainEffects) {
-            this.applyTerrainWeatherEffects(weather);
-        }
+        // Apply terrain-specific effects, which also clears those of the previous weather
+        this.applyTerrainWeatherEffects(weather);
     }
 
     /**
@@ -221,9 +249,10 @@ export class WeatherSystem {
         // Apply to all units
         this.gameState.players.forEach(player => {
             player.units.forEach(unit => {
-                unit.currentMovementPoints *= weather.movementModifier;
-                unit.visibility *= weather.visibilityModifier;
-                unit.combatModifier *= weather.combatModifier;
+                // Only scale stats the unit has, multiplying a missing stat gives NaN
+                if (typeof unit.currentMovementPoints === 'number') unit.currentMovementPoints *= weather.movementModifier;
+                if (typeof unit.visibility === 'number') unit.visibility *= weather.visibilityModifier;
+                if (typeof unit.combatModifier === 'number') unit.combatModifier *= weather.combatModifier;
             });
         });
         
@@ -238,22 +267,22 @@ export class WeatherSystem {
     }
 
     /**
-     * Apply terrain-specific weather effects
+     * Apply terrain-specific weather effects. A tile's weather movement cost is worked out
+     * from its terrain cost every turn, so it never compounds or outlives the weather.
      */
     applyTerrainWeatherEffects(weather) {
         this.gameState.map.forEach(row => {
             row.forEach(tile => {
-                const terrainEffect = weather.terrainEffects[tile.type];
-                if (terrainEffect) {
-                    // Apply movement modifier
-                    if (terrainEffect.movementModifier) {
-                        tile.currentMovementCost /= terrainEffect.movementModifier;
-                    }
-                    
-                    // Apply resource modifier
-                    if (terrainEffect.resourceModifier && tile.resource) {
-                        tile.productionModifier *= terrainEffect.resourceModifier;
-                    }
+                const terrainEffect = weather.terrainEffects?.[tile.type];
+                if (terrainEffect && terrainEffect.movementModifier) {
+                    tile.currentMovementCost = (terrainTypes[tile.type]?.movementCost ?? 1) / terrainEffect.movementModifier;
+                } else {
+                    delete tile.currentMovementCost;
+                }
+                
+                // Apply resource modifier
+                if (terrainEffect?.resourceModifier && tile.resource) {
+                    tile.productionModifier *= terrainEffect.resourceModifier;
                 }
             });
         });
@@ -0,0 +1,84 @@
+// Time A* paths and movement flood fills on generated maps.
+// Usage: node scripts/benchmark-pathfinding.mjs [--sizes 50,100] [--queries 200] [--seed 1234] [--grid hex|square]
+import { createGame } from '../js/modules/engine.js';
+
+function parseArgs(argv) {
+    const options = { sizes: '50,100', queries: 200, seed: 1234, grid: 'hex' };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        options[name] = ['sizes', 'grid'].includes(name) ? argv[i + 1] : parseInt(argv[i + 1], 10);
+    }
+    return options;
+}
+
+// Small seeded generator so every run picks the same start and goal tiles
+function createPicker(seed) {
+    let state = seed >>> 0;
+    return max => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state % max;
+    };
+}
+
+function time(callback) {
+    const startedAt = performance.now();
+    const result = callback();
+    return { ms: performance.now() - startedAt, result };
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// The engine logs map generation; keep the output to the results
+const log = console.log;
+console.log = () => {};
+
+const results = options.sizes.split(',').map(Number).map(size => {
+    const engine = createGame({
+        mapSize: size,
+        mapType: 'continents',
+        gridType: options.grid,
+        mapSeed: options.seed,
+        resourceDensity: 'standard',
+        aiPlayerCount: 1,
+        aiOnly: true
+    });
+    const { gameState, systems } = engine;
+    const pathfinding = systems.pathfinding;
+    const unit = { type: 'warrior', owner: 1, remainingMP: 10 };
+
+    const land = [];
+    gameState.map.forEach((row, y) => row.forEach((tile, x) => {
+        if (tile.type !== 'water' && !tile.unit) land.push({ x, y });
+    }));
+
+    const pick = createPicker(options.seed);
+    const queries = Array.from({ length: options.queries }, () => [land[pick(land.length)], land[pick(land.length)]]);
+    const findAll = () => queries.map(([start, goal]) => pathfinding.findPath(start.x, start.y, goal.x, goal.y, unit));
+
+    pathfinding.clearCache();
+    const cold = time(findAll);
+    const cached = time(findAll);
+
+    const floodFill = time(() => queries.map(([start]) =>
+        pathfinding.getReachableTiles({ ...unit, x: start.x, y: start.y })));
+
+    return {
+        size,
+        found: cold.result.filter(Boolean).length,
+        cold: cold.ms,
+        cached: cached.ms,
+        floodFill: floodFill.ms,
+        reachable: floodFill.result.reduce((total, tiles) => total + tiles.length, 0) / queries.length
+    };
+});
+
+console.log = log;
+console.log(`${options.queries} queries per map, ${options.grid} grid, seed ${options.seed}`);
+results.forEach(({ size, found, cold, cached, floodFill, reachable }) => {
+    console.log(`${size}x${size}: A* ${(cold / options.queries).toFixed(3)} ms/path (${found} found), ` +
+        `cached ${(cached / options.queries).toFixed(4)} ms/path, ` +
+        `flood fill ${(floodFill / options.queries).toFixed(3)} ms (${reachable.toFixed(0)} tiles in 10 MP)`);
+});
@@ -0,0 +1,66 @@
+// Run an AI-vs-AI game without a browser and print how it went.
+// Usage: node scripts/simulate.mjs [--turns 50] [--seed 1234] [--size 30] [--ai 2] [--grid hex|square] [--map continents|archipelago|pangaea|highlands|desert] [--pack mod.json] [--save game.json]
+import { readFileSync, writeFileSync } from 'node:fs';
+import { createGame } from '../js/modules/engine.js';
+import { registerContentPack } from '../js/modules/content.js';
+
+function parseArgs(argv) {
+    const options = { turns: 50, seed: 1234, size: 30, ai: 2, grid: 'hex', map: 'continents', pack: null, save: null };
+    for (let i = 0; i < argv.length; i += 2) {
+        const name = argv[i].replace(/^--/, '');
+        if (!(name in options)) {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+        options[name] = ['save', 'pack', 'grid', 'map'].includes(name) ? argv[i + 1] : parseInt(argv[i + 1], 10);
+    }
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (options.pack) {
+    registerContentPack(JSON.parse(readFileSync(options.pack, 'utf8')));
+}
+
+// The engine logs map generation and system progress; keep the output to the summary
+const log = console.log;
+console.log = () => {};
+
+const engine = createGame({
+    mapSize: options.size,
+    mapType: options.map,
+    gridType: options.grid,
+    mapSeed: options.seed,
+    resourceDensity: 'standard',
+    fogOfWar: true,
+    aiDifficulty: 'normal',
+    // Seat one is played by the AI too, so --ai counts every player
+    aiPlayerCount: options.ai - 1,
+    aiOnly: true
+}).start();
+
+const firstTurn = engine.gameState.turn;
+const startedAt = Date.now();
+const summary = engine.runTurns(options.turns);
+console.log = log;
+
+console.log(`Simulated ${summary.turn - firstTurn} turns in ${Date.now() - startedAt} ms (seed ${options.seed}, ${options.size}x${options.size} ${options.map} ${options.grid} grid)`);
+console.log(`Commands applied: ${summary.commandCount}`);
+console.log(`Content packs: ${engine.gameState.contentPacks.join(', ')}`);
+if (summary.gameOver) {
+    console.log(`Game over: player ${summary.gameResult.winner} won by ${summary.gameResult.type} on turn ${summary.gameResult.turn}`);
+}
+summary.players.forEach(player => {
+    const resources = Object.entries(player.resources)
+        .map(([name, amount]) => `${name} ${Math.floor(amount)}`)
+        .join(', ');
+    const victory = Object.entries(player.victoryProgress)
+        .map(([type, progress]) => `${type} ${Math.round(progress * 100)}%`)
+        .join(', ');
+    console.log(`  ${player.name}: ${player.units} units, ${player.buildings} buildings, ${player.technologies} techs - ${resources}`);
+    console.log(`    victory: ${victory}`);
+});
+
+if (options.save) {
+    writeFileSync(options.save, JSON.stringify(engine.save(), null, 2));
+    console.log(`Saved to ${options.save}`);
+}
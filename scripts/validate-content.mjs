@@ -0,0 +1,25 @@
+// Check the content packs and the ids the code relies on for dangling references.
+// Usage: node scripts/validate-content.mjs [--pack mod.json ...]
+import { readFileSync } from 'node:fs';
+import { registerContentPack, applyContentPacks } from '../js/modules/content.js';
+import { validateContent } from '../js/modules/contentValidator.js';
+
+// Load every module that registers the content ids it uses
+import '../js/modules/engine.js';
+import '../js/modules/mapGenerator.js';
+
+const args = process.argv.slice(2);
+for (let i = 0; i < args.length; i += 2) {
+    if (args[i] !== '--pack') {
+        throw new Error(`Unknown option: ${args[i]}`);
+    }
+    registerContentPack(JSON.parse(readFileSync(args[i + 1], 'utf8')));
+}
+
+const packs = applyContentPacks();
+const { isValid, errors } = validateContent();
+
+console.log(`Content packs: ${packs.join(', ')}`);
+errors.forEach(error => console.log(`  ${error}`));
+console.log(isValid ? 'Content is valid' : `${errors.length} problem(s) found`);
+process.exitCode = isValid ? 0 : 1;
@@ -0,0 +1,141 @@
+// Test script for the rules of the Attack command
+// Run with: node test-combat.mjs
+import { createGame } from './js/modules/engine.js';
+import { getGrid } from './js/modules/grid.js';
+import { CombatSystem } from './js/modules/combat.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition) {
+    if (condition) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`FAIL: ${name}`);
+    }
+}
+
+// The game systems log their progress, keep the output to the results
+const log = console.log;
+console.log = () => {};
+
+/**
+ * A headless game on open plains with a warrior of each player, the second player's
+ * `distance` tiles east of the first's at 5, 5
+ */
+function createBattle(distance) {
+    const engine = createGame({ mapSize: 20, mapType: 'continents', mapSeed: 9, aiPlayerCount: 1 });
+    engine.start();
+    const { gameState } = engine;
+    gameState.map.forEach(row => row.forEach(tile => {
+        tile.type = 'plains';
+        tile.unit = null;
+        tile.building = null;
+        tile.river = false;
+        tile.infrastructure = null;
+    }));
+    gameState.players.forEach(player => {
+        player.units = [];
+    });
+
+    const attacker = { id: 'attacker', owner: 1, type: 'warrior', x: 5, y: 5, health: 100, remainingMP: 2, canMove: true };
+    const defender = { id: 'defender', owner: 2, type: 'warrior', x: 5 + distance, y: 5, health: 100, remainingMP: 2, canMove: true };
+    [attacker, defender].forEach(unit => {
+        gameState.map[unit.y][unit.x].unit = unit;
+        gameState.players[unit.owner - 1].units.push(unit);
+    });
+    return engine;
+}
+
+const attack = engine => engine.issue('Attack', { unitId: 'attacker', targetUnitId: 'defender' });
+
+// Attacks need a war
+const peaceful = createBattle(1);
+const refused = attack(peaceful);
+check('an attack without a war is refused', !refused.success && /war/.test(refused.reason));
+check('a refused attack leaves the defender unharmed', peaceful.gameState.players[1].units[0].health === 100);
+check('declaring war succeeds', peaceful.issue('DeclareWar', { targetPlayer: 2 }).success);
+check('an attack after declaring war goes ahead', attack(peaceful).success);
+
+const declaredOn = createBattle(1);
+declaredOn.systems.diplomacy.declareWar(declaredOn.gameState.players[1], declaredOn.gameState.players[0]);
+check('a war the other side declared allows attacks', attack(declaredOn).success);
+
+// Attacks reach the next tile only, measured on the map's grid
+const distant = createBattle(2);
+distant.issue('DeclareWar', { targetPlayer: 2 });
+const outOfRange = attack(distant);
+check('an attack two tiles away is refused', !outOfRange.success && /range/.test(outOfRange.reason));
+
+const grid = createBattle(1);
+grid.issue('DeclareWar', { targetPlayer: 2 });
+const defender = grid.gameState.players[1].units[0];
+const diagonal = getGrid(grid.gameState).neighbors(5, 5).find(tile => tile.y !== 5);
+grid.gameState.map[5][6].unit = null;
+defender.x = diagonal.x;
+defender.y = diagonal.y;
+grid.gameState.map[diagonal.y][diagonal.x].unit = defender;
+check('an attack on any neighbouring tile of the grid goes ahead', attack(grid).success);
+
+// The attackers' type advantage counts against the unit that defends an army, not its leader
+const formation = createBattle(1);
+const spearman = { id: 'spearman', owner: 1, type: 'spearman', x: 5, y: 5, health: 100 };
+const woundedLeader = { id: 'leader', owner: 2, type: 'warrior', x: 6, y: 5, health: 40 };
+const horseman = { id: 'horseman', owner: 2, type: 'horseman', x: 6, y: 5, health: 100 };
+const formationStrike = new CombatSystem(formation.gameState).calculateStrike([spearman], [woundedLeader, horseman], { randomFactor: 1 });
+check('the horseman defends the army of a wounded leader', formationStrike.defender === horseman);
+check('spearmen strike the army with their advantage over its horseman', formationStrike.attack === 2 * 1.5);
+
+// Ambush adds to the attacks a unit starts from a forest, not to its counterattacks
+const ambush = createBattle(1);
+ambush.gameState.map[5][6].type = 'forest';
+const [ambushAttacker] = ambush.gameState.players[0].units;
+const [ambusher] = ambush.gameState.players[1].units;
+const combat = new CombatSystem(ambush.gameState);
+const plainCounter = combat.calculateCounterattack(ambushAttacker, ambusher);
+const plainAttack = combat.calculateDamage(ambusher, ambushAttacker);
+ambusher.promotions = ['ambush'];
+check('ambush strengthens an attack from a forest', combat.calculateDamage(ambusher, ambushAttacker) > plainAttack);
+check('ambush does not strengthen a counterattack', combat.calculateCounterattack(ambushAttacker, ambusher) === plainCounter);
+
+/**
+ * Base a biplane of a player at an airfield of theirs on tile x, y
+ */
+function addBiplane(engine, id, owner, x, y) {
+    const { gameState } = engine;
+    gameState.map[y][x].building = { type: 'airfield', owner };
+    const biplane = { id, owner, type: 'biplane', x, y, base: { x, y }, health: 100, remainingMP: 1, canMove: true };
+    gameState.players[owner - 1].units.push(biplane);
+    return biplane;
+}
+
+// Air strikes need a war like attacks on the ground
+const peacefulSkies = createBattle(1);
+addBiplane(peacefulSkies, 'bomber', 1, 3, 5);
+const strike = engine => engine.issue('AirMission', { unitId: 'bomber', mission: 'strike', x: 6, y: 5 });
+const refusedStrike = strike(peacefulSkies);
+check('an air strike on a player at peace is refused', !refusedStrike.success && /war/.test(refusedStrike.reason));
+check('a refused air strike leaves the defender unharmed', peacefulSkies.gameState.players[1].units[0].health === 100);
+peacefulSkies.issue('DeclareWar', { targetPlayer: 2 });
+check('an air strike after declaring war goes ahead', strike(peacefulSkies).success);
+
+// Only patrols of a player at war with the mission's owner intercept it
+const patrolled = createBattle(3);
+addBiplane(patrolled, 'scout', 1, 3, 5);
+const patrol = addBiplane(patrolled, 'patrol', 2, 10, 5);
+patrol.mission = 'intercept';
+const recon = patrolled.issue('AirMission', { unitId: 'scout', mission: 'recon', x: 7, y: 5 });
+check('a patrol of a player at peace lets a mission pass', recon.success && !recon.interception && patrol.mission === 'intercept');
+const hostile = createBattle(3);
+addBiplane(hostile, 'scout', 1, 3, 5);
+addBiplane(hostile, 'patrol', 2, 10, 5).mission = 'intercept';
+hostile.systems.diplomacy.declareWar(hostile.gameState.players[1], hostile.gameState.players[0]);
+const intercepted = hostile.issue('AirMission', { unitId: 'scout', mission: 'recon', x: 7, y: 5 });
+check('a patrol of a player at war intercepts a mission', intercepted.success && intercepted.interception?.interceptorId === 'patrol');
+
+console.log = log;
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+    process.exit(1);
+}
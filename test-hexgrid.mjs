@@ -0,0 +1,139 @@
+// Test script for the hex geometry helpers in js/modules/hexgrid.js
+// Run with: node test-hexgrid.mjs
+import {
+    hexDistance,
+    areHexesAdjacent,
+    createHexRing,
+    createHexSpiral,
+    hexRange,
+    hexLine,
+    hexReachable,
+    hasLineOfSight,
+    hexFieldOfView,
+    rotateHex,
+    reflectHex,
+    intersectHexRanges,
+    intersectHexRegions,
+    axialToCube,
+    cubeToAxial,
+    axialToOffset,
+    offsetToAxial,
+    findHexByAxial,
+    getHexNeighbors,
+    HexMap
+} from './js/modules/hexgrid.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition) {
+    if (condition) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`FAIL: ${name}`);
+    }
+}
+
+const key = hex => `${hex.q},${hex.r}`;
+const sameHexes = (a, b) => a.length === b.length && a.map(key).sort().join(' ') === b.map(key).sort().join(' ');
+const center = { q: 2, r: -1 };
+
+// Rings and ranges agree with hexDistance
+for (let radius = 0; radius <= 4; radius++) {
+    const ring = createHexRing(center.q, center.r, radius);
+    check(`ring ${radius} has ${radius === 0 ? 1 : radius * 6} hexes`, ring.length === (radius === 0 ? 1 : radius * 6));
+    check(`ring ${radius} is at distance ${radius}`, ring.every(hex => hexDistance(center.q, center.r, hex.q, hex.r) === radius));
+    check(`ring ${radius} has no duplicates`, new Set(ring.map(key)).size === ring.length);
+    check(`ring ${radius} walks adjacent hexes`, ring.every((hex, i) => radius < 2 || areHexesAdjacent(hex.q, hex.r, ring[(i + 1) % ring.length].q, ring[(i + 1) % ring.length].r)));
+
+    const range = hexRange(center.q, center.r, radius);
+    check(`range ${radius} has ${1 + 3 * radius * (radius + 1)} hexes`, range.length === 1 + 3 * radius * (radius + 1));
+    check(`range ${radius} is within distance ${radius}`, range.every(hex => hexDistance(center.q, center.r, hex.q, hex.r) <= radius));
+    check(`range ${radius} matches the spiral`, sameHexes(range, createHexSpiral(center.q, center.r, radius)));
+}
+
+// Lines have one hex per step, each adjacent to the next
+const lineTargets = [{ q: 5, r: -4 }, { q: -3, r: 2 }, { q: 2, r: 3 }, { q: 0, r: 0 }, { q: 2, r: -1 }];
+for (const target of lineTargets) {
+    const line = hexLine(center.q, center.r, target.q, target.r);
+    const distance = hexDistance(center.q, center.r, target.q, target.r);
+    check(`line to ${key(target)} has ${distance + 1} hexes`, line.length === distance + 1);
+    check(`line to ${key(target)} starts and ends on its endpoints`, key(line[0]) === key(center) && key(line[line.length - 1]) === key(target));
+    check(`line to ${key(target)} is continuous`, line.every((hex, i) => i === 0 || areHexesAdjacent(hex.q, hex.r, line[i - 1].q, line[i - 1].r)));
+}
+
+// Reachable hexes go around obstacles
+const wall = new Set(['1,0', '1,-1', '0,-1', '-1,0', '-1,1']);
+const isBlocked = (q, r) => wall.has(`${q},${r}`);
+const reachable = hexReachable(0, 0, 3, isBlocked);
+check('reachable never enters a blocked hex', reachable.every(hex => !isBlocked(hex.q, hex.r)));
+check('reachable without obstacles is the full range', sameHexes(hexReachable(0, 0, 3, () => false), hexRange(0, 0, 3)));
+check('reachable through the only gap takes the long way', reachable.find(hex => key(hex) === '2,0')?.distance === 3);
+check('reachable leaves out hexes behind the wall', !reachable.some(hex => key(hex) === '1,-2'));
+
+// Field of view with elevation
+const elevations = { '1,0': 5 };
+const getElevation = (q, r) => hexDistance(0, 0, q, r) <= 4 ? (elevations[`${q},${r}`] || 0) : undefined;
+check('flat ground is in sight', hasLineOfSight(0, 0, 0, 3, getElevation));
+check('a hill blocks the hexes behind it', !hasLineOfSight(0, 0, 3, 0, getElevation));
+check('the hill itself is in sight', hasLineOfSight(0, 0, 1, 0, getElevation));
+check('a viewer on a tower sees over the hill', hasLineOfSight(0, 0, 3, 0, getElevation, 20));
+check('hexes off the map are never in sight', !hasLineOfSight(0, 0, 5, 0, getElevation));
+const view = hexFieldOfView(0, 0, 3, getElevation);
+check('field of view includes the viewer', view.some(hex => key(hex) === '0,0'));
+check('field of view stays within its radius', view.every(hex => hexDistance(0, 0, hex.q, hex.r) <= 3));
+check('field of view leaves out the shadow of the hill', !view.some(hex => key(hex) === '3,0'));
+check('field of view on flat ground is the full range', hexFieldOfView(0, 0, 3, (q, r) => 0).length === hexRange(0, 0, 3).length);
+
+// Rotation and reflection keep distances
+const hex = { q: 3, r: -1 };
+check('six rotations return to the start', key(rotateHex(hex.q, hex.r, 6, center.q, center.r)) === key(hex));
+check('rotating east once clockwise gives southeast', key(rotateHex(1, 0, 1)) === '0,1');
+check('negative turns rotate counterclockwise', key(rotateHex(hex.q, hex.r, -1)) === key(rotateHex(hex.q, hex.r, 5)));
+for (let turns = 0; turns < 6; turns++) {
+    const rotated = rotateHex(hex.q, hex.r, turns, center.q, center.r);
+    check(`rotation by ${turns} keeps the distance to the center`, hexDistance(center.q, center.r, rotated.q, rotated.r) === hexDistance(center.q, center.r, hex.q, hex.r));
+}
+check('rotating a ring gives the same ring', sameHexes(createHexRing(0, 0, 2).map(h => rotateHex(h.q, h.r, 1)), createHexRing(0, 0, 2)));
+for (const axis of ['q', 'r', 's']) {
+    const reflected = reflectHex(hex.q, hex.r, axis, center.q, center.r);
+    check(`reflection across ${axis} keeps the distance to the center`, hexDistance(center.q, center.r, reflected.q, reflected.r) === hexDistance(center.q, center.r, hex.q, hex.r));
+    check(`reflecting twice across ${axis} returns to the start`, key(reflectHex(reflected.q, reflected.r, axis, center.q, center.r)) === key(hex));
+    check(`reflection across ${axis} keeps that coordinate`, axialToCube(reflected.q - center.q, reflected.r - center.r)[axis] === axialToCube(hex.q - center.q, hex.r - center.r)[axis]);
+}
+check('cube coordinates sum to zero', Object.values(axialToCube(4, -7)).reduce((a, b) => a + b, 0) === 0);
+check('cube coordinates convert back', key(cubeToAxial(axialToCube(4, -7))) === '4,-7');
+
+// Region intersection
+const rangeA = { q: 0, r: 0, radius: 3 };
+const rangeB = { q: 4, r: -1, radius: 2 };
+const expected = hexRange(0, 0, 3).filter(h => hexDistance(h.q, h.r, rangeB.q, rangeB.r) <= rangeB.radius);
+check('range intersection matches filtering by distance', sameHexes(intersectHexRanges([rangeA, rangeB]), expected));
+check('ranges too far apart do not intersect', intersectHexRanges([{ q: 0, r: 0, radius: 1 }, { q: 5, r: 0, radius: 1 }]).length === 0);
+check('region intersection matches range intersection', sameHexes(intersectHexRegions(hexRange(0, 0, 3), hexRange(4, -1, 2)), expected));
+
+// HexMap lookups agree with the coordinate helpers
+const hexMap = HexMap.fromOffsetRect(8, 6);
+check('HexMap range only holds hexes on the map', hexMap.range(1, 1, 2).every(tile => hexMap.has(tile.q, tile.r)));
+check('HexMap ring matches createHexRing', sameHexes(hexMap.ring(3, 2, 1), createHexRing(3, 2, 1)));
+check('HexMap holds every offset tile', hexMap.size === 48 && hexMap.getOffset(7, 5) === hexMap.get(offsetToAxial(7, 5).q, 5));
+check('HexMap neighbors match getHexNeighbors on the map', sameHexes(hexMap.neighbors(3, 2), getHexNeighbors(3, 2).filter(hex => hexMap.has(hex.q, hex.r))));
+check('findHexByAxial looks up a HexMap', findHexByAxial(hexMap, 3, 2) === hexMap.get(3, 2) && findHexByAxial(hexMap, 40, 40) === null);
+check('findHexByAxial still searches arrays', findHexByAxial([{ q: 1, r: 2 }], 1, 2)?.q === 1);
+
+// Offset and axial coordinates convert both ways
+let roundTrips = true;
+for (let row = 0; row < 6; row++) {
+    for (let col = 0; col < 8; col++) {
+        const { q, r } = offsetToAxial(col, row);
+        const offset = axialToOffset(q, r);
+        roundTrips = roundTrips && offset.col === col && offset.row === row;
+    }
+}
+check('offset coordinates survive a round trip through axial', roundTrips);
+
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,59 @@
+// Test script for replaying a game from its action log with js/modules/engine.js
+// Run with: node test-replay.mjs
+import { createGame } from './js/modules/engine.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition) {
+    if (condition) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`FAIL: ${name}`);
+    }
+}
+
+// The game systems log their progress, keep the output to the results
+const log = console.log;
+console.log = () => {};
+
+const settings = { mapSize: 20, mapType: 'continents', mapSeed: 11, aiPlayerCount: 2 };
+
+/**
+ * The game without its save time, to compare two games
+ */
+function snapshot(engine) {
+    const { savedAt, ...document } = engine.save();
+    return JSON.stringify(document);
+}
+
+// A human player moves, then the AI plays on for a few rounds
+const original = createGame(settings).start();
+const warrior = original.gameState.players[0].units.find(unit => unit.type === 'warrior');
+const grid = original.gameState.map;
+const step = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+    .map(([dx, dy]) => ({ x: warrior.x + dx, y: warrior.y + dy }))
+    .find(({ x, y }) => grid[y]?.[x] && !grid[y][x].unit && grid[y][x].type !== 'water' && grid[y][x].type !== 'mountain');
+check('the human player has a warrior that can move', step !== undefined);
+check('the human move succeeds', original.issue('MoveUnit', { unitId: warrior.id, targetX: step.x, targetY: step.y }).success);
+original.runTurns(6);
+
+const actionLog = original.gameState.actionLog;
+const endTurns = actionLog.filter(entry => entry.command.type === 'EndTurn');
+check('AI commands are logged as system commands', actionLog.some(entry => entry.system && entry.command.player !== 1));
+check('human commands and EndTurn are not system commands', actionLog.filter(entry => entry.command.player === 1).every(entry => !entry.system));
+check('EndTurn is logged before the AI turns it starts', actionLog.indexOf(endTurns[0]) < actionLog.findIndex(entry => entry.system));
+
+// Replaying the log on a new game with the same settings gives the same game
+const replayed = createGame(settings).start();
+replayed.replay(actionLog);
+check('the replay logs the same commands', JSON.stringify(replayed.gameState.actionLog) === JSON.stringify(actionLog));
+check('the replay ends in the same turn', replayed.gameState.turn === original.gameState.turn);
+check('the replay ends in the same game', snapshot(replayed) === snapshot(original));
+
+console.log = log;
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,150 @@
+// Test script for saving and loading games with js/modules/saveGame.js
+// Run with: node test-saveload.mjs
+import { createGame, GameEngine } from './js/modules/engine.js';
+import { unitTypes } from './js/modules/units.js';
+import { deserializeGame, SAVE_VERSION } from './js/modules/saveGame.js';
+import { registerContentPack, applyContentPacks } from './js/modules/content.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition) {
+    if (condition) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`FAIL: ${name}`);
+    }
+}
+
+// The game systems log their progress, keep the output to the results
+const log = console.log;
+console.log = () => {};
+
+/**
+ * A headless game on open water with a galley of the first player at 5, 5
+ */
+function createSeaGame() {
+    const engine = createGame({ mapSize: 20, mapType: 'continents', mapSeed: 3, aiPlayerCount: 1 });
+    engine.start();
+    const { gameState } = engine;
+    gameState.map.forEach(row => row.forEach(tile => {
+        tile.type = 'water';
+        tile.unit = null;
+        tile.building = null;
+        tile.river = false;
+        tile.infrastructure = null;
+    }));
+    gameState.players.forEach(player => {
+        player.units = [];
+    });
+    const galley = { id: 'galley-1', owner: 1, type: 'galley', x: 5, y: 5, health: 100 };
+    galley.remainingMP = unitTypes.galley.move;
+    galley.canMove = true;
+    gameState.map[5][5].unit = galley;
+    gameState.players[0].units.push(galley);
+    return engine;
+}
+
+/**
+ * Movement points a galley of the game spends on one step east
+ */
+function stepCost(engine) {
+    const galley = engine.gameState.players[0].units.find(unit => unit.id === 'galley-1');
+    const before = galley.remainingMP;
+    const result = engine.issue('MoveUnit', { unitId: galley.id, targetX: 6, targetY: 5 });
+    return result.success ? before - galley.remainingMP : NaN;
+}
+
+// A storm slows ships the same before and after a save
+const stormy = createSeaGame();
+stormy.systems.weather.currentWeather = 'storm';
+stormy.systems.weather.applyWeatherEffects();
+check('storm gives water a positive weather cost', stormy.gameState.map[5][6].currentMovementCost > 0);
+const reloadedStorm = GameEngine.fromSave(stormy.save());
+const liveStormCost = stepCost(stormy);
+check('a storm step costs more than calm water', liveStormCost > 1);
+check('a loaded game charges the same storm step', stepCost(reloadedStorm) === liveStormCost);
+
+// Weather does not compound over turns, and clears when the storm passes
+stormy.systems.weather.applyWeatherEffects();
+check('a second storm turn keeps the same cost', stormy.gameState.map[5][7].currentMovementCost === stormy.gameState.map[5][6].currentMovementCost);
+stormy.systems.weather.currentWeather = 'clear';
+stormy.systems.weather.applyWeatherEffects();
+check('clear weather removes the weather cost', stormy.gameState.map[5][6].currentMovementCost === undefined);
+
+// A broken weather cost in a save never makes a step free
+const broken = createSeaGame();
+broken.gameState.map[5][6].currentMovementCost = NaN;
+const reloadedBroken = GameEngine.fromSave(broken.save());
+check('an invalid weather cost is dropped on load', reloadedBroken.gameState.map[5][6].currentMovementCost === undefined);
+check('a loaded game charges the calm step', stepCost(reloadedBroken) === stepCost(createSeaGame()));
+
+// A game started without a seed picks one before anything random, and the save keeps it
+const unseeded = createGame({ mapSize: 20, mapType: 'continents', aiPlayerCount: 1 });
+check('an unseeded game picks a seed', Number.isFinite(unseeded.gameState.mapSeed));
+check('the random streams use the map seed', unseeded.gameState.rng.seed === unseeded.gameState.mapSeed);
+check('a loaded game keeps the seed', GameEngine.fromSave(unseeded.save()).gameState.mapSeed === unseeded.gameState.mapSeed);
+check('seed 0 is a seed', createGame({ mapSize: 20, mapType: 'continents', mapSeed: 0, aiPlayerCount: 1 }).gameState.rng.seed === 0);
+
+// A version 6 save, from before infrastructure, rivers, air bases, armies and promotions,
+// loads with their fields filled in
+const older = createSeaGame();
+const biplane = { id: 'biplane-1', owner: 1, type: 'biplane', x: 8, y: 8, health: 100, remainingMP: 0, canMove: false };
+older.gameState.map[8][8].unit = biplane;
+older.gameState.players[0].units.push(biplane);
+const version6 = older.save();
+version6.version = 6;
+version6.state.map.forEach(row => row.forEach(tile => {
+    delete tile.infrastructure;
+    delete tile.infrastructureInProgress;
+    delete tile.river;
+    delete tile.riverTo;
+}));
+version6.units.forEach(unit => {
+    delete unit.cargo;
+    delete unit.base;
+    delete unit.experience;
+    delete unit.level;
+    delete unit.promotions;
+});
+version6.units.find(unit => unit.id === 'galley-1').inArmy = true;
+delete version6.state.combatLog;
+
+const migrated = deserializeGame(version6);
+check('a version 6 save is upgraded one version at a time', migrated.migrations.every((step, i) => step.from === 6 + i && step.to === 7 + i));
+check('a version 6 save is upgraded to the current version', migrated.migrations[migrated.migrations.length - 1]?.to === SAVE_VERSION);
+const upgraded = GameEngine.fromSave(version6);
+const upgradedTile = upgraded.gameState.map[3][3];
+check('an upgraded tile has no infrastructure', upgradedTile.infrastructure === null && upgradedTile.infrastructureInProgress === null);
+check('an upgraded tile has no river', upgradedTile.river === false && upgradedTile.riverTo === null);
+const upgradedGalley = upgraded.gameState.players[0].units.find(unit => unit.id === 'galley-1');
+check('an upgraded transport has an empty hold', Array.isArray(upgradedGalley.cargo) && upgradedGalley.cargo.length === 0);
+check('an upgraded unit outside any army is not in one', !upgradedGalley.inArmy);
+check('an upgraded unit starts without experience', upgradedGalley.experience === 0 && upgradedGalley.level === 0 && upgradedGalley.promotions.length === 0);
+const upgradedBiplane = upgraded.gameState.players[0].units.find(unit => unit.id === 'biplane-1');
+check('an upgraded aircraft is based where it stood', upgradedBiplane.base?.x === 8 && upgradedBiplane.base.y === 8);
+check('an upgraded aircraft is not on a map tile', upgraded.gameState.map[8][8].unit === null);
+check('an upgraded game has an empty combat log', Array.isArray(upgraded.gameState.combatLog) && upgraded.gameState.combatLog.length === 0);
+check('the galley can still sail after the upgrade', stepCost(upgraded) === stepCost(createSeaGame()));
+
+// Migrations read the content packs of the game, a transport of a mod pack gets its hold too
+registerContentPack({ id: 'test-rafts', units: { raft: { ...unitTypes.galley, name: 'Raft' } } });
+const modded = createGame({ mapSize: 20, mapType: 'continents', mapSeed: 3, aiPlayerCount: 1, contentPacks: ['test-rafts'] }).start();
+const raft = { id: 'raft-1', owner: 1, type: 'raft', x: 2, y: 2, health: 100, remainingMP: 0, canMove: false };
+modded.gameState.map[2][2].unit = raft;
+modded.gameState.players[0].units.push(raft);
+const moddedVersion6 = modded.save();
+moddedVersion6.version = 6;
+moddedVersion6.units.forEach(unit => {
+    delete unit.cargo;
+});
+applyContentPacks(['base']);
+const moddedRaft = GameEngine.fromSave(moddedVersion6).gameState.players[0].units.find(unit => unit.id === 'raft-1');
+check('an upgraded transport of a mod pack has an empty hold', Array.isArray(moddedRaft?.cargo));
+
+console.log = log;
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,164 @@
+// Test script for training units with the CreateUnit command
+// Run with: node test-training.mjs
+import { createGame, GameEngine } from './js/modules/engine.js';
+import { findUnit } from './js/modules/gameState.js';
+import { unitTypes } from './js/modules/units.js';
+import { buildingTypes } from './js/modules/buildings.js';
+import { resourceIcons } from './js/modules/resources.js';
+import { findStacksNear } from './js/modules/armies.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition) {
+    if (condition) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`FAIL: ${name}`);
+    }
+}
+
+// The game systems log their progress, keep the output to the results
+const log = console.log;
+console.log = () => {};
+
+/**
+ * A headless game on open plains with a sea east of x = 7 and buildings of the
+ * first player given as [{ type, x, y }]
+ */
+function createTrainingGame(buildings) {
+    const engine = createGame({ mapSize: 20, mapType: 'continents', mapSeed: 5, aiPlayerCount: 1 });
+    engine.start();
+    const { gameState } = engine;
+    gameState.map.forEach(row => row.forEach(tile => {
+        tile.type = tile.x >= 7 ? 'water' : 'plains';
+        tile.unit = null;
+        tile.building = null;
+        tile.river = false;
+        tile.infrastructure = null;
+    }));
+    gameState.players.forEach(player => {
+        player.units = [];
+        player.buildings = [];
+    });
+
+    const player = gameState.players[0];
+    buildings.forEach(({ type, x, y }) => {
+        gameState.map[y][x].building = { type, owner: 1 };
+        player.buildings.push({ type, x, y });
+    });
+    player.resources = { food: 1000, wood: 1000, stone: 1000, gold: 1000, copper: 1000, iron: 1000 };
+    return engine;
+}
+
+// Unit costs are in resources players hold
+Object.entries(unitTypes).forEach(([unitType, unitInfo]) => {
+    check(`${unitType} costs only resources players hold`, Object.entries(unitInfo.cost).every(([resource, amount]) => resource in resourceIcons && amount > 0));
+});
+
+// A unit trained at a building stands on its tile, then next to it
+const game = createTrainingGame([{ type: 'barracks', x: 5, y: 5 }, { type: 'harbor', x: 6, y: 5 }, { type: 'house', x: 2, y: 2 }]);
+const player = game.gameState.players[0];
+const resourcesBeforeWarrior = { ...player.resources };
+const first = game.issue('CreateUnit', { unitType: 'warrior', x: 5, y: 5 });
+const warrior = first.success && findUnit(game.gameState, first.unitId);
+check('a warrior is trained at the barracks', first.success && warrior?.type === 'warrior');
+check('the warrior stands on the barracks', game.gameState.map[5][5].unit === warrior);
+check('the warrior belongs to its player', player.units.includes(warrior) && warrior.owner === 1);
+check('training pays the warrior\'s cost', Object.entries(unitTypes.warrior.cost).every(([resource, amount]) => player.resources[resource] === resourcesBeforeWarrior[resource] - amount));
+check('a new unit waits for the next turn to move', warrior.remainingMP === 0 && !warrior.canMove);
+
+const second = game.issue('CreateUnit', { unitType: 'warrior', x: 5, y: 5 });
+const neighbor = second.success && findUnit(game.gameState, second.unitId);
+check('a second warrior is placed next to the barracks', neighbor && (neighbor.x !== 5 || neighbor.y !== 5) && game.gameState.map[neighbor.y][neighbor.x].unit === neighbor);
+check('a house does not train warriors', !game.issue('CreateUnit', { unitType: 'warrior', x: 2, y: 2 }).success);
+
+// Undo takes the unit away and refunds it
+const resourcesBefore = { ...player.resources };
+const third = game.issue('CreateUnit', { unitType: 'settler' });
+check('without a position the building that trains the unit is found', third.success && findUnit(game.gameState, third.unitId)?.x === 2);
+check('undo removes a trained unit', game.commands.undo().success && !findUnit(game.gameState, third.unitId));
+check('undo refunds the unit', JSON.stringify(player.resources) === JSON.stringify(resourcesBefore));
+check('undo clears the unit from the map', game.gameState.map.every(row => row.every(tile => tile.unit?.id !== third.unitId)));
+const redone = game.commands.redo();
+check('redo trains the unit again with the same id', redone.success && redone.unitId === third.unitId);
+
+// Ships are placed on water next to the harbor, aircraft at an air base
+const galley = game.issue('CreateUnit', { unitType: 'galley', x: 6, y: 5 });
+const galleyUnit = galley.success && findUnit(game.gameState, galley.unitId);
+check('a galley is trained on the water next to the harbor', galleyUnit && game.gameState.map[galleyUnit.y][galleyUnit.x].type === 'water');
+const inland = createTrainingGame([{ type: 'harbor', x: 3, y: 3 }]);
+check('a harbor away from the sea launches nothing', !inland.issue('CreateUnit', { unitType: 'galley', x: 3, y: 3 }).success);
+
+const airGame = createTrainingGame([{ type: 'airfield', x: 3, y: 3 }, { type: 'barracks', x: 5, y: 5 }]);
+check('aircraft need a later age', !airGame.issue('CreateUnit', { unitType: 'biplane', x: 3, y: 3 }).success);
+airGame.gameState.players[0].age = 'Renaissance';
+const biplane = airGame.issue('CreateUnit', { unitType: 'biplane', x: 3, y: 3 });
+const biplaneUnit = biplane.success && findUnit(airGame.gameState, biplane.unitId);
+check('a biplane is based at the airfield', biplaneUnit?.base?.x === 3 && biplaneUnit.base.y === 3);
+check('a biplane is not placed on a map tile', airGame.gameState.map[3][3].unit === null);
+check('a biplane is not trained at the barracks', !airGame.issue('CreateUnit', { unitType: 'biplane', x: 5, y: 5 }).success);
+
+// Every unit type is trained at some building
+const everyBuilding = Object.keys(buildingTypes).map((type, i) => ({ type, x: 1 + (i % 3) * 2, y: 1 + Math.floor(i / 3) * 2 }))
+    .map(building => building.type === 'harbor' ? { ...building, x: 6, y: 9 } : building);
+Object.entries(unitTypes).forEach(([unitType, unitInfo]) => {
+    const full = createTrainingGame(everyBuilding);
+    full.gameState.players[0].age = unitInfo.age;
+    const trained = full.issue('CreateUnit', { unitType });
+    check(`a ${unitType} can be trained`, trained.success && findUnit(full.gameState, trained.unitId)?.type === unitType);
+});
+
+// Training needs a building of the player and the resources
+const empty = createTrainingGame([]);
+check('a player without buildings cannot train units', !empty.issue('CreateUnit', { unitType: 'warrior' }).success);
+const foreign = createTrainingGame([]);
+foreign.gameState.map[5][5].building = { type: 'barracks', owner: 2 };
+check('units are not trained at another player\'s building', !foreign.issue('CreateUnit', { unitType: 'warrior', x: 5, y: 5 }).success);
+const poor = createTrainingGame([{ type: 'barracks', x: 5, y: 5 }]);
+poor.gameState.players[0].resources = { food: 0, wood: 0, stone: 0, gold: 0 };
+check('a player without the resources cannot train units', !poor.issue('CreateUnit', { unitType: 'warrior', x: 5, y: 5 }).success);
+check('a rejected command places nothing', poor.gameState.players[0].units.length === 0);
+
+// Training a unit, and undoing it, drops the cached paths through its tile
+const paths = createTrainingGame([{ type: 'barracks', x: 4, y: 5 }]);
+const walker = { id: 'walker', owner: 1, type: 'warrior', x: 2, y: 5, health: 100, remainingMP: 2, canMove: true };
+paths.gameState.map[5][2].unit = walker;
+paths.gameState.players[0].units.push(walker);
+const crosses = path => path.some(step => step.x === 4 && step.y === 5);
+const pathBefore = paths.systems.pathfinding.findPath(2, 5, 6, 5, walker);
+check('the path crosses the barracks tile', crosses(pathBefore));
+paths.issue('CreateUnit', { unitType: 'warrior', x: 4, y: 5 });
+check('a path searched after training goes around the new unit', !crosses(paths.systems.pathfinding.findPath(2, 5, 6, 5, walker)));
+paths.commands.undo();
+check('a path searched after undoing the training crosses the tile again', crosses(paths.systems.pathfinding.findPath(2, 5, 6, 5, walker)));
+
+// The AI's lookup of nearby units finds a unit trained this turn
+const stacks = createTrainingGame([{ type: 'barracks', x: 5, y: 5 }]);
+check('no stacks stand near the barracks before training', findStacksNear(stacks.gameState, 5, 5, 2, 1).length === 0);
+stacks.issue('CreateUnit', { unitType: 'warrior', x: 5, y: 5 });
+check('a trained unit is found near the barracks', findStacksNear(stacks.gameState, 5, 5, 2, 1).length === 1);
+
+// Undo puts a moved unit back, here into the next partition of the index, without an event
+const scout = { id: 'scout', owner: 1, type: 'warrior', x: 15, y: 1, health: 100, remainingMP: 2, canMove: true };
+stacks.gameState.map.forEach(row => row.forEach(tile => {
+    tile.type = 'plains';
+    tile.discovered[0] = true;
+}));
+stacks.gameState.map[1][15].unit = scout;
+stacks.gameState.players[0].units.push(scout);
+findStacksNear(stacks.gameState, 15, 1, 1, 1);
+stacks.issue('MoveUnit', { unitId: 'scout', targetX: 16, targetY: 1 });
+stacks.commands.undo();
+check('a unit whose move was undone is found where it stands', findStacksNear(stacks.gameState, 15, 1, 0, 1).some(stack => stack.unit === scout));
+
+// A trained unit is saved like any other
+const reloaded = GameEngine.fromSave(game.save());
+check('a loaded game keeps the trained units', reloaded.gameState.map[5][5].unit?.id === warrior.id);
+
+console.log = log;
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+    process.exit(1);
+}
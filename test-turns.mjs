@@ -0,0 +1,81 @@
+// Test script for stepping headless games round by round with js/modules/engine.js
+// Run with: node test-turns.mjs
+import { createGame } from './js/modules/engine.js';
+import { getEventBus } from './js/modules/eventBus.js';
+import { joinArmy } from './js/modules/armies.js';
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition) {
+    if (condition) {
+        passed++;
+    } else {
+        failed++;
+        console.log(`FAIL: ${name}`);
+    }
+}
+
+// The game systems log their progress, keep the output to the results
+const log = console.log;
+console.log = () => {};
+
+const settings = { mapSize: 20, mapType: 'continents', mapSeed: 21, aiPlayerCount: 3 };
+
+// runTurns plays exactly the rounds asked for, with or without a human player
+for (const aiOnly of [true, false]) {
+    const label = aiOnly ? 'an AI-only game' : 'a game with a human player';
+    const engine = createGame({ ...settings, aiOnly }).start();
+
+    for (const rounds of [1, 3, 5]) {
+        const turn = engine.gameState.turn;
+        const summary = engine.runTurns(rounds);
+        check(`${label} advances ${rounds} round${rounds === 1 ? '' : 's'}`, summary.turn === turn + rounds);
+        check(`${label} stops at the first player after ${rounds} round${rounds === 1 ? '' : 's'}`, summary.currentPlayer === 1);
+    }
+
+    const turn = engine.gameState.turn;
+    const result = engine.endTurn();
+    check(`ending a turn in ${label} plays one round`, result.success && engine.gameState.turn === turn + 1 && engine.gameState.currentPlayer === 1);
+
+    // Every player acts once a round
+    const started = [];
+    getEventBus(engine.gameState).on('turn.started', ({ player }) => started.push(player));
+    engine.runTurns(1);
+    check(`every player of ${label} takes one turn a round`, started.join(',') === '2,3,4,1');
+}
+
+// Move orders carry on at the start of the player's turn for units off the map tiles too
+const orders = createGame({ ...settings, aiPlayerCount: 1 }).start();
+orders.gameState.map.forEach(row => row.forEach(tile => {
+    tile.type = 'plains';
+    tile.unit = null;
+    tile.building = null;
+    tile.river = false;
+    tile.infrastructure = null;
+}));
+orders.gameState.players.forEach(player => {
+    player.units = [];
+});
+const [leader, member, passenger] = ['leader', 'member', 'passenger'].map(id => ({
+    id, owner: 1, type: 'warrior', x: 5, y: 5, health: 100, remainingMP: 0, canMove: false
+}));
+const rival = { id: 'rival', owner: 2, type: 'warrior', x: 15, y: 15, health: 100, remainingMP: 0, canMove: false };
+orders.gameState.map[5][5].unit = leader;
+orders.gameState.map[15][15].unit = rival;
+orders.gameState.players[0].units.push(leader, member, passenger);
+orders.gameState.players[1].units.push(rival);
+joinArmy(member, leader);
+member.moveOrder = { waypoints: [{ x: 8, y: 5 }] };
+passenger.isEmbarked = true;
+passenger.moveOrder = { waypoints: [{ x: 8, y: 5 }] };
+orders.endTurn();
+check('a unit in an army follows its move order', member.x > 5 && !member.inArmy && orders.gameState.map[member.y][member.x].unit === member);
+check('the army it left stays behind', leader.x === 5 && !leader.army);
+check('a unit aboard a transport keeps its move order until it lands', passenger.moveOrder && passenger.x === 5);
+
+console.log = log;
+console.log(`\n${passed} passed, ${failed} failed`);
+if (failed > 0) {
+    process.exit(1);
+}